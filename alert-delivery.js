@@ -0,0 +1,81 @@
+// alert-delivery.js  (push new watchlist alerts to a webhook, or to a local outbox directory as a stand-in)
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { pendingDeliveries, recordDelivery } from './watchlists.js';
+
+/**
+ * One batch per user per run: { email, alerts: [...], sentAt }.
+ *   webhookUrl:    POSTed as JSON; with webhookSecret the body is signed in X-Alert-Signature (sha256=<hmac hex>)
+ *   outboxDir:     each batch is written to outboxDir/<time>-<email>.json instead (local / offline stand-in)
+ * Neither set: delivery is off and alerts are only listed in-app. Failed batches are retried on the
+ * next run, up to maxAttempts.
+ */
+export function createAlertDelivery({ webhookUrl = null, webhookSecret = null, outboxDir = null, timeoutMs = 5000, maxAttempts = 5 } = {}) {
+    const target = webhookUrl ? 'webhook' : outboxDir ? 'outbox' : null;
+    const stats = { runs: 0, batches: 0, delivered: 0, failed: 0, lastRunAt: null, lastError: null };
+    let running = null;
+
+    async function sendWebhook(body) {
+        const headers = { 'content-type': 'application/json' };
+        if (webhookSecret) headers['x-alert-signature'] = `sha256=${crypto.createHmac('sha256', webhookSecret).update(body).digest('hex')}`;
+        const ctrl = new AbortController();
+        const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+        try {
+            const res = await fetch(webhookUrl, { method: 'POST', headers, body, signal: ctrl.signal });
+            if (!res.ok) throw new Error(`webhook answered HTTP ${res.status}`);
+        } catch (e) {
+            throw e.name === 'AbortError' ? new Error(`webhook timed out after ${timeoutMs}ms`) : e;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    function writeOutbox(email, body) {
+        fs.mkdirSync(outboxDir, { recursive: true });
+        const file = path.join(outboxDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${email.replace(/[^\w.@-]/g, '_')}.json`);
+        fs.writeFileSync(`${file}.tmp`, body);
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    async function run(db) {
+        stats.runs++;
+        stats.lastRunAt = new Date().toISOString();
+        stats.lastError = null; // /_health/alerts reports the latest run
+        for (const { email, alerts } of await pendingDeliveries(db, { maxAttempts })) {
+            const ids = alerts.map(a => a.id);
+            const body = JSON.stringify({ email, alerts, sentAt: new Date().toISOString() });
+            stats.batches++;
+            try {
+                if (target === 'webhook') await sendWebhook(body);
+                else writeOutbox(email, body);
+                await recordDelivery(db, ids);
+                stats.delivered += ids.length;
+            } catch (e) {
+                const message = String(e?.message || e).slice(0, 500);
+                await recordDelivery(db, ids, message);
+                stats.failed += ids.length;
+                stats.lastError = message;
+                console.warn(`[alerts] delivery to ${target} failed for ${email}: ${message}`);
+            }
+        }
+    }
+
+    return {
+        target,
+        /** Deliver everything pending; concurrent calls share one run. Never rejects. */
+        deliverPending(db) {
+            if (!target) return Promise.resolve(stats);
+            running ||= run(db)
+                .catch(e => {
+                    stats.lastError = String(e?.message || e);
+                    console.error('[alerts] delivery run failed:', e?.message || e);
+                })
+                .then(() => stats)
+                .finally(() => { running = null; });
+            return running;
+        },
+        snapshot: () => ({ target, ...(webhookUrl && { webhookUrl: new URL(webhookUrl).origin }), ...(outboxDir && { outboxDir }), ...stats }),
+    };
+}
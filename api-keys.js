@@ -0,0 +1,194 @@
+// api-keys.js  (hashed, scoped API keys for machine clients: create/revoke/list, per-minute limits, daily quotas)
+// Tables: migrations/005_api_keys.js. Request handling: middleware/apiKey.js
+import crypto from 'crypto';
+
+// Keys authenticate a system, not a person: nothing that needs an author email (comments, user admin)
+export const API_KEY_PERMISSIONS = ['ndc:read', 'audit:read'];
+export const API_KEY_PATTERN = /^ndck_([0-9a-f]{12})_[\w-]{32}$/;
+
+const DEFAULT_RATE_LIMIT = Number(process.env.API_KEY_RATE_LIMIT || 60);       // per minute
+const DEFAULT_DAILY_QUOTA = Number(process.env.API_KEY_DAILY_QUOTA || 10000);  // per UTC day
+const WINDOW_MS = 60_000;
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+const today = (now = new Date()) => now.toISOString().slice(0, 10);
+
+function toApiKey(row) {
+    if (!row) return null;
+    const { keyHash, ...rest } = row;
+    return { ...rest, permissions: JSON.parse(row.permissions || '[]') };
+}
+
+const positiveInt = (v) => Number.isInteger(v) && v > 0;
+
+/** Check a create request; returns { errors } or { value } with defaults filled in. */
+export function validateApiKeyInput(body = {}) {
+    const errors = [];
+    const name = String(body.name || '').trim();
+    if (!name || name.length > 100) errors.push('name is required (max 100 characters)');
+
+    const permissions = body.permissions ?? ['ndc:read'];
+    if (!Array.isArray(permissions) || !permissions.length) errors.push('permissions must be a non-empty array');
+    else for (const p of permissions) {
+        if (!API_KEY_PERMISSIONS.includes(p)) errors.push(`permission "${p}" cannot be granted to an API key (allowed: ${API_KEY_PERMISSIONS.join(', ')})`);
+    }
+
+    const rateLimitPerMinute = body.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT;
+    if (!positiveInt(rateLimitPerMinute)) errors.push('rateLimitPerMinute must be a positive integer');
+    const dailyQuota = body.dailyQuota ?? DEFAULT_DAILY_QUOTA;
+    if (!positiveInt(dailyQuota)) errors.push('dailyQuota must be a positive integer');
+
+    let expiresAt = null;
+    if (body.expiresAt != null) {
+        const t = Date.parse(body.expiresAt);
+        if (Number.isNaN(t) || t <= Date.now()) errors.push('expiresAt must be a future date');
+        else expiresAt = new Date(t).toISOString();
+    }
+
+    if (errors.length) return { errors };
+    return { value: { name, permissions: [...new Set(permissions)], rateLimitPerMinute, dailyQuota, expiresAt } };
+}
+
+/**
+ * Create a key. The plaintext `key` is only ever returned here; the DB keeps its sha256.
+ * input: validated { name, permissions, rateLimitPerMinute, dailyQuota, expiresAt }.
+ */
+export async function createApiKey(db, input, { createdBy = null, org = null } = {}) {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const key = `ndck_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+    const { lastID } = await db.run(
+        `INSERT INTO api_keys (prefix, keyHash, name, org, permissions, rateLimitPerMinute, dailyQuota, createdBy, expiresAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [prefix, sha256(key), input.name, org, JSON.stringify(input.permissions),
+            input.rateLimitPerMinute, input.dailyQuota, createdBy, input.expiresAt]
+    );
+    return { key, apiKey: await getApiKey(db, lastID) };
+}
+
+export async function getApiKey(db, id) {
+    return toApiKey(await db.get(`SELECT * FROM api_keys WHERE id = ?`, [id]));
+}
+
+/** Revoke (idempotent). Resolves to the key before and after, or null when it doesn't exist. */
+export async function revokeApiKey(db, id, { revokedBy = null } = {}) {
+    const before = await getApiKey(db, id);
+    if (!before) return null;
+    if (!before.revokedAt) {
+        await db.run(
+            `UPDATE api_keys SET revokedAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), revokedBy = ? WHERE id = ?`,
+            [revokedBy, id]
+        );
+    }
+    return { before, after: await getApiKey(db, id) };
+}
+
+/** Keys with today's counters and lifetime totals (newest first). */
+export async function listApiKeys(db, { includeRevoked = false, now = new Date() } = {}) {
+    const rows = await db.all(
+        `SELECT k.*,
+              COALESCE(t.requests, 0)    AS todayRequests,
+              COALESCE(t.rateLimited, 0) AS todayRateLimited,
+              COALESCE(t.overQuota, 0)   AS todayOverQuota,
+              (SELECT COALESCE(SUM(requests), 0) FROM api_key_usage u WHERE u.keyId = k.id) AS totalRequests,
+              (SELECT MAX(lastUsedAt) FROM api_key_usage u WHERE u.keyId = k.id)           AS lastUsedAt
+       FROM api_keys k
+       LEFT JOIN api_key_usage t ON t.keyId = k.id AND t.day = ?
+       ${includeRevoked ? '' : 'WHERE k.revokedAt IS NULL'}
+       ORDER BY k.id DESC`,
+        [today(now)]
+    );
+    return rows.map(r => {
+        const { todayRequests, todayRateLimited, todayOverQuota, totalRequests, lastUsedAt, ...key } = r;
+        return {
+            ...toApiKey(key),
+            usage: {
+                today: { requests: todayRequests, rateLimited: todayRateLimited, overQuota: todayOverQuota,
+                    remaining: Math.max(0, r.dailyQuota - todayRequests) },
+                totalRequests,
+                lastUsedAt,
+            },
+        };
+    });
+}
+
+/** Daily counters for one key, newest day first. */
+export async function apiKeyUsage(db, id, { days = 30 } = {}) {
+    return db.all(
+        `SELECT day, requests, rateLimited, overQuota, lastUsedAt FROM api_key_usage
+       WHERE keyId = ? ORDER BY day DESC LIMIT ?`,
+        [id, days]
+    );
+}
+
+/**
+ * Resolve a presented key. Resolves to { apiKey } or { error } ('unknown' | 'revoked' | 'expired').
+ * The prefix finds the row; the full hash is compared in constant time.
+ */
+export async function authenticateApiKey(db, presented, { now = new Date() } = {}) {
+    const m = String(presented || '').match(API_KEY_PATTERN);
+    if (!m) return { error: 'unknown' };
+    const row = await db.get(`SELECT * FROM api_keys WHERE prefix = ?`, [m[1]]);
+    const expected = Buffer.from(row?.keyHash || sha256(''), 'hex');
+    const matches = crypto.timingSafeEqual(expected, Buffer.from(sha256(presented), 'hex'));
+    if (!row || !matches) return { error: 'unknown' };
+    if (row.revokedAt) return { error: 'revoked' };
+    if (row.expiresAt && Date.parse(row.expiresAt) <= now.getTime()) return { error: 'expired' };
+    return { apiKey: toApiKey(row) };
+}
+
+/**
+ * Per-key admission: a fixed one-minute window in memory (resets on restart) and a daily quota
+ * counted in api_key_usage so it survives restarts and is shared with the admin view.
+ */
+export function createApiKeyLimiter({ windowMs = WINDOW_MS } = {}) {
+    const windows = new Map(); // keyId → { start, count }
+
+    /** Resolves to { ok, reason?: 'rate_limited'|'quota_exceeded', limit, remaining, quota, quotaRemaining, retryAfterSec } */
+    async function admit(db, apiKey, now = new Date()) {
+        const t = now.getTime();
+        let w = windows.get(apiKey.id);
+        if (!w || t - w.start >= windowMs) {
+            w = { start: t, count: 0 };
+            windows.set(apiKey.id, w);
+        }
+        const day = today(now);
+        const stamp = now.toISOString();
+        await db.run(`INSERT INTO api_key_usage (keyId, day) VALUES (?, ?) ON CONFLICT DO NOTHING`, [apiKey.id, day]);
+
+        const base = { limit: apiKey.rateLimitPerMinute, quota: apiKey.dailyQuota };
+        if (w.count >= apiKey.rateLimitPerMinute) {
+            const row = await db.get(
+                `UPDATE api_key_usage SET rateLimited = rateLimited + 1 WHERE keyId = ? AND day = ? RETURNING requests`,
+                [apiKey.id, day]
+            );
+            return {
+                ...base, ok: false, reason: 'rate_limited', remaining: 0,
+                quotaRemaining: Math.max(0, apiKey.dailyQuota - row.requests),
+                retryAfterSec: Math.max(1, Math.ceil((w.start + windowMs - t) / 1000)),
+            };
+        }
+
+        // Conditional increment keeps concurrent requests from overshooting the quota
+        const counted = await db.get(
+            `UPDATE api_key_usage SET requests = requests + 1, lastUsedAt = ?
+       WHERE keyId = ? AND day = ? AND requests < ? RETURNING requests`,
+            [stamp, apiKey.id, day, apiKey.dailyQuota]
+        );
+        if (!counted) {
+            await db.run(`UPDATE api_key_usage SET overQuota = overQuota + 1 WHERE keyId = ? AND day = ?`, [apiKey.id, day]);
+            const midnight = Date.parse(`${day}T00:00:00.000Z`) + 86_400_000;
+            return {
+                ...base, ok: false, reason: 'quota_exceeded', remaining: apiKey.rateLimitPerMinute - w.count,
+                quotaRemaining: 0, retryAfterSec: Math.max(1, Math.ceil((midnight - t) / 1000)),
+            };
+        }
+        w.count++;
+        return {
+            ...base, ok: true,
+            remaining: apiKey.rateLimitPerMinute - w.count,
+            quotaRemaining: apiKey.dailyQuota - counted.requests,
+        };
+    }
+
+    return { admit, forget: (id) => windows.delete(id) };
+}
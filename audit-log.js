@@ -0,0 +1,79 @@
+// audit-log.js  (append-only trail of state-changing requests, for pharmacy compliance reviews)
+// Table + append-only triggers: migrations/001_initial_schema.js
+
+export const AUDIT_CSV_COLUMNS = [
+    'id', 'createdAt', 'actorEmail', 'actorSub', 'action', 'targetType', 'targetId',
+    'requestId', 'ip', 'before', 'after',
+];
+
+const toJson = (v) => (v === undefined || v === null ? null : JSON.stringify(v));
+
+/**
+ * Append one entry. Actor, request id and IP come from `req`; pass `actor` to override
+ * for callers authenticated some other way (e.g. the reload token).
+ * Never throws: a failed audit write is logged rather than failing the user's request.
+ */
+export async function recordAudit(db, req, { action, targetType = null, targetId = null, before, after, actor } = {}) {
+    try {
+        await db.run(
+            `INSERT INTO audit_log (actorEmail, actorSub, action, targetType, targetId, requestId, ip, before, after)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                actor ?? (req?.user?.email ? String(req.user.email).toLowerCase() : null),
+                req?.user?.sub || null,
+                action,
+                targetType,
+                targetId === null ? null : String(targetId),
+                req?.id || null,
+                req?.ip || null,
+                toJson(before),
+                toJson(after),
+            ]
+        );
+    } catch (e) {
+        console.error('[audit] write failed', action, e?.message || e);
+    }
+}
+
+// "2026-10-01" → start of day; "2026-10-01T12:00" etc. pass through
+const dayStart = (s) => (/^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T00:00:00.000Z` : s);
+const dayEnd = (s) => (/^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T23:59:59.999Z` : s);
+
+/**
+ * Filtered entries, newest first.
+ * Filters: actor (email or sub), action (exact, or prefix with trailing "*"), targetType, targetId,
+ * from / to (ISO date or datetime, inclusive). Returns { total, rows } or { errors }.
+ */
+export async function queryAudit(db, filters = {}, { limit = 100, offset = 0 } = {}) {
+    const where = [];
+    const args = [];
+    const errors = [];
+
+    if (filters.actor) {
+        where.push('(actorEmail = ? OR actorSub = ?)');
+        args.push(String(filters.actor).toLowerCase(), String(filters.actor));
+    }
+    if (filters.action) {
+        const a = String(filters.action);
+        if (a.endsWith('*')) { where.push('action LIKE ?'); args.push(`${a.slice(0, -1)}%`); }
+        else { where.push('action = ?'); args.push(a); }
+    }
+    if (filters.targetType) { where.push('targetType = ?'); args.push(String(filters.targetType)); }
+    if (filters.targetId) { where.push('targetId = ?'); args.push(String(filters.targetId)); }
+    for (const [key, op, fix] of [['from', '>=', dayStart], ['to', '<=', dayEnd]]) {
+        if (!filters[key]) continue;
+        const v = String(filters[key]);
+        if (Number.isNaN(Date.parse(v))) { errors.push(`Invalid ${key} date "${v}"`); continue; }
+        where.push(`createdAt ${op} ?`);
+        args.push(fix(v));
+    }
+    if (errors.length) return { errors };
+
+    const sql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const total = (await db.get(`SELECT COUNT(*) AS n FROM audit_log ${sql}`, args))?.n || 0;
+    const rows = await db.all(
+        `SELECT * FROM audit_log ${sql} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...args, limit, offset]
+    );
+    return { total, rows };
+}
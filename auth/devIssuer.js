@@ -0,0 +1,70 @@
+// auth/devIssuer.js
+// Local development issuer: an ES256 key kept on disk, tokens minted by scripts/dev-token.js (which
+// needs to read the key file; there is deliberately no HTTP minting route) and verified like any other
+// issuer. Refuses to run in production.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generateKeyPair, exportJWK, importJWK, SignJWT, createLocalJWKSet } from 'jose';
+import { createKeySetVerifier } from './verifiers.js';
+
+export const DEV_ISSUER = 'urn:ndc-compare:dev';
+const ALG = 'ES256';
+
+const keyFile = (file) => file || process.env.AUTH_DEV_KEY_FILE || path.join(os.tmpdir(), 'ndc-compare-dev-issuer.json');
+
+/** Load the dev signing key, creating it on first use. Returns { privateJwk, publicJwk, file }. */
+export async function loadDevKey(file) {
+    const p = keyFile(file);
+    if (fs.existsSync(p)) return { ...JSON.parse(fs.readFileSync(p, 'utf8')), file: p };
+
+    const { privateKey, publicKey } = await generateKeyPair(ALG, { extractable: true });
+    const kid = `dev-${Date.now().toString(36)}`;
+    const key = {
+        privateJwk: { ...(await exportJWK(privateKey)), kid, alg: ALG },
+        publicJwk: { ...(await exportJWK(publicKey)), kid, alg: ALG, use: 'sig' },
+    };
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p, JSON.stringify(key, null, 2), { mode: 0o600 });
+    console.log(`[auth] created dev issuer key ${p}`);
+    return { ...key, file: p };
+}
+
+function assertNotProduction() {
+    if (process.env.NODE_ENV === 'production') {
+        throw Object.assign(new Error('The dev token issuer cannot be used with NODE_ENV=production'), { code: 'AUTH_CONFIG' });
+    }
+}
+
+/** Verifier for tokens from this machine's dev issuer. */
+export async function createDevVerifier({ keyFile: file, audience = process.env.AUTH_DEV_AUDIENCE || 'ndc-compare-dev', ...rest } = {}) {
+    assertNotProduction();
+    const { publicJwk, file: keyPath } = await loadDevKey(file);
+    const jwks = { keys: [publicJwk] };
+    return {
+        ...createKeySetVerifier('dev', { permissionsClaim: 'permissions', ...rest, issuer: DEV_ISSUER, audience, jwks: createLocalJWKSet(jwks) }),
+        jwks,
+        keyFile: keyPath,
+        audience,
+    };
+}
+
+/**
+ * Mint a signed dev token. claims: { email, name, permissions, org_id, sub, ... }; the email is
+ * marked verified unless claims.email_verified says otherwise.
+ * expiresIn takes jose time spans ("8h", "30m").
+ */
+export async function mintDevToken(claims = {}, { keyFile: file, audience = process.env.AUTH_DEV_AUDIENCE || 'ndc-compare-dev', expiresIn = '8h' } = {}) {
+    assertNotProduction();
+    const { privateJwk } = await loadDevKey(file);
+    const key = await importJWK(privateJwk, ALG);
+    const email = String(claims.email || '').toLowerCase();
+    return new SignJWT({ permissions: [], ...claims, ...(email && { email, email_verified: claims.email_verified ?? true }) })
+        .setProtectedHeader({ alg: ALG, kid: privateJwk.kid })
+        .setIssuer(DEV_ISSUER)
+        .setAudience(audience)
+        .setSubject(claims.sub || (email ? `dev|${email}` : 'dev|anonymous'))
+        .setIssuedAt()
+        .setExpirationTime(expiresIn)
+        .sign(key);
+}
@@ -0,0 +1,157 @@
+// auth/tokenVerifier.js
+// Which issuers we trust and which organizations may use the service. Configured by AUTH_CONFIG
+// (a JSON file) or env, and built on first use, so importing this never throws.
+//
+// AUTH_CONFIG file:
+//   { "verifiers": [ { "type": "auth0", "domain": "...", "audience": "..." },
+//                    { "type": "oidc", "issuer": "https://login.partner.example/", "audience": "ndc-compare" },
+//                    { "type": "jwks", "file": "./keys/jwks.json", "issuer": "...", "audience": "..." },
+//                    { "type": "dev" } ],
+//     "orgs": [ { "id": "exactcare", "domains": ["exactcarepharmacy.com"] },
+//               { "id": "partner", "domains": ["partnerrx.example"], "orgIds": ["org_123"], "issuers": ["https://login.partner.example/"] } ] }
+//
+// An org only accepts tokens from its `issuers`; when none are listed that is the first-party ones (auth0, dev),
+// so a partner IdP can never vouch for an exactcarepharmacy.com address. Domain matches also need a verified
+// email: an explicit email_verified: true, or, from the auth0 verifier, the namespaced https://ndc-compare/email
+// claim our Auth0 Action adds to access tokens (which carry no email_verified). Set "trustNamespacedEmail": false
+// on the auth0 verifier (env AUTH0_TRUST_NAMESPACED_EMAIL=false) once the Action also adds
+// https://ndc-compare/email_verified, to require it.
+//
+// Env (when AUTH_CONFIG is unset): AUTH_VERIFIERS=auth0,oidc,jwks,dev (default: auth0 when AUTH0_DOMAIN is set),
+// AUTH0_DOMAIN/AUTH0_AUDIENCE/AUTH0_TRUST_NAMESPACED_EMAIL, OIDC_ISSUER/OIDC_AUDIENCE/OIDC_PERMISSIONS_CLAIM,
+// AUTH_JWKS_FILE/AUTH_JWKS_ISSUER/AUTH_JWKS_AUDIENCE/AUTH_JWKS_PERMISSIONS_CLAIM, AUTH_DEV_KEY_FILE/AUTH_DEV_AUDIENCE,
+// and one org from AUTH_ALLOWED_DOMAINS (default exactcarepharmacy.com) + AUTH_ALLOWED_ORGS (org_id claims)
+// + AUTH_ORG_ISSUERS.
+import fs from 'fs';
+import { decodeJwt } from 'jose';
+import { createAuth0Verifier, createOidcVerifier, createJwksFileVerifier } from './verifiers.js';
+import { createDevVerifier } from './devIssuer.js';
+
+const DEFAULT_DOMAINS = 'exactcarepharmacy.com';
+
+const FACTORIES = {
+    auth0: createAuth0Verifier,
+    oidc: createOidcVerifier,
+    jwks: createJwksFileVerifier,
+    dev: createDevVerifier,
+};
+
+// Our own issuers: trusted for org membership unless an org lists its issuers explicitly
+const FIRST_PARTY = ['auth0', 'dev'];
+
+const configError = (message) => Object.assign(new Error(message), { code: 'AUTH_CONFIG' });
+const list = (v) => (Array.isArray(v) ? v : String(v ?? '').split(',')).map(s => String(s).trim()).filter(Boolean);
+
+function normalizeOrg(org) {
+    if (!org?.id) throw configError('Every org needs an id');
+    return {
+        id: String(org.id),
+        name: org.name || String(org.id),
+        domains: list(org.domains).map(d => d.toLowerCase().replace(/^@/, '')),
+        orgIds: list(org.orgIds),
+        issuers: list(org.issuers),
+    };
+}
+
+/** { verifiers: [{ type, ...options }], orgs: [{ id, name, domains, orgIds, issuers }] } */
+export function loadAuthConfig(env = process.env) {
+    if (env.AUTH_CONFIG) {
+        let cfg;
+        try {
+            cfg = JSON.parse(fs.readFileSync(env.AUTH_CONFIG, 'utf8'));
+        } catch (e) {
+            throw configError(`Cannot read AUTH_CONFIG ${env.AUTH_CONFIG}: ${e.message}`);
+        }
+        return { verifiers: cfg.verifiers || [], orgs: (cfg.orgs || []).map(normalizeOrg) };
+    }
+    const fromEnv = {
+        auth0: { domain: env.AUTH0_DOMAIN, audience: env.AUTH0_AUDIENCE, trustNamespacedEmail: !/^false$/i.test(env.AUTH0_TRUST_NAMESPACED_EMAIL || 'true') },
+        oidc: { issuer: env.OIDC_ISSUER, audience: env.OIDC_AUDIENCE, permissionsClaim: env.OIDC_PERMISSIONS_CLAIM || undefined },
+        jwks: { file: env.AUTH_JWKS_FILE, issuer: env.AUTH_JWKS_ISSUER, audience: env.AUTH_JWKS_AUDIENCE, permissionsClaim: env.AUTH_JWKS_PERMISSIONS_CLAIM || undefined },
+        dev: { keyFile: env.AUTH_DEV_KEY_FILE },
+    };
+    const types = list(env.AUTH_VERIFIERS ?? (env.AUTH0_DOMAIN ? 'auth0' : ''));
+    return {
+        verifiers: types.map(type => ({ type, ...fromEnv[type] })),
+        orgs: [normalizeOrg({
+            id: env.AUTH_ORG_ID || 'default',
+            domains: env.AUTH_ALLOWED_DOMAINS ?? DEFAULT_DOMAINS,
+            orgIds: env.AUTH_ALLOWED_ORGS,
+            issuers: env.AUTH_ORG_ISSUERS,
+        })],
+    };
+}
+
+let state = null;
+
+/** Build the verifiers (once). Throws code AUTH_CONFIG on bad configuration; call at startup to fail fast. */
+export async function initAuth(config = loadAuthConfig()) {
+    state ||= (async () => {
+        const verifiers = [];
+        for (const { type, ...options } of config.verifiers) {
+            const factory = FACTORIES[type];
+            if (!factory) throw configError(`Unknown verifier type "${type}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+            verifiers.push(await factory(options));
+        }
+        const firstParty = verifiers.filter(v => FIRST_PARTY.includes(v.type) && v.issuer).map(v => v.issuer);
+        return { verifiers, orgs: config.orgs.map(o => (o.issuers.length ? o : { ...o, issuers: firstParty })) };
+    })().catch(e => {
+        state = null;
+        throw e;
+    });
+    return state;
+}
+
+/** Short description for the startup log and /_health: [{ type, issuer }], [org ids]. */
+export async function describeAuth() {
+    const { verifiers, orgs } = await initAuth();
+    return { verifiers: verifiers.map(v => ({ type: v.type, issuer: v.issuer })), orgs: orgs.map(o => o.id) };
+}
+
+/** The dev verifier when it is configured (its JWKS is served at /auth/dev/jwks.json), else null. */
+export async function devVerifier() {
+    return (await initAuth()).verifiers.find(v => v.type === 'dev') || null;
+}
+
+/**
+ * First org the user belongs to, among orgs that trust the token's issuer: verified email domain
+ * (email_verified must be true) or `org_id` claim.
+ */
+export function findOrg(user, orgs) {
+    const domain = user.emailVerified === true ? user.email.split('@')[1] || '' : '';
+    const orgId = user.claims?.org_id || null;
+    return orgs.find(o =>
+        o.issuers.includes(user.issuer) &&
+        ((domain && o.domains.includes(domain)) || (orgId && o.orgIds.includes(orgId)))
+    ) || null;
+}
+
+/**
+ * Verify a bearer token with the verifier for its `iss` (issuer-less verifiers are tried after).
+ * Resolves to { sub, email, name, permissions, claims, issuer, verifier, org }.
+ */
+export async function verifyToken(token) {
+    if (!token || typeof token !== 'string') throw new Error('No token provided');
+    const { verifiers, orgs } = await initAuth();
+    if (!verifiers.length) throw configError('No token verifiers configured');
+
+    let iss;
+    try {
+        iss = decodeJwt(token).iss;
+    } catch {
+        throw new Error('Malformed token');
+    }
+    const candidates = [...verifiers.filter(v => v.issuer && v.issuer === iss), ...verifiers.filter(v => !v.issuer)];
+    if (!candidates.length) throw new Error(`Untrusted issuer ${iss || '(none)'}`);
+
+    let lastError;
+    for (const v of candidates) {
+        try {
+            const user = { ...(await v.verify(token)), issuer: iss || null, verifier: v.type };
+            return { ...user, org: findOrg(user, orgs)?.id ?? null };
+        } catch (e) {
+            lastError = e;
+        }
+    }
+    throw lastError;
+}
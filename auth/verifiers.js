@@ -0,0 +1,100 @@
+// auth/verifiers.js
+// Token verifier factories. Each returns { type, issuer, verify(token) → normalized claims }.
+// `issuer` is what tokenVerifier.js routes on (the token's `iss`); null means "try me last".
+import fs from 'fs';
+import fetch from 'node-fetch';
+import { createRemoteJWKSet, createLocalJWKSet, jwtVerify } from 'jose';
+
+const CLOCK_TOLERANCE = 60; // seconds
+const EMAIL_CLAIMS = ['email', 'https://ndc-compare/email', 'https://ndccompare/email', 'https://ndc_compare/email'];
+const NAME_CLAIMS = ['name', 'https://ndc-compare/name', 'nickname'];
+const EMAIL_VERIFIED_CLAIMS = ['email_verified', 'https://ndc-compare/email_verified'];
+// Set by our own Auth0 Action from the user's (verified) profile; access tokens carry no email_verified
+const NAMESPACED_EMAIL_CLAIMS = EMAIL_CLAIMS.filter(k => k.startsWith('https://'));
+
+const configError = (message) => Object.assign(new Error(message), { code: 'AUTH_CONFIG' });
+const firstClaimKey = (payload, keys) => keys.find(k => typeof payload[k] === 'string' && payload[k]) || null;
+const firstClaim = (payload, keys) => payload[firstClaimKey(payload, keys)] || '';
+
+/**
+ * Payload → what requireAuth puts on req.user. Permissions come only from the configured
+ * `permissionsClaim` (Auth0 RBAC: "permissions"); none when it isn't set. OAuth `scope` is never
+ * read as app permissions. emailVerified is true when the issuer says so explicitly, or when the
+ * email came from one of `trustedEmailClaims` and no claim says it is unverified.
+ */
+export function normalizeClaims(payload, { emailClaim, permissionsClaim = null, trustedEmailClaims = [] } = {}) {
+    const emailKey = firstClaimKey(payload, emailClaim ? [emailClaim, ...EMAIL_CLAIMS] : EMAIL_CLAIMS);
+    const email = String(payload[emailKey] || '').toLowerCase();
+    const listed = permissionsClaim ? payload[permissionsClaim] : null;
+    const verified = EMAIL_VERIFIED_CLAIMS.some(k => payload[k] === true) ||
+        (trustedEmailClaims.includes(emailKey) && !EMAIL_VERIFIED_CLAIMS.some(k => payload[k] === false));
+    return {
+        sub: payload.sub || '',
+        email,
+        emailVerified: verified,
+        name: firstClaim(payload, NAME_CLAIMS) || email,
+        permissions: Array.isArray(listed) ? listed.map(String) : [],
+        claims: payload,
+    };
+}
+
+/** Verifier over a jose key set (or key-resolving function); the building block for the others. */
+export function createKeySetVerifier(type, { issuer, audience, jwks, algorithms, emailClaim, permissionsClaim, trustedEmailClaims }) {
+    return {
+        type,
+        issuer: issuer || null,
+        async verify(token) {
+            const { payload } = await jwtVerify(token, jwks, {
+                ...(issuer && { issuer }),
+                ...(audience && { audience }),
+                ...(algorithms && { algorithms }),
+                clockTolerance: CLOCK_TOLERANCE,
+            });
+            return normalizeClaims(payload, { emailClaim, permissionsClaim, trustedEmailClaims });
+        },
+    };
+}
+
+/**
+ * Auth0 tenant: issuer https://<domain>/, keys from its well-known JWKS. Its namespaced email claim
+ * (https://ndc-compare/email) counts as verified unless trustNamespacedEmail is false.
+ */
+export function createAuth0Verifier({ domain, audience, trustNamespacedEmail = true, ...rest } = {}) {
+    if (!domain || !audience) throw configError('auth0 verifier needs a domain and audience (AUTH0_DOMAIN, AUTH0_AUDIENCE)');
+    const issuer = `https://${domain.replace(/^https?:\/\//, '').replace(/\/+$/, '')}/`;
+    const jwks = createRemoteJWKSet(new URL(`${issuer}.well-known/jwks.json`));
+    return createKeySetVerifier('auth0', {
+        issuer, audience, jwks, algorithms: ['RS256'], permissionsClaim: 'permissions',
+        trustedEmailClaims: trustNamespacedEmail ? NAMESPACED_EMAIL_CLAIMS : [],
+        ...rest,
+    });
+}
+
+/** Any OIDC issuer: jwks_uri is read from its discovery document on first use. No permissions unless permissionsClaim is set. */
+export function createOidcVerifier({ issuer, audience, ...rest } = {}) {
+    if (!issuer || !audience) throw configError('oidc verifier needs an issuer and audience (OIDC_ISSUER, OIDC_AUDIENCE)');
+    let remote = null;
+    const keySet = async () => {
+        if (remote) return remote;
+        const res = await fetch(new URL('.well-known/openid-configuration', issuer.endsWith('/') ? issuer : `${issuer}/`));
+        if (!res.ok) throw new Error(`OIDC discovery failed for ${issuer}: HTTP ${res.status}`);
+        const { jwks_uri: uri } = await res.json();
+        if (!uri) throw new Error(`OIDC discovery for ${issuer} has no jwks_uri`);
+        remote = createRemoteJWKSet(new URL(uri));
+        return remote;
+    };
+    const jwks = async (header, token) => (await keySet())(header, token);
+    return createKeySetVerifier('oidc', { issuer, audience, jwks, ...rest });
+}
+
+/** Keys from a JWKS file on disk ({ keys: [...] }); no network at all. */
+export function createJwksFileVerifier({ file, issuer, audience, ...rest } = {}) {
+    if (!file) throw configError('jwks verifier needs a file (AUTH_JWKS_FILE)');
+    let jwks;
+    try {
+        jwks = createLocalJWKSet(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (e) {
+        throw configError(`jwks verifier: cannot read ${file}: ${e.message}`);
+    }
+    return createKeySetVerifier('jwks', { issuer, audience, jwks, ...rest });
+}
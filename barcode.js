@@ -0,0 +1,125 @@
+// barcode.js  (UPC-A / GTIN-13 / GTIN-14 / GS1 element strings → embedded NDC)
+
+const GS = '\u001d'; // FNC1 separator in raw DataMatrix scans
+
+// Fixed-length AIs we may meet on a drug package; anything else is variable (FNC1-terminated).
+const FIXED_AI = {
+    '00': 18, '01': 14, '02': 14, '11': 6, '12': 6, '13': 6, '15': 6, '16': 6, '17': 6,
+    '20': 2, '31': 8, '32': 8, '33': 8, '34': 8, '35': 8, '36': 8, '41': 14,
+};
+
+/** GS1 mod-10 check digit for the digits preceding it. */
+export function gs1CheckDigit(body) {
+    let sum = 0;
+    const d = String(body);
+    for (let i = d.length - 1, w = 3; i >= 0; i--, w = w === 3 ? 1 : 3) sum += Number(d[i]) * w;
+    return String((10 - (sum % 10)) % 10);
+}
+
+export const isValidGs1 = (code) =>
+    /^\d{8,18}$/.test(code) && gs1CheckDigit(code.slice(0, -1)) === code.slice(-1);
+
+/** The three 11-digit (5-4-2) forms a bare 10-digit NDC may stand for. */
+export function ndc11FormsFrom10(d10) {
+    if (!/^\d{10}$/.test(d10)) return [];
+    return [
+        { format: '4-4-2', ndc10: `${d10.slice(0, 4)}-${d10.slice(4, 8)}-${d10.slice(8)}`, ndc11: `0${d10}` },
+        { format: '5-3-2', ndc10: `${d10.slice(0, 5)}-${d10.slice(5, 8)}-${d10.slice(8)}`, ndc11: `${d10.slice(0, 5)}0${d10.slice(5)}` },
+        { format: '5-4-1', ndc10: `${d10.slice(0, 5)}-${d10.slice(5, 9)}-${d10.slice(9)}`, ndc11: `${d10.slice(0, 9)}0${d10.slice(9)}` },
+    ];
+}
+
+// GS1 YYMMDD; DD "00" = last day of month, null for a day the month lacks. Century per the GS1 sliding window.
+function parseGs1Date(yymmdd, now) {
+    if (!/^\d{6}$/.test(yymmdd)) return null;
+    const yy = Number(yymmdd.slice(0, 2));
+    const mm = Number(yymmdd.slice(2, 4));
+    let dd = Number(yymmdd.slice(4, 6));
+    if (mm < 1 || mm > 12) return null;
+    const nowYY = now.getUTCFullYear() % 100;
+    const century = Math.floor(now.getUTCFullYear() / 100) * 100;
+    let year = century + yy;
+    if (yy - nowYY >= 51) year -= 100;
+    else if (yy - nowYY <= -50) year += 100;
+    const lastDay = new Date(Date.UTC(year, mm, 0)).getUTCDate();
+    if (dd === 0) dd = lastDay;
+    else if (dd > lastDay) return null;
+    return `${year}-${String(mm).padStart(2, '0')}-${String(dd).padStart(2, '0')}`;
+}
+
+// "(01)003...(17)..." or raw "]d2" + "01003...17...10LOT<GS>21..."
+function parseElementString(input) {
+    const ais = {};
+    let s = input.replace(/^\](?:d2|C1|Q3|e0)/, '');
+
+    if (s.startsWith('(')) {
+        const re = /\((\d{2,4})\)([^(]*)/g;
+        let m;
+        while ((m = re.exec(s))) ais[m[1]] = m[2].replace(new RegExp(GS, 'g'), '').trim();
+        return ais;
+    }
+
+    s = s.replace(/^\u001d/, '');
+    while (s.length) {
+        const ai = s.slice(0, 2);
+        if (!/^\d{2}$/.test(ai)) throw new Error(`Unreadable GS1 data near "${s.slice(0, 10)}"`);
+        const fixed = FIXED_AI[ai];
+        if (fixed) {
+            ais[ai] = s.slice(2, 2 + fixed);
+            s = s.slice(2 + fixed).replace(/^\u001d/, '');
+        } else {
+            const end = s.indexOf(GS, 2);
+            ais[ai] = end === -1 ? s.slice(2) : s.slice(2, end);
+            s = end === -1 ? '' : s.slice(end + 1);
+        }
+    }
+    return ais;
+}
+
+/**
+ * Decode a scanned UPC-A, GTIN-13/14 or GS1 element string.
+ * Returns { type, gtin, ndc10Digits, ndc11Forms, lot, expiry, serial, expired, ais }.
+ * Throws on bad check digits or a GTIN that carries no NDC (not a "03" drug code).
+ */
+export function decodeBarcode(input, { now = new Date() } = {}) {
+    const raw = String(input || '').trim();
+    if (!raw) throw new Error('Empty barcode');
+
+    let type;
+    let gtin;
+    let ais = {};
+    const plain = raw.replace(/[\s-]/g, '');
+
+    if (/^\d{12}$/.test(plain)) { type = 'UPC-A'; gtin = plain; }
+    else if (/^\d{13}$/.test(plain)) { type = 'GTIN-13'; gtin = plain; }
+    else if (/^\d{14}$/.test(plain)) { type = 'GTIN-14'; gtin = plain; }
+    else {
+        type = 'GS1';
+        ais = parseElementString(raw);
+        gtin = ais['01'];
+        if (!gtin) throw new Error('GS1 data has no (01) GTIN');
+    }
+
+    if (!isValidGs1(gtin)) throw new Error(`Bad check digit for ${type} ${gtin}`);
+
+    // Every form left-pads to GTIN-14: [indicator][0 3][NDC10][check]
+    const g14 = gtin.padStart(14, '0');
+    if (g14.slice(1, 3) !== '03') throw new Error(`GTIN ${gtin} does not embed an NDC`);
+    const ndc10Digits = g14.slice(3, 13);
+
+    const expiry = ais['17'] ? parseGs1Date(ais['17'], now) : null;
+    const today = now.toISOString().slice(0, 10);
+
+    return {
+        type,
+        gtin: g14,
+        packagingIndicator: g14[0],
+        ndc10Digits,
+        ndc11Forms: ndc11FormsFrom10(ndc10Digits),
+        lot: ais['10'] ?? null,
+        expiry,
+        serial: ais['21'] ?? null,
+        expired: expiry ? expiry < today : null,
+        ais,
+    };
+}
@@ -0,0 +1,138 @@
+// bench/suggest-bench.js
+// Keystroke-replay latency for the RAM suggest index vs the old linear scan.
+//
+//   NDC_SQLITE_PATH=/data/ndc/fdandc.sqlite npm run bench:suggest
+//   npm run bench:suggest -- --synthetic=250000      (no dataset on hand)
+//
+// Flags: --limit=N (rows to load, default NDC_SUGGEST_LIMIT or 250000), --samples=N, --no-legacy
+import 'dotenv/config';
+import { performance } from 'perf_hooks';
+import { openBackupDb, loadSuggestRows } from '../sqlite-backup.js';
+import { createSuggestIndex } from '../suggest-index.js';
+
+const args = Object.fromEntries(
+    process.argv.slice(2).map(a => {
+        const [k, v] = a.replace(/^--/, '').split('=');
+        return [k, v ?? true];
+    })
+);
+const LIMIT = Number(args.limit || process.env.NDC_SUGGEST_LIMIT || 250000);
+const SAMPLES = Number(args.samples || 300);
+
+// Deterministic PRNG so runs are comparable
+let seed = 42;
+const rand = () => ((seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff);
+
+function syntheticRows(n) {
+    const stems = ['ator', 'metf', 'lisin', 'amlo', 'simva', 'omepr', 'levo', 'gaba', 'sertr', 'hydro', 'pred', 'warf'];
+    const ends = ['vastatin', 'ormin', 'opril', 'dipine', 'azole', 'thyroxine', 'pentin', 'aline', 'codone', 'nisone', 'arin'];
+    const rows = [];
+    for (let i = 0; i < n; i++) {
+        const lab = 100 + Math.floor(rand() * 70000);
+        const prod = Math.floor(rand() * 10000);
+        const pkg = Math.floor(rand() * 100);
+        const generic = stems[i % stems.length] + ends[Math.floor(rand() * ends.length)];
+        const ndc10 = `${String(lab).padStart(5, '0')}-${String(prod).padStart(4, '0').slice(-3)}-${String(pkg).padStart(2, '0')}`;
+        rows.push({
+            lp: `${lab}-${Number(ndc10.split('-')[1])}`,
+            ndc10,
+            brand: rand() < 0.3 ? `Brand${Math.floor(rand() * 5000)}` : null,
+            generic,
+            substance: generic.toUpperCase(),
+            strength: `${Math.ceil(rand() * 100) * 5} mg/1`,
+            ndc_digits: ndc10.replace(/-/g, ''),
+        });
+    }
+    return rows;
+}
+
+// The pre-index querySuggestRAM, kept here only as a baseline.
+function legacyIndex(rows) {
+    const list = rows.map(r => ({
+        ...r,
+        _lp: String(r.lp || '').toLowerCase(),
+        _digits: String(r.ndc_digits || '').toLowerCase(),
+        _brand: String(r.brand || '').toLowerCase(),
+        _generic: String(r.generic || '').toLowerCase(),
+        _sub: String(r.substance || '').toLowerCase(),
+    }));
+    return (q, limit) => {
+        const s = q.toLowerCase();
+        const digits = q.replace(/\D/g, '');
+        const out = [];
+        for (const r of list) { if (r._lp.startsWith(s)) { out.push(r); if (out.length >= limit) return out; } }
+        if (digits) for (const r of list) { if (r._digits.startsWith(digits)) { out.push(r); if (out.length >= limit) return out; } }
+        for (const r of list) {
+            if (r._brand.includes(s) || r._generic.includes(s) || r._sub.includes(s)) { out.push(r); if (out.length >= limit) return out; }
+        }
+        return out;
+    };
+}
+
+// Each sample types a name and an NDC one character at a time, like the autocomplete does.
+function keystrokeWorkload(rows) {
+    const queries = [];
+    for (let i = 0; i < SAMPLES; i++) {
+        const r = rows[Math.floor(rand() * rows.length)];
+        const name = String(r.brand || r.generic || '').toLowerCase();
+        for (let k = 3; k <= Math.min(name.length, 12); k++) queries.push(name.slice(0, k));
+        const d = String(r.ndc_digits || '');
+        for (let k = 6; k <= d.length; k++) queries.push(d.slice(0, k));
+        queries.push(r.lp);
+    }
+    queries.push('zzzzzz', '99999999'); // misses walk the whole array in the legacy scan
+    return queries;
+}
+
+function measure(label, fn, queries) {
+    const times = new Float64Array(queries.length);
+    for (let i = 0; i < queries.length; i++) {
+        const t0 = performance.now();
+        fn(queries[i]);
+        times[i] = performance.now() - t0;
+    }
+    times.sort();
+    const pct = (p) => times[Math.min(times.length - 1, Math.floor((p / 100) * times.length))].toFixed(3);
+    const mean = (times.reduce((a, b) => a + b, 0) / times.length).toFixed(3);
+    console.log(
+        `${label.padEnd(8)} n=${times.length}  mean=${mean}ms  p50=${pct(50)}ms  p95=${pct(95)}ms  p99=${pct(99)}ms  max=${times[times.length - 1].toFixed(3)}ms`
+    );
+}
+
+async function main() {
+    let rows;
+    let source;
+    if (args.synthetic) {
+        rows = syntheticRows(Number(args.synthetic === true ? LIMIT : args.synthetic));
+        source = 'synthetic';
+    } else {
+        if (!process.env.NDC_SQLITE_PATH) {
+            console.error('Set NDC_SQLITE_PATH to the FDA dataset, or pass --synthetic=N');
+            process.exit(1);
+        }
+        const db = await openBackupDb(process.env.NDC_SQLITE_PATH);
+        rows = await loadSuggestRows({ limit: LIMIT }, db);
+        source = process.env.NDC_SQLITE_PATH;
+    }
+    console.log(`rows=${rows.length} source=${source}`);
+
+    let t0 = performance.now();
+    const index = createSuggestIndex(rows);
+    console.log(`index build: ${(performance.now() - t0).toFixed(0)}ms, heap ${(process.memoryUsage().heapUsed / 1e6).toFixed(0)}MB`);
+
+    const queries = keystrokeWorkload(rows);
+    measure('indexed', q => index.query(q, { limit: 12 }), queries);
+
+    if (!args['no-legacy']) {
+        t0 = performance.now();
+        const legacy = legacyIndex(rows);
+        console.log(`legacy build: ${(performance.now() - t0).toFixed(0)}ms`);
+        measure('legacy', q => legacy(q, 12), queries);
+    }
+    process.exit(0);
+}
+
+main().catch(err => {
+    console.error('bench failed', err);
+    process.exit(1);
+});
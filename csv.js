@@ -0,0 +1,48 @@
+// csv.js  (minimal RFC 4180 parse/stringify; no dependency)
+
+/** Parse CSV text into an array of rows (arrays of strings). Handles quotes, CRLF and a BOM. */
+export function parseCsv(text) {
+    const s = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < s.length; i++) {
+        const ch = s[i];
+        if (quoted) {
+            if (ch === '"') {
+                if (s[i + 1] === '"') { field += '"'; i++; }
+                else quoted = false;
+            } else field += ch;
+            continue;
+        }
+        if (ch === '"') quoted = true;
+        else if (ch === ',') { row.push(field); field = ''; }
+        else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && s[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            rows.push(row); row = [];
+        } else field += ch;
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// Text a spreadsheet would run as a formula ("=HYPERLINK(...)", "@SUM(...)"); numbers pass through as-is
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const cell = (v) => {
+    if (v === null || v === undefined) return '';
+    let s = String(v);
+    if (typeof v === 'string' && FORMULA_START.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Serialize objects to CSV using `columns` as header and key order; formula-like text is prefixed with '. */
+export function toCsv(columns, records) {
+    const lines = [columns.map(cell).join(',')];
+    for (const r of records) lines.push(columns.map(c => cell(r[c])).join(','));
+    return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,28 @@
+// db-transaction.js  (serialized write transactions on a sqlite connection)
+//
+// sqlite has one transaction per connection: a second BEGIN on it fails, and any statement another caller
+// runs on it meanwhile becomes part of the open transaction (and is lost on ROLLBACK). So every
+// multi-statement write goes through withTransaction, and the server runs them on a connection of their
+// own (server.js `txDb`); plain reads and single-statement writes stay on the request connection.
+
+const queues = new WeakMap(); // connection → tail of its transaction queue
+
+/**
+ * Run `fn(db)` inside BEGIN IMMEDIATE … COMMIT on `db`, after any transaction already queued on it.
+ * Rolls back and rethrows when fn throws; resolves to fn's result. Don't nest calls on one connection.
+ */
+export function withTransaction(db, fn) {
+    const run = (queues.get(db) || Promise.resolve()).then(async () => {
+        await db.exec('BEGIN IMMEDIATE');
+        try {
+            const out = await fn(db);
+            await db.exec('COMMIT');
+            return out;
+        } catch (e) {
+            await db.exec('ROLLBACK').catch(() => {});
+            throw e;
+        }
+    });
+    queues.set(db, run.catch(() => {}));
+    return run;
+}
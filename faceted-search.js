@@ -0,0 +1,190 @@
+// faceted-search.js  (GET /search: clinical filters + facet counts over primary ndc_data)
+import { resolveNdcColumns } from './ndc-columns.js';
+import { NDC_FTS_TABLE, isNdcFtsReady, buildFtsMatch } from './ndc-fts.js';
+import { parseStrengthFilters } from './strength.js';
+import { isStrengthIndexReady, strengthClause, applyPendingStrengths } from './ndc-strengths.js';
+
+const TRUTHY = `('Y','YES','1','TRUE','T')`;
+const FALSY = `('N','NO','0','FALSE','F','')`;
+const LABELER_FACET_LIMIT = 50;
+
+// DEA schedule spellings seen in the wild, keyed by schedule number
+const DEA_SPELLINGS = {
+    1: ['1', 'I', 'CI', 'C1', 'C-I'],
+    2: ['2', 'II', 'CII', 'C2', 'C-II'],
+    3: ['3', 'III', 'CIII', 'C3', 'C-III'],
+    4: ['4', 'IV', 'CIV', 'C4', 'C-IV'],
+    5: ['5', 'V', 'CV', 'C5', 'C-V'],
+};
+const deaNumber = (v) => {
+    const s = String(v || '').toUpperCase().replace(/[\s-]/g, '');
+    for (const [n, list] of Object.entries(DEA_SPELLINGS)) {
+        if (list.map(x => x.replace('-', '')).includes(s)) return n;
+    }
+    return null;
+};
+
+const parseBool = (v) => {
+    if (v === undefined || v === '') return undefined;
+    if (/^(1|true|yes|y)$/i.test(v)) return true;
+    if (/^(0|false|no|n)$/i.test(v)) return false;
+    return undefined;
+};
+// Multi-value filters: repeat the param (?route=ORAL&route=BUCCAL) or join with "|".
+// Not comma: FDA dosage forms contain commas ("INJECTION, SOLUTION").
+const list = (v) => (Array.isArray(v) ? v : String(v ?? '').split('|'))
+    .map(s => String(s).trim())
+    .filter(Boolean);
+
+const flagSql = (col) => `(${col} IS NOT NULL AND UPPER(TRIM(${col})) NOT IN ${FALSY})`;
+// refrigerate is a Y/N style flag; niosh/discontinued/shortage hold codes or text, so "present" = true
+const boolSql = {
+    refrigerate: (col) => `UPPER(TRIM(IFNULL(${col}, ''))) IN ${TRUTHY}`,
+    niosh: flagSql,
+    discontinued: flagSql,
+    shortage: flagSql,
+};
+
+/**
+ * Build WHERE clauses per filter so each facet can be counted with every filter except its own.
+ * Returns { clauses: { name: { sql, args } }, errors: [] }.
+ */
+function buildClauses(query, cols) {
+    const clauses = {};
+    const errors = [];
+    const need = (field, name) => {
+        if (!cols[field]) errors.push(`${name} filter unavailable: ndc_data has no ${field} column`);
+        return cols[field];
+    };
+
+    if (query.q) {
+        const match = buildFtsMatch(query.q);
+        if (!isNdcFtsReady()) errors.push('q filter unavailable: full-text index not built');
+        else if (match) clauses.q = { sql: `rowid IN (SELECT rowid FROM ${NDC_FTS_TABLE} WHERE ${NDC_FTS_TABLE} MATCH ?)`, args: [match] };
+    }
+
+    // dosageForm is a prefix match so "INJECTION" covers "INJECTION, SOLUTION", "INJECTION, POWDER…"
+    const forms = list(query.dosageForm);
+    if (forms.length && need('form', 'dosageForm')) {
+        clauses.dosageForm = {
+            sql: `(${forms.map(() => `UPPER(${cols.form}) LIKE ?`).join(' OR ')})`,
+            args: forms.map(v => `${v.toUpperCase()}%`),
+        };
+    }
+
+    const routes = list(query.route);
+    if (routes.length && need('route', 'route')) {
+        clauses.route = {
+            sql: `UPPER(${cols.route}) IN (${routes.map(() => '?').join(',')})`,
+            args: routes.map(v => v.toUpperCase()),
+        };
+    }
+
+    const dea = list(query.dea);
+    if (dea.length && need('deaClass', 'dea')) {
+        const col = `UPPER(REPLACE(REPLACE(IFNULL(${cols.deaClass}, ''), '-', ''), ' ', ''))`;
+        const parts = [];
+        const args = [];
+        for (const d of dea) {
+            if (/^(none|0|no)$/i.test(d)) { parts.push(`${col} = ''`); continue; }
+            const n = deaNumber(d);
+            if (!n) { errors.push(`Unknown DEA schedule "${d}"`); continue; }
+            const spellings = DEA_SPELLINGS[n].map(x => x.replace('-', ''));
+            parts.push(`${col} IN (${spellings.map(() => '?').join(',')})`);
+            args.push(...spellings);
+        }
+        if (parts.length) clauses.dea = { sql: `(${parts.join(' OR ')})`, args };
+    }
+
+    for (const [name, field] of [['refrigerated', 'refrigerate'], ['niosh', 'niosh'], ['discontinued', 'discontinued'], ['shortage', 'shortage']]) {
+        const b = parseBool(query[name]);
+        if (b === undefined || !need(field, name)) continue;
+        const sql = boolSql[field](cols[field]);
+        clauses[name] = { sql: b ? sql : `NOT ${sql}`, args: [] };
+    }
+
+    const labelers = list(query.labeler);
+    if (labelers.length && need('labeler', 'labeler')) {
+        clauses.labeler = {
+            sql: `(${labelers.map(() => `LOWER(${cols.labeler}) LIKE ?`).join(' OR ')})`,
+            args: labelers.map(l => `%${l.toLowerCase()}%`),
+        };
+    }
+
+    const gpis = list(query.gpi).map(g => g.replace(/[^0-9A-Za-z]/g, '')).filter(Boolean);
+    if (gpis.length && need('gpi', 'gpi')) {
+        const col = `REPLACE(REPLACE(IFNULL(${cols.gpi}, ''), '-', ''), ' ', '')`;
+        clauses.gpi = { sql: `(${gpis.map(() => `${col} LIKE ?`).join(' OR ')})`, args: gpis.map(g => `${g}%`) };
+    }
+
+    // strength>=10mg, strength=5mg/mL, strength=10-20mg: compared on normalized units (strength.js)
+    const strength = parseStrengthFilters(query);
+    if (strength.errors) errors.push(...strength.errors);
+    else if (strength.filters.length && need('strength', 'strength')) {
+        if (!isStrengthIndexReady()) errors.push('strength filter unavailable: strength index not built');
+        else clauses.strength = strengthClause(strength.filters);
+    }
+
+    return { clauses, errors };
+}
+
+const whereOf = (clauses, except) => {
+    const active = Object.entries(clauses).filter(([k]) => k !== except).map(([, c]) => c);
+    return {
+        sql: active.length ? `WHERE ${active.map(c => c.sql).join(' AND ')}` : '',
+        args: active.flatMap(c => c.args),
+    };
+};
+
+async function valueFacet(db, col, clauses, except, limit) {
+    const w = whereOf(clauses, except);
+    const rows = await db.all(
+        `SELECT ${col} AS value, COUNT(*) AS count FROM ndc_data ${w.sql}
+         GROUP BY ${col} ORDER BY count DESC, value LIMIT ${limit}`,
+        w.args
+    );
+    return rows.map(r => ({ value: r.value ?? null, count: r.count }));
+}
+
+async function boolFacet(db, expr, clauses, except) {
+    const w = whereOf(clauses, except);
+    const row = await db.get(
+        `SELECT SUM(CASE WHEN ${expr} THEN 1 ELSE 0 END) AS yes, COUNT(*) AS total FROM ndc_data ${w.sql}`,
+        w.args
+    );
+    return { true: row?.yes || 0, false: (row?.total || 0) - (row?.yes || 0) };
+}
+
+/**
+ * Filtered, paginated ndc_data rows plus facet counts.
+ * Each facet counts rows matching every *other* active filter (multi-select faceting).
+ */
+export async function facetedSearch(db, query, { limit = 50, offset = 0 } = {}) {
+    const cols = await resolveNdcColumns(db);
+    const { clauses, errors } = buildClauses(query, cols);
+    if (errors.length) return { errors };
+    // ndc_data rows changed since startup are parsed on demand (queued by triggers), on the index's connection
+    if (clauses.strength) await applyPendingStrengths();
+
+    const w = whereOf(clauses);
+    const order = [cols.brand, cols.generic, cols.ndc].filter(Boolean).join(', ') || 'rowid';
+    const total = (await db.get(`SELECT COUNT(*) AS n FROM ndc_data ${w.sql}`, w.args))?.n || 0;
+    const rows = await db.all(
+        `SELECT * FROM ndc_data ${w.sql} ORDER BY ${order} LIMIT ? OFFSET ?`,
+        [...w.args, limit, offset]
+    );
+
+    const facets = {};
+    if (cols.form) facets.dosageForm = await valueFacet(db, cols.form, clauses, 'dosageForm', 100);
+    if (cols.route) facets.route = await valueFacet(db, cols.route, clauses, 'route', 100);
+    if (cols.deaClass) facets.dea = await valueFacet(db, cols.deaClass, clauses, 'dea', 20);
+    if (cols.labeler) facets.labeler = await valueFacet(db, cols.labeler, clauses, 'labeler', LABELER_FACET_LIMIT);
+    if (cols.gpi) {
+        facets.gpiGroup = await valueFacet(db, `substr(${cols.gpi}, 1, 2)`, clauses, 'gpi', 100);
+    }
+    for (const [name, field] of [['refrigerated', 'refrigerate'], ['niosh', 'niosh'], ['discontinued', 'discontinued'], ['shortage', 'shortage']]) {
+        if (cols[field]) facets[name] = await boolFacet(db, boolSql[field](cols[field]), clauses, name);
+    }
+
+    return { total, limit, offset, hasMore: offset + rows.length < total, filters: Object.keys(clauses), facets, results: rows };
+}
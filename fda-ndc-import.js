@@ -0,0 +1,300 @@
+// fda-ndc-import.js  (FDA NDC Directory text files → versioned merged_ndc_data snapshot)
+//
+// Inputs are the tab-delimited files from the FDA downloads, all in one directory:
+//   ndctext.zip          product.txt, package.txt                       (required)
+//   ndc_unfinished.zip   unfinished_product.txt, unfinished_package.txt  (optional)
+//   ndc_excluded.zip     Products_excluded.txt, Packages_excluded.txt    (optional)
+// Output is a new SQLite file with one merged_ndc_data row per package plus dataset_meta.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { open } from 'sqlite';
+import sqlite3 from 'sqlite3';
+import { deriveLabelerProductCandidates, to11FromDashed10 } from './ndc-normalize.js';
+
+export const DATASET_TABLE = 'merged_ndc_data';
+export const DATASET_META_TABLE = 'dataset_meta';
+
+// Bump when the output layout changes so snapshots from different importers get different ids
+const IMPORTER_VERSION = 1;
+
+// Earlier sources win when the same package code appears twice
+const SOURCES = [
+    { name: 'finished', product: 'product.txt', package: 'package.txt', required: true },
+    { name: 'unfinished', product: 'unfinished_product.txt', package: 'unfinished_package.txt' },
+    { name: 'excluded', product: 'products_excluded.txt', package: 'packages_excluded.txt' },
+];
+
+const PRODUCT_REQUIRED = ['PRODUCTID', 'PRODUCTNDC', 'LABELERNAME'];
+const PACKAGE_REQUIRED = ['PRODUCTID', 'PRODUCTNDC', 'NDCPACKAGECODE'];
+
+const PRODUCT_COLUMNS = [
+    'PRODUCTTYPENAME', 'PROPRIETARYNAME', 'PROPRIETARYNAMESUFFIX', 'NONPROPRIETARYNAME',
+    'DOSAGEFORMNAME', 'ROUTENAME', 'MARKETINGCATEGORYNAME', 'APPLICATIONNUMBER', 'LABELERNAME',
+    'SUBSTANCENAME', 'ACTIVE_NUMERATOR_STRENGTH', 'ACTIVE_INGRED_UNIT', 'PHARM_CLASSES',
+    'DEASCHEDULE', 'LISTING_RECORD_CERTIFIED_THROUGH',
+];
+
+// STARTMARKETINGDATE / ENDMARKETINGDATE hold the package dates (what packageFieldsFromRow reads);
+// the product's own dates are kept as PRODUCT_*.
+const OUTPUT_COLUMNS = [
+    'PRODUCTID', 'PRODUCTNDC', 'NDCPACKAGECODE', 'NDC11', 'normalizedNDC', 'PACKAGEDESCRIPTION',
+    'STARTMARKETINGDATE', 'ENDMARKETINGDATE', 'PRODUCT_STARTMARKETINGDATE', 'PRODUCT_ENDMARKETINGDATE',
+    ...PRODUCT_COLUMNS, 'NDC_EXCLUDE_FLAG', 'SAMPLE_PACKAGE', 'SOURCE',
+];
+
+const MAX_SAMPLES = 20; // rejected rows listed per reason
+
+/** Decode as UTF-8, falling back to Windows-1252-ish latin1 for older FDA extracts. */
+function decode(buf) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buf).replace(/^\uFEFF/, '');
+    } catch {
+        return buf.toString('latin1');
+    }
+}
+
+/** Tab-delimited file → { header, rows: [{ COL: value }] }. Blank cells become null. */
+export function parseFdaText(text) {
+    const lines = String(text).split(/\r?\n/).filter(l => l.trim() !== '');
+    if (!lines.length) return { header: [], rows: [] };
+    const header = lines[0].split('\t').map(h => h.trim().toUpperCase());
+    const rows = [];
+    for (let i = 1; i < lines.length; i++) {
+        const cells = lines[i].split('\t');
+        const row = { _line: i + 1 };
+        header.forEach((h, j) => {
+            const v = (cells[j] ?? '').trim();
+            row[h] = v === '' ? null : v;
+        });
+        rows.push(row);
+    }
+    return { header, rows };
+}
+
+/** "20240131" → "20240131"; anything that is not a plausible YYYYMMDD → null. */
+function normalizeDate(v) {
+    const s = String(v || '').replace(/\D/g, '');
+    if (!/^\d{8}$/.test(s)) return null;
+    const mm = Number(s.slice(4, 6)), dd = Number(s.slice(6, 8));
+    return mm >= 1 && mm <= 12 && dd >= 1 && dd <= 31 ? s : null;
+}
+
+const PRODUCT_NDC_RE = /^(\d{4}-\d{4}|\d{5}-\d{3}|\d{5}-\d{4})$/;
+
+function findFile(dir, name) {
+    const hit = fs.readdirSync(dir).find(f => f.toLowerCase() === name);
+    return hit ? path.join(dir, hit) : null;
+}
+
+function readSourceFile(file) {
+    const buf = fs.readFileSync(file);
+    const stat = fs.statSync(file);
+    return {
+        info: {
+            file: path.basename(file),
+            bytes: buf.length,
+            sha256: crypto.createHash('sha256').update(buf).digest('hex'),
+            modified: stat.mtime.toISOString(),
+        },
+        parsed: parseFdaText(decode(buf)),
+    };
+}
+
+/**
+ * Validate + normalize every source into merged rows. Pure (no DB), so it backs --dry-run too.
+ * Returns { rows, files, counts, rejected: { reason: { count, samples } }, errors, warnings }.
+ */
+export function buildDataset(srcDir) {
+    const files = [];
+    const counts = {};
+    const rejected = {};
+    const errors = [];
+    const warnings = [];
+    const rows = [];
+    const seenPackages = new Set();
+
+    const reject = (reason, detail) => {
+        const r = (rejected[reason] ||= { count: 0, samples: [] });
+        r.count++;
+        if (r.samples.length < MAX_SAMPLES) r.samples.push(detail);
+    };
+
+    for (const src of SOURCES) {
+        const productFile = findFile(srcDir, src.product);
+        const packageFile = findFile(srcDir, src.package);
+        if (!productFile || !packageFile) {
+            const missing = [!productFile && src.product, !packageFile && src.package].filter(Boolean).join(', ');
+            (src.required ? errors : warnings).push(`${src.name}: missing ${missing}`);
+            continue;
+        }
+
+        const product = readSourceFile(productFile);
+        const pkg = readSourceFile(packageFile);
+        files.push(product.info, pkg.info);
+
+        const missingCols = [
+            ...PRODUCT_REQUIRED.filter(c => !product.parsed.header.includes(c)).map(c => `${product.info.file}:${c}`),
+            ...PACKAGE_REQUIRED.filter(c => !pkg.parsed.header.includes(c)).map(c => `${pkg.info.file}:${c}`),
+        ];
+        if (missingCols.length) {
+            errors.push(`${src.name}: missing columns ${missingCols.join(', ')}`);
+            continue;
+        }
+
+        const products = new Map();
+        for (const p of product.parsed.rows) {
+            if (!p.PRODUCTID || !PRODUCT_NDC_RE.test(p.PRODUCTNDC || '')) {
+                reject('bad_product_ndc', { file: product.info.file, line: p._line, PRODUCTNDC: p.PRODUCTNDC });
+                continue;
+            }
+            if (products.has(p.PRODUCTID)) {
+                reject('duplicate_product_id', { file: product.info.file, line: p._line, PRODUCTID: p.PRODUCTID });
+                continue;
+            }
+            products.set(p.PRODUCTID, p);
+        }
+
+        let written = 0;
+        for (const k of pkg.parsed.rows) {
+            const code = k.NDCPACKAGECODE || '';
+            const ndc11 = to11FromDashed10(code);
+            if (!ndc11) {
+                reject('bad_package_code', { file: pkg.info.file, line: k._line, NDCPACKAGECODE: code });
+                continue;
+            }
+            const p = products.get(k.PRODUCTID);
+            if (!p) {
+                reject('orphan_package', { file: pkg.info.file, line: k._line, PRODUCTID: k.PRODUCTID, NDCPACKAGECODE: code });
+                continue;
+            }
+            if (!code.startsWith(`${p.PRODUCTNDC}-`)) {
+                reject('package_product_mismatch', { file: pkg.info.file, line: k._line, PRODUCTNDC: p.PRODUCTNDC, NDCPACKAGECODE: code });
+                continue;
+            }
+            if (seenPackages.has(ndc11)) {
+                reject('duplicate_package', { file: pkg.info.file, line: k._line, NDCPACKAGECODE: code, source: src.name });
+                continue;
+            }
+            seenPackages.add(ndc11);
+
+            const row = {
+                PRODUCTID: p.PRODUCTID,
+                PRODUCTNDC: p.PRODUCTNDC,
+                NDCPACKAGECODE: code,
+                NDC11: ndc11,
+                // Same key the lookup routes derive from user input
+                normalizedNDC: deriveLabelerProductCandidates(code)[0],
+                PACKAGEDESCRIPTION: k.PACKAGEDESCRIPTION,
+                STARTMARKETINGDATE: normalizeDate(k.STARTMARKETINGDATE) ?? normalizeDate(p.STARTMARKETINGDATE),
+                ENDMARKETINGDATE: normalizeDate(k.ENDMARKETINGDATE) ?? normalizeDate(p.ENDMARKETINGDATE),
+                PRODUCT_STARTMARKETINGDATE: normalizeDate(p.STARTMARKETINGDATE),
+                PRODUCT_ENDMARKETINGDATE: normalizeDate(p.ENDMARKETINGDATE),
+                NDC_EXCLUDE_FLAG: k.NDC_EXCLUDE_FLAG ?? p.NDC_EXCLUDE_FLAG ?? null,
+                SAMPLE_PACKAGE: k.SAMPLE_PACKAGE ?? null,
+                SOURCE: src.name,
+            };
+            for (const c of PRODUCT_COLUMNS) row[c] = p[c] ?? null;
+            if (row.LISTING_RECORD_CERTIFIED_THROUGH) {
+                row.LISTING_RECORD_CERTIFIED_THROUGH = normalizeDate(row.LISTING_RECORD_CERTIFIED_THROUGH);
+            }
+            rows.push(row);
+            written++;
+        }
+        counts[src.name] = { products: products.size, packages: written };
+    }
+
+    if (!errors.length && !counts.finished?.packages) errors.push('finished: no valid package rows');
+    return { rows, files, counts, rejected, errors, warnings };
+}
+
+/**
+ * Content-derived id: the same input files always produce the same version.
+ * sourceDate defaults to the newest input file's modification date.
+ */
+function versionFor(files, sourceDate) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`importer:${IMPORTER_VERSION}\n`);
+    for (const f of [...files].sort((a, b) => a.file.localeCompare(b.file))) hash.update(`${f.file}:${f.sha256}\n`);
+    return `fda-${sourceDate.replace(/-/g, '')}-${hash.digest('hex').slice(0, 10)}`;
+}
+
+async function writeSnapshot(file, rows, meta) {
+    const db = await open({ filename: file, driver: sqlite3.Database });
+    try {
+        await db.exec(`PRAGMA journal_mode = OFF; PRAGMA synchronous = OFF;`);
+        await db.exec(`
+          CREATE TABLE ${DATASET_TABLE} (${OUTPUT_COLUMNS.map(c => `${c} TEXT`).join(', ')});
+          CREATE TABLE ${DATASET_META_TABLE} (k TEXT PRIMARY KEY, v TEXT);
+        `);
+        await db.exec('BEGIN');
+        const stmt = await db.prepare(
+            `INSERT INTO ${DATASET_TABLE} (${OUTPUT_COLUMNS.join(', ')}) VALUES (${OUTPUT_COLUMNS.map(() => '?').join(', ')})`
+        );
+        for (const r of rows) await stmt.run(OUTPUT_COLUMNS.map(c => r[c] ?? null));
+        await stmt.finalize();
+        for (const [k, v] of Object.entries(meta)) {
+            await db.run(`INSERT INTO ${DATASET_META_TABLE} (k, v) VALUES (?, ?)`, [k, typeof v === 'string' ? v : JSON.stringify(v)]);
+        }
+        await db.exec('COMMIT');
+        await db.exec(`
+          CREATE UNIQUE INDEX idx_${DATASET_TABLE}_package ON ${DATASET_TABLE} (NDCPACKAGECODE);
+          CREATE INDEX idx_${DATASET_TABLE}_ndc11 ON ${DATASET_TABLE} (NDC11);
+          CREATE INDEX idx_${DATASET_TABLE}_lp ON ${DATASET_TABLE} (normalizedNDC);
+          ANALYZE;
+        `);
+    } finally {
+        await db.close();
+    }
+}
+
+/**
+ * Import srcDir into outDir/ndc-<versionId>.sqlite (written to a temp file, then renamed).
+ * Returns { ok, versionId, path, unchanged, counts, rejected, errors, warnings }.
+ */
+export async function importFdaNdcDirectory({ srcDir, outDir, sourceDate, dryRun = false, log = console.log }) {
+    const t0 = Date.now();
+    const built = buildDataset(srcDir);
+    const summary = { counts: built.counts, rejected: built.rejected, errors: built.errors, warnings: built.warnings };
+    if (built.errors.length) return { ok: false, ...summary };
+
+    const date = sourceDate || built.files.map(f => f.modified).sort().pop().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return { ok: false, ...summary, errors: [`Invalid source date "${date}"`] };
+    const versionId = versionFor(built.files, date);
+    const target = path.join(outDir, `ndc-${versionId}.sqlite`);
+    log(`[fda-import] ${built.rows.length} packages → ${versionId}`);
+
+    if (dryRun) return { ok: true, dryRun: true, versionId, path: target, ...summary };
+    if (fs.existsSync(target)) return { ok: true, unchanged: true, versionId, path: target, ...summary };
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const tmp = `${target}.tmp-${process.pid}`;
+    try {
+        await writeSnapshot(tmp, built.rows, {
+            versionId,
+            sourceDate: date,
+            importedAt: new Date().toISOString(),
+            importerVersion: String(IMPORTER_VERSION),
+            sourceFiles: built.files,
+            counts: built.counts,
+            rejected: Object.fromEntries(Object.entries(built.rejected).map(([k, v]) => [k, v.count])),
+        });
+        fs.renameSync(tmp, target);
+    } catch (e) {
+        fs.rmSync(tmp, { force: true });
+        throw e;
+    }
+    log(`[fda-import] wrote ${target} in ${Date.now() - t0}ms`);
+    return { ok: true, versionId, path: target, ...summary };
+}
+
+/** dataset_meta of an open snapshot as an object, or null for files built before versioning. */
+export async function readDatasetMeta(db) {
+    const hasMeta = await db.get(`SELECT name FROM sqlite_master WHERE type='table' AND name=?`, DATASET_META_TABLE);
+    if (!hasMeta) return null;
+    const out = {};
+    for (const { k, v } of await db.all(`SELECT k, v FROM ${DATASET_META_TABLE}`)) {
+        try { out[k] = JSON.parse(v); } catch { out[k] = v; }
+    }
+    return out;
+}
@@ -0,0 +1,55 @@
+// fuzzy-match.js  (edit distance + a drug-name phonetic key for typo-tolerant search)
+
+/** Optimal-string-alignment Damerau-Levenshtein distance; bails out early past `max`. */
+export function editDistance(a, b, max = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    const n = a.length, m = b.length;
+    let prev2 = new Array(m + 1).fill(0);
+    let prev = Array.from({ length: m + 1 }, (_, j) => j);
+    let cur = new Array(m + 1).fill(0);
+    for (let i = 1; i <= n; i++) {
+        cur[0] = i;
+        let rowMin = cur[0];
+        for (let j = 1; j <= m; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+            cur[j] = v;
+            if (v < rowMin) rowMin = v;
+        }
+        if (rowMin > max) return max + 1;
+        [prev2, prev, cur] = [prev, cur, prev2];
+    }
+    return prev[m];
+}
+
+/** 0..1, 1 = identical. */
+export function similarity(a, b) {
+    const len = Math.max(a.length, b.length);
+    if (!len) return 1;
+    return 1 - editDistance(a, b) / len;
+}
+
+/**
+ * Phonetic key tuned for drug names: collapses spellings that sound alike
+ * ("ph"/"f", "y"/"i", "c"/"k"/"s", "x"/"z", doubled letters) and drops inner vowels.
+ */
+export function phoneticKey(word) {
+    let s = String(word || '').toLowerCase().replace(/[^a-z]/g, '');
+    if (!s) return '';
+    s = s
+        .replace(/^x/, 'z')
+        .replace(/ph/g, 'f')
+        .replace(/gh/g, 'g')
+        .replace(/th/g, 't')
+        .replace(/ck/g, 'k')
+        .replace(/c(?=[eiy])/g, 's')
+        .replace(/c/g, 'k')
+        .replace(/q/g, 'k')
+        .replace(/x/g, 'ks')
+        .replace(/z/g, 's')
+        .replace(/y/g, 'i')
+        .replace(/(.)\1+/g, '$1');
+    return s[0] + s.slice(1).replace(/[aeiouh]/g, '');
+}
@@ -0,0 +1,130 @@
+// gpi.js  (14-character GPI: parse into its seven levels, browse/roll up primary ndc_data by GPI prefix)
+import { resolveNdcColumns } from './ndc-columns.js';
+
+// Each level adds two characters: 39 | 40 | 00 | 10 | 10 | 03 | 10
+export const GPI_LEVELS = [
+    { level: 1, key: 'group', label: 'Drug group', length: 2 },
+    { level: 2, key: 'class', label: 'Drug class', length: 4 },
+    { level: 3, key: 'subclass', label: 'Drug subclass', length: 6 },
+    { level: 4, key: 'baseName', label: 'Drug base name', length: 8 },
+    { level: 5, key: 'name', label: 'Drug name', length: 10 },
+    { level: 6, key: 'dosageForm', label: 'Dosage form', length: 12 },
+    { level: 7, key: 'strength', label: 'Strength', length: 14 },
+];
+const levelFor = (length) => GPI_LEVELS.find(l => l.length === length) || null;
+
+/** "39-40-00-10-10-03-10", "39400010100310 " → "39400010100310"; other separators are dropped too. */
+export const normalizeGpi = (v) => String(v ?? '').replace(/[^0-9A-Za-z]/g, '').toUpperCase();
+
+// GPI column with the same clean-up, for prefix matching in SQL
+const cleanCol = (col) => `UPPER(REPLACE(REPLACE(IFNULL(${col}, ''), '-', ''), ' ', ''))`;
+
+/**
+ * Parse a full GPI or any whole-level prefix (2, 4, ... 14 characters). Null when it isn't one.
+ * → { gpi, formatted, level, complete, levels: [{ level, key, label, code, prefix }] }
+ */
+export function parseGpi(value) {
+    const gpi = normalizeGpi(value);
+    const level = levelFor(gpi.length);
+    if (!level) return null;
+    return {
+        gpi,
+        formatted: gpi.match(/../g).join('-'),
+        level: level.level,
+        complete: gpi.length === 14,
+        levels: GPI_LEVELS.filter(l => l.length <= gpi.length).map(l => ({
+            level: l.level, key: l.key, label: l.label, code: gpi.slice(l.length - 2, l.length), prefix: gpi.slice(0, l.length),
+        })),
+    };
+}
+
+/** Every ancestor prefix of a GPI, itself included, most general first ("39", "3940", ...). */
+export function gpiAncestors(value) {
+    const parsed = parseGpi(value);
+    return parsed ? parsed.levels.map(l => l.prefix) : [];
+}
+
+/** Column names needed here, or { error } when ndc_data has no GPI column. */
+async function gpiColumns(db) {
+    const cols = await resolveNdcColumns(db);
+    if (!cols.gpi) return { error: 'ndc_data has no GPI column' };
+    return { cols, g: cleanCol(cols.gpi) };
+}
+
+const pick = (cols, field, alias) => (cols[field] ? `${cols[field]} AS ${alias}` : `NULL AS ${alias}`);
+
+/**
+ * Roll-up for one prefix (or the whole tree when prefix is ''):
+ *   totals:   NDC and product counts under the prefix
+ *   levels:   distinct codes per deeper level ({ key, label, count })
+ *   children: next level's prefixes with NDC/product counts and a sample generic name
+ */
+export async function gpiSummary(db, prefix = '') {
+    const { cols, g, error } = await gpiColumns(db);
+    if (error) return { error };
+    const where = `${g} LIKE ? AND LENGTH(${g}) >= ?`;
+    const args = [`${prefix}%`, Math.max(prefix.length, 2)];
+    const products = cols.normalizedNDC ? `COUNT(DISTINCT ${cols.normalizedNDC})` : 'NULL';
+
+    const deeper = GPI_LEVELS.filter(l => l.length > prefix.length);
+    const totals = await db.get(
+        `SELECT COUNT(*) AS ndcs, ${products} AS products,
+                ${deeper.map(l => `COUNT(DISTINCT CASE WHEN LENGTH(${g}) >= ${l.length} THEN SUBSTR(${g}, 1, ${l.length}) END) AS l${l.level}`).join(', ') || '0 AS none'}
+         FROM ndc_data WHERE ${where}`,
+        args
+    );
+
+    let children = [];
+    const next = deeper[0];
+    if (next) {
+        children = await db.all(
+            `SELECT SUBSTR(${g}, 1, ${next.length}) AS prefix, COUNT(*) AS ndcs, ${products} AS products,
+                    ${cols.generic ? `MIN(${cols.generic})` : 'NULL'} AS sampleName
+             FROM ndc_data WHERE ${where} AND LENGTH(${g}) >= ${next.length}
+             GROUP BY 1 ORDER BY 1`,
+            args
+        );
+        children = children.map(c => ({ ...c, level: next.level, key: next.key, code: c.prefix.slice(-2) }));
+    }
+
+    return {
+        totals: { ndcs: totals.ndcs, products: totals.products },
+        levels: deeper.map(l => ({ level: l.level, key: l.key, label: l.label, count: totals[`l${l.level}`] })),
+        children,
+    };
+}
+
+/** NDCs whose GPI starts with prefix: { total, rows }. */
+export async function ndcsUnderGpi(db, prefix, { limit = 100, offset = 0 } = {}) {
+    const { cols, g, error } = await gpiColumns(db);
+    if (error) return { error };
+    const total = (await db.get(`SELECT COUNT(*) AS n FROM ndc_data WHERE ${g} LIKE ?`, [`${prefix}%`]))?.n || 0;
+    const rows = await db.all(
+        `SELECT ${pick(cols, 'ndc', 'ndc')}, ${pick(cols, 'normalizedNDC', 'normalizedNDC')}, ${pick(cols, 'brand', 'brandName')},
+                ${pick(cols, 'generic', 'genericName')}, ${pick(cols, 'strength', 'strength')}, ${pick(cols, 'form', 'dosageForm')},
+                ${pick(cols, 'labeler', 'labelerName')}, ${cols.gpi} AS gpi
+         FROM ndc_data WHERE ${g} LIKE ?
+         ORDER BY ${g}, ${cols.ndc || 'rowid'} LIMIT ? OFFSET ?`,
+        [`${prefix}%`, limit, offset]
+    );
+    return { total, rows };
+}
+
+/**
+ * Live GPI-scoped comments on any ancestor prefix of `gpi` (the GPI itself included),
+ * most specific level first, each tagged with the level it was made at.
+ */
+export async function inheritedGpiComments(db, gpi) {
+    const prefixes = gpiAncestors(gpi);
+    if (!prefixes.length) return [];
+    const rows = await db.all(
+        `SELECT * FROM comments
+         WHERE scope = 'gpi' AND deletedAt IS NULL AND ${cleanCol('gpiCode')} IN (${prefixes.map(() => '?').join(',')})
+         ORDER BY LENGTH(${cleanCol('gpiCode')}) DESC, createdAt DESC`,
+        prefixes
+    );
+    return rows.map(r => {
+        const level = levelFor(normalizeGpi(r.gpiCode).length);
+        return { ...r, gpiLevel: { level: level.level, key: level.key, label: level.label, prefix: normalizeGpi(r.gpiCode) } };
+    });
+}
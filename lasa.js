@@ -0,0 +1,83 @@
+// lasa.js  (look-alike / sound-alike drug name pairs, from the ISMP confused drug names list)
+
+// Each group is a set of names known to be confused with one another.
+export const LASA_GROUPS = [
+    ['hydroxyzine', 'hydralazine'],
+    ['celebrex', 'celexa', 'cerebyx'],
+    ['zyrtec', 'zyprexa', 'zantac'],
+    ['xanax', 'zantac'],
+    ['clonidine', 'klonopin', 'clonazepam'],
+    ['lamictal', 'lamisil'],
+    ['hydromorphone', 'morphine'],
+    ['hydrocodone', 'oxycodone'],
+    ['metformin', 'metronidazole'],
+    ['tramadol', 'trazodone'],
+    ['lorazepam', 'alprazolam'],
+    ['risperidone', 'ropinirole'],
+    ['glipizide', 'glyburide'],
+    ['prednisone', 'prednisolone'],
+    ['novolog', 'novolin'],
+    ['humalog', 'humulin'],
+    ['sitagliptin', 'sumatriptan'],
+    ['carbamazepine', 'oxcarbazepine'],
+    ['chlorpromazine', 'chlorpropamide'],
+    ['dobutamine', 'dopamine'],
+    ['vinblastine', 'vincristine'],
+    ['levetiracetam', 'levofloxacin'],
+    ['nicardipine', 'nifedipine'],
+    ['bupropion', 'buspirone'],
+    ['methotrexate', 'metolazone'],
+    ['adderall', 'inderal'],
+    ['lasix', 'luvox'],
+    ['isotretinoin', 'tretinoin'],
+    ['quinine', 'quinidine'],
+    ['tiagabine', 'tizanidine'],
+    ['sulfadiazine', 'sulfasalazine'],
+    ['amlodipine', 'amiloride'],
+    ['cisplatin', 'carboplatin'],
+    ['fentanyl', 'sufentanil'],
+    ['guanfacine', 'guaifenesin'],
+    ['ephedrine', 'epinephrine'],
+];
+
+const wordsOf = (s) => String(s || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+/** LASA names appearing in a record's brand/generic/substance fields. */
+function lasaNamesIn(record, fields) {
+    const words = new Set(fields.flatMap(f => wordsOf(record[f])));
+    const hits = [];
+    for (const group of LASA_GROUPS) for (const n of group) if (words.has(n)) hits.push(n);
+    return hits;
+}
+
+/**
+ * Flag results that form a known LASA pair with another result in the same list.
+ * Adds `lasa: [confusable names]` to affected results and returns the pairs found.
+ */
+export function markLasaPairs(results, fields = ['brandName', 'genericName', 'substanceName']) {
+    const namesPerResult = results.map(r => lasaNamesIn(r, fields));
+    const present = new Set(namesPerResult.flat());
+    const pairs = [];
+    const seen = new Set();
+
+    for (const group of LASA_GROUPS) {
+        const inList = group.filter(n => present.has(n));
+        if (inList.length < 2) continue;
+        // "zantac" sits in two groups; only report a group once per combination
+        const key = inList.slice().sort().join('|');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        pairs.push({ names: inList, source: 'ISMP' });
+    }
+
+    results.forEach((r, i) => {
+        const mine = namesPerResult[i];
+        const others = new Set();
+        for (const p of pairs) {
+            if (p.names.some(n => mine.includes(n))) p.names.filter(n => !mine.includes(n)).forEach(n => others.add(n));
+        }
+        if (others.size) r.lasa = Array.from(others);
+    });
+
+    return pairs;
+}
@@ -0,0 +1,147 @@
+// lookup-sources.js  (per-source circuit breakers + latency stats, and the primary/backup deadline race)
+
+const LATENCY_WINDOW = 200; // recent samples kept per source for percentiles
+const TIMEOUT = Symbol('timeout');
+const DEADLINE = Symbol('deadline');
+
+const percentile = (sorted, p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null);
+
+/**
+ * A named data source guarded by a circuit breaker.
+ * After `failureThreshold` consecutive errors/timeouts the breaker opens and calls are skipped
+ * for `cooldownMs`; the next call after that is a half-open trial that closes or re-opens it.
+ */
+export function createSource(name, { timeoutMs = 2000, failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    const stats = { calls: 0, hits: 0, misses: 0, errors: 0, timeouts: 0, skipped: 0 };
+    const latencies = [];
+    const breaker = { state: 'closed', consecutiveFailures: 0, openedAt: null, lastError: null };
+
+    const recordLatency = (ms) => {
+        latencies.push(ms);
+        if (latencies.length > LATENCY_WINDOW) latencies.shift();
+    };
+    const fail = (message) => {
+        breaker.lastError = { message, at: new Date().toISOString() };
+        breaker.consecutiveFailures++;
+        if (breaker.state === 'half-open' || breaker.consecutiveFailures >= failureThreshold) {
+            if (breaker.state !== 'open') console.warn(`[sources] ${name} breaker open: ${message}`);
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+        }
+    };
+
+    /**
+     * Run fn() under the breaker and timeout. Never rejects; resolves to
+     * { status: 'hit'|'miss'|'error'|'timeout'|'skipped', value, ms }.
+     */
+    async function call(fn) {
+        if (breaker.state === 'open') {
+            if (Date.now() - breaker.openedAt < cooldownMs) {
+                stats.skipped++;
+                return { status: 'skipped', value: null, ms: 0 };
+            }
+            breaker.state = 'half-open';
+        }
+        stats.calls++;
+        const t0 = Date.now();
+        let timer;
+        const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(TIMEOUT), timeoutMs); });
+        try {
+            const value = await Promise.race([fn(), timeout]);
+            const ms = Date.now() - t0;
+            if (value === TIMEOUT) {
+                stats.timeouts++;
+                fail(`timed out after ${timeoutMs}ms`);
+                return { status: 'timeout', value: null, ms };
+            }
+            recordLatency(ms);
+            breaker.consecutiveFailures = 0;
+            if (breaker.state === 'half-open') {
+                breaker.state = 'closed';
+                console.log(`[sources] ${name} breaker closed`);
+            }
+            if (value) stats.hits++;
+            else stats.misses++;
+            return { status: value ? 'hit' : 'miss', value: value || null, ms };
+        } catch (e) {
+            stats.errors++;
+            fail(e?.message || String(e));
+            return { status: 'error', value: null, ms: Date.now() - t0, error: e?.message || String(e) };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    function snapshot() {
+        const sorted = [...latencies].sort((a, b) => a - b);
+        return {
+            name,
+            ...stats,
+            breaker: { ...breaker, openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null },
+            latencyMs: { samples: sorted.length, p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95), max: sorted.at(-1) ?? null },
+            timeoutMs,
+        };
+    }
+
+    return { name, call, snapshot };
+}
+
+/** Resolve with `promise`, or with DEADLINE if it has not settled within ms. */
+function within(promise, ms) {
+    let timer;
+    const deadline = new Promise(resolve => { timer = setTimeout(() => resolve(DEADLINE), Math.max(ms, 0)); });
+    return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Query primary and backup in parallel. Primary wins if it answers within `deadlineMs`;
+ * after the deadline a backup hit answers instead and a late primary is ignored.
+ * `rank(value)` orders answers (default: all equal). A primary answer below `maxRank` may be
+ * beaten by a better-ranked backup answer, but only one that also arrives before the deadline.
+ * Returns { value, answeredBy: 'primary'|'backup'|null, deadlineFired, sources: { name: { status, ms } }, calls }.
+ * `calls` holds both in-flight calls by source name, so callers can reuse the losing source's answer
+ * (settleWithin) instead of querying it again.
+ */
+export async function raceSources({ primary, backup }, { deadlineMs, rank = () => 1, maxRank = 1 } = {}) {
+    const t0 = Date.now();
+    const p = primary.source.call(primary.fn);
+    const b = backup.source.call(backup.fn);
+
+    const report = (pr, br) => ({
+        [primary.source.name]: pr ? { status: pr.status, ms: pr.ms } : { status: 'pending' },
+        [backup.source.name]: br ? { status: br.status, ms: br.ms } : { status: 'pending' },
+    });
+    const calls = { [primary.source.name]: p, [backup.source.name]: b };
+    const answer = (value, answeredBy, deadlineFired, pr, br) =>
+        ({ value: value || null, answeredBy: value ? answeredBy : null, deadlineFired, sources: report(pr, br), calls });
+
+    const pr = await within(p, deadlineMs);
+    if (pr !== DEADLINE) {
+        if (pr.value && rank(pr.value) >= maxRank) return answer(pr.value, 'primary', false, pr, null);
+        // Primary missed: wait for the backup. Primary had a weaker answer: give the backup what is left of the deadline.
+        const br = await (pr.value ? within(b, deadlineMs - (Date.now() - t0)) : b);
+        if (br === DEADLINE) return answer(pr.value, 'primary', false, pr, null);
+        const useBackup = br.value && (!pr.value || rank(br.value) > rank(pr.value));
+        return useBackup ? answer(br.value, 'backup', false, pr, br) : answer(pr.value, 'primary', false, pr, br);
+    }
+
+    const br = await b;
+    if (br.value) return answer(br.value, 'backup', true, null, br);
+    // Backup missed too: the slow primary is the only hope left
+    const late = await p;
+    return answer(late.value, 'primary', true, late, br);
+}
+
+/**
+ * source.call(fn), but stop waiting after `ms`: resolves to { status: 'pending', value: null }
+ * then, while the call itself carries on (and still counts towards the source's stats).
+ */
+export async function callWithin(source, fn, ms) {
+    return settleWithin(source.call(fn), ms);
+}
+
+/** A call already under way (source.call / raceSources().calls), waited on for at most `ms`. */
+export async function settleWithin(call, ms) {
+    const r = await within(call, ms);
+    return r === DEADLINE ? { status: 'pending', value: null, ms: Math.max(ms, 0) } : r;
+}
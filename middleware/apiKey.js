@@ -0,0 +1,65 @@
+// middleware/apiKey.js
+// Machine clients send "X-API-Key: ndck_..." (or "Authorization: Bearer ndck_..."). A valid key within
+// its limits becomes req.user with the key's permissions; requirePermission treats it like a verified
+// token, but only routes using requireAuth({ allowApiKey: true }) accept it. Requests without a key pass
+// through untouched.
+import { authenticateApiKey, createApiKeyLimiter } from "../api-keys.js";
+import { requirePermission } from "./requirePermission.js";
+
+const INVALID_REASONS = { unknown: "Invalid API key", revoked: "API key revoked", expired: "API key expired" };
+
+function presentedKey(req) {
+    const header = String(req.get("x-api-key") || "").trim();
+    if (header) return header;
+    const m = (req.headers.authorization || "").match(/^Bearer\s+(ndck_\S+)$/i);
+    return m ? m[1] : null;
+}
+
+export function apiKeyAuth(db, limiter = createApiKeyLimiter()) {
+    return async (req, res, next) => {
+        const presented = presentedKey(req);
+        if (!presented) return next();
+        try {
+            const handle = typeof db === "function" ? db() : db;
+            const { apiKey, error } = await authenticateApiKey(handle, presented);
+            if (!apiKey) return res.status(401).json({ error: INVALID_REASONS[error] || INVALID_REASONS.unknown });
+
+            const verdict = await limiter.admit(handle, apiKey);
+            res.set({
+                "X-RateLimit-Limit": String(verdict.limit),
+                "X-RateLimit-Remaining": String(verdict.remaining),
+                "X-Quota-Limit": String(verdict.quota),
+                "X-Quota-Remaining": String(verdict.quotaRemaining),
+            });
+            if (!verdict.ok) {
+                res.set("Retry-After", String(verdict.retryAfterSec));
+                return res.status(429).json({
+                    error: verdict.reason === "rate_limited" ? "Rate limit exceeded" : "Daily quota exceeded",
+                    retryAfterSec: verdict.retryAfterSec,
+                });
+            }
+
+            req.user = {
+                sub: `apikey:${apiKey.id}`,
+                email: "",
+                name: apiKey.name,
+                permissions: apiKey.permissions,
+                claims: {},
+                issuer: null,
+                verifier: "api-key",
+                org: apiKey.org,
+                apiKey: { id: apiKey.id, prefix: apiKey.prefix, name: apiKey.name },
+            };
+            return next();
+        } catch (e) {
+            console.error("API key error:", e);
+            return res.status(500).json({ error: "Internal error" });
+        }
+    };
+}
+
+// Public routes: anonymous and signed-in callers pass; API-key callers need `scope` on their key.
+export function requireApiKeyScope(scope) {
+    const check = requirePermission(scope);
+    return (req, res, next) => (req.user?.apiKey ? check(req, res, next) : next());
+}
@@ -0,0 +1,12 @@
+// middleware/requestId.js
+import { randomUUID } from "crypto";
+
+// Honour a caller-supplied X-Request-Id (proxies, the SPA) or mint one; echoed back on the response
+export function requestId() {
+    return (req, res, next) => {
+        const incoming = String(req.get("x-request-id") || "").trim();
+        req.id = /^[\w.:-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+        res.set("x-request-id", req.id);
+        next();
+    };
+}
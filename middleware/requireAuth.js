@@ -1,45 +1,23 @@
 ﻿// middleware/requireAuth.js
-import { verifyAuth0 } from "../auth/auth0Verify.js";
+import { verifyToken } from "../auth/tokenVerifier.js";
 
-export function requireAuth() {
+const bearer = (req) => {
+    const m = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+    return m ? m[1].trim() : null;
+};
+
+// Signed-in people only, unless allowApiKey: a key already authenticated by apiKeyAuth (middleware/apiKey.js)
+// has no author email, so routes acting for a person (/me, comments, watchlists) turn it away.
+export function requireAuth({ allowApiKey = false } = {}) {
     return async (req, res, next) => {
+        if (req.user?.apiKey) {
+            return allowApiKey ? next() : res.status(403).json({ error: "API keys cannot be used here" });
+        }
+        const token = bearer(req);
+        if (!token) return res.status(401).json({ error: "Missing token" });
         try {
-            const hdr = req.headers.authorization || "";
-            const m = hdr.match(/^Bearer\s+(.+)$/i);
-            if (!m) return res.status(401).json({ error: "Missing token" });
-
-            const token = m[1].trim();
-
-            // Verify & get the raw JWT payload (already normalized by verifyAuth0)
-            const payload = await verifyAuth0(token);
-
-            // Normalize email & name from possible locations (extra tolerance)
-            const email = (
-                payload?.email ||
-                payload?.["https://ndc-compare/email"] ||
-                payload?.["https://ndc_compare/email"] ||
-                ""
-            ).toLowerCase();
-
-            const name =
-                payload?.name ||
-                payload?.nickname ||
-                payload?.["https://ndc-compare/name"] ||
-                email ||
-                "";
-
-            // Pull permissions from payload (Auth0 RBAC: "Add Permissions in the Access Token")
-            const permissions = Array.isArray(payload?.permissions) ? payload.permissions : [];
-
-            // What downstream code expects:
-            req.user = {
-                sub: payload?.sub || "",
-                email,
-                name,
-                permissions,   // <-- pass-through so requirePermission & /me can read it
-                claims: payload, // keep all raw claims for debugging or edge reads
-            };
-
+            // { sub, email, name, permissions, claims, issuer, verifier, org } — see auth/tokenVerifier.js
+            req.user = await verifyToken(token);
             return next();
         } catch (e) {
             console.error("Auth error:", e?.message || e);
@@ -47,3 +25,22 @@ export function requireAuth() {
         }
     };
 }
+
+// A person signed in to an org. API keys carry their creator's org but act for a system, so internal
+// content meant for org members (commenter notes) stays hidden from them.
+export const isOrgMemberSession = (user) => Boolean(user?.org && !user.apiKey);
+
+// Public routes that show more to signed-in users: a valid token sets req.user, anything else is anonymous.
+export function optionalAuth() {
+    return async (req, _res, next) => {
+        const token = req.user?.apiKey ? null : bearer(req);
+        if (token) {
+            try {
+                req.user = await verifyToken(token);
+            } catch (e) {
+                console.warn("Optional auth ignored:", e?.message || e);
+            }
+        }
+        next();
+    };
+}
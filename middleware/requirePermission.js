@@ -1,7 +1,8 @@
 // middleware/requirePermission.js
 // Checks that the decoded token (req.user) includes the required Auth0 permission.
 // Optionally, when allowApprovedFallback=true AND required==='comment:write',
-// users with DB flag isApprovedCommenter can also pass (requires passing `db`).
+// users with DB flag isApprovedCommenter can also pass (requires passing `db`,
+// or a function returning it when the handle is opened after routes are registered).
 
 export function requirePermission(required, allowApprovedFallback = false, db = null) {
     return async (req, res, next) => {
@@ -19,11 +20,12 @@ export function requirePermission(required, allowApprovedFallback = false, db =
             if (hasAll) return next();
 
             // Optional legacy fallback for write-only when caller passed a db handle
-            if (allowApprovedFallback && needed.length === 1 && needed[0] === "comment:write" && db) {
+            const handle = typeof db === "function" ? db() : db;
+            if (allowApprovedFallback && needed.length === 1 && needed[0] === "comment:write" && handle) {
                 try {
                     const email = String(req?.user?.email || "").toLowerCase();
                     if (email) {
-                        const row = await db.get("SELECT isApprovedCommenter FROM users WHERE email = ?", [email]);
+                        const row = await handle.get("SELECT isApprovedCommenter FROM users WHERE email = ?", [email]);
                         if (row?.isApprovedCommenter === 1) return next();
                     }
                 } catch (e) {
@@ -0,0 +1,120 @@
+// migrate.js  (numbered schema migrations in ./migrations, tracked in schema_migrations)
+//
+// A migration is migrations/NNN_name.js exporting `description` and `async up(db)`.
+// Each runs in its own transaction; applied versions are recorded with a checksum of the file.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const FILE_RE = /^(\d{3,})_([\w-]+)\.js$/;
+
+/** ALTER TABLE ADD COLUMN for any of `cols` ([name, type]) the table lacks. */
+export async function addMissingColumns(db, table, cols) {
+    const have = new Set((await db.all(`PRAGMA table_info(${table})`)).map(c => c.name));
+    for (const [name, type] of cols) {
+        if (!have.has(name)) await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+}
+
+/** Migration files on disk, ascending by version. */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+    const files = fs.readdirSync(dir).filter(f => FILE_RE.test(f)).sort();
+    const out = [];
+    for (const file of files) {
+        const [, num, name] = file.match(FILE_RE);
+        const full = path.join(dir, file);
+        const mod = await import(pathToFileURL(full).href);
+        if (typeof mod.up !== 'function') throw new Error(`Migration ${file} does not export up(db)`);
+        out.push({
+            version: Number(num),
+            name,
+            file,
+            description: mod.description || name,
+            checksum: crypto.createHash('sha256').update(fs.readFileSync(full)).digest('hex').slice(0, 16),
+            up: mod.up,
+        });
+    }
+    const dup = out.find((m, i) => i && m.version === out[i - 1].version);
+    if (dup) throw new Error(`Duplicate migration version ${dup.version}`);
+    return out;
+}
+
+async function ensureMigrationsTable(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        appliedAt TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+    `);
+}
+
+/**
+ * Compare the database against the code.
+ * Returns { current, latest, applied, pending, unknown, modified }:
+ *   unknown  = versions recorded in the DB with no file (DB is ahead of the code)
+ *   modified = applied versions whose file changed since it ran
+ */
+export async function migrationStatus(db, { dir } = {}) {
+    await ensureMigrationsTable(db);
+    const migrations = await loadMigrations(dir);
+    const applied = await db.all(`SELECT * FROM schema_migrations ORDER BY version`);
+    const appliedBy = new Map(applied.map(r => [r.version, r]));
+    const known = new Set(migrations.map(m => m.version));
+
+    return {
+        current: applied.length ? applied[applied.length - 1].version : 0,
+        latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+        applied,
+        pending: migrations.filter(m => !appliedBy.has(m.version)),
+        unknown: applied.filter(r => !known.has(r.version)),
+        modified: migrations.filter(m => appliedBy.has(m.version) && appliedBy.get(m.version).checksum !== m.checksum),
+    };
+}
+
+/**
+ * Apply pending migrations in order. Throws (code SCHEMA_AHEAD) when the database has
+ * versions this code does not know about, so an old build never runs on a newer schema.
+ * dryRun: run each pending migration inside a transaction, then roll it back.
+ */
+export async function runMigrations(db, { dryRun = false, dir, log = console.log } = {}) {
+    const status = await migrationStatus(db, { dir });
+    if (status.unknown.length) {
+        const err = new Error(
+            `Database schema is ahead of the code: applied version(s) ${status.unknown.map(r => r.version).join(', ')} ` +
+            `not found in migrations/ (code latest ${status.latest})`
+        );
+        err.code = 'SCHEMA_AHEAD';
+        throw err;
+    }
+    for (const m of status.modified) {
+        log(`[migrate] ⚠️ ${m.file} changed after it was applied (checksum ${m.checksum})`);
+    }
+
+    const applied = [];
+    for (const m of status.pending) {
+        await db.exec('BEGIN');
+        try {
+            await m.up(db);
+            if (dryRun) {
+                await db.exec('ROLLBACK');
+            } else {
+                await db.run(
+                    `INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)`,
+                    [m.version, m.name, m.checksum]
+                );
+                await db.exec('COMMIT');
+            }
+        } catch (e) {
+            await db.exec('ROLLBACK');
+            throw new Error(`Migration ${m.file} failed: ${e?.message || e}`);
+        }
+        log(`[migrate] ${dryRun ? 'would apply' : 'applied'} ${m.file} — ${m.description}`);
+        applied.push(m.version);
+    }
+    if (!status.pending.length) log(`[migrate] schema up to date (version ${status.current})`);
+    return { dryRun, applied, version: dryRun ? status.current : Math.max(status.current, ...applied, 0) };
+}
@@ -0,0 +1,101 @@
+// 001: tables previously created inline in startServer (and comments by add_comments_table.py).
+// Everything is IF NOT EXISTS / add-if-missing so databases that predate migrations adopt it as-is.
+// ndc_data is built outside this repo and is not managed here.
+import { addMissingColumns } from '../migrate.js';
+
+export const description = 'users, comments, revisions, commenter requests/approvals, audit log';
+
+export async function up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT UNIQUE NOT NULL,
+        displayName TEXT,
+        isApprovedCommenter INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+
+      -- add_comments_table.py declared createdAt DATETIME DEFAULT CURRENT_TIMESTAMP; both produce
+      -- 'YYYY-MM-DD HH:MM:SS' text, so tables created that way are left alone
+      CREATE TABLE IF NOT EXISTS comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        normalizedNDC TEXT,
+        gpiCode TEXT,
+        scope TEXT NOT NULL CHECK (scope IN ('ndc','gpi')),
+        comment TEXT NOT NULL,
+        author TEXT NOT NULL,
+        createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+      CREATE INDEX IF NOT EXISTS idx_comments_ndc   ON comments (normalizedNDC);
+      CREATE INDEX IF NOT EXISTS idx_comments_gpi   ON comments (gpiCode);
+      CREATE INDEX IF NOT EXISTS idx_comments_scope ON comments (scope);
+    `);
+
+    await addMissingColumns(db, 'comments', [['updatedAt', 'TEXT'], ['deletedAt', 'TEXT'], ['deletedBy', 'TEXT'], ['deleteReason', 'TEXT']]);
+    await addMissingColumns(db, 'users', [['lastSeenAt', 'TEXT']]);
+
+    await db.exec(`
+      -- Append-only history: one row per create / edit / delete / restore
+      CREATE TABLE IF NOT EXISTS comment_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        commentId INTEGER NOT NULL,
+        revision INTEGER NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('create','edit','delete','restore')),
+        comment TEXT,
+        reason TEXT,
+        actor TEXT NOT NULL,
+        createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (commentId, revision)
+      );
+      CREATE INDEX IF NOT EXISTS idx_comment_revisions_comment ON comment_revisions (commentId);
+
+      CREATE TABLE IF NOT EXISTS commenter_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL,
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','approved','denied')),
+        createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+        decidedAt TEXT,
+        decidedBy TEXT,
+        decisionNote TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_commenter_requests_status ON commenter_requests (status);
+
+      -- Every commenter grant / revoke / request decision, append-only
+      CREATE TABLE IF NOT EXISTS commenter_approvals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('request','approve','deny','revoke')),
+        actor TEXT NOT NULL,
+        note TEXT,
+        requestId INTEGER,
+        createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+      CREATE INDEX IF NOT EXISTS idx_commenter_approvals_email ON commenter_approvals (email);
+
+      -- UPDATE/DELETE are rejected by triggers so rows can only be appended
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        actorEmail TEXT,
+        actorSub TEXT,
+        action TEXT NOT NULL,
+        targetType TEXT,
+        targetId TEXT,
+        requestId TEXT,
+        ip TEXT,
+        before TEXT,
+        after TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (createdAt);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actorEmail);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action);
+
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+    `);
+}
@@ -0,0 +1,48 @@
+// 002: change tracking between dataset refreshes (see ndc-changes.js).
+export const description = 'dataset snapshots, tracked NDC state and per-field change log';
+
+export async function up(db) {
+    await db.exec(`
+      -- One row per refresh that changed something (or established a baseline)
+      CREATE TABLE dataset_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL CHECK (source IN ('primary','backup')),
+        versionId TEXT,
+        takenAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        recordCount INTEGER NOT NULL,
+        added INTEGER NOT NULL DEFAULT 0,
+        removed INTEGER NOT NULL DEFAULT 0,
+        changed INTEGER NOT NULL DEFAULT 0,
+        baseline INTEGER NOT NULL DEFAULT 0
+      );
+
+      -- Last-seen tracked fields per package, what the next refresh is diffed against
+      CREATE TABLE ndc_tracked_state (
+        source TEXT NOT NULL,
+        ndcKey TEXT NOT NULL,
+        ndc TEXT,
+        normalizedNDC TEXT,
+        hash TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (source, ndcKey)
+      );
+
+      -- added / removed rows carry the whole tracked record as JSON; changed rows are one per field
+      CREATE TABLE ndc_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snapshotId INTEGER NOT NULL REFERENCES dataset_snapshots (id),
+        source TEXT NOT NULL,
+        ndcKey TEXT NOT NULL,
+        ndc TEXT,
+        normalizedNDC TEXT,
+        changeType TEXT NOT NULL CHECK (changeType IN ('added','removed','changed')),
+        field TEXT,
+        oldValue TEXT,
+        newValue TEXT,
+        detectedAt TEXT NOT NULL
+      );
+      CREATE INDEX idx_ndc_changes_detected ON ndc_changes (detectedAt);
+      CREATE INDEX idx_ndc_changes_key ON ndc_changes (ndcKey);
+      CREATE INDEX idx_ndc_changes_lp ON ndc_changes (normalizedNDC);
+    `);
+}
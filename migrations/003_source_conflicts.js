@@ -0,0 +1,20 @@
+// 003: fields where the primary and backup datasets disagree (see ndc-merge.js).
+export const description = 'per-field primary/backup conflicts for the data-quality report';
+
+export async function up(db) {
+    await db.exec(`
+      -- Rebuilt after every refresh; a conflict that persists keeps its first detectedAt
+      CREATE TABLE ndc_source_conflicts (
+        ndcKey TEXT NOT NULL,
+        ndc TEXT,
+        normalizedNDC TEXT,
+        field TEXT NOT NULL,
+        primaryValue TEXT,
+        backupValue TEXT,
+        detectedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        PRIMARY KEY (ndcKey, field)
+      );
+      CREATE INDEX idx_ndc_source_conflicts_lp ON ndc_source_conflicts (normalizedNDC);
+      CREATE INDEX idx_ndc_source_conflicts_field ON ndc_source_conflicts (field);
+    `);
+}
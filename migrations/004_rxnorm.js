@@ -0,0 +1,42 @@
+// 004: local RxNorm (see rxnorm-import.js / rxnorm.js).
+export const description = 'RxNorm concepts, relations, NDC→RXCUI mappings with date ranges, import log';
+
+export async function up(db) {
+    await db.exec(`
+      -- Replaced wholesale by every import (SAB=RXNORM, drug and ingredient term types only)
+      CREATE TABLE rxnorm_concepts (
+        rxcui TEXT PRIMARY KEY,
+        tty TEXT NOT NULL,
+        name TEXT NOT NULL,
+        suppress TEXT
+      );
+      CREATE INDEX idx_rxnorm_concepts_tty ON rxnorm_concepts (tty);
+
+      CREATE TABLE rxnorm_relations (
+        rxcui1 TEXT NOT NULL,
+        rela TEXT NOT NULL,
+        rxcui2 TEXT NOT NULL,
+        PRIMARY KEY (rxcui1, rela, rxcui2)
+      );
+      CREATE INDEX idx_rxnorm_relations_2 ON rxnorm_relations (rxcui2);
+
+      -- Accumulates across imports: a mapping is open (endDate NULL) while releases keep listing it;
+      -- endDate is the first release date it was missing from
+      CREATE TABLE rxnorm_ndc (
+        ndc11 TEXT NOT NULL,
+        rxcui TEXT NOT NULL,
+        startDate TEXT NOT NULL,
+        endDate TEXT,
+        PRIMARY KEY (ndc11, rxcui, startDate)
+      );
+      CREATE INDEX idx_rxnorm_ndc_rxcui ON rxnorm_ndc (rxcui);
+
+      CREATE TABLE rxnorm_imports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        releaseDate TEXT NOT NULL,
+        importedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        sourceFiles TEXT NOT NULL,
+        counts TEXT NOT NULL
+      );
+    `);
+}
@@ -0,0 +1,34 @@
+// 005: API keys for machine-to-machine clients and their daily usage (see api-keys.js).
+export const description = 'hashed, scoped API keys with per-key limits and daily usage counters';
+
+export async function up(db) {
+    await db.exec(`
+      -- Only the sha256 of the key is stored; prefix is the public, unique part used for lookup
+      CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        prefix TEXT NOT NULL UNIQUE,
+        keyHash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        org TEXT,
+        permissions TEXT NOT NULL DEFAULT '[]',
+        rateLimitPerMinute INTEGER NOT NULL,
+        dailyQuota INTEGER NOT NULL,
+        createdBy TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        expiresAt TEXT,
+        revokedAt TEXT,
+        revokedBy TEXT
+      );
+
+      -- One row per key per UTC day; requests counts accepted calls only
+      CREATE TABLE api_key_usage (
+        keyId INTEGER NOT NULL REFERENCES api_keys(id),
+        day TEXT NOT NULL,
+        requests INTEGER NOT NULL DEFAULT 0,
+        rateLimited INTEGER NOT NULL DEFAULT 0,
+        overQuota INTEGER NOT NULL DEFAULT 0,
+        lastUsedAt TEXT,
+        PRIMARY KEY (keyId, day)
+      );
+    `);
+}
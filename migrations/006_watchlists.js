@@ -0,0 +1,32 @@
+// 006: per-user watchlists and the alerts raised when a watched item changes (see watchlists.js).
+export const description = 'user watchlists (NDC / GPI) and change alerts with delivery state';
+
+export async function up(db) {
+    await db.exec(`
+      -- target: an NDC (package or product) for scope 'ndc', a GPI prefix (2-14 digits) for scope 'gpi'
+      CREATE TABLE watchlist_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL REFERENCES users(email),
+        scope TEXT NOT NULL CHECK (scope IN ('ndc','gpi')),
+        target TEXT NOT NULL,
+        note TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        UNIQUE (email, scope, target)
+      );
+
+      -- One alert per watch per ndc_changes row; delivery columns are only used when a target is configured
+      CREATE TABLE watch_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        watchId INTEGER NOT NULL REFERENCES watchlist_items(id),
+        email TEXT NOT NULL,
+        changeId INTEGER NOT NULL REFERENCES ndc_changes(id),
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        readAt TEXT,
+        deliveredAt TEXT,
+        deliveryAttempts INTEGER NOT NULL DEFAULT 0,
+        deliveryError TEXT,
+        UNIQUE (watchId, changeId)
+      );
+      CREATE INDEX idx_watch_alerts_unread ON watch_alerts (email, readAt);
+    `);
+}
@@ -0,0 +1,15 @@
+// 007: full-text index over primary ndc_data (see ndc-fts.js), previously created ad hoc at startup.
+export const description = 'FTS5 index over ndc_data and its rebuild signature';
+
+export async function up(db) {
+    // IF NOT EXISTS: databases that ran the startup-created version already have both tables.
+    // The sync triggers stay in ndc-fts.js: they name ndc_data's columns, which are resolved at runtime.
+    await db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ndc_data_fts USING fts5(
+        ndc, brand, generic, substance, labeler, form,
+        prefix = '2 3 4',
+        tokenize = "unicode61 remove_diacritics 2"
+      );
+      CREATE TABLE IF NOT EXISTS ndc_data_fts_meta (k TEXT PRIMARY KEY, v TEXT);
+    `);
+}
@@ -0,0 +1,20 @@
+// 008: parsed per-ingredient strengths of primary ndc_data for /search strength filters (see ndc-strengths.js).
+export const description = 'normalized ingredient strengths index, its rebuild signature and pending re-parse queue';
+
+export async function up(db) {
+    // IF NOT EXISTS: databases that ran the startup-created version already have the first two tables
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ndc_strengths (
+        ndcRowid INTEGER NOT NULL,
+        ingredient INTEGER NOT NULL,
+        value REAL NOT NULL,
+        unit TEXT NOT NULL,
+        PRIMARY KEY (ndcRowid, ingredient)
+      );
+      CREATE INDEX IF NOT EXISTS idx_ndc_strengths_unit_value ON ndc_strengths (unit, value);
+      CREATE TABLE IF NOT EXISTS ndc_strengths_meta (k TEXT PRIMARY KEY, v TEXT);
+
+      -- ndc_data rows inserted or updated since the last parse (filled by triggers from ndc-strengths.js)
+      CREATE TABLE ndc_strengths_pending (ndcRowid INTEGER PRIMARY KEY);
+    `);
+}
@@ -0,0 +1,257 @@
+// ndc-changes.js  (diff each dataset refresh against the last-seen state; feeds /changes and /ndc/:ndc/history)
+import crypto from 'crypto';
+import { withTransaction } from './db-transaction.js';
+import { normalizeDrugRecord } from './ndc-compare.js';
+import { packageFieldsFromRow, derivePackageCandidates } from './ndc-package.js';
+import { deriveLabelerProductCandidates, to11FromDashed10 } from './ndc-normalize.js';
+
+export const TRACKED_FIELDS = [
+    'brandName', 'genericName', 'substanceName', 'strength', 'dosageForm', 'route',
+    'deaClass', 'discontinuedStatus', 'shortageStatus', 'endMarketingDate',
+];
+
+// Report shortcuts for GET /changes?kind=
+const KIND_SQL = {
+    discontinued: `(c.changeType = 'removed' OR (c.field IN ('discontinuedStatus','endMarketingDate') AND c.newValue IS NOT NULL))`,
+    rescheduled: `c.field = 'deaClass'`,
+    shortage: `c.field = 'shortageStatus'`,
+};
+
+const clean = (v) => {
+    if (v === null || v === undefined) return null;
+    const s = String(v).replace(/\s+/g, ' ').trim();
+    return s === '' ? null : s;
+};
+
+/**
+ * Package key + tracked fields for one raw row (primary ndc_data row or mapBackupRow result).
+ * Key is the 11-digit NDC when the row has a package code, else "lp:<labeler-product>".
+ */
+export function trackedRecord(row) {
+    const n = normalizeDrugRecord(row);
+    const data = {};
+    for (const f of TRACKED_FIELDS) data[f] = clean(f === 'endMarketingDate' ? packageFieldsFromRow(row).endMarketingDate : n[f]);
+
+    const ndc = clean(n.ndc);
+    const digits = String(ndc || '').replace(/\D/g, '');
+    const ndc11 = to11FromDashed10(ndc) || (digits.length === 11 ? digits : null);
+    const normalizedNDC = clean(n.normalizedNDC) || (ndc ? deriveLabelerProductCandidates(ndc)[0] : null) || null;
+    const key = ndc11 || (normalizedNDC ? `lp:${normalizedNDC}` : null);
+    return key ? { key, ndc, normalizedNDC, data } : null;
+}
+
+const hashOf = (data) => crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex');
+
+/**
+ * An eachRow for trackSourceChanges streaming `sql` from `db` through `map`. A row that fails to read (or
+ * to map) rejects once the statement finishes: a partial read would otherwise be diffed as removed packages.
+ */
+export function eachRowOf(db, sql, map = (row) => row) {
+    return (cb) => new Promise((resolve, reject) => {
+        let failed = null;
+        db.each(sql, (err, row) => {
+            if (failed) return;
+            try {
+                if (err) throw err;
+                cb(map(row));
+            } catch (e) {
+                failed = e;
+            }
+        }).then((n) => (failed ? reject(failed) : resolve(n)), reject);
+    });
+}
+
+/**
+ * Diff one source against ndc_tracked_state and record the result.
+ * `eachRow(cb)` must call cb(rawRow) for every row and resolve when done.
+ * The first run for a source only stores a baseline (no "added" flood).
+ * Returns { source, snapshotId, baseline, recordCount, added, removed, changed }.
+ */
+export async function trackSourceChanges(db, source, eachRow, { versionId = null } = {}) {
+    const t0 = Date.now();
+    const prev = new Map();
+    for (const r of await db.all(`SELECT ndcKey, ndc, normalizedNDC, hash, data FROM ndc_tracked_state WHERE source = ?`, [source])) {
+        prev.set(r.ndcKey, r);
+    }
+    const hadSnapshot = await db.get(`SELECT 1 FROM dataset_snapshots WHERE source = ? LIMIT 1`, [source]);
+    const baseline = !prev.size && !hadSnapshot;
+
+    const seen = new Map();
+    const changes = [];
+    let changedRecords = 0;
+
+    await eachRow((raw) => {
+        const rec = trackedRecord(raw);
+        if (!rec || seen.has(rec.key)) return; // duplicate package rows: first one wins
+        rec.hash = hashOf(rec.data);
+        seen.set(rec.key, rec);
+
+        const old = prev.get(rec.key);
+        if (!old) {
+            changes.push({ rec, changeType: 'added', field: null, oldValue: null, newValue: JSON.stringify(rec.data) });
+        } else if (old.hash !== rec.hash) {
+            const before = JSON.parse(old.data);
+            changedRecords++;
+            for (const f of TRACKED_FIELDS) {
+                if ((before[f] ?? null) !== rec.data[f]) {
+                    changes.push({ rec, changeType: 'changed', field: f, oldValue: before[f] ?? null, newValue: rec.data[f] });
+                }
+            }
+        }
+    });
+
+    const removed = [];
+    for (const [key, old] of prev) if (!seen.has(key)) removed.push({ key, old });
+    const added = changes.filter(c => c.changeType === 'added').length;
+    const summary = { source, baseline, recordCount: seen.size, added: baseline ? 0 : added, removed: removed.length, changed: changedRecords };
+
+    if (!baseline && !added && !removed.length && !changedRecords) {
+        return { ...summary, snapshotId: null, ms: Date.now() - t0 };
+    }
+
+    return withTransaction(db, async () => {
+        const snap = await db.run(
+            `INSERT INTO dataset_snapshots (source, versionId, recordCount, added, removed, changed, baseline)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [source, versionId, summary.recordCount, summary.added, summary.removed, summary.changed, baseline ? 1 : 0]
+        );
+        const { takenAt } = await db.get(`SELECT takenAt FROM dataset_snapshots WHERE id = ?`, [snap.lastID]);
+
+        if (!baseline) {
+            const ins = await db.prepare(
+                `INSERT INTO ndc_changes (snapshotId, source, ndcKey, ndc, normalizedNDC, changeType, field, oldValue, newValue, detectedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+            );
+            for (const c of changes) {
+                await ins.run([snap.lastID, source, c.rec.key, c.rec.ndc, c.rec.normalizedNDC, c.changeType, c.field, c.oldValue, c.newValue, takenAt]);
+            }
+            for (const { key, old } of removed) {
+                await ins.run([snap.lastID, source, key, old.ndc, old.normalizedNDC, 'removed', null, old.data, null, takenAt]);
+            }
+            await ins.finalize();
+        }
+
+        const up = await db.prepare(
+            `INSERT INTO ndc_tracked_state (source, ndcKey, ndc, normalizedNDC, hash, data) VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(source, ndcKey) DO UPDATE SET ndc = excluded.ndc, normalizedNDC = excluded.normalizedNDC,
+         hash = excluded.hash, data = excluded.data`
+        );
+        for (const rec of seen.values()) {
+            if (prev.get(rec.key)?.hash === rec.hash) continue;
+            await up.run([source, rec.key, rec.ndc, rec.normalizedNDC, rec.hash, JSON.stringify(rec.data)]);
+        }
+        await up.finalize();
+        for (const { key } of removed) {
+            await db.run(`DELETE FROM ndc_tracked_state WHERE source = ? AND ndcKey = ?`, [source, key]);
+        }
+        return { ...summary, snapshotId: snap.lastID, ms: Date.now() - t0 };
+    });
+}
+
+const list = (v) => (Array.isArray(v) ? v : String(v ?? '').split('|')).map(s => String(s).trim()).filter(Boolean);
+
+// "2026-10-01" → start of that day (UTC); full timestamps pass through
+const asTimestamp = (s) => (/^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T00:00:00.000Z` : new Date(s).toISOString());
+
+// Which change rows concern one NDC: a full package NDC → that package's keys, anything else → the whole product
+function ndcScope(ndc) {
+    const ndc11s = derivePackageCandidates(ndc);
+    const lps = deriveLabelerProductCandidates(ndc);
+    if (!lps.length) return null;
+    return ndc11s.length ? { ndcKeys: [...ndc11s, ...lps.map(lp => `lp:${lp}`)] } : { normalizedNDCs: lps };
+}
+
+/**
+ * WHERE clause (table alias `c`, with ndcKey/normalizedNDC columns) for one NDC:
+ * a full package NDC matches that package, anything else the whole product.
+ */
+export function ndcWhere(ndc) {
+    const scope = ndcScope(ndc);
+    if (!scope) return null;
+    if (scope.ndcKeys) return { sql: `c.ndcKey IN (${scope.ndcKeys.map(() => '?').join(',')})`, args: scope.ndcKeys };
+    return { sql: `c.normalizedNDC IN (${scope.normalizedNDCs.map(() => '?').join(',')})`, args: scope.normalizedNDCs };
+}
+
+/** ndcWhere as a predicate over change rows already in memory; null for an invalid NDC. */
+export function ndcMatcher(ndc) {
+    const scope = ndcScope(ndc);
+    if (!scope) return null;
+    const keys = new Set(scope.ndcKeys || scope.normalizedNDCs);
+    return scope.ndcKeys ? (c) => keys.has(c.ndcKey) : (c) => keys.has(c.normalizedNDC);
+}
+
+const decodeValue = (c, v) => (v !== null && c.changeType !== 'changed' ? JSON.parse(v) : v);
+export const shapeChange = (c) => ({ ...c, oldValue: decodeValue(c, c.oldValue), newValue: decodeValue(c, c.newValue) });
+
+/**
+ * Filtered change log, newest first.
+ * Filters: since / until (date or ISO timestamp), source, type (added|removed|changed), field,
+ * kind (discontinued|rescheduled|shortage), ndc. Multi-value filters take "|" or repeats.
+ */
+export async function listChanges(db, query = {}, { limit = 100, offset = 0, raw = false } = {}) {
+    const where = [];
+    const args = [];
+    const errors = [];
+
+    for (const [key, op] of [['since', '>='], ['until', '<']]) {
+        if (!query[key]) continue;
+        const v = String(query[key]);
+        if (Number.isNaN(Date.parse(v))) { errors.push(`Invalid ${key} date "${v}"`); continue; }
+        where.push(`c.detectedAt ${op} ?`);
+        args.push(asTimestamp(v));
+    }
+    for (const [key, col, allowed] of [
+        ['source', 'c.source', ['primary', 'backup']],
+        ['type', 'c.changeType', ['added', 'removed', 'changed']],
+        ['field', 'c.field', TRACKED_FIELDS],
+    ]) {
+        const values = list(query[key]);
+        if (!values.length) continue;
+        const bad = values.filter(v => !allowed.includes(v));
+        if (bad.length) { errors.push(`Unknown ${key} ${bad.join(', ')} (expected ${allowed.join(', ')})`); continue; }
+        where.push(`${col} IN (${values.map(() => '?').join(',')})`);
+        args.push(...values);
+    }
+    const kinds = list(query.kind);
+    if (kinds.length) {
+        const bad = kinds.filter(k => !KIND_SQL[k]);
+        if (bad.length) errors.push(`Unknown kind ${bad.join(', ')} (expected ${Object.keys(KIND_SQL).join(', ')})`);
+        else where.push(`(${kinds.map(k => KIND_SQL[k]).join(' OR ')})`);
+    }
+    if (query.ndc) {
+        const w = ndcWhere(String(query.ndc));
+        if (!w) errors.push('Invalid NDC format');
+        else { where.push(w.sql); args.push(...w.args); }
+    }
+    if (errors.length) return { errors };
+
+    const sql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const total = (await db.get(`SELECT COUNT(*) AS n FROM ndc_changes c ${sql}`, args))?.n || 0;
+    const rows = await db.all(
+        `SELECT c.*, s.versionId FROM ndc_changes c JOIN dataset_snapshots s ON s.id = c.snapshotId
+     ${sql} ORDER BY c.detectedAt DESC, c.id DESC LIMIT ? OFFSET ?`,
+        [...args, limit, offset]
+    );
+    return { total, rows: raw ? rows : rows.map(shapeChange) };
+}
+
+/** Every recorded change for one NDC (package or product), newest first. */
+export async function ndcHistory(db, ndc, { limit = 500 } = {}) {
+    return listChanges(db, { ndc }, { limit });
+}
+
+/** detectedAt of the most recent change touching this NDC, or null. */
+export async function lastChangeAt(db, ndc) {
+    const w = ndcWhere(ndc);
+    if (!w) return null;
+    const row = await db.get(`SELECT MAX(c.detectedAt) AS at FROM ndc_changes c WHERE ${w.sql}`, w.args);
+    return row?.at || null;
+}
+
+/** Latest snapshot per source, for /_health. */
+export async function latestSnapshots(db) {
+    return db.all(
+        `SELECT s.* FROM dataset_snapshots s
+     JOIN (SELECT source, MAX(id) AS id FROM dataset_snapshots GROUP BY source) m ON m.id = s.id`
+    );
+}
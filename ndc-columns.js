@@ -0,0 +1,31 @@
+// ndc-columns.js  (logical field → actual ndc_data column; the primary DB is built outside this repo)
+
+// First candidate present in ndc_data wins
+export const NDC_COLUMN_CANDIDATES = {
+    ndc: ['ndc'],
+    normalizedNDC: ['normalizedNDC'],
+    brand: ['brandName', 'proprietaryName'],
+    generic: ['genericName', 'nonProprietaryName'],
+    substance: ['substanceName'],
+    strength: ['strength', 'strengthText'],
+    labeler: ['labelerName', 'labeler', 'manufacturer', 'manufacturerName'],
+    form: ['dosageForm', 'dosageFormName', 'dosage_form'],
+    route: ['route', 'routeName'],
+    deaClass: ['deaClass', 'deaSchedule'],
+    gpi: ['gpi', 'gpiCode'],
+    refrigerate: ['refrigerate'],
+    niosh: ['niosh_code', 'nioshCode'],
+    discontinued: ['discontinuedStatus'],
+    shortage: ['shortageStatus'],
+};
+
+/** { brand: 'brandName', labeler: null, ... } for the given db's ndc_data. */
+export async function resolveNdcColumns(db) {
+    const info = await db.all(`PRAGMA table_info(ndc_data)`);
+    const have = new Set(info.map(c => c.name));
+    const out = {};
+    for (const [field, candidates] of Object.entries(NDC_COLUMN_CANDIDATES)) {
+        out[field] = candidates.find(c => have.has(c)) || null;
+    }
+    return out;
+}
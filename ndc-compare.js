@@ -0,0 +1,95 @@
+// ndc-compare.js  (normalized drug records + field-level diff for /compare)
+import { strengthKey } from './strength.js';
+
+const pick = (row, ...keys) => {
+    for (const k of keys) {
+        if (row[k] !== undefined && row[k] !== null && row[k] !== '') return row[k];
+    }
+    return null;
+};
+
+export const toFlag = (v) => {
+    if (v === null || v === undefined || v === '') return null;
+    if (typeof v === 'number') return v !== 0;
+    const s = String(v).trim().toLowerCase();
+    if (['1', 'y', 'yes', 'true'].includes(s)) return true;
+    if (['0', 'n', 'no', 'false'].includes(s)) return false;
+    return true; // non-empty code (e.g. NIOSH group "1") counts as flagged
+};
+
+/**
+ * Normalize a primary `ndc_data` row or a `mapBackupRow` result into one shape,
+ * so records from either source can be compared field by field.
+ */
+export function normalizeDrugRecord(row) {
+    if (!row) return null;
+    return {
+        ndc: pick(row, 'ndc', 'ndc10'),
+        normalizedNDC: pick(row, 'normalizedNDC', 'normalizedLP'),
+        brandName: pick(row, 'brandName', 'proprietaryName'),
+        genericName: pick(row, 'genericName', 'nonProprietaryName'),
+        substanceName: pick(row, 'substanceName'),
+        strength: pick(row, 'strength', 'strengthText'),
+        dosageForm: pick(row, 'dosageForm', 'dosageFormName'),
+        route: pick(row, 'route', 'routeName'),
+        deaClass: pick(row, 'deaClass'),
+        gpi: pick(row, 'gpi'),
+        rxcui: pick(row, 'rxcui'),
+        refrigerate: toFlag(pick(row, 'refrigerate')),
+        niosh: toFlag(pick(row, 'niosh_code')),
+        niosh_code: pick(row, 'niosh_code'),
+        discontinuedStatus: pick(row, 'discontinuedStatus'),
+        shortageStatus: pick(row, 'shortageStatus'),
+        _source: row._source || 'primary-db',
+    };
+}
+
+// Compare on a canonical form: case, spacing and list order don't matter.
+export const canon = (v) => {
+    if (v === null || v === undefined) return null;
+    if (typeof v === 'boolean') return v;
+    return String(v)
+        .toLowerCase()
+        .split(/\s*[;,]\s*/)
+        .map(s => s.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .sort()
+        .join('; ');
+};
+
+export const COMPARE_FIELDS = [
+    { field: 'ingredient', get: (r) => r.substanceName ?? r.genericName },
+    // "500 mg/5mL" and "100 mg/mL" are the same strength; unparseable text falls back to canon()
+    { field: 'strength', get: (r) => r.strength, key: (r) => strengthKey(r.strength) ?? r.strength },
+    { field: 'dosageForm', get: (r) => r.dosageForm },
+    { field: 'route', get: (r) => r.route },
+    { field: 'deaClass', get: (r) => r.deaClass },
+    { field: 'gpi', get: (r) => r.gpi },
+    { field: 'refrigerate', get: (r) => r.refrigerate },
+    { field: 'niosh', get: (r) => r.niosh },
+];
+
+/**
+ * Field-by-field diff across normalized records (compared on `key` where a field has one).
+ * status: 'same' | 'different' | 'unknown' (some records lack the field).
+ */
+export function diffRecords(records) {
+    const list = (records || []).filter(Boolean);
+    const fields = {};
+    for (const { field, get, key = get } of COMPARE_FIELDS) {
+        const values = list.map(get).map(v => (v === undefined ? null : v));
+        const present = list.map(key).map(canon).filter(v => v !== null);
+        let status;
+        if (present.length < 2) status = 'unknown';
+        else if (new Set(present).size > 1) status = 'different';
+        else status = present.length === values.length ? 'same' : 'unknown';
+        fields[field] = { status, values };
+    }
+    const statuses = Object.values(fields).map(f => f.status);
+    return {
+        count: list.length,
+        allSame: list.length >= 2 && statuses.every(s => s === 'same'),
+        differences: Object.keys(fields).filter(k => fields[k].status === 'different'),
+        fields,
+    };
+}
@@ -0,0 +1,156 @@
+// ndc-fts.js  (FTS5 index over primary ndc_data for the /search-ndc fallback)
+import { resolveNdcColumns } from './ndc-columns.js';
+import { withTransaction } from './db-transaction.js';
+
+const FTS_TABLE = 'ndc_data_fts';
+const META_TABLE = 'ndc_data_fts_meta';
+
+// Query field aliases accepted in "brand:lipitor form:tablet"
+const FIELD_ALIASES = {
+    ndc: 'ndc', brand: 'brand', generic: 'generic', substance: 'substance', ingredient: 'substance',
+    labeler: 'labeler', mfr: 'labeler', manufacturer: 'labeler', form: 'form', dosage: 'form',
+};
+
+// bm25 weights, in FTS column order: ndc, brand, generic, substance, labeler, form
+const BM25_WEIGHTS = [8, 10, 6, 4, 2, 1];
+
+let ready = false;
+let columns = null; // resolveNdcColumns() for the live ndc_data
+
+export const isNdcFtsReady = () => ready;
+export const NDC_FTS_TABLE = FTS_TABLE;
+
+// "0527-3060-01" → "0527306001 00527306001 5273060" so digit prefixes in any layout hit
+function ndcTokensSql() {
+    const d = `REPLACE(REPLACE(REPLACE(IFNULL(NEW.ndc, ''), '-', ''), '.', ''), ' ', '')`;
+    const seg = (n) => `CAST(IFNULL(NULLIF(${segmentSql('NEW.ndc', n)}, ''), '0') AS INT)`;
+    const ndc11 = `CASE WHEN NEW.ndc LIKE '%-%-%' THEN printf('%05d%04d%02d', ${seg(1)}, ${seg(2)}, ${seg(3)}) ELSE '' END`;
+    const lp = `REPLACE(IFNULL(NEW.normalizedNDC, ''), '-', '')`;
+    return `${d} || ' ' || ${ndc11} || ' ' || ${lp}`;
+}
+
+function segmentSql(col, n) {
+    const rest = `substr(${col}, instr(${col}, '-') + 1)`;
+    if (n === 1) return `substr(${col}, 1, instr(${col}, '-') - 1)`;
+    if (n === 2) return `substr(${rest}, 1, instr(${rest}, '-') - 1)`;
+    return `substr(${rest}, instr(${rest}, '-') + 1)`;
+}
+
+const colSql = (name) => (name ? `IFNULL(NEW.${name}, '')` : `''`);
+
+function rowValuesSql() {
+    return [
+        ndcTokensSql(),
+        colSql(columns.brand),
+        colSql(columns.generic),
+        colSql(columns.substance),
+        colSql(columns.labeler),
+        colSql(columns.form),
+    ].join(', ');
+}
+
+/**
+ * (Re)create the sync triggers on the FTS table (migrations/007_ndc_fts.js), and rebuild it when
+ * ndc_data no longer matches the recorded signature (row count / max rowid / column set).
+ */
+export async function syncNdcFts(db) {
+    const t0 = Date.now();
+    if (!(await db.get(`SELECT 1 FROM sqlite_master WHERE name = ?`, [FTS_TABLE]))) {
+        throw new Error(`${FTS_TABLE} is missing; run npm run migrate`);
+    }
+    columns = await resolveNdcColumns(db);
+    const signature = JSON.stringify({
+        ...(await db.get(`SELECT COUNT(*) AS n, MAX(rowid) AS maxRowid FROM ndc_data`)),
+        columns,
+    });
+
+    // Triggers reference resolved column names, so recreate them every sync
+    const values = rowValuesSql();
+    await db.exec(`
+      DROP TRIGGER IF EXISTS ndc_data_fts_ai;
+      DROP TRIGGER IF EXISTS ndc_data_fts_ad;
+      DROP TRIGGER IF EXISTS ndc_data_fts_au;
+      CREATE TRIGGER ndc_data_fts_ai AFTER INSERT ON ndc_data BEGIN
+        INSERT INTO ${FTS_TABLE}(rowid, ndc, brand, generic, substance, labeler, form) VALUES (NEW.rowid, ${values});
+      END;
+      CREATE TRIGGER ndc_data_fts_ad AFTER DELETE ON ndc_data BEGIN
+        DELETE FROM ${FTS_TABLE} WHERE rowid = OLD.rowid;
+      END;
+      CREATE TRIGGER ndc_data_fts_au AFTER UPDATE ON ndc_data BEGIN
+        DELETE FROM ${FTS_TABLE} WHERE rowid = OLD.rowid;
+        INSERT INTO ${FTS_TABLE}(rowid, ndc, brand, generic, substance, labeler, form) VALUES (NEW.rowid, ${values});
+      END;
+    `);
+
+    const prev = await db.get(`SELECT v FROM ${META_TABLE} WHERE k = 'signature'`);
+    let rebuilt = false;
+    if (prev?.v !== signature) {
+        await withTransaction(db, async () => {
+            await db.exec(`DELETE FROM ${FTS_TABLE}`);
+            await db.exec(`
+              INSERT INTO ${FTS_TABLE}(rowid, ndc, brand, generic, substance, labeler, form)
+              SELECT NEW.rowid, ${values} FROM ndc_data AS NEW`);
+            await db.run(
+                `INSERT INTO ${META_TABLE}(k, v) VALUES ('signature', ?) ON CONFLICT(k) DO UPDATE SET v = excluded.v`,
+                [signature]
+            );
+        });
+        await db.exec(`INSERT INTO ${FTS_TABLE}(${FTS_TABLE}) VALUES ('optimize')`);
+        rebuilt = true;
+    }
+
+    ready = true;
+    const ms = Date.now() - t0;
+    console.log(`[ndc-fts] ${rebuilt ? 'rebuilt' : 'up to date'} in ${ms}ms`);
+    return { rebuilt, ms };
+}
+
+const quote = (term) => `"${term.replace(/"/g, '""')}"`;
+
+/**
+ * Turn user input into an FTS5 MATCH expression.
+ *   "lipitor 10"              → every term, prefix-matched, any column
+ *   "brand:lipitor form:tab"  → column-scoped terms
+ *   "0527-3060"               → digit prefixes against the ndc column
+ * Returns null when nothing searchable remains.
+ */
+export function buildFtsMatch(q) {
+    const parts = [];
+    const re = /(\w+):("[^"]*"|\S+)|("[^"]*"|\S+)/g;
+    let m;
+    while ((m = re.exec(String(q || '')))) {
+        const field = m[1] ? FIELD_ALIASES[m[1].toLowerCase()] || null : null;
+        const value = (field ? m[2] : m[0]).replace(/"/g, '');
+
+        const digits = value.replace(/\D/g, '');
+        const ndcLike = /^[\d\s.-]+$/.test(value) && (field === 'ndc' || (!field && (digits.length >= 5 || value.includes('-'))));
+        if (ndcLike) {
+            const variants = new Set([digits, digits.replace(/^0+/, '')].filter(d => d.length >= 2));
+            if (variants.size) parts.push(`ndc : (${Array.from(variants, d => `${quote(d)}*`).join(' OR ')})`);
+            continue;
+        }
+
+        const terms = value.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        if (!terms.length) continue;
+        const expr = terms.map(t => `${quote(t)}*`).join(' ');
+        parts.push(field ? `${field} : (${expr})` : `(${expr})`);
+    }
+    return parts.length ? parts.join(' AND ') : null;
+}
+
+/** bm25-ranked ndc_data rows; fetches limit+1 so callers can report `hasMore`. */
+export async function searchNdcFts(db, q, { limit = 12, offset = 0 } = {}) {
+    const match = buildFtsMatch(q);
+    if (!match) return { rows: [], hasMore: false, match: null };
+    const rows = await db.all(
+        `
+      SELECT d.*, bm25(${FTS_TABLE}, ${BM25_WEIGHTS.join(', ')}) AS _rank
+      FROM ${FTS_TABLE}
+      JOIN ndc_data d ON d.rowid = ${FTS_TABLE}.rowid
+      WHERE ${FTS_TABLE} MATCH ?
+      ORDER BY _rank
+      LIMIT ? OFFSET ?`,
+        [match, limit + 1, offset]
+    );
+    return { rows: rows.slice(0, limit), hasMore: rows.length > limit, match };
+}
@@ -0,0 +1,177 @@
+// ndc-merge.js  (merge primary + backup records with per-field provenance; source conflict report)
+import { normalizeDrugRecord, canon } from './ndc-compare.js';
+import { packageFieldsFromRow } from './ndc-package.js';
+import { TRACKED_FIELDS, ndcWhere } from './ndc-changes.js';
+import { withTransaction } from './db-transaction.js';
+import { strengthKey } from './strength.js';
+
+// Drug-level fields merged from both sources; primary wins where both have a value.
+export const MERGE_FIELDS = [
+    'brandName', 'genericName', 'substanceName', 'strength', 'dosageForm', 'route', 'deaClass',
+    'gpi', 'rxcui', 'refrigerate', 'niosh_code', 'discontinuedStatus', 'shortageStatus',
+];
+// Package-level fields; packageSize/Unit/Levels follow whichever source supplied the description.
+const PACKAGE_FIELDS = ['packageDescription', 'startMarketingDate', 'endMarketingDate'];
+
+const present = (v) => v !== null && v !== undefined && v !== '';
+// Strengths compare by quantity ("500 mg" = "500 mg/1"); unparseable text falls back to canon()
+const differs = (field, a, b) => (field === 'strength'
+    ? canon(strengthKey(a) ?? a) !== canon(strengthKey(b) ?? b)
+    : canon(a) !== canon(b));
+
+/**
+ * One record from a primary `ndc_data` row and a `mapBackupRow` result (either may be null).
+ * Raw columns of both are kept (primary on top); merged fields are overwritten with the first
+ * present value. Adds `_provenance` { field: 'primary'|'backup' } for every supplied field and
+ * `_conflicts` [{ field, primary, backup }] where both sources have a value that differs.
+ * Package fields are only merged and compared when both records are the same package; otherwise pass
+ * packageFrom ('primary' | 'backup': the record that was actually matched) and they come from it alone.
+ */
+export function mergeSourceRecords(primary, backup, { packageFrom = null } = {}) {
+    const p = normalizeDrugRecord(primary);
+    const b = normalizeDrugRecord(backup);
+    const pPkg = packageFrom === 'backup' ? null : packageFieldsFromRow(primary);
+    const bPkg = packageFrom === 'primary' ? null : packageFieldsFromRow(backup);
+
+    const record = { ...(backup || {}), ...(primary || {}) };
+    const provenance = {};
+    const conflicts = [];
+    const mergeField = (field, pv, bv) => {
+        pv = present(pv) ? pv : null;
+        bv = present(bv) ? bv : null;
+        record[field] = pv ?? bv;
+        if (pv !== null) provenance[field] = 'primary';
+        else if (bv !== null) provenance[field] = 'backup';
+        if (pv !== null && bv !== null && differs(field, pv, bv)) conflicts.push({ field, primary: pv, backup: bv });
+    };
+
+    for (const f of MERGE_FIELDS) mergeField(f, p?.[f], b?.[f]);
+    // Compared as a flag, but keep the supplying source's raw code ("Y", 1, ...)
+    if (provenance.refrigerate) record.refrigerate = (provenance.refrigerate === 'primary' ? primary : backup).refrigerate;
+    // (mergeField also overwrites any raw package column the other record brought in)
+    for (const f of PACKAGE_FIELDS) mergeField(f, pPkg?.[f], bPkg?.[f]);
+    const pkg = provenance.packageDescription === 'backup' ? bPkg : pPkg;
+    if (pkg) Object.assign(record, { packageSize: pkg.packageSize, packageUnit: pkg.packageUnit, packageLevels: pkg.packageLevels });
+
+    record._source = primary ? primary._source || 'primary-db' : backup?._source || 'sqlite-backup';
+    record._provenance = provenance;
+    record._conflicts = conflicts;
+    return record;
+}
+
+/**
+ * Rebuild ndc_source_conflicts from the tracked state of both sources (ndc-changes.js),
+ * so it reflects the datasets as of the last refresh. Conflicts that persist keep their
+ * original detectedAt. Returns { ndcs, conflicts, added, resolved }.
+ */
+export async function refreshSourceConflicts(db) {
+    const pairs = await db.all(
+        `SELECT p.ndcKey, p.ndc, p.normalizedNDC, p.data AS primaryData, b.data AS backupData
+     FROM ndc_tracked_state p
+     JOIN ndc_tracked_state b ON b.source = 'backup' AND b.ndcKey = p.ndcKey
+     WHERE p.source = 'primary'`
+    );
+    const found = new Map();
+    for (const r of pairs) {
+        const pd = JSON.parse(r.primaryData);
+        const bd = JSON.parse(r.backupData);
+        for (const field of TRACKED_FIELDS) {
+            const pv = pd[field] ?? null;
+            const bv = bd[field] ?? null;
+            if (pv === null || bv === null || !differs(field, pv, bv)) continue;
+            found.set(`${r.ndcKey}|${field}`, { ...r, field, primaryValue: pv, backupValue: bv });
+        }
+    }
+
+    const existing = new Map();
+    for (const r of await db.all(`SELECT ndcKey, field, primaryValue, backupValue FROM ndc_source_conflicts`)) {
+        existing.set(`${r.ndcKey}|${r.field}`, r);
+    }
+    const resolved = [...existing.keys()].filter(k => !found.has(k));
+    const upserts = [...found].filter(([k, c]) => {
+        const old = existing.get(k);
+        return !old || old.primaryValue !== c.primaryValue || old.backupValue !== c.backupValue;
+    });
+
+    await withTransaction(db, async () => {
+        for (const k of resolved) {
+            const { ndcKey, field } = existing.get(k);
+            await db.run(`DELETE FROM ndc_source_conflicts WHERE ndcKey = ? AND field = ?`, [ndcKey, field]);
+        }
+        const up = await db.prepare(
+            `INSERT INTO ndc_source_conflicts (ndcKey, ndc, normalizedNDC, field, primaryValue, backupValue)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(ndcKey, field) DO UPDATE SET ndc = excluded.ndc, normalizedNDC = excluded.normalizedNDC,
+         primaryValue = excluded.primaryValue, backupValue = excluded.backupValue`
+        );
+        for (const [, c] of upserts) await up.run([c.ndcKey, c.ndc, c.normalizedNDC, c.field, c.primaryValue, c.backupValue]);
+        await up.finalize();
+    });
+
+    const ndcs = new Set([...found.values()].map(c => c.ndcKey)).size;
+    return { ndcs, conflicts: found.size, added: [...found.keys()].filter(k => !existing.has(k)).length, resolved: resolved.length };
+}
+
+const list = (v) => (Array.isArray(v) ? v : String(v ?? '').split('|')).map(s => String(s).trim()).filter(Boolean);
+
+/**
+ * NDCs with conflicting source values, one page of NDCs at a time (most recently detected first).
+ * Filters: field (multi, "|" or repeats), ndc. `flat` returns one row per conflicting field instead.
+ * Returns { total, byField, rows } or { errors }.
+ */
+export async function listSourceConflicts(db, query = {}, { limit = 100, offset = 0, flat = false } = {}) {
+    const where = [];
+    const args = [];
+    const errors = [];
+
+    const fields = list(query.field);
+    const bad = fields.filter(f => !TRACKED_FIELDS.includes(f));
+    if (bad.length) errors.push(`Unknown field ${bad.join(', ')} (expected ${TRACKED_FIELDS.join(', ')})`);
+    else if (fields.length) {
+        where.push(`c.field IN (${fields.map(() => '?').join(',')})`);
+        args.push(...fields);
+    }
+    if (query.ndc) {
+        const w = ndcWhere(String(query.ndc));
+        if (!w) errors.push('Invalid NDC format');
+        else { where.push(w.sql); args.push(...w.args); }
+    }
+    if (errors.length) return { errors };
+
+    const sql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const byField = {};
+    for (const r of await db.all(`SELECT c.field, COUNT(*) AS n FROM ndc_source_conflicts c ${sql} GROUP BY c.field`, args)) {
+        byField[r.field] = r.n;
+    }
+
+    if (flat) {
+        const total = (await db.get(`SELECT COUNT(*) AS n FROM ndc_source_conflicts c ${sql}`, args))?.n || 0;
+        const rows = await db.all(
+            `SELECT c.* FROM ndc_source_conflicts c ${sql} ORDER BY c.detectedAt DESC, c.ndcKey, c.field LIMIT ? OFFSET ?`,
+            [...args, limit, offset]
+        );
+        return { total, byField, rows };
+    }
+
+    const total = (await db.get(`SELECT COUNT(DISTINCT c.ndcKey) AS n FROM ndc_source_conflicts c ${sql}`, args))?.n || 0;
+    const keys = await db.all(
+        `SELECT c.ndcKey, MAX(c.detectedAt) AS lastDetectedAt FROM ndc_source_conflicts c ${sql}
+     GROUP BY c.ndcKey ORDER BY lastDetectedAt DESC, c.ndcKey LIMIT ? OFFSET ?`,
+        [...args, limit, offset]
+    );
+    if (!keys.length) return { total, byField, rows: [] };
+
+    const fieldRows = await db.all(
+        `SELECT c.* FROM ndc_source_conflicts c
+     ${sql ? `${sql} AND` : 'WHERE'} c.ndcKey IN (${keys.map(() => '?').join(',')}) ORDER BY c.field`,
+        [...args, ...keys.map(k => k.ndcKey)]
+    );
+    const byKey = new Map(keys.map(k => [k.ndcKey, { ndcKey: k.ndcKey, ndc: null, normalizedNDC: null, lastDetectedAt: k.lastDetectedAt, conflicts: [] }]));
+    for (const r of fieldRows) {
+        const item = byKey.get(r.ndcKey);
+        item.ndc = r.ndc;
+        item.normalizedNDC = r.normalizedNDC;
+        item.conflicts.push({ field: r.field, primary: r.primaryValue, backup: r.backupValue, detectedAt: r.detectedAt });
+    }
+    return { total, byField, rows: [...byKey.values()] };
+}
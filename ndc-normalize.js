@@ -0,0 +1,56 @@
+// ndc-normalize.js  (NDC → labeler-product key / 11-digit form; shared by the server and the FDA importer)
+
+export const stripLeadingZeros = (v) => String(v || '').replace(/^0+/, '') || '0';
+
+/**
+ * Labeler-product keys ("527-3060", no leading zeros) an NDC may belong to.
+ * Dashed input is unambiguous; bare 10 digits yields every layout it could be.
+ */
+export function deriveLabelerProductCandidates(input) {
+    if (!input) return [];
+    const raw = String(input).trim();
+    const digits = raw.replace(/\D/g, '');
+    const out = [];
+    const push = (a, b) => out.push(`${stripLeadingZeros(a)}-${stripLeadingZeros(b)}`);
+
+    // dashed
+    const parts = raw.split('-');
+    if (parts.length === 3 && parts.every(p => /^\d+$/.test(p))) {
+        const [a, b, c] = parts;
+        const la = a.length, lb = b.length, lc = c.length;
+        if (
+            (la === 5 && lb === 4 && lc === 2) || // 5-4-2
+            (la === 4 && lb === 4 && lc === 2) || // 4-4-2
+            (la === 5 && lb === 3 && lc === 2) || // 5-3-2
+            (la === 5 && lb === 4 && lc === 1)    // 5-4-1
+        ) {
+            push(a, b);
+            return Array.from(new Set(out));
+        }
+        push(a, b);
+        return Array.from(new Set(out));
+    }
+
+    // contiguous
+    if (digits.length === 11) { push(digits.slice(0, 5), digits.slice(5, 9)); return Array.from(new Set(out)); }
+    if (digits.length === 10) {
+        push(digits.slice(0, 4), digits.slice(4, 8));
+        push(digits.slice(0, 5), digits.slice(5, 8));
+        push(digits.slice(0, 5), digits.slice(5, 9));
+        return Array.from(new Set(out));
+    }
+    if (digits.length >= 9) push(digits.slice(0, 5), digits.slice(5, 9));
+    return Array.from(new Set(out));
+}
+
+// 10-digit dashed → 11-digit (no dashes)
+export function to11FromDashed10(ndc10) {
+    const m = String(ndc10 || '').match(/^(\d+)-(\d+)-(\d+)$/);
+    if (!m) return null;
+    let [, a, b, c] = m;
+    if (a.length === 4 && b.length === 4 && c.length === 2) a = a.padStart(5, '0');
+    else if (a.length === 5 && b.length === 3 && c.length === 2) b = b.padStart(4, '0');
+    else if (a.length === 5 && b.length === 4 && c.length === 1) c = c.padStart(2, '0');
+    else if (!(a.length === 5 && b.length === 4 && c.length === 2)) return null;
+    return `${a}${b}${c}`;
+}
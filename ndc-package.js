@@ -0,0 +1,81 @@
+// ndc-package.js  (package-level NDC forms + FDA package description parsing)
+
+/**
+ * Exact-package candidates for a full NDC, as 11-digit (5-4-2) strings.
+ * Dashed input pads each segment; bare 10 digits yields all three possible layouts.
+ * Returns [] when the input has no package segment.
+ */
+export function derivePackageCandidates(input) {
+    const raw = String(input || '').trim();
+    const parts = raw.split('-');
+    if (parts.length === 3 && parts.every(p => /^\d+$/.test(p))) {
+        const [a, b, c] = parts;
+        if (a.length > 5 || b.length > 4 || c.length > 2) return [];
+        return [`${a.padStart(5, '0')}${b.padStart(4, '0')}${c.padStart(2, '0')}`];
+    }
+    const d = raw.replace(/\D/g, '');
+    if (d.length === 11) return [d];
+    if (d.length === 10) {
+        return Array.from(new Set([
+            `0${d}`,                               // 4-4-2
+            `${d.slice(0, 5)}0${d.slice(5)}`,      // 5-3-2
+            `${d.slice(0, 9)}0${d.slice(9)}`,      // 5-4-1
+        ]));
+    }
+    return [];
+}
+
+/** Dashed 10-digit spellings an 11-digit NDC may be stored under (only layouts whose padding zero exists). */
+export function dashed10FormsFrom11(ndc11) {
+    const d = String(ndc11 || '');
+    if (!/^\d{11}$/.test(d)) return [];
+    const a = d.slice(0, 5), b = d.slice(5, 9), c = d.slice(9);
+    const out = [`${a}-${b}-${c}`];
+    if (a[0] === '0') out.push(`${a.slice(1)}-${b}-${c}`);
+    if (b[0] === '0') out.push(`${a}-${b.slice(1)}-${c}`);
+    if (c[0] === '0') out.push(`${a}-${b}-${c.slice(1)}`);
+    return out;
+}
+
+/**
+ * Parse an FDA PACKAGEDESCRIPTION such as
+ * "10 VIAL in 1 TRAY (63323-262-01) > 1 mL in 1 VIAL (63323-262-11)".
+ * The outer level's count/unit is the package size; inner levels are kept in `levels`.
+ */
+export function parsePackageDescription(desc) {
+    if (!desc) return { packageSize: null, packageUnit: null, levels: [] };
+    const levels = String(desc)
+        .split('>')
+        .map(s => s.replace(/\([^)]*\)/g, '').trim())
+        .map(s => {
+            const m = s.match(/^([\d.,]+)\s+(.+?)\s+in\s+([\d.,]+)\s+(.+)$/i);
+            if (!m) return { text: s };
+            return {
+                quantity: Number(m[1].replace(/,/g, '')),
+                unit: m[2].trim(),
+                containerCount: Number(m[3].replace(/,/g, '')),
+                container: m[4].trim(),
+            };
+        });
+    const outer = levels[0] || {};
+    return {
+        packageSize: Number.isFinite(outer.quantity) ? outer.quantity : null,
+        packageUnit: outer.unit || null,
+        levels,
+    };
+}
+
+/** Package fields from a primary `ndc_data` row or a raw backup row (whichever spelling exists). */
+export function packageFieldsFromRow(row) {
+    if (!row) return null;
+    const description = row.packageDescription ?? row.PACKAGEDESCRIPTION ?? null;
+    const parsed = parsePackageDescription(description);
+    return {
+        packageDescription: description,
+        packageSize: parsed.packageSize,
+        packageUnit: parsed.packageUnit,
+        packageLevels: parsed.levels,
+        startMarketingDate: row.startMarketingDate ?? row.STARTMARKETINGDATE ?? null,
+        endMarketingDate: row.endMarketingDate ?? row.ENDMARKETINGDATE ?? null,
+    };
+}
@@ -0,0 +1,160 @@
+// ndc-strengths.js  (parsed per-ingredient strengths of primary ndc_data, for /search strength filters)
+// Tables: migrations/008_ndc_strengths.js
+import { resolveNdcColumns } from './ndc-columns.js';
+import { parseStrength } from './strength.js';
+import { withTransaction } from './db-transaction.js';
+
+const TABLE = 'ndc_strengths';
+const META_TABLE = 'ndc_strengths_meta';
+const PENDING_TABLE = 'ndc_strengths_pending';
+// Bump when strength.js parses differently, so existing indexes are rebuilt
+const PARSER_VERSION = 1;
+
+let ready = false;
+let column = null; // ndc_data's strength column, resolved by syncNdcStrengths
+let indexDb = null; // the connection syncNdcStrengths ran on; queued rows are applied there too
+let applying = null;
+
+export const isStrengthIndexReady = () => ready;
+export const NDC_STRENGTH_TABLE = TABLE;
+
+// Strength parsing happens in JS, so the triggers only queue changed rows; applyPendingStrengths parses them
+async function createTriggers(db, col) {
+    await db.exec(`
+      DROP TRIGGER IF EXISTS ndc_data_strengths_ai;
+      DROP TRIGGER IF EXISTS ndc_data_strengths_au;
+      DROP TRIGGER IF EXISTS ndc_data_strengths_ad;
+      CREATE TRIGGER ndc_data_strengths_ai AFTER INSERT ON ndc_data BEGIN
+        INSERT OR IGNORE INTO ${PENDING_TABLE}(ndcRowid) VALUES (NEW.rowid);
+      END;
+      CREATE TRIGGER ndc_data_strengths_au AFTER UPDATE OF ${col} ON ndc_data BEGIN
+        DELETE FROM ${TABLE} WHERE ndcRowid = OLD.rowid;
+        INSERT OR IGNORE INTO ${PENDING_TABLE}(ndcRowid) VALUES (NEW.rowid);
+      END;
+      CREATE TRIGGER ndc_data_strengths_ad AFTER DELETE ON ndc_data BEGIN
+        DELETE FROM ${TABLE} WHERE ndcRowid = OLD.rowid;
+        DELETE FROM ${PENDING_TABLE} WHERE ndcRowid = OLD.rowid;
+      END;
+    `);
+}
+
+// Replace the index rows of these ndc_data rows ([{ id, strength }]); returns how many parsed
+async function indexRows(db, rows) {
+    const cache = new Map(); // the same few thousand strength strings repeat across packages
+    const del = await db.prepare(`DELETE FROM ${TABLE} WHERE ndcRowid = ?`);
+    const ins = await db.prepare(`INSERT INTO ${TABLE} (ndcRowid, ingredient, value, unit) VALUES (?, ?, ?, ?)`);
+    let parsed = 0;
+    try {
+        for (const { id, strength } of rows) {
+            await del.run([id]);
+            if (!strength) continue;
+            if (!cache.has(strength)) cache.set(strength, parseStrength(strength)?.ingredients || []);
+            const ingredients = cache.get(strength);
+            for (let i = 0; i < ingredients.length; i++) {
+                const n = ingredients[i].normalized;
+                if (n) await ins.run([id, i, n.value, n.unit]);
+            }
+            if (ingredients.some(i => i.normalized)) parsed++;
+        }
+    } finally {
+        await del.finalize();
+        await ins.finalize();
+    }
+    return parsed;
+}
+
+/**
+ * (Re)create the ndc_data triggers and rebuild the index when ndc_data no longer matches the recorded
+ * signature (row count / max rowid / strength column / parser version), e.g. after a bulk load without
+ * the triggers. Rows whose strength can't be parsed are simply absent, so strength filters never match them.
+ */
+export async function syncNdcStrengths(db) {
+    const t0 = Date.now();
+    if (!(await db.get(`SELECT 1 FROM sqlite_master WHERE name = ?`, [PENDING_TABLE]))) {
+        throw new Error(`${PENDING_TABLE} is missing; run npm run migrate`);
+    }
+    const { strength: col } = await resolveNdcColumns(db);
+    if (!col) {
+        ready = false;
+        console.warn('[ndc-strengths] ndc_data has no strength column; strength filters disabled');
+        return { rebuilt: false, ms: Date.now() - t0 };
+    }
+    column = col;
+    indexDb = db;
+    await createTriggers(db, col);
+
+    const signature = JSON.stringify({
+        ...(await db.get(`SELECT COUNT(*) AS n, MAX(rowid) AS maxRowid FROM ndc_data`)),
+        col,
+        parser: PARSER_VERSION,
+    });
+    const prev = await db.get(`SELECT v FROM ${META_TABLE} WHERE k = 'signature'`);
+    let rebuilt = false;
+    let parsed = 0;
+    if (prev?.v !== signature) {
+        const rows = await db.all(`SELECT rowid AS id, ${col} AS strength FROM ndc_data WHERE ${col} IS NOT NULL AND ${col} <> ''`);
+        await withTransaction(db, async () => {
+            await db.exec(`DELETE FROM ${TABLE}; DELETE FROM ${PENDING_TABLE};`);
+            parsed = await indexRows(db, rows);
+            await db.run(
+                `INSERT INTO ${META_TABLE}(k, v) VALUES ('signature', ?) ON CONFLICT(k) DO UPDATE SET v = excluded.v`,
+                [signature]
+            );
+        });
+        rebuilt = true;
+    }
+
+    ready = true;
+    const pending = rebuilt ? 0 : await applyPendingStrengths(db);
+    const ms = Date.now() - t0;
+    console.log(`[ndc-strengths] ${rebuilt ? `rebuilt (${parsed} row(s) parsed)` : `up to date (${pending} pending row(s) parsed)`} in ${ms}ms`);
+    return { rebuilt, ms };
+}
+
+/**
+ * Parse the rows the triggers queued since the last call (inserted, or strength updated in place).
+ * Cheap when nothing is queued; concurrent calls share one run. Resolves to the number of rows handled.
+ */
+export function applyPendingStrengths(db = indexDb) {
+    if (!ready) return Promise.resolve(0);
+    applying ||= (async () => {
+        const rows = await db.all(
+            `SELECT p.ndcRowid AS id, d.${column} AS strength
+             FROM ${PENDING_TABLE} p LEFT JOIN ndc_data d ON d.rowid = p.ndcRowid`
+        );
+        if (!rows.length) return 0;
+        await withTransaction(db, async () => {
+            await indexRows(db, rows);
+            const done = await db.prepare(`DELETE FROM ${PENDING_TABLE} WHERE ndcRowid = ?`);
+            for (const { id } of rows) await done.run([id]);
+            await done.finalize();
+        });
+        return rows.length;
+    })().finally(() => { applying = null; });
+    return applying;
+}
+
+/**
+ * WHERE clause over ndc_data for strength filters ({ op, value, unit } from parseStrengthFilters).
+ * Filters on the same unit must hold for one ingredient ("10-20mg" can't be met by a 5 mg + 325 mg combo).
+ */
+export function strengthClause(filters) {
+    const byUnit = new Map();
+    for (const f of filters) {
+        if (!byUnit.has(f.unit)) byUnit.set(f.unit, []);
+        byUnit.get(f.unit).push(f);
+    }
+    const parts = [];
+    const args = [];
+    for (const [unit, fs] of byUnit) {
+        const conds = fs.map(f => (f.op === '=' ? 'value BETWEEN ? AND ?' : `value ${f.op} ?`));
+        parts.push(`rowid IN (SELECT ndcRowid FROM ${TABLE} WHERE unit = ? AND ${conds.join(' AND ')})`);
+        args.push(unit);
+        for (const f of fs) {
+            // parsed values are rounded to 6 significant digits
+            if (f.op === '=') args.push(f.value * (1 - 1e-6), f.value * (1 + 1e-6));
+            else args.push(f.value);
+        }
+    }
+    return { sql: parts.join(' AND '), args };
+}
@@ -0,0 +1,164 @@
+// rxnorm-import.js  (RxNorm RRF release files → rxnorm_* tables in the app DB)
+//
+// Inputs are the pipe-delimited files from an RxNorm full release (the rrf/ directory of the zip):
+//   RXNCONSO.RRF   concept names + term types
+//   RXNSAT.RRF     attributes; ATN=NDC rows give the NDC→RXCUI mapping
+//   RXNREL.RRF     relations between concepts
+// Only SAB=RXNORM rows are kept. Concepts and relations are replaced on every import; NDC mappings
+// accumulate, so each one carries the release dates it was first and last listed in.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+import { withTransaction } from './db-transaction.js';
+
+// Ingredients, brand names, clinical/branded drugs and their components, packs
+export const RXNORM_TTYS = ['IN', 'PIN', 'MIN', 'BN', 'SCD', 'SBD', 'SCDC', 'SBDC', 'GPCK', 'BPCK'];
+// Enough to walk drug → components → ingredients and brand ↔ generic
+export const RXNORM_RELAS = [
+    'has_ingredient', 'ingredient_of', 'has_ingredients', 'ingredients_of',
+    'has_precise_ingredient', 'precise_ingredient_of', 'consists_of', 'constitutes',
+    'has_tradename', 'tradename_of', 'contains', 'contained_in',
+];
+
+const FILES = { conso: 'rxnconso.rrf', sat: 'rxnsat.rrf', rel: 'rxnrel.rrf' };
+
+// Column positions (RxNorm Technical Documentation, section 12)
+const CONSO = { RXCUI: 0, LAT: 1, SAB: 11, TTY: 12, STR: 14, SUPPRESS: 16 };
+const SAT = { RXCUI: 0, ATN: 8, SAB: 9, ATV: 10, SUPPRESS: 11 };
+const REL = { RXCUI1: 0, RXCUI2: 4, RELA: 7, SAB: 10 };
+
+function findFile(dir, name) {
+    for (const d of [dir, path.join(dir, 'rrf')]) {
+        if (!fs.existsSync(d)) continue;
+        const hit = fs.readdirSync(d).find(f => f.toLowerCase() === name);
+        if (hit) return path.join(d, hit);
+    }
+    return null;
+}
+
+/** Stream an RRF file line by line (they run to gigabytes); resolves with the file's info. */
+async function eachRrfRow(file, cb) {
+    const hash = crypto.createHash('sha256');
+    const input = fs.createReadStream(file);
+    input.on('data', chunk => hash.update(chunk));
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    let lines = 0;
+    for await (const line of rl) {
+        if (!line) continue;
+        lines++;
+        cb(line.split('|'));
+    }
+    const stat = fs.statSync(file);
+    return { file: path.basename(file), bytes: stat.size, lines, sha256: hash.digest('hex'), modified: stat.mtime.toISOString() };
+}
+
+/**
+ * Parse a release directory. Pure (no DB), so it backs --dry-run too.
+ * Returns { concepts: Map, ndcs: [{ ndc11, rxcui, active }], relations: [[rxcui1, rela, rxcui2]], files, counts, errors, warnings }.
+ */
+export async function parseRxnormRelease(srcDir) {
+    const errors = [];
+    const warnings = [];
+    const paths = {};
+    for (const [k, name] of Object.entries(FILES)) {
+        paths[k] = findFile(srcDir, name);
+        if (!paths[k]) errors.push(`missing ${name.toUpperCase()}`);
+    }
+    if (errors.length) return { errors, warnings, files: [], counts: {} };
+
+    const keepTty = new Set(RXNORM_TTYS);
+    const keepRela = new Set(RXNORM_RELAS);
+    const files = [];
+
+    const concepts = new Map();
+    files.push(await eachRrfRow(paths.conso, (c) => {
+        if (c[CONSO.SAB] !== 'RXNORM' || c[CONSO.LAT] !== 'ENG' || !keepTty.has(c[CONSO.TTY])) return;
+        if (concepts.has(c[CONSO.RXCUI])) return;
+        concepts.set(c[CONSO.RXCUI], { tty: c[CONSO.TTY], name: c[CONSO.STR], suppress: c[CONSO.SUPPRESS] || null });
+    }));
+
+    const ndcs = new Map();
+    let badNdc = 0;
+    files.push(await eachRrfRow(paths.sat, (a) => {
+        if (a[SAT.ATN] !== 'NDC' || a[SAT.SAB] !== 'RXNORM' || !concepts.has(a[SAT.RXCUI])) return;
+        const ndc11 = a[SAT.ATV];
+        if (!/^\d{11}$/.test(ndc11)) { badNdc++; return; }
+        const key = `${ndc11}|${a[SAT.RXCUI]}`;
+        const active = (a[SAT.SUPPRESS] || 'N') === 'N';
+        ndcs.set(key, { ndc11, rxcui: a[SAT.RXCUI], active: active || Boolean(ndcs.get(key)?.active) });
+    }));
+    if (badNdc) warnings.push(`${badNdc} NDC attribute(s) not in 11-digit form skipped`);
+
+    const relations = new Map();
+    files.push(await eachRrfRow(paths.rel, (r) => {
+        if (r[REL.SAB] !== 'RXNORM' || !keepRela.has(r[REL.RELA])) return;
+        if (!concepts.has(r[REL.RXCUI1]) || !concepts.has(r[REL.RXCUI2])) return;
+        relations.set(`${r[REL.RXCUI1]}|${r[REL.RELA]}|${r[REL.RXCUI2]}`, [r[REL.RXCUI1], r[REL.RELA], r[REL.RXCUI2]]);
+    }));
+
+    const list = [...ndcs.values()];
+    const counts = {
+        concepts: concepts.size,
+        relations: relations.size,
+        ndcs: list.length,
+        activeNdcs: list.filter(n => n.active).length,
+    };
+    if (!concepts.size) errors.push('RXNCONSO.RRF: no RXNORM concepts');
+    if (!counts.activeNdcs) errors.push('RXNSAT.RRF: no active RXNORM NDC attributes');
+    return { concepts, ndcs: list, relations: [...relations.values()], files, counts, errors, warnings };
+}
+
+/**
+ * Import srcDir into the rxnorm_* tables of `db` (schema from migration 004) in one transaction.
+ * Releases must be imported oldest first; re-importing the latest release is a no-op for mappings.
+ * Returns { ok, releaseDate, counts, mappings: { opened, closed }, errors, warnings }.
+ */
+export async function importRxnormRelease(db, { srcDir, releaseDate, dryRun = false, log = console.log }) {
+    const t0 = Date.now();
+    const parsed = await parseRxnormRelease(srcDir);
+    const summary = { counts: parsed.counts, errors: parsed.errors, warnings: parsed.warnings };
+    if (parsed.errors.length) return { ok: false, ...summary };
+
+    const date = releaseDate || parsed.files.map(f => f.modified).sort().pop().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return { ok: false, ...summary, errors: [`Invalid release date "${date}"`] };
+    const last = await db.get(`SELECT releaseDate FROM rxnorm_imports ORDER BY releaseDate DESC, id DESC LIMIT 1`);
+    if (last && date < last.releaseDate) {
+        return { ok: false, ...summary, errors: [`Release ${date} is older than the last import (${last.releaseDate})`] };
+    }
+    log(`[rxnorm-import] ${parsed.counts.concepts} concepts, ${parsed.counts.activeNdcs} active NDCs → release ${date}`);
+
+    const open = new Map();
+    for (const r of await db.all(`SELECT ndc11, rxcui FROM rxnorm_ndc WHERE endDate IS NULL`)) open.set(`${r.ndc11}|${r.rxcui}`, r);
+    const active = parsed.ndcs.filter(n => n.active);
+    const toOpen = active.filter(n => !open.has(`${n.ndc11}|${n.rxcui}`));
+    const activeKeys = new Set(active.map(n => `${n.ndc11}|${n.rxcui}`));
+    const toClose = [...open].filter(([k]) => !activeKeys.has(k)).map(([, r]) => r);
+    const mappings = { opened: toOpen.length, closed: toClose.length };
+    if (dryRun) return { ok: true, dryRun: true, releaseDate: date, mappings, ...summary };
+
+    await withTransaction(db, async () => {
+        await db.run(`DELETE FROM rxnorm_concepts`);
+        await db.run(`DELETE FROM rxnorm_relations`);
+        const ins = await db.prepare(`INSERT INTO rxnorm_concepts (rxcui, tty, name, suppress) VALUES (?, ?, ?, ?)`);
+        for (const [rxcui, c] of parsed.concepts) await ins.run([rxcui, c.tty, c.name, c.suppress]);
+        await ins.finalize();
+        const rel = await db.prepare(`INSERT INTO rxnorm_relations (rxcui1, rela, rxcui2) VALUES (?, ?, ?)`);
+        for (const r of parsed.relations) await rel.run(r);
+        await rel.finalize();
+
+        const openStmt = await db.prepare(`INSERT OR IGNORE INTO rxnorm_ndc (ndc11, rxcui, startDate) VALUES (?, ?, ?)`);
+        for (const n of toOpen) await openStmt.run([n.ndc11, n.rxcui, date]);
+        await openStmt.finalize();
+        const closeStmt = await db.prepare(`UPDATE rxnorm_ndc SET endDate = ? WHERE ndc11 = ? AND rxcui = ? AND endDate IS NULL`);
+        for (const r of toClose) await closeStmt.run([date, r.ndc11, r.rxcui]);
+        await closeStmt.finalize();
+
+        await db.run(
+            `INSERT INTO rxnorm_imports (releaseDate, sourceFiles, counts) VALUES (?, ?, ?)`,
+            [date, JSON.stringify(parsed.files), JSON.stringify({ ...parsed.counts, ...mappings })]
+        );
+    });
+    log(`[rxnorm-import] +${mappings.opened} / -${mappings.closed} NDC mappings in ${Date.now() - t0}ms`);
+    return { ok: true, releaseDate: date, mappings, ...summary };
+}
@@ -0,0 +1,121 @@
+// rxnorm.js  (lookups against the imported rxnorm_* tables: NDC → RXCUI enrichment, RXCUI → NDCs)
+import { derivePackageCandidates } from './ndc-package.js';
+
+const DRUG_TTYS = ['SCD', 'SBD', 'GPCK', 'BPCK'];
+const placeholders = (xs) => xs.map(() => '?').join(',');
+
+// "527-3060" → "005273060": every 11-digit NDC of the product starts with it
+const productPrefix = (lp) => {
+    const m = String(lp || '').match(/^(\d{1,5})-(\d{1,4})$/);
+    return m ? `${m[1].padStart(5, '0')}${m[2].padStart(4, '0')}` : null;
+};
+
+/** Latest import row (releaseDate, importedAt, counts) or null when RxNorm was never imported. */
+export async function latestRxnormImport(db) {
+    const row = await db.get(`SELECT * FROM rxnorm_imports ORDER BY releaseDate DESC, id DESC LIMIT 1`);
+    return row ? { ...row, sourceFiles: JSON.parse(row.sourceFiles), counts: JSON.parse(row.counts) } : null;
+}
+
+// Relations are stored as released (both directions present), so neighbours are looked up either way round.
+async function neighbours(db, rxcuis, relas, ttys) {
+    if (!rxcuis.length) return [];
+    return db.all(
+        `SELECT DISTINCT c.rxcui, c.tty, c.name FROM (
+           SELECT rxcui2 AS other FROM rxnorm_relations WHERE rxcui1 IN (${placeholders(rxcuis)}) AND rela IN (${placeholders(relas)})
+           UNION
+           SELECT rxcui1 AS other FROM rxnorm_relations WHERE rxcui2 IN (${placeholders(rxcuis)}) AND rela IN (${placeholders(relas)})
+         ) r JOIN rxnorm_concepts c ON c.rxcui = r.other
+         WHERE c.tty IN (${placeholders(ttys)}) ORDER BY c.name`,
+        [...rxcuis, ...relas, ...rxcuis, ...relas, ...ttys]
+    );
+}
+
+const brief = (c) => (c ? { rxcui: c.rxcui, name: c.name } : null);
+
+/**
+ * Concept details for one drug RXCUI: ingredients, the clinical (SCD) and branded (SBD) names,
+ * brand name(s) and the brand ↔ generic links (generic SCD of a branded drug, branded SBDs of a generic).
+ */
+export async function rxnormConcept(db, rxcui) {
+    const concept = await db.get(`SELECT rxcui, tty, name, suppress FROM rxnorm_concepts WHERE rxcui = ?`, [rxcui]);
+    if (!concept) return null;
+
+    const branded = concept.tty === 'SBD' || concept.tty === 'BPCK';
+    const tradename = ['has_tradename', 'tradename_of'];
+    const generic = branded ? (await neighbours(db, [rxcui], tradename, ['SCD', 'GPCK']))[0] || null : null;
+    const clinical = branded ? generic : concept;
+    const brands = branded ? [] : await neighbours(db, [rxcui], tradename, ['SBD', 'BPCK']);
+
+    // SCD → SCDC components → IN; packs list their contained SCDs' ingredients
+    let scds = clinical ? [clinical.rxcui] : [];
+    if (clinical?.tty === 'GPCK') scds = (await neighbours(db, scds, ['contains', 'contained_in'], ['SCD'])).map(c => c.rxcui);
+    const components = await neighbours(db, scds, ['consists_of', 'constitutes'], ['SCDC']);
+    const ingredients = await neighbours(db, components.map(c => c.rxcui), ['has_ingredient', 'ingredient_of'], ['IN']);
+    const brandNames = branded ? await neighbours(db, [rxcui], ['has_ingredient', 'ingredient_of'], ['BN']) : [];
+
+    return {
+        rxcui: concept.rxcui,
+        tty: concept.tty,
+        name: concept.name,
+        ingredients: ingredients.map(brief),
+        scd: clinical?.tty === 'SCD' ? brief(clinical) : null,
+        sbd: concept.tty === 'SBD' ? brief(concept) : null,
+        brandNames: brandNames.map(c => c.name),
+        generic: brief(generic),
+        brands: brands.map(brief),
+    };
+}
+
+/**
+ * RxNorm enrichment for a record: by package (11-digit candidates) when there is one,
+ * else any package of the labeler-product. Open mappings win over ended ones.
+ * Returns { ...rxnormConcept, mapping: { ndc11, startDate, endDate, active } } or null.
+ */
+export async function rxnormForNdc(db, { ndc11Candidates = [], normalizedNDC = null }) {
+    let mapping = null;
+    if (ndc11Candidates.length) {
+        mapping = await db.get(
+            `SELECT * FROM rxnorm_ndc WHERE ndc11 IN (${placeholders(ndc11Candidates)})
+       ORDER BY endDate IS NOT NULL, endDate DESC, startDate DESC LIMIT 1`,
+            ndc11Candidates
+        );
+    }
+    const prefix = productPrefix(normalizedNDC);
+    if (!mapping && prefix) {
+        mapping = await db.get(
+            `SELECT * FROM rxnorm_ndc WHERE ndc11 BETWEEN ? AND ?
+       ORDER BY endDate IS NOT NULL, endDate DESC, startDate DESC LIMIT 1`,
+            [`${prefix}00`, `${prefix}99`]
+        );
+    }
+    if (!mapping) return null;
+    const concept = await rxnormConcept(db, mapping.rxcui);
+    if (!concept) return null;
+    return {
+        ...concept,
+        mapping: { ndc11: mapping.ndc11, startDate: mapping.startDate, endDate: mapping.endDate, active: !mapping.endDate },
+    };
+}
+
+/** Candidate 11-digit NDCs + product key for a lookup record (merged or single-source). */
+export function rxnormKeysFor(record) {
+    const ndc = record.ndc11 || record.ndc || record.ndc10 || '';
+    return {
+        ndc11Candidates: record.ndc11 ? [record.ndc11] : derivePackageCandidates(ndc),
+        normalizedNDC: record.normalizedNDC || record.normalizedLP || null,
+    };
+}
+
+/** NDCs mapped to an RXCUI (open mappings only unless `history`), with the concept. */
+export async function ndcsForRxcui(db, rxcui, { history = false } = {}) {
+    const concept = await db.get(`SELECT rxcui, tty, name, suppress FROM rxnorm_concepts WHERE rxcui = ?`, [rxcui]);
+    const rows = await db.all(
+        `SELECT ndc11, startDate, endDate FROM rxnorm_ndc WHERE rxcui = ? ${history ? '' : 'AND endDate IS NULL'}
+     ORDER BY ndc11, startDate`,
+        [rxcui]
+    );
+    return {
+        concept: concept && DRUG_TTYS.includes(concept.tty) ? await rxnormConcept(db, rxcui) : concept || null,
+        ndcs: rows.map(r => ({ ...r, active: !r.endDate })),
+    };
+}
@@ -0,0 +1,41 @@
+// scripts/dev-token.js
+// Mint a signed token from the local dev issuer (auth/devIssuer.js) for a server run with AUTH_VERIFIERS=dev.
+//
+//   npm run dev:token -- --email=alice@exactcarepharmacy.com --permissions=comment:write,user:admin
+//   curl -H "Authorization: Bearer $(npm run -s dev:token -- --email=bob@partnerrx.example --org=org_123)" localhost:3000/me
+//
+// Flags: --email=ADDR (required), --name=TEXT, --permissions=a:b,c:d, --org=ORG_ID (org_id claim),
+//        --expires=8h, --key-file=PATH (default AUTH_DEV_KEY_FILE, then <tmpdir>/ndc-compare-dev-issuer.json), --json
+import 'dotenv/config';
+import { mintDevToken, DEV_ISSUER } from '../auth/devIssuer.js';
+
+const args = Object.fromEntries(
+    process.argv.slice(2).map(a => {
+        const [k, ...v] = a.replace(/^--/, '').split('=');
+        return [k, v.length ? v.join('=') : true];
+    })
+);
+
+if (!args.email || args.email === true) {
+    console.error('usage: npm run dev:token -- --email=ADDR [--name=TEXT] [--permissions=a:b,c:d] [--org=ORG_ID] [--expires=8h] [--key-file=PATH] [--json]');
+    process.exit(2);
+}
+
+try {
+    const permissions = typeof args.permissions === 'string' ? args.permissions.split(',').map(s => s.trim()).filter(Boolean) : [];
+    const claims = {
+        email: args.email,
+        ...(typeof args.name === 'string' && { name: args.name }),
+        permissions,
+        ...(typeof args.org === 'string' && { org_id: args.org }),
+    };
+    const expiresIn = typeof args.expires === 'string' ? args.expires : '8h';
+    const token = await mintDevToken(claims, {
+        keyFile: typeof args['key-file'] === 'string' ? args['key-file'] : undefined,
+        expiresIn,
+    });
+    console.log(args.json ? JSON.stringify({ token, issuer: DEV_ISSUER, expiresIn, claims }, null, 2) : token);
+} catch (e) {
+    console.error('❌', e.message);
+    process.exitCode = 1;
+}
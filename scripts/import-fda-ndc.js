@@ -0,0 +1,52 @@
+// scripts/import-fda-ndc.js
+// Build a versioned merged_ndc_data snapshot from the FDA NDC Directory text files.
+//
+//   npm run import:fda -- --src=/data/fda/2026-10-17 --out=/data/ndc
+//   npm run import:fda -- --src=./ndctext --dry-run          (validate + report only)
+//
+// Flags: --src=DIR (required), --out=DIR (default: directory of NDC_SQLITE_PATH, else ./datasets),
+//        --source-date=YYYY-MM-DD (default: newest input file's mtime), --dry-run, --json
+// Point NDC_SQLITE_PATH at the printed path to serve the new snapshot.
+import 'dotenv/config';
+import path from 'path';
+import { importFdaNdcDirectory } from '../fda-ndc-import.js';
+
+const args = Object.fromEntries(
+    process.argv.slice(2).map(a => {
+        const [k, v] = a.replace(/^--/, '').split('=');
+        return [k, v ?? true];
+    })
+);
+
+if (!args.src || args.src === true) {
+    console.error('usage: npm run import:fda -- --src=DIR [--out=DIR] [--source-date=YYYY-MM-DD] [--dry-run] [--json]');
+    process.exit(2);
+}
+
+const outDir = args.out && args.out !== true
+    ? args.out
+    : process.env.NDC_SQLITE_PATH ? path.dirname(process.env.NDC_SQLITE_PATH) : path.resolve('datasets');
+
+const result = await importFdaNdcDirectory({
+    srcDir: path.resolve(args.src),
+    outDir: path.resolve(outDir),
+    sourceDate: typeof args['source-date'] === 'string' ? args['source-date'] : undefined,
+    dryRun: Boolean(args['dry-run']),
+    log: args.json ? () => {} : console.log,
+});
+
+if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+} else {
+    for (const [name, c] of Object.entries(result.counts)) console.log(`  ${name}: ${c.products} products, ${c.packages} packages`);
+    for (const [reason, r] of Object.entries(result.rejected)) {
+        console.log(`  rejected ${reason}: ${r.count}`);
+        for (const s of r.samples.slice(0, 3)) console.log(`    ${JSON.stringify(s)}`);
+    }
+    for (const w of result.warnings) console.log(`  ⚠️ ${w}`);
+    for (const e of result.errors) console.error(`  ❌ ${e}`);
+    if (result.ok) {
+        console.log(result.unchanged ? `unchanged: ${result.path} already exists` : `${result.dryRun ? 'would write' : 'wrote'} ${result.path}`);
+    }
+}
+process.exitCode = result.ok ? 0 : 1;
@@ -0,0 +1,67 @@
+// scripts/import-rxnorm.js
+// Load an RxNorm full release (RRF files) into the app DB for local NDC → RXCUI enrichment.
+//
+//   npm run import:rxnorm -- --src=/data/RxNorm_full_10062026/rrf --release-date=2026-10-06
+//   npm run import:rxnorm -- --src=./rrf --dry-run          (parse + report only)
+//
+// Flags: --src=DIR (required; the rrf/ directory or its parent),
+//        --db=PATH (default NDC_DB_PATH, then /data/merged_ndc_all_records.sqlite, then ./merged_ndc_all_records.sqlite),
+//        --release-date=YYYY-MM-DD (default: newest input file's mtime), --dry-run, --json
+// Import releases oldest first: NDC mapping date ranges are built from the sequence of releases.
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { migrationStatus } from '../migrate.js';
+import { importRxnormRelease } from '../rxnorm-import.js';
+
+const args = Object.fromEntries(
+    process.argv.slice(2).map(a => {
+        const [k, v] = a.replace(/^--/, '').split('=');
+        return [k, v ?? true];
+    })
+);
+
+if (!args.src || args.src === true) {
+    console.error('usage: npm run import:rxnorm -- --src=DIR [--db=PATH] [--release-date=YYYY-MM-DD] [--dry-run] [--json]');
+    process.exit(2);
+}
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dbPath = args.db || process.env.NDC_DB_PATH ||
+    (fs.existsSync('/data/merged_ndc_all_records.sqlite')
+        ? '/data/merged_ndc_all_records.sqlite'
+        : path.join(root, 'merged_ndc_all_records.sqlite'));
+
+const db = await open({ filename: dbPath, driver: sqlite3.Database });
+try {
+    const status = await migrationStatus(db);
+    if (status.pending.length) throw new Error(`${status.pending.length} pending migration(s); run "npm run migrate" first`);
+
+    const result = await importRxnormRelease(db, {
+        srcDir: path.resolve(args.src),
+        releaseDate: typeof args['release-date'] === 'string' ? args['release-date'] : undefined,
+        dryRun: Boolean(args['dry-run']),
+        log: args.json ? () => {} : console.log,
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        for (const [k, n] of Object.entries(result.counts)) console.log(`  ${k}: ${n}`);
+        for (const w of result.warnings) console.log(`  ⚠️ ${w}`);
+        for (const e of result.errors) console.error(`  ❌ ${e}`);
+        if (result.ok) {
+            const { opened, closed } = result.mappings;
+            console.log(`${result.dryRun ? 'would open' : 'opened'} ${opened}, ${result.dryRun ? 'would close' : 'closed'} ${closed} NDC mapping(s) for release ${result.releaseDate} in ${dbPath}`);
+        }
+    }
+    process.exitCode = result.ok ? 0 : 1;
+} catch (e) {
+    console.error('❌', e.message);
+    process.exitCode = 1;
+} finally {
+    await db.close();
+}
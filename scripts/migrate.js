@@ -0,0 +1,49 @@
+// scripts/migrate.js
+// Apply or inspect schema migrations without starting the server.
+//
+//   npm run migrate                 apply pending migrations
+//   npm run migrate -- --dry-run    run pending migrations in a rolled-back transaction
+//   npm run migrate -- --status     list applied / pending versions
+//
+// Flags: --db=PATH (default NDC_DB_PATH, then /data/merged_ndc_all_records.sqlite, then ./merged_ndc_all_records.sqlite)
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { migrationStatus, runMigrations } from '../migrate.js';
+
+const args = Object.fromEntries(
+    process.argv.slice(2).map(a => {
+        const [k, v] = a.replace(/^--/, '').split('=');
+        return [k, v ?? true];
+    })
+);
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dbPath = args.db || process.env.NDC_DB_PATH ||
+    (fs.existsSync('/data/merged_ndc_all_records.sqlite')
+        ? '/data/merged_ndc_all_records.sqlite'
+        : path.join(root, 'merged_ndc_all_records.sqlite'));
+
+const db = await open({ filename: dbPath, driver: sqlite3.Database });
+console.log(`[migrate] ${dbPath}`);
+try {
+    if (args.status) {
+        const s = await migrationStatus(db);
+        for (const r of s.applied) {
+            const note = s.unknown.includes(r) ? '  (not in code)' : s.modified.some(m => m.version === r.version) ? '  (modified)' : '';
+            console.log(`  ✔ ${String(r.version).padStart(3, '0')} ${r.name}  ${r.appliedAt}${note}`);
+        }
+        for (const m of s.pending) console.log(`  · ${m.file}  pending`);
+        console.log(`current ${s.current}, latest ${s.latest}`);
+    } else {
+        await runMigrations(db, { dryRun: Boolean(args['dry-run']) });
+    }
+} catch (e) {
+    console.error('❌', e.message);
+    process.exitCode = 1;
+} finally {
+    await db.close();
+}
@@ -5,27 +5,70 @@ import cors from 'cors';
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import path from 'path';
-import fetch from 'node-fetch';
 import fs from 'fs';
+import os from 'os';
 import { fileURLToPath } from 'url';
 
 import {
     initSqliteBackup,
-    buildSuggestIndex,
+    loadBackupDataset,
+    rollbackBackupDataset,
+    resolveDatasetPath,
+    getBackupSwapStatus,
     querySuggestRAM,
+    querySuggestFuzzy,
     getFromBackupByLabelerProduct,
+    getFromBackupByPackage,
+    listBackupPackagesByLabelerProduct,
     mapBackupRow,
+    getBackupDatasetInfo,
+    eachBackupRow,
 } from './sqlite-backup.js';
+import { normalizeDrugRecord, diffRecords, toFlag } from './ndc-compare.js';
+import { initTeCodeDb, isTeCodeReady, findAlternatives } from './te-codes.js';
+import { parseCsv, toCsv } from './csv.js';
+import { withTransaction } from './db-transaction.js';
+import { decodeBarcode } from './barcode.js';
+import { markLasaPairs } from './lasa.js';
+import { syncNdcFts, isNdcFtsReady, searchNdcFts } from './ndc-fts.js';
+import { facetedSearch } from './faceted-search.js';
+import { derivePackageCandidates, dashed10FormsFrom11, packageFieldsFromRow } from './ndc-package.js';
+import { recordAudit, queryAudit, AUDIT_CSV_COLUMNS } from './audit-log.js';
+import { stripLeadingZeros, deriveLabelerProductCandidates, to11FromDashed10 } from './ndc-normalize.js';
+import { runMigrations, migrationStatus } from './migrate.js';
+import { trackSourceChanges, eachRowOf, listChanges, ndcHistory, lastChangeAt } from './ndc-changes.js';
+import { createSource, raceSources, callWithin, settleWithin } from './lookup-sources.js';
+import { mergeSourceRecords, refreshSourceConflicts, listSourceConflicts } from './ndc-merge.js';
+import { createUpstreamProxy } from './upstream-proxy.js';
+import { rxnormForNdc, rxnormKeysFor, ndcsForRxcui, latestRxnormImport } from './rxnorm.js';
+import {
+    validateWatchInput, listWatches, addWatch, updateWatchNote, removeWatch, raiseWatchAlerts,
+    listAlerts, unreadAlertCount, markAlertsRead,
+} from './watchlists.js';
+import { createAlertDelivery } from './alert-delivery.js';
+import { parseGpi, gpiSummary, ndcsUnderGpi, inheritedGpiComments } from './gpi.js';
+import { parseStrength } from './strength.js';
+import { syncNdcStrengths } from './ndc-strengths.js';
 
 // Auth
-import { requireAuth } from './middleware/requireAuth.js';
+import { requireAuth, optionalAuth, isOrgMemberSession } from './middleware/requireAuth.js';
+import { initAuth, describeAuth, devVerifier } from './auth/tokenVerifier.js';
 import { requirePermission } from './middleware/requirePermission.js';
+import { requestId } from './middleware/requestId.js';
+import { apiKeyAuth, requireApiKeyScope } from './middleware/apiKey.js';
+import { validateApiKeyInput, createApiKey, revokeApiKey, listApiKeys, getApiKey, apiKeyUsage } from './api-keys.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 /* ---------------- Security / debug headers ---------------- */
 app.disable('x-powered-by');
+// Render sits behind one proxy hop; set TRUST_PROXY so req.ip (audit log) is the client address
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+app.use(requestId());
 app.use((req, res, next) => {
     res.set(
         'x-build',
@@ -36,10 +79,16 @@ app.use((req, res, next) => {
 
 /* ---------------- Tunables (env) ---------------- */
 const DEADLINE_MS = Number(process.env.NDC_BACKUP_DEADLINE_MS || 200);
+const SOURCE_TIMEOUT_MS = Number(process.env.NDC_SOURCE_TIMEOUT_MS || 2000);
 const SUGGEST_LIMIT = Number(process.env.NDC_SUGGEST_LIMIT || 250000);
 const MIN_DIGITS = Number(process.env.NDC_SUGGEST_MIN_DIGITS || 6);
 const ENABLE_TEXT = /^true$/i.test(process.env.NDC_SUGGEST_ENABLE_TEXT || 'false');
 const MIN_TEXT = Number(process.env.NDC_SUGGEST_MIN_TEXT || 3);
+const COMPARE_MAX = Number(process.env.NDC_COMPARE_MAX || 25);
+const BATCH_MAX = Number(process.env.NDC_BATCH_MAX || 1000);
+const AUDIT_EXPORT_MAX = Number(process.env.AUDIT_EXPORT_MAX || 50000);
+const CHANGES_EXPORT_MAX = Number(process.env.CHANGES_EXPORT_MAX || 50000);
+const CHANGE_TRACKING = !/^false$/i.test(process.env.NDC_CHANGE_TRACKING || 'true');
 
 /* ---------------- CORS ---------------- */
 const allowedOrigins = (process.env.CORS_ORIGINS || '')
@@ -55,84 +104,45 @@ app.use(
             return cb(new Error(`Not allowed by CORS: ${origin}`));
         },
         methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'X-API-Key'],
+        exposedHeaders: ['X-Request-Id', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Quota-Limit', 'X-Quota-Remaining'],
         credentials: true,
         maxAge: 86400,
     })
 );
 app.options('*', (_req, res) => {
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id, X-API-Key');
     res.sendStatus(204);
 });
 
 app.use(express.json());
+// Machine clients: a presented API key is checked, rate-limited and counted before any route runs
+app.use(apiKeyAuth(() => db));
+// Public data routes stay anonymous; an API key must carry ndc:read to use them
+const requireNdcRead = requireApiKeyScope('ndc:read');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /* ---------------- DB ---------------- */
-let dbPath = '/data/merged_ndc_all_records.sqlite';
-if (!fs.existsSync(dbPath)) {
+let dbPath = process.env.NDC_DB_PATH || '/data/merged_ndc_all_records.sqlite';
+if (process.env.NDC_DB_PATH) {
+    console.log('✅ Using NDC_DB_PATH:', dbPath);
+} else if (!fs.existsSync(dbPath)) {
     dbPath = path.join(__dirname, 'merged_ndc_all_records.sqlite');
     console.warn('⚠️ Persistent disk not found, using local DB:', dbPath);
 } else {
     console.log('✅ Using persistent disk DB path');
 }
 
+// `db` serves requests (reads, single-statement writes); every multi-statement transaction (comments,
+// change tracking, index syncs) runs on `txDb` through withTransaction, so no request statement is ever
+// swept into a transaction that is open on the connection it shares (db-transaction.js)
 let db;
+let txDb;
+const DB_BUSY_TIMEOUT_MS = Number(process.env.NDC_DB_BUSY_TIMEOUT_MS || 30000);
 
 /* ---------------- helpers ---------------- */
-const stripLeadingZeros = (v) => String(v || '').replace(/^0+/, '') || '0';
-
-function deriveLabelerProductCandidates(input) {
-    if (!input) return [];
-    const raw = String(input).trim();
-    const digits = raw.replace(/\D/g, '');
-    const out = [];
-    const push = (a, b) => out.push(`${stripLeadingZeros(a)}-${stripLeadingZeros(b)}`);
-
-    // dashed
-    const parts = raw.split('-');
-    if (parts.length === 3 && parts.every(p => /^\d+$/.test(p))) {
-        const [a, b, c] = parts;
-        const la = a.length, lb = b.length, lc = c.length;
-        if (
-            (la === 5 && lb === 4 && lc === 2) || // 5-4-2
-            (la === 4 && lb === 4 && lc === 2) || // 4-4-2
-            (la === 5 && lb === 3 && lc === 2) || // 5-3-2
-            (la === 5 && lb === 4 && lc === 1)    // 5-4-1
-        ) {
-            push(a, b);
-            return Array.from(new Set(out));
-        }
-        push(a, b);
-        return Array.from(new Set(out));
-    }
-
-    // contiguous
-    if (digits.length === 11) { push(digits.slice(0, 5), digits.slice(5, 9)); return Array.from(new Set(out)); }
-    if (digits.length === 10) {
-        push(digits.slice(0, 4), digits.slice(4, 8));
-        push(digits.slice(0, 5), digits.slice(5, 8));
-        push(digits.slice(0, 5), digits.slice(5, 9));
-        return Array.from(new Set(out));
-    }
-    if (digits.length >= 9) push(digits.slice(0, 5), digits.slice(5, 9));
-    return Array.from(new Set(out));
-}
-
-// 10-digit dashed → 11-digit (no dashes)
-function to11FromDashed10(ndc10) {
-    const m = String(ndc10 || '').match(/^(\d+)-(\d+)-(\d+)$/);
-    if (!m) return null;
-    let [, a, b, c] = m;
-    if (a.length === 4 && b.length === 4 && c.length === 2) a = a.padStart(5, '0');
-    else if (a.length === 5 && b.length === 3 && c.length === 2) b = b.padStart(4, '0');
-    else if (a.length === 5 && b.length === 4 && c.length === 1) c = c.padStart(2, '0');
-    else if (!(a.length === 5 && b.length === 4 && c.length === 2)) return null;
-    return `${a}${b}${c}`;
-}
-
 function variantsForSearch(q) {
     const s = String(q || '').trim();
     const d = s.replace(/\D/g, '');
@@ -157,12 +167,24 @@ function getNameFromReq(req) {
     const email = getEmailFromReq(req);
     return String(req.user?.name || req.user?.nickname || email || '');
 }
-function requireExactCareDomain(req, res, next) {
-    const email = getEmailFromReq(req);
-    if (!email.endsWith('@exactcarepharmacy.com')) {
+function getPermissionsFromReq(req) {
+    return Array.isArray(req.user?.permissions)
+        ? req.user.permissions
+        : Array.isArray(req.user?.claims?.permissions)
+            ? req.user.claims.permissions
+            : [];
+}
+// Org membership (email domain or org_id claim) is resolved by auth/tokenVerifier.js from AUTH_CONFIG / AUTH_ALLOWED_*.
+// People also need an email (comments, watchlists and users rows are keyed by it); only API keys let in
+// by requireAuth({ allowApiKey: true }) pass without one.
+function requireOrgMember(req, res, next) {
+    if (!req.user?.org) {
         return res.status(403).json({ error: 'Unauthorized domain' });
     }
-    req.userEmail = email;
+    if (!req.user.apiKey && !getEmailFromReq(req)) {
+        return res.status(403).json({ error: 'A user login with an email is required' });
+    }
+    req.userEmail = getEmailFromReq(req);
     req.userName = getNameFromReq(req);
     next();
 }
@@ -171,35 +193,37 @@ function requireExactCareDomain(req, res, next) {
 async function startServer() {
     try {
         db = await open({ filename: dbPath, driver: sqlite3.Database });
+        txDb = await open({ filename: dbPath, driver: sqlite3.Database });
+        // Writers on one connection wait out a transaction open on the other instead of failing with SQLITE_BUSY
+        for (const conn of [db, txDb]) conn.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
         console.log('✅ SQLite DB connected:', dbPath);
 
-        await db.exec(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        email TEXT UNIQUE NOT NULL,
-        displayName TEXT,
-        isApprovedCommenter INTEGER NOT NULL DEFAULT 0,
-        createdAt TEXT NOT NULL DEFAULT (datetime('now'))
-      );
-    `);
-
-        await db.exec(`
-      CREATE TABLE IF NOT EXISTS comments (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        normalizedNDC TEXT,
-        gpiCode TEXT,
-        scope TEXT NOT NULL CHECK (scope IN ('ndc','gpi')),
-        comment TEXT NOT NULL,
-        author TEXT NOT NULL,
-        createdAt TEXT NOT NULL DEFAULT (datetime('now'))
-      );
-      CREATE INDEX IF NOT EXISTS idx_comments_ndc   ON comments (normalizedNDC);
-      CREATE INDEX IF NOT EXISTS idx_comments_gpi   ON comments (gpiCode);
-      CREATE INDEX IF NOT EXISTS idx_comments_scope ON comments (scope);
-    `);
-
-        await initSqliteBackup();
-        await buildSuggestIndex({ limit: SUGGEST_LIMIT });
+        // Schema lives in migrations/; MIGRATE_ON_START=false leaves applying them to `npm run migrate`
+        if (/^false$/i.test(process.env.MIGRATE_ON_START || 'true')) {
+            const status = await migrationStatus(db);
+            if (status.unknown.length || status.pending.length) {
+                throw new Error(
+                    `Schema version ${status.current} does not match code (latest ${status.latest}); run npm run migrate`
+                );
+            }
+        } else {
+            await runMigrations(db);
+        }
+
+        const auth = await initAuth().then(describeAuth);
+        if (auth.verifiers.length) {
+            console.log('🔐 Token verifiers:', auth.verifiers.map(v => `${v.type}${v.issuer ? ` (${v.issuer})` : ''}`).join(', '), '— orgs:', auth.orgs.join(', '));
+        } else {
+            console.warn('⚠️ No token verifiers configured (AUTH_CONFIG / AUTH_VERIFIERS); signed-in routes will answer 401');
+        }
+
+        await syncNdcFts(txDb).catch(e => console.warn('⚠️ FTS index unavailable, using LIKE fallback:', e?.message || e));
+        await syncNdcStrengths(txDb).catch(e => console.warn('⚠️ Strength index unavailable, strength filters disabled:', e?.message || e));
+        await initSqliteBackup({ limit: SUGGEST_LIMIT });
+        await trackDatasetChanges().catch(e => console.warn('⚠️ Change tracking failed:', e?.message || e));
+        await initTeCodeDb(path.join(__dirname, 'fda_merged_tecode.sqlite')).catch(e =>
+            console.warn('⚠️ TE-code DB unavailable:', e?.message || e)
+        );
 
         app.listen(PORT, () => {
             console.log(`🚀 Server listening on ${PORT}`);
@@ -212,39 +236,199 @@ async function startServer() {
 }
 startServer();
 
-/* ---------------- Assisted lookup ---------------- */
-app.get(['/ndc-lookup', '/ndc-lookup2'], async (req, res) => {
-    const raw = req.query.ndc || '';
-    const candidates = deriveLabelerProductCandidates(raw);
-    if (!candidates.length) return res.status(400).json({ error: 'Invalid NDC format' });
+/* ---------------- Change tracking ---------------- */
+// Watchlist alerts go to ALERT_WEBHOOK_URL (signed with ALERT_WEBHOOK_SECRET) or, as a local stand-in,
+// to files in ALERT_OUTBOX_DIR; with neither they are only listed in-app (/me/alerts)
+const alertDelivery = createAlertDelivery({
+    webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+    webhookSecret: process.env.ALERT_WEBHOOK_SECRET || null,
+    outboxDir: process.env.ALERT_OUTBOX_DIR || null,
+    timeoutMs: Number(process.env.ALERT_DELIVERY_TIMEOUT_MS || 5000),
+});
 
-    try {
-        let drug = null;
-        for (const lp of candidates) {
-            const row = await db.get(`SELECT * FROM ndc_data WHERE normalizedNDC = ?`, [lp]);
-            if (row) { drug = row; break; }
+// Diff primary ndc_data and the backup snapshot against what we saw last time (ndc-changes.js)
+async function trackDatasetChanges() {
+    if (!CHANGE_TRACKING) return null;
+    const out = {};
+    out.primary = await trackSourceChanges(txDb, 'primary', eachRowOf(txDb, `SELECT * FROM ndc_data`));
+    const dataset = getBackupDatasetInfo();
+    if (dataset) {
+        out.backup = await trackSourceChanges(txDb, 'backup', eachBackupRow, { versionId: dataset.versionId });
+    }
+    for (const r of Object.values(out)) {
+        console.log(
+            `[ndc-changes] ${r.source}: ${r.baseline ? `baseline of ${r.recordCount}` : `+${r.added} -${r.removed} ~${r.changed}`} in ${r.ms}ms`
+        );
+    }
+    // The primary/backup conflict report is read off the same tracked state (ndc-merge.js)
+    const c = out.conflicts = await refreshSourceConflicts(txDb);
+    console.log(`[ndc-merge] ${c.conflicts} conflicting field(s) across ${c.ndcs} NDC(s) (+${c.added} -${c.resolved})`);
+
+    const a = out.alerts = await raiseWatchAlerts(txDb, [out.primary?.snapshotId, out.backup?.snapshotId]);
+    if (a.created) console.log(`[watchlists] ${a.created} alert(s) for ${a.users} user(s) from ${a.changes} status change(s)`);
+    alertDelivery.deliverPending(db); // in the background; failures are kept for the next run
+    return out;
+}
+
+/* ---------------- Resolution ---------------- */
+// Primary ndc_data and the SQLite backup are queried in parallel under per-source circuit
+// breakers; primary wins unless it misses the deadline (lookup-sources.js).
+const SOURCE_OPTIONS = {
+    timeoutMs: SOURCE_TIMEOUT_MS,
+    failureThreshold: Number(process.env.NDC_BREAKER_FAILURES || 5),
+    cooldownMs: Number(process.env.NDC_BREAKER_COOLDOWN_MS || 30000),
+};
+const lookupSources = { primary: createSource('primary', SOURCE_OPTIONS), backup: createSource('backup', SOURCE_OPTIONS) };
+const MATCH_RANK = { product: 1, package: 2 };
+
+// Exact package match (11-digit candidates), then labeler-product in candidate order.
+async function resolveFromPrimary(ndc11Candidates, candidates) {
+    for (const ndc11 of ndc11Candidates) {
+        const forms = dashed10FormsFrom11(ndc11);
+        const row = await db.get(`SELECT * FROM ndc_data WHERE ndc IN (${forms.map(() => '?').join(',')})`, forms);
+        if (row) return { drug: { ...row, ...packageFieldsFromRow(row), ndc11 }, match: 'package' };
+    }
+    for (const lp of candidates) {
+        const row = await db.get(`SELECT * FROM ndc_data WHERE normalizedNDC = ?`, [lp]);
+        if (row) return { drug: row, match: 'product' };
+    }
+    return null;
+}
+
+async function resolveFromBackup(ndc11Candidates, candidates) {
+    for (const ndc11 of ndc11Candidates) {
+        const b = await getFromBackupByPackage(dashed10FormsFrom11(ndc11));
+        if (b) return { drug: { ...mapBackupRow(b, deriveLabelerProductCandidates(ndc11)[0]), ndc11 }, match: 'package' };
+    }
+    for (const lp of candidates) {
+        const b = await getFromBackupByLabelerProduct(lp);
+        if (b) return { drug: mapBackupRow(b, lp), match: 'product' };
+    }
+    return null;
+}
+
+/**
+ * Race both sources for one NDC. A package match beats a product match from the other source
+ * if it arrives before the deadline. The winner is merged with the other source's record
+ * (ndc-merge.js: _provenance, _conflicts) and enriched from RxNorm. Returns { drug, match, lookup } (drug null when not found);
+ * lookup.unavailable is set when neither source actually answered (errors, timeouts, open breakers).
+ */
+async function resolveNdc({ ndc11Candidates = [], candidates }) {
+    const t0 = Date.now();
+    // Without a full NDC a product match is the best any source can do, so the first one ends the race
+    const maxRank = ndc11Candidates.length ? MATCH_RANK.package : MATCH_RANK.product;
+    const race = await raceSources({
+        primary: { source: lookupSources.primary, fn: () => resolveFromPrimary(ndc11Candidates, candidates) },
+        backup: { source: lookupSources.backup, fn: () => resolveFromBackup(ndc11Candidates, candidates) },
+    }, { deadlineMs: DEADLINE_MS, rank: (v) => MATCH_RANK[v.match], maxRank });
+
+    let { drug = null, match = null } = race.value || {};
+    const lookup = {
+        answeredBy: race.answeredBy,
+        deadlineFired: race.deadlineFired,
+        deadlineMs: DEADLINE_MS,
+        sources: race.sources,
+    };
+    if (!drug && !Object.values(race.sources).some(s => s.status === 'hit' || s.status === 'miss')) lookup.unavailable = true;
+
+    if (drug) {
+        // Merge in the other source's record for the same product: the race already asked it, so use that
+        // answer (waiting out what is left of the deadline at most). Only when it matched another candidate
+        // product is it asked again, by labeler-product.
+        const other = race.answeredBy === 'primary' ? 'backup' : 'primary';
+        const lp = normalizeDrugRecord(drug).normalizedNDC;
+        let companion = await settleWithin(race.calls[other], DEADLINE_MS - (Date.now() - t0));
+        if (companion.value && normalizeDrugRecord(companion.value.drug).normalizedNDC !== lp) {
+            const resolveOther = other === 'primary' ? resolveFromPrimary : resolveFromBackup;
+            companion = lp
+                ? await callWithin(lookupSources[other], () => resolveOther([], [lp]), DEADLINE_MS - (Date.now() - t0))
+                : { status: 'miss', value: null };
         }
+        const otherDrug = companion.value?.drug || null;
+        // Package fields only line up when both sources found the same package
+        const samePackage = match === 'package' && companion.value?.match === 'package' && otherDrug.ndc11 === drug.ndc11;
+        const packageFrom = samePackage ? null : race.answeredBy;
+        drug = other === 'backup'
+            ? mergeSourceRecords(drug, otherDrug, { packageFrom })
+            : mergeSourceRecords(otherDrug, drug, { packageFrom });
+        lookup.merge = { source: other, status: companion.status };
 
-        if (!drug) {
-            for (const lp of candidates) {
-                const b = await getFromBackupByLabelerProduct(lp);
-                if (b) { drug = mapBackupRow(b, lp); break; }
+        // Local RxNorm (rxnorm.js): rxcui for every record, plus ingredients and brand/generic links.
+        // Optional: missing tables (MIGRATE_ON_START=false) or a failing query just leave it out.
+        const rx = await rxnormForNdc(db, rxnormKeysFor(drug)).catch(e => {
+            console.warn('[rxnorm] lookup failed:', e?.message || e);
+            return null;
+        });
+        if (rx) {
+            drug.rxnorm = rx;
+            if (!drug.rxcui) {
+                drug.rxcui = rx.rxcui;
+                drug._provenance.rxcui = 'rxnorm';
+            } else if (String(drug.rxcui) !== rx.rxcui) {
+                // the record's rxcui may come from either source (see _provenance.rxcui)
+                drug._conflicts.push({ field: 'rxcui', record: drug.rxcui, rxnorm: rx.rxcui });
             }
         }
+    }
+    return { drug, match, lookup };
+}
 
-        if (!drug) return res.status(404).json({ error: 'NDC not found' });
+// Every candidate that resolves on its own, for ambiguity reporting.
+async function resolveEachCandidate(candidates) {
+    const matches = [];
+    let unavailable = false;
+    for (const lp of candidates) {
+        const { drug, lookup } = await resolveNdc({ candidates: [lp] });
+        if (drug) matches.push({ candidate: lp, drug });
+        else if (lookup.unavailable) unavailable = true;
+    }
+    return { matches, unavailable: unavailable && !matches.length };
+}
 
-        const email = getEmailFromReq(req);
-        const canSeeComments = email.endsWith('@exactcarepharmacy.com');
-        const payload = { ...drug, _source: drug._source || 'primary-db', comments: [] };
+/* ---------------- Assisted lookup ---------------- */
+// ?ndc=<any NDC format>  or  ?barcode=<UPC-A | GTIN-14 | GS1 DataMatrix string>
+app.get(['/ndc-lookup', '/ndc-lookup2'], optionalAuth(), requireNdcRead, async (req, res) => {
+    let raw = req.query.ndc || '';
+    let barcode = null;
+    if (req.query.barcode) {
+        try {
+            barcode = decodeBarcode(req.query.barcode);
+        } catch (e) {
+            return res.status(400).json({ error: 'Invalid barcode', detail: e.message });
+        }
+        raw = barcode.ndc10Digits;
+    }
+    const candidates = deriveLabelerProductCandidates(raw);
+    if (!candidates.length) return res.status(400).json({ error: 'Invalid NDC format' });
+
+    try {
+        const { drug, match, lookup } = await resolveNdc({ ndc11Candidates: derivePackageCandidates(raw), candidates });
+        if (!drug && lookup.unavailable) {
+            return res.status(503).json({ error: 'NDC sources unavailable', _lookup: lookup, ...(barcode && { barcode }) });
+        }
+        if (!drug) return res.status(404).json({ error: 'NDC not found', ...(barcode && { barcode }) });
+
+        const canSeeComments = isOrgMemberSession(req.user);
+        const payload = { ...drug, _source: drug._source || 'primary-db', _match: match, _lookup: lookup, comments: [], gpiComments: [] };
+        if (barcode) payload.barcode = barcode;
 
+        payload.gpiHierarchy = parseGpi(drug.gpi);
+        payload.structuredStrength = parseStrength(drug.strength ?? drug.strengthText);
+        payload.lastChangedAt = await lastChangeAt(db, raw);
         if (canSeeComments) {
+            // Comments on the drug's GPI and every ancestor level (group, class, ...) apply to this NDC too
+            payload.gpiComments = payload.gpiHierarchy ? await inheritedGpiComments(db, payload.gpiHierarchy.gpi) : [];
             payload.comments = await db.all(
                 `SELECT * FROM comments
-         WHERE scope='ndc' AND normalizedNDC IN (${candidates.map(() => '?').join(',')})
+         WHERE scope='ndc' AND deletedAt IS NULL AND normalizedNDC IN (${candidates.map(() => '?').join(',')})
          ORDER BY createdAt DESC`,
                 candidates
             ) || [];
+            // comments.createdAt is "YYYY-MM-DD HH:MM:SS" (UTC); change times are ISO
+            const lastComment = payload.comments[0]?.createdAt;
+            payload.changedSinceLastComment = Boolean(
+                lastComment && payload.lastChangedAt && payload.lastChangedAt > `${lastComment.replace(' ', 'T')}Z`
+            );
         }
 
         res.json(payload);
@@ -254,126 +438,595 @@ app.get(['/ndc-lookup', '/ndc-lookup2'], async (req, res) => {
     }
 });
 
-/* ---------------- Suggest API ---------------- */
-app.get('/search-ndc', async (req, res) => {
-    const q = (req.query.q || '').trim();
-    const digitsOnly = q.replace(/\D/g, '');
-    const lettersOnly = q.replace(/[^a-z]/gi, '');
+/* ---------------- Packages ---------------- */
+// :labelerProduct is "527-3060" / "00527-3060", or any full NDC of the product
+app.get('/products/:labelerProduct/packages', requireNdcRead, async (req, res) => {
+    const raw = String(req.params.labelerProduct || '').trim();
+    const lpMatch = raw.match(/^(\d{1,5})-(\d{1,4})$/);
+    const candidates = lpMatch
+        ? [`${stripLeadingZeros(lpMatch[1])}-${stripLeadingZeros(lpMatch[2])}`]
+        : deriveLabelerProductCandidates(raw);
+    if (!candidates.length) return res.status(400).json({ error: 'Invalid labeler-product format' });
 
-    const allow = digitsOnly.length >= MIN_DIGITS || (ENABLE_TEXT && lettersOnly.length >= MIN_TEXT);
-    if (!allow) return res.json({ results: [], _skipped: true, minDigits: MIN_DIGITS });
+    try {
+        for (const lp of candidates) {
+            const primaryRows = await db.all(`SELECT * FROM ndc_data WHERE normalizedNDC = ? ORDER BY ndc`, [lp]);
+            const backupRows = await listBackupPackagesByLabelerProduct(lp);
+            if (!primaryRows.length && !backupRows.length) continue;
 
-    const variants = variantsForSearch(q);
+            const backupByNdc11 = new Map(
+                backupRows.map(b => [derivePackageCandidates(b.NDCPACKAGECODE)[0] || b.NDCPACKAGECODE, b])
+            );
+            const byNdc11 = new Map();
+            for (const row of primaryRows) {
+                const ndc11 = derivePackageCandidates(row.ndc)[0] || row.ndc;
+                const pkgRow = row.packageDescription ? row : backupByNdc11.get(ndc11) || row;
+                byNdc11.set(ndc11, { ...row, ...packageFieldsFromRow(pkgRow), ndc11, _source: 'primary-db' });
+            }
+            for (const [ndc11, b] of backupByNdc11) {
+                if (!byNdc11.has(ndc11)) byNdc11.set(ndc11, { ...mapBackupRow(b, lp), ndc11 });
+            }
+
+            const packages = Array.from(byNdc11.values());
+            return res.json({ labelerProduct: lp, count: packages.length, packages });
+        }
+        res.status(404).json({ error: 'Product not found', candidates });
+    } catch (err) {
+        console.error('❌ /products/:labelerProduct/packages error:', err);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+/* ---------------- Compare ---------------- */
+// POST /compare { ndcs: ["00527-3060-01", "527306001", ...] }
+app.post('/compare', requireNdcRead, async (req, res) => {
+    const list = req.body?.ndcs;
+    if (!Array.isArray(list) || list.length < 2) {
+        return res.status(400).json({ error: 'Provide at least 2 NDCs in "ndcs"' });
+    }
+    if (list.length > COMPARE_MAX) {
+        return res.status(400).json({ error: `Too many NDCs (max ${COMPARE_MAX})` });
+    }
 
     try {
-        const seen = new Set();
-        const ramResults = [];
-        for (const v of variants) {
-            const list = querySuggestRAM(v, { limit: 12 });
-            for (const r of list) {
-                const key = r.ndc10 || `${r.lp}:${r.brand}:${r.generic}`;
-                if (!seen.has(key)) {
-                    seen.add(key);
-                    const ndc10 = r.ndc10 || null;
-                    const ndc11 = ndc10 ? to11FromDashed10(ndc10) : null;
-                    ramResults.push({
-                        ndc: ndc10,
-                        ndc11,
-                        brandName: r.brand || null,
-                        genericName: r.generic || null,
-                        strength: r.strength ?? null,
-                    });
-                }
+        const items = [];
+        for (const input of list) {
+            const candidates = deriveLabelerProductCandidates(input);
+            if (!candidates.length) {
+                items.push({ input, status: 'invalid', candidates, record: null });
+                continue;
             }
-            if (ramResults.length >= 12) break;
+            const { drug, lookup } = await resolveNdc({ candidates });
+            items.push({
+                input,
+                status: drug ? 'found' : lookup.unavailable ? 'unavailable' : 'not_found',
+                candidates,
+                record: drug ? { ...normalizeDrugRecord(drug), structuredStrength: parseStrength(drug.strength ?? drug.strengthText) } : null,
+            });
         }
-        if (ramResults.length > 0) return res.json({ results: ramResults.slice(0, 12), _source: 'ram' });
+
+        const found = items.filter(i => i.record).map(i => i.record);
+        res.json({ items, diff: diffRecords(found) });
     } catch (err) {
-        console.error('❌ /search-ndc RAM error:', err);
+        console.error('❌ /compare error:', err);
+        res.status(500).json({ error: 'Internal error' });
     }
+});
+
+/* ---------------- Batch lookup ---------------- */
+const BATCH_CSV_COLUMNS = [
+    'row', 'input', 'status', 'candidate', 'candidates', 'ndc', 'normalizedNDC', 'brandName', 'genericName',
+    'substanceName', 'strength', 'dosageForm', 'route', 'deaClass', 'gpi', '_source',
+];
+
+// JSON: ["..."] or { ndcs: [...] }; CSV: text/csv body with an NDC column (?column= to pick one).
+function batchInputsFromRequest(req) {
+    if (typeof req.body === 'string') {
+        const rows = parseCsv(req.body);
+        if (!rows.length) return [];
+        const header = rows[0].map(h => h.trim().toLowerCase());
+        const wanted = String(req.query.column || '').trim().toLowerCase();
+        let col = wanted ? header.indexOf(wanted) : header.findIndex(h => h.includes('ndc'));
+        if (col >= 0) return rows.slice(1).map(r => (r[col] || '').trim());
+        if (wanted) return null;
+        return rows.map(r => (r[0] || '').trim()); // headerless single-column file
+    }
+    const list = Array.isArray(req.body) ? req.body : req.body?.ndcs;
+    return Array.isArray(list) ? list.map(v => String(v ?? '').trim()) : null;
+}
+
+app.post(
+    '/ndc-lookup/batch',
+    requireNdcRead,
+    express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '2mb' }),
+    async (req, res) => {
+        const inputs = batchInputsFromRequest(req);
+        if (!inputs) return res.status(400).json({ error: 'Provide a JSON array of NDCs or a CSV with an NDC column' });
+        if (inputs.length > BATCH_MAX) return res.status(400).json({ error: `Too many rows (max ${BATCH_MAX})` });
+
+        try {
+            const cache = new Map();
+            const results = [];
+            for (const [i, input] of inputs.entries()) {
+                const candidates = deriveLabelerProductCandidates(input);
+                if (!candidates.length) {
+                    results.push({ row: i + 1, input, status: 'invalid_format', candidates, matches: [] });
+                    continue;
+                }
+                const key = candidates.join('|');
+                if (!cache.has(key)) cache.set(key, await resolveEachCandidate(candidates));
+                const resolved = cache.get(key);
+                const matches = resolved.matches.map(m => ({
+                    candidate: m.candidate,
+                    ...m.drug,
+                    _source: m.drug._source || 'primary-db',
+                }));
+                const status = resolved.unavailable ? 'unavailable'
+                    : matches.length === 0 ? 'not_found' : matches.length > 1 ? 'ambiguous' : 'found';
+                results.push({ row: i + 1, input, status, candidates, matches });
+            }
+
+            const summary = { total: results.length };
+            for (const r of results) summary[r.status] = (summary[r.status] || 0) + 1;
+
+            const wantsCsv = /^csv$/i.test(req.query.format || '') ||
+                (!req.query.format && req.accepts(['json', 'text/csv']) === 'text/csv');
+            if (!wantsCsv) return res.json({ summary, results });
+
+            const flat = [];
+            for (const r of results) {
+                const base = { row: r.row, input: r.input, status: r.status, candidates: r.candidates.join('|') };
+                if (!r.matches.length) { flat.push(base); continue; }
+                for (const m of r.matches) {
+                    const n = normalizeDrugRecord(m);
+                    flat.push({ ...base, ...n, candidate: m.candidate });
+                }
+            }
+            res.type('text/csv');
+            res.attachment('ndc-batch-results.csv');
+            res.send(toCsv(BATCH_CSV_COLUMNS, flat));
+        } catch (err) {
+            console.error('❌ /ndc-lookup/batch error:', err);
+            res.status(500).json({ error: 'Internal error' });
+        }
+    }
+);
+
+/* ---------------- Therapeutic alternatives ---------------- */
+app.get('/ndc/:ndc/alternatives', requireNdcRead, async (req, res) => {
+    const candidates = deriveLabelerProductCandidates(req.params.ndc);
+    if (!candidates.length) return res.status(400).json({ error: 'Invalid NDC format' });
+    if (!isTeCodeReady()) return res.status(503).json({ error: 'TE-code database not loaded' });
 
     try {
-        const digitVariants = Array.from(
-            new Set(variants.map(v => v.replace(/\D/g, '')).filter(v => v && v.length >= 5))
-        );
+        const found = await findAlternatives(candidates);
+        if (!found) return res.status(404).json({ error: 'NDC not found in TE-code database' });
 
-        const likeDigitsParts = digitVariants.map(
-            () => `REPLACE(REPLACE(REPLACE(ndc, '-', ''), '.', ''), ' ', '') LIKE ?`
+        // Shortage / discontinued status lives in the primary DB
+        const lps = Array.from(new Set([found.reference, ...found.alternatives].map(a => a.normalizedNDC)));
+        const statusRows = await db.all(
+            `SELECT normalizedNDC, discontinuedStatus, shortageStatus FROM ndc_data
+       WHERE normalizedNDC IN (${lps.map(() => '?').join(',')})`,
+            lps
         );
-        const likeDigitsArgs = digitVariants.map(d => `%${d}%`);
+        const statusByLp = new Map((statusRows || []).map(r => [r.normalizedNDC, r]));
+        const withStatus = (a) => {
+            const st = statusByLp.get(a.normalizedNDC);
+            return {
+                ...a,
+                discontinued: a.discontinued || toFlag(st?.discontinuedStatus) === true,
+                shortage: toFlag(st?.shortageStatus) === true,
+            };
+        };
 
-        const likeRaw = `%${q.toLowerCase()}%`;
+        const groups = new Map();
+        for (const alt of found.alternatives.map(withStatus)) {
+            const key = alt.labeler || '(unknown labeler)';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(alt);
+        }
+        const labelers = Array.from(groups, ([labeler, products]) => ({
+            labeler,
+            hasABSubstitute: products.some(p => p.isABSubstitute),
+            products,
+        }));
 
-        const sql = `
-      SELECT ndc, brandName, genericName, strength
+        res.json({
+            input: req.params.ndc,
+            reference: withStatus(found.reference),
+            count: found.alternatives.length,
+            abSubstituteCount: found.alternatives.filter(a => a.isABSubstitute).length,
+            labelers,
+        });
+    } catch (err) {
+        console.error('❌ /ndc/:ndc/alternatives error:', err);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+/* ---------------- Suggest API ---------------- */
+// Pre-FTS fallback, used only when the FTS5 index couldn't be built
+async function likeSearchPrimary(q, variants, { limit, offset }) {
+    const digitVariants = Array.from(
+        new Set(variants.map(v => v.replace(/\D/g, '')).filter(v => v && v.length >= 5))
+    );
+
+    const likeDigitsParts = digitVariants.map(
+        () => `REPLACE(REPLACE(REPLACE(ndc, '-', ''), '.', ''), ' ', '') LIKE ?`
+    );
+    const likeDigitsArgs = digitVariants.map(d => `%${d}%`);
+
+    const likeRaw = `%${q.toLowerCase()}%`;
+
+    const sql = `
+      SELECT ndc, brandName, genericName, substanceName, strength
       FROM ndc_data
       WHERE
         (${likeDigitsParts.length ? likeDigitsParts.join(' OR ') : '0'})
         OR LOWER(brandName)      LIKE ?
         OR LOWER(genericName)    LIKE ?
         OR LOWER(substanceName)  LIKE ?
-      LIMIT 12
+      LIMIT ? OFFSET ?
     `;
 
-        const rows = await db.all(sql, [...likeDigitsArgs, likeRaw, likeRaw, likeRaw]);
+    return db.all(sql, [...likeDigitsArgs, likeRaw, likeRaw, likeRaw, limit, offset]);
+}
+
+// Typo-tolerant fallback: scored matches plus a "did you mean" name
+function fuzzySearchResults(q) {
+    const list = querySuggestFuzzy(q, { limit: 12 });
+    const results = list.map(r => ({
+        ndc: r.ndc10 || null,
+        ndc11: r.ndc10 ? to11FromDashed10(r.ndc10) : null,
+        brandName: r.brand || null,
+        genericName: r.generic || null,
+        substanceName: r.substance || null,
+        strength: r.strength ?? null,
+        score: r.score,
+        match: r.match,
+    }));
+    return { results, didYouMean: list[0]?.suggestion || null, lasaWarnings: markLasaPairs(results) };
+}
+
+app.get('/search-ndc', requireNdcRead, async (req, res) => {
+    const q = (req.query.q || '').trim();
+    const digitsOnly = q.replace(/\D/g, '');
+    const lettersOnly = q.replace(/[^a-z]/gi, '');
+
+    const allow = digitsOnly.length >= MIN_DIGITS || (ENABLE_TEXT && lettersOnly.length >= MIN_TEXT);
+    if (!allow) {
+        // NDC_SUGGEST_ENABLE_TEXT gates name search through the DB; the typo-tolerant match is
+        // RAM-only, so name queries still get it (and its did-you-mean) with the flag off
+        const fuzzy = lettersOnly.length >= MIN_TEXT ? fuzzySearchResults(q) : null;
+        if (fuzzy?.results.length) return res.json({ ...fuzzy, _source: 'ram-fuzzy' });
+        return res.json({ results: [], _skipped: true, minDigits: MIN_DIGITS });
+    }
+
+    const variants = variantsForSearch(q);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 12, 1), 100);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    // Fielded queries ("brand:lipitor form:tablet") and later pages go straight to the DB
+    const fielded = /(^|\s)\w+:\S/.test(q);
+
+    if (!fielded && offset === 0) {
+        try {
+            const seen = new Set();
+            const ramResults = [];
+            for (const v of variants) {
+                const list = querySuggestRAM(v, { limit });
+                for (const r of list) {
+                    const key = r.ndc10 || `${r.lp}:${r.brand}:${r.generic}`;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        const ndc10 = r.ndc10 || null;
+                        const ndc11 = ndc10 ? to11FromDashed10(ndc10) : null;
+                        ramResults.push({
+                            ndc: ndc10,
+                            ndc11,
+                            brandName: r.brand || null,
+                            genericName: r.generic || null,
+                            substanceName: r.substance || null,
+                            strength: r.strength ?? null,
+                            score: r.score ?? null,
+                            match: r.match || null,
+                        });
+                    }
+                }
+                if (ramResults.length >= limit) break;
+            }
+            if (ramResults.length > 0) {
+                const results = ramResults.slice(0, limit);
+                return res.json({ results, lasaWarnings: markLasaPairs(results), _source: 'ram' });
+            }
+        } catch (err) {
+            console.error('❌ /search-ndc RAM error:', err);
+        }
+    }
+
+    try {
+        let rows;
+        let hasMore = false;
+        let source = 'primary-db';
+        if (isNdcFtsReady()) {
+            ({ rows, hasMore } = await searchNdcFts(db, q, { limit, offset }));
+            source = 'primary-fts';
+        } else {
+            rows = await likeSearchPrimary(q, variants, { limit, offset });
+        }
+
         const results = (rows || []).map(row => {
             const ndc10 = row.ndc || null;
             const ndc11 = ndc10 ? to11FromDashed10(ndc10) : null;
-            return { ndc: ndc10, ndc11, brandName: row.brandName, genericName: row.genericName, strength: row.strength };
+            return {
+                ndc: ndc10,
+                ndc11,
+                brandName: row.brandName,
+                genericName: row.genericName,
+                substanceName: row.substanceName,
+                strength: row.strength,
+                // bm25 is lower-is-better; flip it so higher means a better match like elsewhere
+                score: row._rank != null ? Math.round(-row._rank * 1000) / 1000 : null,
+                match: row._rank != null ? 'fts' : 'contains',
+            };
         });
 
-        return res.json({ results, _source: 'primary-db' });
+        if (!results.length && offset === 0 && lettersOnly.length >= MIN_TEXT) {
+            const fuzzy = fuzzySearchResults(q);
+            if (fuzzy.results.length) return res.json({ ...fuzzy, _source: 'ram-fuzzy' });
+        }
+
+        return res.json({ results, lasaWarnings: markLasaPairs(results), limit, offset, hasMore, _source: source });
     } catch (err) {
         console.error('❌ /search-ndc primary-db error:', err);
         return res.status(500).json({ results: [], _source: 'error', _error: String(err?.message || err) });
     }
 });
 
+/* ---------------- Dataset changes ---------------- */
+const CHANGES_CSV_COLUMNS = [
+    'detectedAt', 'versionId', 'source', 'ndc', 'normalizedNDC', 'changeType', 'field', 'oldValue', 'newValue',
+];
+
+// GET /changes?since=2026-10-01&kind=discontinued|rescheduled&source=backup&type=&field=&ndc=&format=csv
+// ?format=csv (or Accept: text/csv) exports every matching row up to CHANGES_EXPORT_MAX.
+app.get('/changes', requireNdcRead, async (req, res) => {
+    const wantsCsv = /^csv$/i.test(req.query.format || '') ||
+        (!req.query.format && req.accepts(['json', 'text/csv']) === 'text/csv');
+    const limit = wantsCsv
+        ? Math.min(Math.max(Number(req.query.limit) || CHANGES_EXPORT_MAX, 1), CHANGES_EXPORT_MAX)
+        : Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    try {
+        const out = await listChanges(db, req.query, { limit, offset, raw: wantsCsv });
+        if (out.errors) return res.status(400).json({ error: 'Invalid filters', details: out.errors });
+        if (wantsCsv) {
+            res.type('text/csv');
+            res.attachment('ndc-changes.csv');
+            return res.send(toCsv(CHANGES_CSV_COLUMNS, out.rows));
+        }
+        res.json({ total: out.total, limit, offset, hasMore: offset + out.rows.length < out.total, changes: out.rows });
+    } catch (err) {
+        console.error('❌ /changes error:', err);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// Full package NDC → that package's history; labeler-product → every package of the product
+app.get('/ndc/:ndc/history', requireNdcRead, async (req, res) => {
+    try {
+        const out = await ndcHistory(db, req.params.ndc);
+        if (out.errors) return res.status(400).json({ error: out.errors[0] });
+        res.json({ ndc: req.params.ndc, total: out.total, changes: out.rows });
+    } catch (err) {
+        console.error('❌ /ndc/:ndc/history error:', err);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+/* ---------------- RxNorm ---------------- */
+// NDCs RxNorm maps to an RXCUI; ?history=true includes mappings that have since ended
+app.get('/rxcui/:rxcui/ndcs', requireNdcRead, async (req, res) => {
+    const rxcui = String(req.params.rxcui || '').trim();
+    if (!/^\d+$/.test(rxcui)) return res.status(400).json({ error: 'Invalid RXCUI' });
+    try {
+        const release = await latestRxnormImport(db);
+        if (!release) return res.status(503).json({ error: 'RxNorm has not been imported (npm run import:rxnorm)' });
+        const out = await ndcsForRxcui(db, rxcui, { history: /^true$/i.test(req.query.history || '') });
+        if (!out.concept && !out.ndcs.length) return res.status(404).json({ error: 'RXCUI not found', rxcui });
+        res.json({ rxcui, releaseDate: release.releaseDate, concept: out.concept, count: out.ndcs.length, ndcs: out.ndcs });
+    } catch (err) {
+        console.error('❌ /rxcui/:rxcui/ndcs error:', err);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+/* ---------------- GPI hierarchy ---------------- */
+// GET /gpi → drug groups; GET /gpi/:gpi → that prefix parsed, per-level counts and its children
+async function gpiRoute(req, res, value) {
+    const parsed = value === '' ? null : parseGpi(value);
+    if (value !== '' && !parsed) return res.status(400).json({ error: 'Invalid GPI (expected 2, 4, ... 14 characters)' });
+    try {
+        const summary = await gpiSummary(db, parsed?.gpi ?? '');
+        if (summary.error) return res.status(503).json({ error: 'GPI data unavailable', detail: summary.error });
+        if (parsed && !summary.totals.ndcs) return res.status(404).json({ error: 'No NDCs under this GPI', gpi: parsed });
+        res.json({ gpi: parsed, ...summary });
+    } catch (err) {
+        console.error('❌ /gpi error:', err);
+        res.status(500).json({ error: 'Internal error' });
+    }
+}
+app.get('/gpi', requireNdcRead, (req, res) => gpiRoute(req, res, ''));
+app.get('/gpi/:gpi', requireNdcRead, (req, res) => gpiRoute(req, res, req.params.gpi));
+
+// Every NDC under a GPI prefix: GET /gpi/:gpi/ndcs?limit=&offset=
+app.get('/gpi/:gpi/ndcs', requireNdcRead, async (req, res) => {
+    const parsed = parseGpi(req.params.gpi);
+    if (!parsed) return res.status(400).json({ error: 'Invalid GPI (expected 2, 4, ... 14 characters)' });
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    try {
+        const out = await ndcsUnderGpi(db, parsed.gpi, { limit, offset });
+        if (out.error) return res.status(503).json({ error: 'GPI data unavailable', detail: out.error });
+        res.json({ gpi: parsed, total: out.total, limit, offset, hasMore: offset + out.rows.length < out.total, ndcs: out.rows });
+    } catch (err) {
+        console.error('❌ /gpi/:gpi/ndcs error:', err);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+/* ---------------- Faceted search ---------------- */
+// GET /search?dosageForm=INJECTION&dea=CII&refrigerated=true&niosh=true&labeler=pfizer&gpi=2110&limit=&offset=
+// Strength compares normalized amounts: strength>=10mg, strength<=5mg/mL, strength=10-20mg (units convert: 0.5g = 500mg).
+// Multi-value: repeat a param or join values with "|".
+app.get('/search', requireNdcRead, async (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    try {
+        const out = await facetedSearch(db, req.query, { limit, offset });
+        if (out.errors) return res.status(400).json({ error: 'Invalid filters', details: out.errors });
+        res.json(out);
+    } catch (err) {
+        console.error('❌ /search error:', err);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
 /* ---------------- Health + admin ---------------- */
-app.get('/_health/ndc-backup', (_req, res) => {
+app.get('/_health/ndc-backup', async (_req, res) => {
+    const rxnorm = await latestRxnormImport(db).catch(() => null);
     res.json({
         ok: true,
-        backupPath: process.env.NDC_SQLITE_PATH || null,
+        backupPath: getBackupDatasetInfo()?.path ?? process.env.NDC_SQLITE_PATH ?? null,
+        dataset: getBackupDatasetInfo(),
+        swap: getBackupSwapStatus(),
         suggestLimit: SUGGEST_LIMIT,
         assistDeadlineMs: DEADLINE_MS,
+        sources: Object.values(lookupSources).map(s => s.snapshot()),
+        rxnorm: rxnorm && { releaseDate: rxnorm.releaseDate, importedAt: rxnorm.importedAt, counts: rxnorm.counts },
         suggestSize: globalThis.__NDC_SUGGEST_SIZE__ ?? null,
+        teCodeLoaded: isTeCodeReady(),
+        primaryFts: isNdcFtsReady(),
     });
 });
 
+// Per-source breaker state and latency/error counters for the lookup race
+app.get('/_health/sources', (_req, res) => {
+    const sources = Object.values(lookupSources).map(s => s.snapshot());
+    res.json({ ok: sources.some(s => s.breaker.state !== 'open'), deadlineMs: DEADLINE_MS, sources });
+});
+
+// Where watchlist alerts are pushed and how that is going
+app.get('/_health/alerts', (_req, res) => {
+    const delivery = alertDelivery.snapshot();
+    res.json({ ok: !delivery.target || !delivery.lastError, delivery });
+});
+
 app.get('/', (_req, res) => res.type('text').send('ok'));
 
-app.post('/admin/reload-ndc-backup/', async (req, res) => {
-    const expected = process.env.NDC_RELOAD_TOKEN || '';
-    const got = req.get('x-ndc-reload-token') || '';
-    if (!expected || got !== expected) return res.status(403).json({ ok: false, error: 'forbidden' });
-    try {
-        await initSqliteBackup();
-        await buildSuggestIndex({ limit: SUGGEST_LIMIT });
-        res.json({ ok: true, size: globalThis.__NDC_SUGGEST_SIZE__ ?? null });
-    } catch (e) {
-        console.error('reload-ndc-backup failed', e);
-        res.status(500).json({ ok: false });
+const RELOAD_ERROR_STATUS = { BUSY: 409, BAD_PATH: 400, VALIDATION_FAILED: 422, NO_PREVIOUS: 409 };
+
+// Token-guarded; every attempt (denied, failed, swapped) lands in the audit log
+// audit_log is append-only, so denials are not written per request: requests without a token aren't
+// audited at all, and wrong tokens at most once per IP per window (with the number of denials since).
+const RELOAD_DENIED_AUDIT_WINDOW_MS = 15 * 60_000;
+const reloadDenials = new Map(); // ip → { count, lastAuditAt }
+function reloadDenialToAudit(ip) {
+    const now = Date.now();
+    if (reloadDenials.size > 1000) {
+        for (const [k, v] of reloadDenials) if (now - v.lastAuditAt >= RELOAD_DENIED_AUDIT_WINDOW_MS) reloadDenials.delete(k);
     }
-});
+    const entry = reloadDenials.get(ip) || { count: 0, lastAuditAt: 0 };
+    entry.count++;
+    reloadDenials.set(ip, entry);
+    if (now - entry.lastAuditAt < RELOAD_DENIED_AUDIT_WINDOW_MS) return null;
+    const denials = entry.count;
+    entry.count = 0;
+    entry.lastAuditAt = now;
+    return denials;
+}
+
+function reloadRoute(action, run) {
+    return async (req, res) => {
+        const expected = process.env.NDC_RELOAD_TOKEN || '';
+        const got = req.get('x-ndc-reload-token') || '';
+        const audit = { actor: 'reload-token', targetType: 'dataset', targetId: 'ndc-backup' };
+        if (!expected || got !== expected) {
+            const denials = got ? reloadDenialToAudit(req.ip) : null;
+            if (denials) await recordAudit(db, req, { ...audit, action: `${action}.denied`, after: { denials } });
+            return res.status(403).json({ ok: false, error: 'forbidden' });
+        }
+        const before = getBackupDatasetInfo();
+        let swap;
+        try {
+            swap = await run(req);
+        } catch (e) {
+            const status = RELOAD_ERROR_STATUS[e.code] || 500;
+            if (status === 500) console.error(`${action} failed`, e);
+            await recordAudit(db, req, { ...audit, action: `${action}.failed`, before, after: { error: e.message, checks: e.checks } });
+            return res.status(status).json({ ok: false, error: e.message, ...(e.checks && { checks: e.checks }) });
+        }
+
+        // The new dataset is live from here on: follow-up failures are warnings, not a failed reload
+        const warnings = [];
+        const followUp = async (name, fn) => {
+            try {
+                return await fn();
+            } catch (e) {
+                console.error(`${action}: ${name} failed after the swap`, e);
+                warnings.push(`${name} failed: ${e?.message || e}`);
+                return null;
+            }
+        };
+        const fts = await followUp('full-text index sync', () => syncNdcFts(txDb));
+        const changes = await followUp('change tracking', () => trackDatasetChanges());
+        const after = { ...getBackupDatasetInfo(), size: globalThis.__NDC_SUGGEST_SIZE__ ?? null };
+        await recordAudit(db, req, {
+            ...audit, targetId: after.versionId || after.path, action, before,
+            after: { ...after, swap, ...(warnings.length && { warnings }) },
+        });
+        res.json({ ok: true, ...after, swap, fts, changes, ...(warnings.length && { warnings }) });
+    };
+}
+
+// Body (optional): { versionId } or { path } inside the dataset directory, { force } to accept
+// row-count / sample-lookup drift. The new dataset is staged and validated before it goes live.
+app.post('/admin/reload-ndc-backup/', reloadRoute('admin.reload', (req) => {
+    const target = resolveDatasetPath({ path: req.body?.path, versionId: req.body?.versionId });
+    if (!target) throw Object.assign(new Error('No dataset configured (NDC_SQLITE_PATH)'), { code: 'BAD_PATH' });
+    return loadBackupDataset(target, { limit: SUGGEST_LIMIT, force: req.body?.force === true });
+}));
+
+// Swap the dataset that was live before the last reload back in
+app.post('/admin/reload-ndc-backup/rollback', reloadRoute('admin.rollback', () => rollbackBackupDataset()));
 
 /* ---------------- Auth & comments ---------------- */
+// Local dev issuer (AUTH_VERIFIERS=dev): public keys only, tokens come from scripts/dev-token.js; 404 unless configured
+app.get('/auth/dev/jwks.json', async (_req, res) => {
+    const dev = await devVerifier().catch(() => null);
+    if (!dev) return res.status(404).json({ error: 'Dev issuer not enabled' });
+    res.json(dev.jwks);
+});
+
 // /me returns RBAC perms + booleans (with DB fallback for write)
-app.get('/me', requireAuth(), requireExactCareDomain, async (req, res) => {
+app.get('/me', requireAuth(), requireOrgMember, async (req, res) => {
     try {
+        const existing = await db.get('SELECT * FROM users WHERE email = ?', [req.userEmail]);
         await db.run(
-            `INSERT INTO users (email, displayName, isApprovedCommenter)
-       VALUES (?, ?, 0)
-       ON CONFLICT(email) DO NOTHING`,
+            `INSERT INTO users (email, displayName, isApprovedCommenter, lastSeenAt)
+       VALUES (?, ?, 0, datetime('now'))
+       ON CONFLICT(email) DO UPDATE SET lastSeenAt = datetime('now')`,
             [req.userEmail, req.userName]
         );
 
         const row = await db.get('SELECT * FROM users WHERE email = ?', [req.userEmail]);
+        // Only the first-visit insert is audited; lastSeenAt bumps would drown the log
+        if (!existing) await recordAudit(db, req, { action: 'user.create', targetType: 'user', targetId: row.email, after: row });
+        const request = await db.get(
+            `SELECT id, status, createdAt, decidedAt FROM commenter_requests WHERE email = ? ORDER BY id DESC LIMIT 1`,
+            [req.userEmail]
+        );
 
-        const perms = Array.isArray(req.user?.permissions)
-            ? req.user.permissions
-            : Array.isArray(req.user?.claims?.permissions)
-                ? req.user.claims.permissions
-                : [];
+        const perms = getPermissionsFromReq(req);
 
         const canPostComments = perms.includes('comment:write') || row?.isApprovedCommenter === 1;
         const canDeleteComments = perms.includes('comment:delete');
@@ -381,10 +1034,14 @@ app.get('/me', requireAuth(), requireExactCareDomain, async (req, res) => {
         res.json({
             email: req.userEmail,
             displayName: req.userName,
+            org: req.user.org,
             isApprovedCommenter: row?.isApprovedCommenter === 1,
             permissions: perms,
             canPostComments,
             canDeleteComments,
+            isUserAdmin: perms.includes('user:admin'),
+            commenterRequest: request || null,
+            unreadAlerts: await unreadAlertCount(db, req.userEmail),
         });
     } catch (e) {
         console.error('❌ /me error:', e);
@@ -392,20 +1049,68 @@ app.get('/me', requireAuth(), requireExactCareDomain, async (req, res) => {
     }
 });
 
-// GET /comments (by normalizedNDC or gpiCode)
-app.get('/comments', requireAuth(), requireExactCareDomain, async (req, res) => {
+// Ask to become an approved commenter; admins see it in /admin/commenter-requests
+app.post('/me/commenter-request', requireAuth(), requireOrgMember, async (req, res) => {
+    const reason = String(req.body?.reason || '').trim() || null;
+    try {
+        const user = await db.get('SELECT * FROM users WHERE email = ?', [req.userEmail]);
+        if (user?.isApprovedCommenter === 1 || getPermissionsFromReq(req).includes('comment:write')) {
+            return res.status(409).json({ error: 'Already allowed to comment' });
+        }
+        const pending = await db.get(
+            `SELECT * FROM commenter_requests WHERE email = ? AND status = 'pending'`,
+            [req.userEmail]
+        );
+        if (pending) return res.status(409).json({ error: 'Request already pending', request: pending });
+
+        await db.run(
+            `INSERT INTO users (email, displayName, isApprovedCommenter) VALUES (?, ?, 0)
+       ON CONFLICT(email) DO NOTHING`,
+            [req.userEmail, req.userName]
+        );
+        const result = await db.run(
+            `INSERT INTO commenter_requests (email, reason) VALUES (?, ?)`,
+            [req.userEmail, reason]
+        );
+        await recordCommenterAction(req.userEmail, 'request', req.userEmail, { note: reason, requestId: result.lastID });
+        const request = await db.get('SELECT * FROM commenter_requests WHERE id = ?', [result.lastID]);
+        await recordAudit(db, req, { action: 'commenter.request', targetType: 'user', targetId: req.userEmail, after: request });
+        res.status(201).json({ ok: true, request });
+    } catch (e) {
+        console.error('❌ POST /me/commenter-request error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// History row for a comment; the next revision number is taken inside the INSERT itself
+async function addCommentRevision(tx, commentId, action, actor, { comment = null, reason = null } = {}) {
+    await tx.run(
+        `INSERT INTO comment_revisions (commentId, revision, action, comment, reason, actor)
+     SELECT ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ? FROM comment_revisions WHERE commentId = ?`,
+        [commentId, action, comment, reason, actor, commentId]
+    );
+}
+
+// A comment change and its revision row commit together, on the transaction connection (db-transaction.js)
+const commentTransaction = (fn) => withTransaction(txDb, fn);
+
+// GET /comments (by normalizedNDC or gpiCode); ?includeDeleted=1 for comment:delete holders
+app.get('/comments', requireAuth(), requireOrgMember, async (req, res) => {
     const { normalizedNDC, gpiCode } = req.query;
+    const includeDeleted = /^(1|true)$/i.test(req.query.includeDeleted || '') &&
+        getPermissionsFromReq(req).includes('comment:delete');
+    const live = includeDeleted ? '' : 'AND deletedAt IS NULL';
     try {
         if (normalizedNDC) {
             const rows = await db.all(
-                `SELECT * FROM comments WHERE scope='ndc' AND normalizedNDC=? ORDER BY datetime(createdAt) DESC`,
+                `SELECT * FROM comments WHERE scope='ndc' AND normalizedNDC=? ${live} ORDER BY datetime(createdAt) DESC`,
                 [normalizedNDC.trim()]
             );
             return res.json(rows);
         }
         if (gpiCode) {
             const rows = await db.all(
-                `SELECT * FROM comments WHERE scope='gpi' AND gpiCode=? ORDER BY datetime(createdAt) DESC`,
+                `SELECT * FROM comments WHERE scope='gpi' AND gpiCode=? ${live} ORDER BY datetime(createdAt) DESC`,
                 [gpiCode.trim()]
             );
             return res.json(rows);
@@ -417,12 +1122,28 @@ app.get('/comments', requireAuth(), requireExactCareDomain, async (req, res) =>
     }
 });
 
+// Revision history (oldest first)
+app.get('/comments/:id/history', requireAuth(), requireOrgMember, async (req, res) => {
+    try {
+        const current = await db.get(`SELECT * FROM comments WHERE id = ?`, [req.params.id]);
+        if (!current) return res.status(404).json({ error: 'Comment not found' });
+        const revisions = await db.all(
+            `SELECT * FROM comment_revisions WHERE commentId = ? ORDER BY revision`,
+            [req.params.id]
+        );
+        res.json({ comment: current, revisions });
+    } catch (err) {
+        console.error('❌ GET /comments/:id/history error:', err);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
 // Create comment (RBAC OR DB-approved fallback)
 app.post(
     '/comments',
     requireAuth(),
-    requireExactCareDomain,
-    requirePermission('comment:write', true, db),
+    requireOrgMember,
+    requirePermission('comment:write', true, () => db),
     async (req, res) => {
         const { normalizedNDC, gpiCode, scope, comment } = req.body || {};
         if (!['ndc', 'gpi'].includes(scope)) return res.status(400).json({ error: 'Invalid scope' });
@@ -432,12 +1153,21 @@ app.post(
         const finalGpi = scope === 'gpi' ? (gpiCode || '').trim() : null;
 
         try {
-            await db.run(
-                `INSERT INTO comments (normalizedNDC, gpiCode, scope, comment, author)
+            const author = getEmailFromReq(req);
+            const result = await commentTransaction(async (tx) => {
+                const inserted = await tx.run(
+                    `INSERT INTO comments (normalizedNDC, gpiCode, scope, comment, author)
          VALUES (?, ?, ?, ?, ?)`,
-                [finalNdc, finalGpi, scope, comment, getEmailFromReq(req)]
-            );
-            res.status(201).json({ success: true });
+                    [finalNdc, finalGpi, scope, comment, author]
+                );
+                await addCommentRevision(tx, inserted.lastID, 'create', author, { comment });
+                return inserted;
+            });
+            await recordAudit(db, req, {
+                action: 'comment.create', targetType: 'comment', targetId: result.lastID,
+                after: await db.get(`SELECT * FROM comments WHERE id = ?`, [result.lastID]),
+            });
+            res.status(201).json({ success: true, id: result.lastID });
         } catch (err) {
             console.error('❌ POST /comments error:', err);
             res.status(500).json({ error: 'Internal error' });
@@ -445,15 +1175,69 @@ app.post(
     }
 );
 
-// Delete comment (RBAC only)
+// Edit own comment (every version kept in comment_revisions)
+app.patch(
+    '/comments/:id',
+    requireAuth(),
+    requireOrgMember,
+    requirePermission('comment:write', true, () => db),
+    async (req, res) => {
+        const { comment } = req.body || {};
+        if (!comment) return res.status(400).json({ error: 'Missing comment' });
+
+        try {
+            const row = await db.get(`SELECT * FROM comments WHERE id = ?`, [req.params.id]);
+            if (!row) return res.status(404).json({ error: 'Comment not found' });
+            if (row.deletedAt) return res.status(409).json({ error: 'Comment is deleted' });
+            const email = getEmailFromReq(req);
+            if (String(row.author).toLowerCase() !== email) {
+                return res.status(403).json({ error: 'Only the author can edit this comment' });
+            }
+            if (row.comment === comment) return res.json({ ok: true, unchanged: true });
+
+            await commentTransaction(async (tx) => {
+                // Comments created before history existed: keep the original text as revision 1
+                const hasHistory = await tx.get(`SELECT 1 FROM comment_revisions WHERE commentId = ? LIMIT 1`, [row.id]);
+                if (!hasHistory) await addCommentRevision(tx, row.id, 'create', row.author, { comment: row.comment });
+
+                await addCommentRevision(tx, row.id, 'edit', email, { comment });
+                await tx.run(`UPDATE comments SET comment = ?, updatedAt = datetime('now') WHERE id = ?`, [comment, row.id]);
+            });
+            const after = await db.get(`SELECT * FROM comments WHERE id = ?`, [row.id]);
+            await recordAudit(db, req, { action: 'comment.edit', targetType: 'comment', targetId: row.id, before: row, after });
+            res.json({ ok: true, comment: after });
+        } catch (err) {
+            console.error('❌ PATCH /comments error:', err);
+            res.status(500).json({ error: 'Internal error' });
+        }
+    }
+);
+
+// Soft delete (RBAC only); reason from body or ?reason=
 app.delete(
     '/comments/:id',
     requireAuth(),
-    requireExactCareDomain,
+    requireOrgMember,
     requirePermission('comment:delete'),
     async (req, res) => {
+        const reason = String(req.body?.reason || req.query.reason || '').trim() || null;
         try {
-            await db.run(`DELETE FROM comments WHERE id = ?`, [req.params.id]);
+            const row = await db.get(`SELECT * FROM comments WHERE id = ?`, [req.params.id]);
+            if (!row) return res.status(404).json({ error: 'Comment not found' });
+            if (row.deletedAt) return res.json({ ok: true, alreadyDeleted: true });
+
+            const email = getEmailFromReq(req);
+            await commentTransaction(async (tx) => {
+                await tx.run(
+                    `UPDATE comments SET deletedAt = datetime('now'), deletedBy = ?, deleteReason = ? WHERE id = ?`,
+                    [email, reason, row.id]
+                );
+                await addCommentRevision(tx, row.id, 'delete', email, { reason });
+            });
+            await recordAudit(db, req, {
+                action: 'comment.delete', targetType: 'comment', targetId: row.id,
+                before: row, after: await db.get(`SELECT * FROM comments WHERE id = ?`, [row.id]),
+            });
             res.json({ ok: true });
         } catch (err) {
             console.error('❌ DELETE /comments error:', err);
@@ -462,27 +1246,417 @@ app.delete(
     }
 );
 
-/* ---------------- Proxies ---------------- */
-app.use('/proxy/rxnav', async (req, res) => {
-    const targetUrl = `https://rxnav.nlm.nih.gov/REST${req.url}`;
+// Undo a soft delete
+app.post(
+    '/comments/:id/restore',
+    requireAuth(),
+    requireOrgMember,
+    requirePermission('comment:delete'),
+    async (req, res) => {
+        try {
+            const row = await db.get(`SELECT * FROM comments WHERE id = ?`, [req.params.id]);
+            if (!row) return res.status(404).json({ error: 'Comment not found' });
+            if (!row.deletedAt) return res.status(409).json({ error: 'Comment is not deleted' });
+
+            const email = getEmailFromReq(req);
+            await commentTransaction(async (tx) => {
+                await tx.run(`UPDATE comments SET deletedAt = NULL, deletedBy = NULL, deleteReason = NULL WHERE id = ?`, [row.id]);
+                await addCommentRevision(tx, row.id, 'restore', email, { reason: String(req.body?.reason || '').trim() || null });
+            });
+            await recordAudit(db, req, {
+                action: 'comment.restore', targetType: 'comment', targetId: row.id,
+                before: row, after: await db.get(`SELECT * FROM comments WHERE id = ?`, [row.id]),
+            });
+            res.json({ ok: true });
+        } catch (err) {
+            console.error('❌ POST /comments/:id/restore error:', err);
+            res.status(500).json({ error: 'Internal error' });
+        }
+    }
+);
+
+/* ---------------- Watchlists & alerts ---------------- */
+// Watches belong to a person (users.email); requireAuth() turns API keys away
+const watchAuth = [requireAuth(), requireOrgMember];
+
+app.get('/me/watchlist', ...watchAuth, async (req, res) => {
     try {
-        const response = await fetch(targetUrl);
-        const data = await response.text();
-        res.type('xml').send(data);
-    } catch (error) {
-        console.error('❌ RxNav proxy error:', error);
-        res.status(500).send('Proxy error');
+        res.json({ items: await listWatches(db, req.userEmail) });
+    } catch (e) {
+        console.error('❌ GET /me/watchlist error:', e);
+        res.status(500).json({ error: 'Internal error' });
     }
 });
 
-app.use('/proxy/openfda', async (req, res) => {
-    const targetUrl = `https://api.fda.gov${req.url}`;
+// POST /me/watchlist { scope: 'ndc'|'gpi', ndc | gpi, note? }
+app.post('/me/watchlist', ...watchAuth, async (req, res) => {
+    const { errors, value } = validateWatchInput(req.body || {});
+    if (errors) return res.status(400).json({ error: 'Invalid watch', details: errors });
     try {
-        const response = await fetch(targetUrl);
-        const data = await response.json();
-        res.json(data);
-    } catch (error) {
-        console.error('❌ openFDA proxy error:', error);
-        res.status(500).send('Proxy error');
+        await db.run(
+            `INSERT INTO users (email, displayName, isApprovedCommenter) VALUES (?, ?, 0)
+       ON CONFLICT(email) DO NOTHING`,
+            [req.userEmail, req.userName]
+        );
+        const item = await addWatch(db, req.userEmail, value);
+        await recordAudit(db, req, { action: 'watch.add', targetType: 'watch', targetId: item.id, after: item });
+        res.status(201).json({ ok: true, item });
+    } catch (e) {
+        if (e.code === 'DUPLICATE') return res.status(409).json({ error: e.message, item: e.watch });
+        console.error('❌ POST /me/watchlist error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+app.patch('/me/watchlist/:id', ...watchAuth, async (req, res) => {
+    const note = req.body?.note == null ? null : String(req.body.note).trim() || null;
+    if (note && note.length > 500) return res.status(400).json({ error: 'Invalid watch', details: ['note must be at most 500 characters'] });
+    try {
+        const item = await updateWatchNote(db, req.userEmail, Number(req.params.id), note);
+        if (!item) return res.status(404).json({ error: 'Watch not found' });
+        res.json({ ok: true, item });
+    } catch (e) {
+        console.error('❌ PATCH /me/watchlist/:id error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+app.delete('/me/watchlist/:id', ...watchAuth, async (req, res) => {
+    try {
+        const item = await removeWatch(db, req.userEmail, Number(req.params.id));
+        if (!item) return res.status(404).json({ error: 'Watch not found' });
+        await recordAudit(db, req, { action: 'watch.remove', targetType: 'watch', targetId: item.id, before: item });
+        res.json({ ok: true });
+    } catch (e) {
+        console.error('❌ DELETE /me/watchlist/:id error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// GET /me/alerts?unread=true&limit=&offset=
+app.get('/me/alerts', ...watchAuth, async (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    try {
+        const out = await listAlerts(db, req.userEmail, { unreadOnly: /^true$/i.test(req.query.unread || ''), limit, offset });
+        res.json({ ...out, limit, offset, hasMore: offset + out.alerts.length < out.total });
+    } catch (e) {
+        console.error('❌ GET /me/alerts error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// POST /me/alerts/read { ids: [..] } marks those; an empty body marks everything read
+app.post('/me/alerts/read', ...watchAuth, async (req, res) => {
+    const ids = req.body?.ids;
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(Number.isInteger))) {
+        return res.status(400).json({ error: 'ids must be an array of alert ids' });
     }
+    try {
+        const marked = await markAlertsRead(db, req.userEmail, { ids: ids ?? null });
+        res.json({ ok: true, marked, unread: await unreadAlertCount(db, req.userEmail) });
+    } catch (e) {
+        console.error('❌ POST /me/alerts/read error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+/* ---------------- Commenter administration ---------------- */
+async function recordCommenterAction(email, action, actor, { note = null, requestId = null } = {}) {
+    await db.run(
+        `INSERT INTO commenter_approvals (email, action, actor, note, requestId) VALUES (?, ?, ?, ?, ?)`,
+        [email, action, actor, note, requestId]
+    );
+}
+
+// Flip users.isApprovedCommenter and close any pending request to match
+async function setCommenterApproval(req, email, approved, note) {
+    const actor = getEmailFromReq(req);
+    const before = await db.get(`SELECT * FROM users WHERE email = ?`, [email]);
+    await db.run(`UPDATE users SET isApprovedCommenter = ? WHERE email = ?`, [approved ? 1 : 0, email]);
+    const pending = await db.get(`SELECT id FROM commenter_requests WHERE email = ? AND status = 'pending'`, [email]);
+    if (pending && approved) {
+        await db.run(
+            `UPDATE commenter_requests SET status = 'approved', decidedAt = datetime('now'), decidedBy = ?, decisionNote = ?
+       WHERE id = ?`,
+            [actor, note, pending.id]
+        );
+    }
+    await recordCommenterAction(email, approved ? 'approve' : 'revoke', actor, { note, requestId: pending?.id ?? null });
+    await recordAudit(db, req, {
+        action: approved ? 'commenter.approve' : 'commenter.revoke', targetType: 'user', targetId: email,
+        before, after: await db.get(`SELECT * FROM users WHERE email = ?`, [email]),
+    });
+}
+
+const adminOnly = [requireAuth(), requireOrgMember, requirePermission('user:admin')];
+
+// Users with commenter status, last activity and comment counts
+app.get('/admin/users', ...adminOnly, async (req, res) => {
+    const filter = String(req.query.commenter || '');
+    const where = filter === 'approved' ? 'WHERE u.isApprovedCommenter = 1'
+        : filter === 'unapproved' ? 'WHERE u.isApprovedCommenter = 0'
+            : '';
+    try {
+        const rows = await db.all(
+            `SELECT u.id, u.email, u.displayName, u.isApprovedCommenter, u.createdAt, u.lastSeenAt,
+              COUNT(c.id)                     AS commentCount,
+              MAX(c.createdAt)                AS lastCommentAt,
+              (SELECT status FROM commenter_requests r WHERE r.email = u.email ORDER BY r.id DESC LIMIT 1)
+                                              AS lastRequestStatus
+       FROM users u
+       LEFT JOIN comments c ON c.author = u.email AND c.deletedAt IS NULL
+       ${where}
+       GROUP BY u.id
+       ORDER BY u.email`
+        );
+        res.json(rows.map(r => ({
+            ...r,
+            isApprovedCommenter: r.isApprovedCommenter === 1,
+            lastActivityAt: [r.lastSeenAt, r.lastCommentAt].filter(Boolean).sort().pop() || null,
+        })));
+    } catch (e) {
+        console.error('❌ GET /admin/users error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// Grant / revoke commenter status: PUT /admin/users/:email/commenter { approved, note }
+app.put('/admin/users/:email/commenter', ...adminOnly, async (req, res) => {
+    const email = String(req.params.email || '').trim().toLowerCase();
+    const approved = req.body?.approved;
+    if (typeof approved !== 'boolean') return res.status(400).json({ error: 'Body must include approved: true|false' });
+    try {
+        const user = await db.get('SELECT * FROM users WHERE email = ?', [email]);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if ((user.isApprovedCommenter === 1) === approved) return res.json({ ok: true, unchanged: true });
+
+        await setCommenterApproval(req, email, approved, String(req.body?.note || '').trim() || null);
+        res.json({ ok: true, email, isApprovedCommenter: approved });
+    } catch (e) {
+        console.error('❌ PUT /admin/users/:email/commenter error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// Approval trail for one user
+app.get('/admin/users/:email/commenter-history', ...adminOnly, async (req, res) => {
+    try {
+        const rows = await db.all(
+            `SELECT * FROM commenter_approvals WHERE email = ? ORDER BY id DESC`,
+            [String(req.params.email || '').trim().toLowerCase()]
+        );
+        res.json(rows);
+    } catch (e) {
+        console.error('❌ GET /admin/users/:email/commenter-history error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// Request queue (?status=pending|approved|denied|all, default pending)
+app.get('/admin/commenter-requests', ...adminOnly, async (req, res) => {
+    const status = String(req.query.status || 'pending');
+    try {
+        const rows = status === 'all'
+            ? await db.all(`SELECT * FROM commenter_requests ORDER BY id DESC`)
+            : await db.all(`SELECT * FROM commenter_requests WHERE status = ? ORDER BY id`, [status]);
+        res.json(rows);
+    } catch (e) {
+        console.error('❌ GET /admin/commenter-requests error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// Decide a request: POST /admin/commenter-requests/:id/approve | /deny { note }
+app.post('/admin/commenter-requests/:id/:decision(approve|deny)', ...adminOnly, async (req, res) => {
+    const note = String(req.body?.note || '').trim() || null;
+    const actor = getEmailFromReq(req);
+    try {
+        const request = await db.get(`SELECT * FROM commenter_requests WHERE id = ?`, [req.params.id]);
+        if (!request) return res.status(404).json({ error: 'Request not found' });
+        if (request.status !== 'pending') return res.status(409).json({ error: `Request already ${request.status}` });
+
+        if (req.params.decision === 'approve') {
+            await setCommenterApproval(req, request.email, true, note);
+        } else {
+            await db.run(
+                `UPDATE commenter_requests SET status = 'denied', decidedAt = datetime('now'), decidedBy = ?, decisionNote = ?
+         WHERE id = ?`,
+                [actor, note, request.id]
+            );
+            await recordCommenterAction(request.email, 'deny', actor, { note, requestId: request.id });
+            await recordAudit(db, req, {
+                action: 'commenter.deny', targetType: 'user', targetId: request.email,
+                before: request, after: await db.get(`SELECT * FROM commenter_requests WHERE id = ?`, [request.id]),
+            });
+        }
+        res.json({ ok: true, request: await db.get(`SELECT * FROM commenter_requests WHERE id = ?`, [request.id]) });
+    } catch (e) {
+        console.error('❌ POST /admin/commenter-requests decision error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+/* ---------------- API keys ---------------- */
+// Admin-managed keys for machine clients; the plaintext key is shown once, in the create response
+app.get('/admin/api-keys', ...adminOnly, async (req, res) => {
+    try {
+        res.json({ keys: await listApiKeys(db, { includeRevoked: /^true$/i.test(req.query.includeRevoked || '') }) });
+    } catch (e) {
+        console.error('❌ GET /admin/api-keys error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+// POST /admin/api-keys { name, permissions?, rateLimitPerMinute?, dailyQuota?, expiresAt? }
+app.post('/admin/api-keys', ...adminOnly, async (req, res) => {
+    const { errors, value } = validateApiKeyInput(req.body || {});
+    if (errors) return res.status(400).json({ error: 'Invalid API key request', details: errors });
+    try {
+        const { key, apiKey } = await createApiKey(db, value, { createdBy: getEmailFromReq(req), org: req.user.org });
+        await recordAudit(db, req, { action: 'apikey.create', targetType: 'api_key', targetId: apiKey.id, after: apiKey });
+        res.status(201).json({ key, apiKey });
+    } catch (e) {
+        console.error('❌ POST /admin/api-keys error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+app.get('/admin/api-keys/:id/usage', ...adminOnly, async (req, res) => {
+    const id = Number(req.params.id);
+    const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 366);
+    try {
+        const apiKey = Number.isInteger(id) ? await getApiKey(db, id) : null;
+        if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+        res.json({ apiKey, days: await apiKeyUsage(db, id, { days }) });
+    } catch (e) {
+        console.error('❌ GET /admin/api-keys/:id/usage error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+app.delete('/admin/api-keys/:id', ...adminOnly, async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const result = Number.isInteger(id) ? await revokeApiKey(db, id, { revokedBy: getEmailFromReq(req) }) : null;
+        if (!result) return res.status(404).json({ error: 'API key not found' });
+        if (result.before.revokedAt) return res.json({ ok: true, unchanged: true, apiKey: result.after });
+        await recordAudit(db, req, { action: 'apikey.revoke', targetType: 'api_key', targetId: id, before: result.before, after: result.after });
+        res.json({ ok: true, apiKey: result.after });
+    } catch (e) {
+        console.error('❌ DELETE /admin/api-keys/:id error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+/* ---------------- Audit log ---------------- */
+// GET /admin/audit?actor=&action=comment.*&targetType=&targetId=&from=2026-10-01&to=2026-10-31&limit=&offset=
+// ?format=csv (or Accept: text/csv) exports every matching row up to AUDIT_EXPORT_MAX.
+app.get('/admin/audit', requireAuth({ allowApiKey: true }), requireOrgMember, requirePermission('audit:read'), async (req, res) => {
+    const wantsCsv = /^csv$/i.test(req.query.format || '') ||
+        (!req.query.format && req.accepts(['json', 'text/csv']) === 'text/csv');
+    const limit = wantsCsv
+        ? Math.min(Math.max(Number(req.query.limit) || AUDIT_EXPORT_MAX, 1), AUDIT_EXPORT_MAX)
+        : Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    try {
+        const out = await queryAudit(db, req.query, { limit, offset });
+        if (out.errors) return res.status(400).json({ error: 'Invalid filters', details: out.errors });
+
+        if (wantsCsv) {
+            res.type('text/csv');
+            res.attachment('audit-log.csv');
+            return res.send(toCsv(AUDIT_CSV_COLUMNS, out.rows));
+        }
+        const parse = (v) => (v == null ? null : JSON.parse(v));
+        res.json({
+            total: out.total,
+            limit,
+            offset,
+            hasMore: offset + out.rows.length < out.total,
+            entries: out.rows.map(r => ({ ...r, before: parse(r.before), after: parse(r.after) })),
+        });
+    } catch (e) {
+        console.error('❌ GET /admin/audit error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+/* ---------------- Source conflicts ---------------- */
+const CONFLICTS_CSV_COLUMNS = ['ndcKey', 'ndc', 'normalizedNDC', 'field', 'primaryValue', 'backupValue', 'detectedAt'];
+
+// GET /admin/conflicts?field=strength|deaClass&ndc=&limit=&offset=&format=csv
+// Rebuilt on every refresh from the change-tracking state, so it needs NDC_CHANGE_TRACKING on.
+app.get('/admin/conflicts', requireAuth({ allowApiKey: true }), requireOrgMember, requirePermission('audit:read'), async (req, res) => {
+    const wantsCsv = /^csv$/i.test(req.query.format || '') ||
+        (!req.query.format && req.accepts(['json', 'text/csv']) === 'text/csv');
+    const limit = wantsCsv
+        ? Math.min(Math.max(Number(req.query.limit) || AUDIT_EXPORT_MAX, 1), AUDIT_EXPORT_MAX)
+        : Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    try {
+        const out = await listSourceConflicts(db, req.query, { limit, offset, flat: wantsCsv });
+        if (out.errors) return res.status(400).json({ error: 'Invalid filters', details: out.errors });
+        if (wantsCsv) {
+            res.type('text/csv');
+            res.attachment('ndc-source-conflicts.csv');
+            return res.send(toCsv(CONFLICTS_CSV_COLUMNS, out.rows));
+        }
+        res.json({
+            tracking: CHANGE_TRACKING,
+            total: out.total,
+            limit,
+            offset,
+            hasMore: offset + out.rows.length < out.total,
+            byField: out.byField,
+            ndcs: out.rows,
+        });
+    } catch (e) {
+        console.error('❌ GET /admin/conflicts error:', e);
+        res.status(500).json({ error: 'Internal error' });
+    }
+});
+
+/* ---------------- Proxies ---------------- */
+// Allowlisted + cached (upstream-proxy.js). PROXY_OFFLINE=true never goes upstream: cache or fixtures only.
+const HOUR_MS = 60 * 60 * 1000;
+const PROXY_OPTIONS = {
+    cacheDir: process.env.PROXY_CACHE_DIR || path.join(os.tmpdir(), 'ndc-proxy-cache'),
+    fixturesDir: process.env.PROXY_FIXTURES_DIR || null,
+    offline: /^true$/i.test(process.env.PROXY_OFFLINE || 'false'),
+    timeoutMs: Number(process.env.PROXY_TIMEOUT_MS || 10000),
+    // Per proxy; the oldest entries are evicted past either cap
+    maxEntries: Number(process.env.PROXY_CACHE_MAX_ENTRIES || 5000),
+    maxBytes: Number(process.env.PROXY_CACHE_MAX_MB || 200) * 1024 * 1024,
+};
+const RXNAV_TTL_MS = Number(process.env.PROXY_RXNAV_TTL_MS || 24 * HOUR_MS);
+const OPENFDA_TTL_MS = Number(process.env.PROXY_OPENFDA_TTL_MS || 6 * HOUR_MS);
+
+const proxies = {
+    rxnav: createUpstreamProxy({
+        ...PROXY_OPTIONS,
+        name: 'rxnav',
+        baseUrl: 'https://rxnav.nlm.nih.gov/REST',
+        defaultType: 'application/xml',
+        allow: [
+            { pattern: /^\/(rxcui|drugs|approximateTerm|spellingsuggestions|ndcstatus|ndcproperties|relatedndc|displaynames)(\.json|\.xml)?$/, ttlMs: RXNAV_TTL_MS },
+            // /rxcui/{id}/properties, /ndcs, /related, /allrelated, /historystatus ...
+            { pattern: /^\/rxcui\/\d+(\/[A-Za-z]+)?(\.json|\.xml)?$/, ttlMs: RXNAV_TTL_MS },
+            { pattern: /^\/rxclass\/[A-Za-z/]+(\.json|\.xml)?$/, ttlMs: RXNAV_TTL_MS },
+        ],
+    }),
+    openfda: createUpstreamProxy({
+        ...PROXY_OPTIONS,
+        name: 'openfda',
+        baseUrl: 'https://api.fda.gov',
+        // Sent upstream for the higher quota; never part of the cache key
+        extraQuery: { api_key: process.env.OPENFDA_API_KEY || '' },
+        allow: [{ pattern: /^\/drug\/(ndc|label|enforcement|drugsfda|shortages|event)\.json$/, ttlMs: OPENFDA_TTL_MS }],
+    }),
+};
+app.use('/proxy/rxnav', proxies.rxnav.handler);
+app.use('/proxy/openfda', proxies.openfda.handler);
+
+app.get('/_health/proxies', (_req, res) => {
+    res.json({ ok: true, proxies: Object.values(proxies).map(p => p.snapshot()) });
 });
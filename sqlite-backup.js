@@ -1,31 +1,271 @@
 // sqlite-backup.js  (uses sqlite + sqlite3; no better-sqlite3)
+import fs from 'fs';
+import path from 'path';
 import { open } from 'sqlite';
 import sqlite3 from 'sqlite3';
+import { packageFieldsFromRow } from './ndc-package.js';
+import { createSuggestIndex } from './suggest-index.js';
+import { readDatasetMeta } from './fda-ndc-import.js';
+import { deriveLabelerProductCandidates } from './ndc-normalize.js';
+import { eachRowOf } from './ndc-changes.js';
 
-let backupDb = null;
-let suggestIndex = [];
+// Live dataset: handle + suggest index + metadata, always replaced together (see swapIn)
+let live = null;
+// Last dataset swapped out, still open (handle + suggest index) so rollback can swap it straight back
+let previous = null;
+const swapStatus = { state: 'idle', lastAttempt: null, lastSwap: null };
+
+const RETIRE_GRACE_MS = Number(process.env.NDC_RELOAD_RETIRE_MS || 30000);
+const ROW_TOLERANCE = Number(process.env.NDC_RELOAD_ROW_TOLERANCE || 0.25);
+const SAMPLE_LOOKUPS = 25;
+const ACTIVE_POINTER = 'ndc-active.json';
 
 const ident = (s) => {
     if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(s)) throw new Error('Bad ident ' + s);
     return s;
 };
+const tableName = () => ident(process.env.NDC_SQLITE_TABLE || 'merged_ndc_data');
+const packageCol = () => ident(process.env.NDC_SQLITE_NDCPACKAGE_COL || 'NDCPACKAGECODE');
+const requiredColumns = () => [
+    packageCol(), 'PROPRIETARYNAME', 'NONPROPRIETARYNAME', 'SUBSTANCENAME',
+    'DOSAGEFORMNAME', 'ROUTENAME', 'ACTIVE_NUMERATOR_STRENGTH', 'ACTIVE_INGRED_UNIT',
+];
+
+const codedError = (message, code, extra = {}) => Object.assign(new Error(message), { code, ...extra });
+
+/** Directory reloads may pick snapshots from: NDC_DATASET_DIR, else the directory of NDC_SQLITE_PATH. */
+export function datasetDir() {
+    const dir = process.env.NDC_DATASET_DIR || (process.env.NDC_SQLITE_PATH ? path.dirname(process.env.NDC_SQLITE_PATH) : null);
+    return dir ? path.resolve(dir) : null;
+}
+
+/**
+ * Snapshot file for a reload request: { versionId } → ndc-<versionId>.sqlite, { path } as given,
+ * nothing → the active pointer / NDC_SQLITE_PATH. Anything outside datasetDir() is refused.
+ */
+export function resolveDatasetPath({ path: p, versionId } = {}) {
+    const dir = datasetDir();
+    if (!p && !versionId) return activeDatasetPath();
+    if (!dir) throw codedError('No dataset directory configured (NDC_DATASET_DIR / NDC_SQLITE_PATH)', 'BAD_PATH');
+    if (versionId && !/^[\w.-]+$/.test(versionId)) throw codedError(`Bad versionId "${versionId}"`, 'BAD_PATH');
+    const full = path.resolve(dir, versionId ? `ndc-${versionId}.sqlite` : p);
+    if (!full.startsWith(dir + path.sep)) throw codedError('Dataset path must be inside the dataset directory', 'BAD_PATH');
+    if (!fs.existsSync(full)) throw codedError(`Dataset not found: ${full}`, 'BAD_PATH');
+    return full;
+}
+
+// The pointer survives restarts so a reload to a new snapshot is not undone by a redeploy
+function activeDatasetPath() {
+    const dir = datasetDir();
+    const pointer = dir && path.join(dir, ACTIVE_POINTER);
+    if (pointer && fs.existsSync(pointer)) {
+        try {
+            const { path: p } = JSON.parse(fs.readFileSync(pointer, 'utf8'));
+            if (p && fs.existsSync(p)) return p;
+        } catch (e) {
+            console.warn('[sqlite-backup] ignoring unreadable', pointer, e?.message || e);
+        }
+    }
+    return process.env.NDC_SQLITE_PATH || null;
+}
+
+function writeActivePointer(p, info) {
+    const dir = datasetDir();
+    if (!dir) return;
+    const tmp = path.join(dir, `${ACTIVE_POINTER}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify({ path: p, versionId: info?.versionId ?? null, activatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(tmp, path.join(dir, ACTIVE_POINTER));
+}
+
+/** Read-only handle on a backup snapshot (the server never writes to it). */
+export async function openBackupDb(p) {
+    return open({ filename: p, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+}
+
+/**
+ * Sanity checks on a staged handle before it may go live:
+ * table + required columns, row count within ROW_TOLERANCE of the live one,
+ * and sample package lookups (live codes still resolve; or, on first load, the new rows resolve).
+ */
+async function validateDataset(db, { force = false } = {}) {
+    const table = tableName();
+    const col = packageCol();
+    const checks = [];
+    const check = (name, ok, detail, soft = false) => checks.push({ name, ok, detail, ...(soft && !ok && force && { forced: true }) });
+
+    const exists = await db.get(`SELECT name FROM sqlite_master WHERE type='table' AND name=?`, table);
+    check('table', Boolean(exists), table);
+    if (!exists) return { ok: false, checks, rowCount: 0 };
+
+    const have = new Set((await db.all(`PRAGMA table_info(${table})`)).map(c => c.name));
+    const missing = requiredColumns().filter(c => !have.has(c));
+    check('columns', !missing.length, missing.length ? `missing ${missing.join(', ')}` : 'ok');
+    if (missing.length) return { ok: false, checks, rowCount: 0 };
+
+    const rowCount = (await db.get(`SELECT COUNT(*) AS n FROM ${table}`))?.n || 0;
+    const liveCount = live ? (await live.db.get(`SELECT COUNT(*) AS n FROM ${table}`))?.n || 0 : null;
+    const drift = liveCount ? Math.abs(rowCount - liveCount) / liveCount : 0;
+    check('rowCount', rowCount > 0 && drift <= ROW_TOLERANCE,
+        liveCount === null ? `${rowCount}` : `${rowCount} vs live ${liveCount} (${(drift * 100).toFixed(1)}%, max ${ROW_TOLERANCE * 100}%)`, rowCount > 0);
 
-export async function initSqliteBackup() {
-    const path = process.env.NDC_SQLITE_PATH;             // e.g. /data/ndc/fdandc.sqlite
-    const table = ident(process.env.NDC_SQLITE_TABLE || 'merged_ndc_data');
-    if (!path) {
+    const source = live?.db || db;
+    const samples = (await source.all(`SELECT ${col} AS code FROM ${table} WHERE ${col} IS NOT NULL ORDER BY random() LIMIT ?`, SAMPLE_LOOKUPS))
+        .map(r => r.code);
+    let found = 0;
+    for (const code of samples) {
+        const lp = deriveLabelerProductCandidates(code)[0];
+        const byPackage = await db.get(`SELECT 1 FROM ${table} WHERE ${col} = ? LIMIT 1`, code);
+        const byProduct = lp && (await lookupByLabelerProduct(db, lp));
+        if (byPackage && byProduct) found++;
+    }
+    const ratio = samples.length ? found / samples.length : 1;
+    check('sampleLookups', ratio >= 1 - ROW_TOLERANCE, `${found}/${samples.length} ${live ? 'live packages' : 'packages'} resolve`, true);
+
+    return { ok: checks.every(c => c.ok || c.forced), checks, rowCount };
+}
+
+/**
+ * Open + validate + index a snapshot off to the side. Nothing live is touched.
+ * Throws code VALIDATION_FAILED (with .checks) when the snapshot may not go live.
+ */
+export async function stageBackupDataset(p, { limit = 250000, force = false } = {}) {
+    const t0 = Date.now();
+    const db = await openBackupDb(p);
+    try {
+        const validation = await validateDataset(db, { force });
+        if (!validation.ok) {
+            throw codedError(`Dataset failed validation: ${p}`, 'VALIDATION_FAILED', { checks: validation.checks });
+        }
+        const meta = await readDatasetMeta(db);
+        const suggestIndex = createSuggestIndex(await loadSuggestRows({ limit }, db));
+        return {
+            db,
+            path: p,
+            suggestIndex,
+            checks: validation.checks,
+            stageMs: Date.now() - t0,
+            info: {
+                path: p,
+                versionId: meta?.versionId ?? null,   // null: built outside the importer
+                sourceDate: meta?.sourceDate ?? null,
+                importedAt: meta?.importedAt ?? null,
+                counts: meta?.counts ?? null,
+                rowCount: validation.rowCount,
+            },
+        };
+    } catch (e) {
+        await db.close().catch(() => {});
+        throw e;
+    }
+}
+
+// Retired handles close after a grace period so in-flight queries finish
+function retire(dataset) {
+    setTimeout(() => {
+        dataset.db.close().catch(e => console.warn('[sqlite-backup] closing retired handle failed', e?.message || e));
+    }, RETIRE_GRACE_MS).unref();
+}
+
+// Single assignment, so a request sees either the old handle + index or the new pair, never a mix.
+// The dataset swapped out becomes `previous` until the next swap. One reloaded in place (same file) is
+// retired instead: its file now holds the new data, so only its info is kept and rollback refuses.
+function swapIn(staged) {
+    const old = live;
+    live = { ...staged, loadedAt: new Date().toISOString() };
+    globalThis.__NDC_SUGGEST_SIZE__ = live.suggestIndex.size;
+    if (previous?.db) retire(previous);
+    previous = null;
+    if (old && old.path === live.path) {
+        retire(old);
+        previous = { path: old.path, info: old.info, loadedAt: old.loadedAt };
+    } else if (old) {
+        previous = old;
+    }
+    return old;
+}
+
+function recordSwap(old, to, stageMs) {
+    swapStatus.lastSwap = {
+        at: live.loadedAt,
+        from: old ? { path: old.path, versionId: old.info.versionId } : null,
+        to: { path: to.path, versionId: to.info.versionId },
+        stageMs,
+    };
+    return swapStatus.lastSwap;
+}
+
+/**
+ * Stage `p` and swap it in if it validates. Only one load runs at a time (code BUSY otherwise).
+ * Returns { from, to, stageMs, checks }.
+ */
+export async function loadBackupDataset(p, { limit = 250000, force = false, persist = true } = {}) {
+    if (swapStatus.state !== 'idle') throw codedError('A dataset reload is already in progress', 'BUSY');
+    swapStatus.state = 'staging';
+    const attempt = { at: new Date().toISOString(), path: p, ok: false };
+    swapStatus.lastAttempt = attempt;
+    try {
+        const staged = await stageBackupDataset(p, { limit, force });
+        const old = swapIn(staged);
+        if (persist) writeActivePointer(p, staged.info);
+        Object.assign(attempt, { ok: true, ms: Date.now() - Date.parse(attempt.at), checks: staged.checks });
+        recordSwap(old, staged, staged.stageMs);
+        console.log('[sqlite-backup] live dataset', p, staged.info.versionId || '(unversioned)', `${staged.stageMs}ms`);
+        console.log('[sqlite-backup] suggest index loaded from merged_ndc_data:', live.suggestIndex.size);
+        return { ...swapStatus.lastSwap, checks: staged.checks };
+    } catch (e) {
+        Object.assign(attempt, { ms: Date.now() - Date.parse(attempt.at), error: e.message, checks: e.checks });
+        throw e;
+    } finally {
+        swapStatus.state = 'idle';
+    }
+}
+
+/**
+ * Swap the previous dataset (kept open since the last swap) back in; the rolled-back one becomes the previous.
+ * Code NO_PREVIOUS when there is none, or when it was reloaded in place and its data is gone.
+ */
+export async function rollbackBackupDataset() {
+    if (swapStatus.state !== 'idle') throw codedError('A dataset reload is already in progress', 'BUSY');
+    if (!previous) throw codedError('No previous dataset to roll back to', 'NO_PREVIOUS');
+    if (!previous.db || previous.path === live?.path) {
+        throw codedError(`The previous dataset was replaced in place (${previous.path}); nothing to roll back to`, 'NO_PREVIOUS');
+    }
+    const back = previous;
+    previous = null;
+    const old = swapIn(back);
+    writeActivePointer(back.path, back.info);
+    swapStatus.lastAttempt = { at: live.loadedAt, path: back.path, ok: true, ms: 0, rollback: true };
+    console.log('[sqlite-backup] rolled back to', back.path, back.info.versionId || '(unversioned)');
+    return { ...recordSwap(old, back, 0), checks: back.checks };
+}
+
+/** Startup load of the active snapshot; a snapshot that fails validation leaves the backup disabled. */
+export async function initSqliteBackup({ limit = 250000 } = {}) {
+    const p = activeDatasetPath();
+    if (!p) {
         console.warn('[sqlite-backup] NDC_SQLITE_PATH not set');
         return;
     }
-    backupDb = await open({ filename: path, driver: sqlite3.Database });
-    await backupDb.get(`SELECT name FROM sqlite_master WHERE type='table' AND name=?`, table);
-    console.log('[sqlite-backup] opened', path);
+    try {
+        await loadBackupDataset(p, { limit, persist: false });
+    } catch (e) {
+        console.warn('[sqlite-backup] backup disabled:', e.message, e.checks ? JSON.stringify(e.checks) : '');
+    }
 }
 
-export async function getFromBackupByLabelerProduct(lp) {
-    if (!backupDb) return null;
-    const table = ident(process.env.NDC_SQLITE_TABLE || 'merged_ndc_data');
-    const col = ident(process.env.NDC_SQLITE_NDCPACKAGE_COL || 'NDCPACKAGECODE');
+/** Version + source dates of the live backup dataset (null when none is loaded). */
+export const getBackupDatasetInfo = () => live?.info ?? null;
+
+/** Swap state for /_health: staging/idle, last attempt (with checks), last swap, rollback target. */
+export const getBackupSwapStatus = () => ({
+    ...swapStatus,
+    liveSince: live?.loadedAt ?? null,
+    previous: previous ? { path: previous.path, versionId: previous.info?.versionId ?? null } : null,
+});
+
+function lookupByLabelerProduct(db, lp) {
+    const table = tableName();
+    const col = packageCol();
     const sql = `
     SELECT *
     FROM ${table}
@@ -36,7 +276,39 @@ export async function getFromBackupByLabelerProduct(lp) {
       ) AS INT)
     ) = ?
     LIMIT 1`;
-    return backupDb.get(sql, lp);
+    return db.get(sql, lp);
+}
+
+export async function getFromBackupByLabelerProduct(lp) {
+    if (!live) return null;
+    return lookupByLabelerProduct(live.db, lp);
+}
+
+/** Exact package rows; `dashedForms` are the dashed spellings of one 11-digit NDC. */
+export async function getFromBackupByPackage(dashedForms) {
+    if (!live || !dashedForms?.length) return null;
+    return live.db.get(
+        `SELECT * FROM ${tableName()} WHERE ${packageCol()} IN (${dashedForms.map(() => '?').join(',')}) LIMIT 1`,
+        dashedForms
+    );
+}
+
+/** Every package row of a labeler-product. */
+export async function listBackupPackagesByLabelerProduct(lp) {
+    if (!live) return [];
+    const table = tableName();
+    const col = packageCol();
+    const sql = `
+    SELECT *
+    FROM ${table}
+    WHERE (
+      CAST(substr(${col},1,instr(${col},'-')-1) AS INT) || '-' ||
+      CAST(substr(${col}, instr(${col},'-')+1,
+        instr(substr(${col}, instr(${col},'-')+1), '-') - 1
+      ) AS INT)
+    ) = ?
+    ORDER BY ${col}`;
+    return live.db.all(sql, lp);
 }
 
 export function mapBackupRow(row, normalizedLP) {
@@ -61,33 +333,28 @@ export function mapBackupRow(row, normalizedLP) {
         niosh_code: null,
         gpi: null,
         rxcui: null,
+        ...packageFieldsFromRow(row),
         _source: 'sqlite-backup',
     };
 }
 
-/** Assist: try primary briefly; if slow/miss, return SQLite immediately. */
-export async function getNdcWithAssist(normalizedLP, primaryFn, { deadlineMs = 200 } = {}) {
-    let done = false;
-    const timer = new Promise((resolve) => setTimeout(() => { if (!done) resolve(null); }, deadlineMs));
-    const primary = primaryFn(normalizedLP).catch(() => null);
-    const fast = await Promise.race([primary, timer]);
-    if (fast) { done = true; return fast; }
-
-    const backup = await getFromBackupByLabelerProduct(normalizedLP);
-    if (backup) { done = true; return mapBackupRow(backup, normalizedLP); }
-
-    const late = await primary;
-    return late || null;
+/** Stream every backup row through mapBackupRow (change tracking); resolves with the row count. */
+export async function eachBackupRow(cb) {
+    if (!live) return 0;
+    const table = tableName();
+    const col = packageCol();
+    return eachRowOf(live.db, `SELECT * FROM ${table}`,
+        (row) => mapBackupRow(row, deriveLabelerProductCandidates(row[col])[0] || null))(cb);
 }
 
-/** Build RAM suggest index *directly* from merged_ndc_data in fdandc.sqlite. */
-export async function buildSuggestIndex({ limit = 250000 } = {}) {
-    if (!backupDb) return;
-    const table = ident(process.env.NDC_SQLITE_TABLE || 'merged_ndc_data');
-    const col = ident(process.env.NDC_SQLITE_NDCPACKAGE_COL || 'NDCPACKAGECODE');
+/** Suggest rows (lp, ndc10, names, strength, digits) straight from merged_ndc_data (live handle unless `db` given). */
+export async function loadSuggestRows({ limit = 250000 } = {}, db = live?.db) {
+    if (!db) return [];
+    const table = tableName();
+    const col = packageCol();
 
     // Compute labeler-product (lp), digits (for numeric prefix match), and a light strength string
-    const rows = await backupDb.all(
+    return db.all(
         `
     SELECT
       /* labeler-product without leading zeros, e.g. "527-3060" */
@@ -109,47 +376,14 @@ export async function buildSuggestIndex({ limit = 250000 } = {}) {
     LIMIT ?`,
         limit
     );
+}
 
-    suggestIndex = rows.map(r => ({
-        lp: String(r.lp || ''),
-        ndc10: r.ndc10 || null,
-        brand: r.brand || null,
-        generic: r.generic || null,
-        substance: r.substance || null,
-        strength: r.strength || null,
-        _lp: String(r.lp || '').toLowerCase(),
-        _digits: String(r.ndc_digits || '').toLowerCase(),
-        _brand: String(r.brand || '').toLowerCase(),
-        _generic: String(r.generic || '').toLowerCase(),
-        _sub: String(r.substance || '').toLowerCase(),
-    }));
-
-    globalThis.__NDC_SUGGEST_SIZE__ = suggestIndex.length;
-    console.log('[sqlite-backup] suggest index loaded from merged_ndc_data:', suggestIndex.length);
-}
-
-/** RAM-only suggestions; zero DB I/O per keystroke. */
+/** RAM-only suggestions; zero DB I/O per keystroke. Ranked: exact > prefix > contains, brand before generic. */
 export function querySuggestRAM(q, { limit = 20 } = {}) {
-    if (!q) return [];
-    const s = q.toLowerCase();
-    const digits = q.replace(/\D/g, '');
-    const out = [];
-    const push = (r) => { if (out.length < limit) out.push(r); };
-
-    // 1) labeler-product prefix (e.g., "527-3")
-    for (const r of suggestIndex) { if (r._lp.startsWith(s)) { push(r); if (out.length >= limit) break; } }
-    // 2) numeric prefix on dashed NDC digits (10/11)
-    if (out.length < limit && digits) {
-        for (const r of suggestIndex) { if (r._digits.startsWith(digits)) { push(r); if (out.length >= limit) break; } }
-    }
-    // 3) names contains
-    if (out.length < limit) {
-        for (const r of suggestIndex) {
-            if (r._brand.includes(s) || r._generic.includes(s) || r._sub.includes(s)) { push(r); if (out.length >= limit) break; }
-        }
-    }
+    return live ? live.suggestIndex.query(q, { limit }) : [];
+}
 
-    return out.map(({ lp, ndc10, brand, generic, substance, strength }) =>
-        ({ lp, ndc10, brand, generic, substance, strength })
-    );
+/** Typo-tolerant name suggestions (edit distance / phonetic) for when querySuggestRAM finds nothing. */
+export function querySuggestFuzzy(q, { limit = 20 } = {}) {
+    return live ? live.suggestIndex.fuzzy(q, { limit }) : [];
 }
@@ -0,0 +1,150 @@
+// strength.js  (free-text strength → per-ingredient amounts in normalized units; strength filters for /search)
+//
+//   "500 mg/5mL"            → [{ amount 500 mg, per 5 mL, normalized 100 mg/mL }]
+//   "5; 325 mg/1; mg/1"     → mapBackupRow's ACTIVE_NUMERATOR_STRENGTH + ACTIVE_INGRED_UNIT, zipped per ingredient
+//   "1000 [USP'U]/mL", "20 mEq/15 mL", "0.1 %", "25 mcg/h"
+// Normalized units: mass → mg, volume → mL, time → h; IU, USP units, mEq and mmol are kept as-is
+// (they don't convert into each other). Concentrations are expressed per 1 mL, 1 g or 1 h.
+
+const UNITS = {};
+const define = (kind, base, factor, ...names) => {
+    for (const n of names) UNITS[n] = { kind, unit: base, factor };
+};
+define('mass', 'mg', 1e6, 'kg');
+define('mass', 'mg', 1000, 'g', 'gm', 'gram', 'grams');
+define('mass', 'mg', 1, 'mg', 'milligram', 'milligrams');
+define('mass', 'mg', 1e-3, 'mcg', 'ug', 'µg', 'microgram', 'micrograms');
+define('mass', 'mg', 1e-6, 'ng', 'nanogram', 'nanograms');
+define('volume', 'mL', 1000, 'l', 'liter', 'liters', 'litre');
+define('volume', 'mL', 1, 'ml', 'cc', 'milliliter', 'milliliters');
+define('volume', 'mL', 1e-3, 'ul', 'mcl', 'µl', 'microliter');
+define('units', 'IU', 1, 'iu', 'international unit', 'international units');
+define('units', 'IU', 1e6, 'miu', 'million iu');
+define('units', 'unit', 1, "usp'u", 'usp u', 'usp unit', 'usp units', 'u', 'unit', 'units', 'unt');
+define('units', 'unit', 1e6, 'mu', 'million units');
+define('meq', 'mEq', 1, 'meq');
+define('mmol', 'mmol', 1, 'mmol');
+define('percent', '%', 1, '%', 'percent');
+define('time', 'h', 1, 'h', 'hr', 'hour', 'hours');
+define('time', 'h', 24, 'd', 'day', 'days');
+define('time', 'h', 1 / 60, 'min');
+
+// Concentration denominators: normalized per 1 of these
+const PER_BASE = { volume: { unit: 'mL', factor: 1 }, mass: { unit: 'g', factor: 1000 }, time: { unit: 'h', factor: 1 } };
+
+const round = (n) => Number(n.toPrecision(6));
+const num = (s) => {
+    const v = Number(String(s).replace(/,(?=\d{3}\b)/g, ''));
+    return Number.isFinite(v) ? v : null;
+};
+
+// "[USP'U]" → "usp'u", "mL" → "ml"; unknown units come back as their cleaned text with kind 'other'
+function unitOf(text) {
+    const raw = String(text || '').trim();
+    const key = raw.toLowerCase().replace(/[[\]]/g, '').replace(/\s+/g, ' ').replace(/\.$/, '');
+    if (!key) return null;
+    return UNITS[key] ? { raw, ...UNITS[key] } : { raw, kind: 'other', unit: raw.replace(/[[\]]/g, ''), factor: 1 };
+}
+
+const AMOUNT = /^([\d.,]+)\s*([^/\d][^/]*?)?\s*(?:\/\s*([\d.,]*)\s*([^/]*?))?\s*$/;
+
+/** One ingredient ("500 mg/5mL") → { text, amount, per, normalized } (nulls when it can't be read). */
+export function parseIngredientStrength(text) {
+    const t = String(text ?? '').trim();
+    const m = t.match(AMOUNT);
+    const unparsed = { text: t, amount: null, per: null, normalized: null };
+    if (!m) return unparsed;
+    const value = num(m[1]);
+    const unit = unitOf(m[2]);
+    if (value === null || !unit) return unparsed;
+
+    const amount = { value, unit: unit.raw, kind: unit.kind };
+    // "mg/1" (per dosage unit) and bare "mg" are plain amounts
+    const perValue = m[3] ? num(m[3]) : 1;
+    const perUnit = unitOf(m[4]);
+    if (perValue === null || perValue === 0) return unparsed;
+    if (!perUnit) {
+        return perValue === 1
+            ? { text: t, amount, per: null, normalized: { value: round(value * unit.factor), unit: unit.unit, kind: unit.kind } }
+            : unparsed;
+    }
+
+    const per = { value: perValue, unit: perUnit.raw, kind: perUnit.kind };
+    const base = PER_BASE[perUnit.kind];
+    const perAmount = base ? (perValue * perUnit.factor) / base.factor : perValue;
+    return {
+        text: t,
+        amount,
+        per,
+        normalized: {
+            value: round((value * unit.factor) / perAmount),
+            unit: `${unit.unit}/${base ? base.unit : perUnit.unit}`,
+            kind: 'concentration',
+        },
+    };
+}
+
+// "5; 325" + "mg/1; mg/1" (numbers first, then units) → ["5 mg/1", "325 mg/1"]
+function zipBackupForm(text) {
+    const m = text.match(/^\s*([\d.,]+(?:\s*;\s*[\d.,]+)+)\s+(.+)$/);
+    if (!m) return null;
+    const values = m[1].split(';').map(s => s.trim());
+    const units = m[2].split(';').map(s => s.trim());
+    if (units.length === 1) return values.map(v => `${v} ${units[0]}`);
+    return units.length === values.length ? values.map((v, i) => `${v} ${units[i]}`) : null;
+}
+
+/**
+ * Free-text strength → { text, complete, ingredients: [parseIngredientStrength...] }; null when empty.
+ * complete is false when any ingredient could not be read.
+ */
+export function parseStrength(text) {
+    const t = String(text ?? '').replace(/\s+/g, ' ').trim();
+    if (!t) return null;
+    const parts = zipBackupForm(t) || t.split(/\s*;\s*|,\s+(?=\d)/).filter(Boolean);
+    const ingredients = parts.map(parseIngredientStrength);
+    return { text: t, complete: ingredients.every(i => i.normalized), ingredients };
+}
+
+const fmt = (n) => `${n.value} ${n.unit}`;
+
+/** Canonical comparison key: "100 mg/mL" for both "500 mg/5mL" and "100 mg/mL"; null if not fully parsed. */
+export function strengthKey(text) {
+    const s = parseStrength(text);
+    if (!s || !s.complete) return null;
+    return s.ingredients.map(i => fmt(i.normalized)).sort().join('; ');
+}
+
+const OPS = ['>=', '<=', '>', '<', '='];
+
+/**
+ * Strength filters from a query object. Accepts strength=>=10mg, strength=10-20mg (range), and the
+ * literal "strength>=10mg" / "strength<5mg" forms (which a query-string parser splits oddly).
+ * → { filters: [{ op, value, unit }] } or { errors }
+ */
+export function parseStrengthFilters(query = {}) {
+    const exprs = [];
+    for (const [k, v] of Object.entries(query)) {
+        const m = k.match(/^strength([<>=].*)?$/);
+        if (!m) continue;
+        const op = m[1] || '';
+        for (const value of [].concat(v)) {
+            // "strength>=10mg" arrives as key "strength>", value "10mg"; "strength>10mg" as that key with value ''
+            exprs.push(`${op}${op === '>' || op === '<' ? '=' : ''}${value}`.trim());
+        }
+    }
+    const filters = [];
+    const errors = [];
+    for (const expr of exprs) {
+        const range = expr.match(/^([\d.,]+)\s*-\s*([\d.,]+\s*\S.*)$/);
+        const parts = range
+            ? [['>=', `${range[1]} ${range[2].replace(/^[\d.,]+\s*/, '')}`], ['<=', range[2]]]
+            : [[OPS.find(op => expr.startsWith(op)) || '=', expr.replace(/^[<>=]+/, '')]];
+        for (const [op, amount] of parts) {
+            const n = parseIngredientStrength(amount).normalized;
+            if (!n) errors.push(`Invalid strength filter "${expr}" (e.g. strength>=10mg, strength=5mg/mL)`);
+            else filters.push({ op, value: n.value, unit: n.unit });
+        }
+    }
+    return errors.length ? { errors } : { filters };
+}
@@ -0,0 +1,259 @@
+// suggest-index.js  (in-RAM suggest index: sorted prefix arrays + trigram index over distinct names)
+import { similarity, phoneticKey } from './fuzzy-match.js';
+
+const FIELDS = ['brand', 'generic', 'substance'];
+const FIELD_BONUS = { brand: 3, generic: 2, substance: 1 };
+// Higher wins; field bonus breaks ties inside a tier (brand before generic before substance).
+const TIER = { lpExact: 100, ndcExact: 98, lpPrefix: 90, ndcPrefix: 85, exact: 70, prefix: 60, word: 50, contains: 40 };
+
+const tierName = (t) => ({ [TIER.exact]: 'exact', [TIER.prefix]: 'prefix', [TIER.word]: 'word', [TIER.contains]: 'contains' })[t];
+// 0..1 match score reported to clients, by match kind
+const MATCH_SCORE = { exact: 1, prefix: 0.9, word: 0.8, contains: 0.7 };
+
+const FUZZY_MIN_SIMILARITY = 0.7;
+const FUZZY_CANDIDATES = 300;
+
+const trigrams = (s) => {
+    const out = new Set();
+    for (let i = 0; i + 3 <= s.length; i++) out.add(s.slice(i, i + 3));
+    return out;
+};
+
+// First index whose key is >= prefix (keys sorted ascending).
+function lowerBound(keys, prefix) {
+    let lo = 0, hi = keys.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (keys[mid] < prefix) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+}
+
+function sortedKeyIndex(entries, keyOf) {
+    const order = entries.map((_, i) => i).filter(i => keyOf(entries[i]));
+    order.sort((a, b) => {
+        const ka = keyOf(entries[a]), kb = keyOf(entries[b]);
+        return ka < kb ? -1 : ka > kb ? 1 : a - b;
+    });
+    return { keys: order.map(i => keyOf(entries[i])), ids: Int32Array.from(order) };
+}
+
+/**
+ * Build an index over suggest entries ({ lp, ndc10, brand, generic, substance, strength }).
+ * Returns { size, query, fuzzy }; results carry a 0..1 `score` and a `match` kind (e.g. "brand:prefix").
+ */
+export function createSuggestIndex(rows) {
+    const entries = rows.map(r => ({
+        lp: String(r.lp || ''),
+        ndc10: r.ndc10 || null,
+        brand: r.brand || null,
+        generic: r.generic || null,
+        substance: r.substance || null,
+        strength: r.strength || null,
+        _lp: String(r.lp || '').toLowerCase(),
+        _digits: String(r.ndc_digits ?? r._digits ?? String(r.ndc10 || '').replace(/\D/g, '')).toLowerCase(),
+    }));
+
+    const byLp = sortedKeyIndex(entries, e => e._lp);
+    const byDigits = sortedKeyIndex(entries, e => e._digits);
+
+    // Distinct names → the entries using them, per field. Packages share names heavily,
+    // so this keeps the n-gram index a fraction of the entry count.
+    const nameIds = new Map();
+    const names = [];
+    entries.forEach((e, id) => {
+        for (const field of FIELDS) {
+            const name = String(e[field] || '').toLowerCase().trim();
+            if (!name) continue;
+            let n = nameIds.get(name);
+            if (n === undefined) {
+                n = names.length;
+                nameIds.set(name, n);
+                names.push({ name, words: name.split(/[^a-z0-9]+/).filter(Boolean), brand: [], generic: [], substance: [] });
+            }
+            const list = names[n][field];
+            if (list[list.length - 1] !== id) list.push(id);
+        }
+    });
+
+    const gramLists = new Map();
+    names.forEach((n, i) => {
+        for (const g of trigrams(n.name)) {
+            let list = gramLists.get(g);
+            if (!list) gramLists.set(g, (list = []));
+            list.push(i);
+        }
+    });
+    const grams = new Map(Array.from(gramLists, ([g, list]) => [g, Int32Array.from(list)]));
+    const sortedNames = names.map((n, i) => i).sort((a, b) => (names[a].name < names[b].name ? -1 : 1));
+    const sortedNameKeys = sortedNames.map(i => names[i].name);
+
+    function nameCandidates(s) {
+        if (s.length >= 3) {
+            const lists = Array.from(trigrams(s), g => grams.get(g));
+            if (lists.some(l => !l)) return [];
+            lists.sort((a, b) => a.length - b.length);
+            return Array.from(lists[0]).filter(i => names[i].name.includes(s));
+        }
+        // Too short for trigrams: whole-name prefix only
+        const out = [];
+        for (let k = lowerBound(sortedNameKeys, s); k < sortedNameKeys.length && sortedNameKeys[k].startsWith(s); k++) {
+            out.push(sortedNames[k]);
+        }
+        return out;
+    }
+
+    function nameTier(n, s) {
+        if (n.name === s) return TIER.exact;
+        if (n.name.startsWith(s)) return TIER.prefix;
+        if (n.words.some(w => w.startsWith(s))) return TIER.word;
+        return TIER.contains;
+    }
+
+    function query(q, { limit = 20 } = {}) {
+        if (!q) return [];
+        const s = String(q).toLowerCase().trim();
+        const digits = s.replace(/\D/g, '');
+        const hasLetters = /[a-z]/.test(s);
+        const scored = new Map(); // entry id → { score, match, seq }
+        let seq = 0;
+        const offer = (id, score, match) => {
+            const cur = scored.get(id);
+            if (!cur) scored.set(id, { score, match, seq: seq++ });
+            else if (cur.score < score) Object.assign(cur, { score, match });
+        };
+
+        if (!hasLetters) {
+            // 1) labeler-product prefix (e.g., "527-3")
+            for (let k = lowerBound(byLp.keys, s); k < byLp.keys.length && byLp.keys[k].startsWith(s); k++) {
+                const exact = byLp.keys[k] === s;
+                offer(byLp.ids[k], exact ? TIER.lpExact : TIER.lpPrefix, exact ? 'lp:exact' : 'lp:prefix');
+                if (scored.size >= limit * 4) break;
+            }
+            // 2) numeric prefix on dashed NDC digits (10/11)
+            if (digits) {
+                for (let k = lowerBound(byDigits.keys, digits); k < byDigits.keys.length && byDigits.keys[k].startsWith(digits); k++) {
+                    const exact = byDigits.keys[k] === digits;
+                    offer(byDigits.ids[k], exact ? TIER.ndcExact : TIER.ndcPrefix, exact ? 'ndc:exact' : 'ndc:prefix');
+                    if (scored.size >= limit * 8) break;
+                }
+            }
+        }
+
+        // 3) names: best tier first, then shorter names; stop once enough entries are collected
+        if (s.length && (hasLetters || scored.size < limit)) {
+            const ranked = nameCandidates(s)
+                .map(i => ({ n: names[i], tier: nameTier(names[i], s) }))
+                .sort((a, b) => b.tier - a.tier || a.n.name.length - b.n.name.length || (a.n.name < b.n.name ? -1 : 1));
+            // Finish the tier we're in once `limit` is covered (a later brand can outrank an earlier substance)
+            let taken = 0;
+            let stopTier = null;
+            for (const { n, tier } of ranked) {
+                if (stopTier !== null && (tier < stopTier || taken >= limit * 50)) break;
+                for (const field of FIELDS) {
+                    // Same name + field = same score, so the first few entries are all that can make the cut
+                    const ids = n[field];
+                    for (let k = 0; k < ids.length && k < limit * 2; k++) {
+                        offer(ids[k], tier + FIELD_BONUS[field], `${field}:${tierName(tier)}`);
+                        taken++;
+                    }
+                }
+                if (stopTier === null && scored.size >= limit) stopTier = tier;
+            }
+        }
+
+        return Array.from(scored, ([id, m]) => ({ id, ...m }))
+            .sort((a, b) => b.score - a.score || a.seq - b.seq)
+            .slice(0, limit)
+            .map(({ id, match }) => {
+                const { lp, ndc10, brand, generic, substance, strength } = entries[id];
+                return { lp, ndc10, brand, generic, substance, strength, score: MATCH_SCORE[match.split(':')[1]], match };
+            });
+    }
+
+    // word phonetic key → name ids, for sound-alike misspellings trigrams miss ("fenergan" → "phenergan")
+    const phonetic = new Map();
+    names.forEach((n, i) => {
+        for (const w of n.words) {
+            if (w.length < 4) continue;
+            const k = phoneticKey(w);
+            let list = phonetic.get(k);
+            if (!list) phonetic.set(k, (list = []));
+            if (list[list.length - 1] !== i) list.push(i);
+        }
+    });
+
+    /**
+     * Typo-tolerant name match: candidates share trigrams or a phonetic key with the query,
+     * then get scored by edit-distance similarity against the whole name and each word.
+     * Returns [{ ...entry, score (0..1), match: 'fuzzy'|'phonetic', matchedName, suggestion }].
+     */
+    function fuzzy(q, { limit = 20, minSimilarity = FUZZY_MIN_SIMILARITY } = {}) {
+        const s = String(q || '').toLowerCase().replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+        if (s.length < 4) return [];
+        const qWords = s.split(' ');
+
+        const overlap = new Map();
+        for (const g of trigrams(s)) {
+            const list = grams.get(g);
+            if (!list) continue;
+            for (const i of list) overlap.set(i, (overlap.get(i) || 0) + 1);
+        }
+        const candidates = new Set(
+            Array.from(overlap).sort((a, b) => b[1] - a[1]).slice(0, FUZZY_CANDIDATES).map(([i]) => i)
+        );
+        const qKeys = new Set(qWords.filter(w => w.length >= 4).map(phoneticKey));
+        for (const k of qKeys) for (const i of phonetic.get(k) || []) candidates.add(i);
+
+        const hits = [];
+        for (const i of candidates) {
+            const n = names[i];
+            // whole name vs whole query, or each query word against its best-matching name word
+            let best = similarity(s, n.name);
+            let suggestion = n.name;
+            if (n.words.length > 1 || qWords.length > 1) {
+                const perWord = qWords.map(qw => {
+                    let top = { sim: 0, word: null };
+                    for (const w of n.words) {
+                        const sim = similarity(qw, w);
+                        if (sim > top.sim) top = { sim, word: w };
+                    }
+                    return top;
+                });
+                const avg = perWord.reduce((a, b) => a + b.sim, 0) / perWord.length;
+                if (avg > best) {
+                    best = avg;
+                    suggestion = perWord.map(p => p.word).join(' ');
+                }
+            }
+            const sounds = n.words.some(w => w.length >= 4 && qKeys.has(phoneticKey(w)));
+            const score = sounds ? Math.max(best, 0.8) : best;
+            if (score >= minSimilarity) hits.push({ i, score, suggestion, match: sounds && best < 0.8 ? 'phonetic' : 'fuzzy' });
+        }
+        hits.sort((a, b) => b.score - a.score || names[a.i].name.length - names[b.i].name.length);
+
+        const out = [];
+        const seen = new Set();
+        for (const h of hits) {
+            const n = names[h.i];
+            for (const field of FIELDS) {
+                for (const id of n[field]) {
+                    if (seen.has(id)) continue;
+                    seen.add(id);
+                    const { lp, ndc10, brand, generic, substance, strength } = entries[id];
+                    out.push({
+                        lp, ndc10, brand, generic, substance, strength,
+                        score: Math.round(h.score * 100) / 100,
+                        match: h.match,
+                        matchedName: n.name,
+                        suggestion: h.suggestion,
+                    });
+                    if (out.length >= limit) return out;
+                }
+            }
+        }
+        return out;
+    }
+
+    return { size: entries.length, query, fuzzy };
+}
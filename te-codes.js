@@ -0,0 +1,126 @@
+// te-codes.js  (Orange Book TE codes from fda_merged_tecode.sqlite; uses sqlite + sqlite3)
+import { open } from 'sqlite';
+import sqlite3 from 'sqlite3';
+
+let teDb = null;
+
+const ident = (s) => {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(s)) throw new Error('Bad ident ' + s);
+    return s;
+};
+
+const tableName = () => ident(process.env.NDC_TECODE_TABLE || 'merged_ndc_tecode');
+const pkgCol = () => ident(process.env.NDC_TECODE_NDCPACKAGE_COL || 'NDCPACKAGECODE');
+const teCol = () => ident(process.env.NDC_TECODE_COL || 'TE_CODE');
+
+// Same "527-3060" labeler-product key the backup uses (leading zeros dropped).
+const lpExpr = (col) => `(
+      CAST(substr(${col},1,instr(${col},'-')-1) AS INT) || '-' ||
+      CAST(substr(${col}, instr(${col},'-')+1,
+        instr(substr(${col}, instr(${col},'-')+1), '-') - 1
+      ) AS INT))`;
+
+export async function initTeCodeDb(defaultPath) {
+    const path = process.env.NDC_TECODE_PATH || defaultPath;
+    const table = tableName();
+    if (!path) {
+        console.warn('[te-codes] NDC_TECODE_PATH not set');
+        return;
+    }
+    const handle = await open({ filename: path, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+    const found = await handle.get(`SELECT name FROM sqlite_master WHERE type='table' AND name=?`, table);
+    if (!found) {
+        console.warn('[te-codes] table not found, alternatives disabled:', table, path);
+        await handle.close();
+        return;
+    }
+    teDb = handle;
+    console.log('[te-codes] opened', path);
+}
+
+export const isTeCodeReady = () => !!teDb;
+
+/** Orange Book AB-family codes (AB, AB1, AB2…): bioequivalence shown, substitutable. */
+export const isABRated = (te) => /^AB\d*$/i.test(String(te || '').trim());
+
+const isPastDate = (yyyymmdd) => {
+    const s = String(yyyymmdd || '').replace(/\D/g, '');
+    if (s.length !== 8) return false;
+    const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return s <= today;
+};
+
+function mapTeRow(row) {
+    return {
+        ndc: row.ndc10 ?? null,
+        normalizedNDC: row.lp ?? null,
+        brandName: row.PROPRIETARYNAME ?? null,
+        genericName: row.NONPROPRIETARYNAME ?? null,
+        substanceName: row.SUBSTANCENAME ?? null,
+        strength:
+            row.ACTIVE_NUMERATOR_STRENGTH && row.ACTIVE_INGRED_UNIT
+                ? `${row.ACTIVE_NUMERATOR_STRENGTH} ${row.ACTIVE_INGRED_UNIT}`
+                : null,
+        dosageForm: row.DOSAGEFORMNAME ?? null,
+        route: row.ROUTENAME ?? null,
+        labeler: row.LABELERNAME ?? null,
+        teCode: row.te_code ? String(row.te_code).trim().toUpperCase() : null,
+        endMarketingDate: row.ENDMARKETINGDATE ?? null,
+        discontinued: isPastDate(row.ENDMARKETINGDATE),
+    };
+}
+
+const selectCols = () => `
+      ${lpExpr(pkgCol())}   AS lp,
+      ${pkgCol()}           AS ndc10,
+      ${teCol()}            AS te_code,
+      PROPRIETARYNAME, NONPROPRIETARYNAME, SUBSTANCENAME,
+      ACTIVE_NUMERATOR_STRENGTH, ACTIVE_INGRED_UNIT,
+      DOSAGEFORMNAME, ROUTENAME, LABELERNAME, ENDMARKETINGDATE`;
+
+/**
+ * Products sharing ingredient, strength, dosage form and route with `candidates`
+ * (labeler-product keys, tried in order). Returns null when the NDC isn't in the TE db.
+ */
+export async function findAlternatives(candidates) {
+    if (!teDb) return null;
+    const table = tableName();
+
+    let ref = null;
+    for (const lp of candidates) {
+        ref = await teDb.get(`SELECT ${selectCols()} FROM ${table} WHERE ${lpExpr(pkgCol())} = ? LIMIT 1`, lp);
+        if (ref) break;
+    }
+    if (!ref) return null;
+
+    const rows = await teDb.all(
+        `
+    SELECT ${selectCols()}
+    FROM ${table}
+    WHERE UPPER(SUBSTANCENAME)             = UPPER(?)
+      AND ACTIVE_NUMERATOR_STRENGTH        = ?
+      AND UPPER(ACTIVE_INGRED_UNIT)        = UPPER(?)
+      AND UPPER(DOSAGEFORMNAME)            = UPPER(?)
+      AND UPPER(IFNULL(ROUTENAME, ''))     = UPPER(IFNULL(?, ''))
+      AND ${lpExpr(pkgCol())}             <> ?
+    ORDER BY LABELERNAME, ${pkgCol()}`,
+        [
+            ref.SUBSTANCENAME,
+            ref.ACTIVE_NUMERATOR_STRENGTH,
+            ref.ACTIVE_INGRED_UNIT,
+            ref.DOSAGEFORMNAME,
+            ref.ROUTENAME,
+            ref.lp,
+        ]
+    );
+
+    const reference = mapTeRow(ref);
+    const alternatives = rows.map(mapTeRow).map(alt => ({
+        ...alt,
+        isABRated: isABRated(alt.teCode),
+        // AB1 only substitutes for AB1, etc.; plain AB matches AB.
+        isABSubstitute: isABRated(alt.teCode) && isABRated(reference.teCode) && alt.teCode === reference.teCode,
+    }));
+
+    return { reference: { ...reference, isABRated: isABRated(reference.teCode) }, alternatives };
+}
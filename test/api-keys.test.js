@@ -0,0 +1,160 @@
+// test/api-keys.test.js  (api-keys.js + middleware/apiKey.js: API-key callers against an in-memory DB)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { up } from '../migrations/005_api_keys.js';
+import {
+    validateApiKeyInput, createApiKey, revokeApiKey, listApiKeys, apiKeyUsage, authenticateApiKey,
+    createApiKeyLimiter, API_KEY_PATTERN,
+} from '../api-keys.js';
+import { apiKeyAuth } from '../middleware/apiKey.js';
+import { requireAuth, isOrgMemberSession } from '../middleware/requireAuth.js';
+
+async function withDb(fn) {
+    const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    try {
+        await up(db);
+        return await fn(db);
+    } finally {
+        await db.close();
+    }
+}
+
+const newKey = (db, body = {}, opts = { createdBy: 'bob@exactcarepharmacy.com', org: 'exactcare' }) =>
+    createApiKey(db, validateApiKeyInput({ name: 'pharmacy system', ...body }).value, opts);
+
+function fakeReq(headers = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    return { headers: lower, get: (name) => lower[name.toLowerCase()] };
+}
+
+// Run one middleware; resolves to { next, status, body, headers, req }
+function run(mw, req) {
+    return new Promise((resolve, reject) => {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            set(h, v) { Object.assign(this.headers, typeof h === 'string' ? { [h]: v } : h); return this; },
+            status(c) { this.statusCode = c; return this; },
+            json(body) { resolve({ next: false, status: this.statusCode, body, headers: this.headers, req }); return this; },
+        };
+        Promise.resolve(mw(req, res, () => resolve({ next: true, status: null, headers: res.headers, req }))).catch(reject);
+    });
+}
+
+test('API-key callers carry their creator\'s org but are not org-member sessions', () => withDb(async (db) => {
+    const { key } = await newKey(db);
+    const { next, req } = await run(apiKeyAuth(db), fakeReq({ 'X-API-Key': key }));
+    assert.equal(next, true);
+    assert.equal(req.user.org, 'exactcare');
+    assert.equal(isOrgMemberSession(req.user), false); // so /ndc-lookup leaves commenter notes out
+
+    assert.equal(isOrgMemberSession({ email: 'alice@exactcarepharmacy.com', org: 'exactcare' }), true);
+    assert.equal(isOrgMemberSession({ email: 'x@other.com', org: null }), false);
+    assert.equal(isOrgMemberSession(undefined), false);
+}));
+
+test('validateApiKeyInput fills defaults and refuses person-only permissions', () => {
+    const { value: { rateLimitPerMinute, dailyQuota, ...value } } = validateApiKeyInput({ name: ' ci ' });
+    assert.deepEqual(value, { name: 'ci', permissions: ['ndc:read'], expiresAt: null });
+    assert.ok(rateLimitPerMinute > 0 && dailyQuota > 0);
+    assert.deepEqual(validateApiKeyInput({ name: 'ci', permissions: ['comment:write'], rateLimitPerMinute: 0, expiresAt: '2001-01-01' }).errors, [
+        'permission "comment:write" cannot be granted to an API key (allowed: ndc:read, audit:read)',
+        'rateLimitPerMinute must be a positive integer',
+        'expiresAt must be a future date',
+    ]);
+});
+
+test('keys are stored hashed and resolve only with the full secret', () => withDb(async (db) => {
+    const { key, apiKey } = await newKey(db, { permissions: ['ndc:read', 'audit:read'] });
+    assert.match(key, API_KEY_PATTERN);
+    assert.equal(apiKey.keyHash, undefined);
+    const row = await db.get(`SELECT * FROM api_keys WHERE id = ?`, [apiKey.id]);
+    assert.equal(row.keyHash, crypto.createHash('sha256').update(key).digest('hex'));
+    assert.ok(!JSON.stringify(row).includes(key.split('_')[2]));
+
+    const ok = await authenticateApiKey(db, key);
+    assert.deepEqual([ok.apiKey.id, ok.apiKey.permissions, ok.apiKey.org], [apiKey.id, ['ndc:read', 'audit:read'], 'exactcare']);
+    const forged = key.slice(0, -4) + (key.endsWith('AAAA') ? 'BBBB' : 'AAAA'); // right prefix, wrong secret
+    assert.deepEqual(await authenticateApiKey(db, forged), { error: 'unknown' });
+    assert.deepEqual(await authenticateApiKey(db, 'ndck_nope'), { error: 'unknown' });
+    assert.deepEqual(await authenticateApiKey(db, null), { error: 'unknown' });
+}));
+
+test('revoked and expired keys are refused; revoking is idempotent', () => withDb(async (db) => {
+    const { key, apiKey } = await newKey(db, { expiresAt: new Date(Date.now() + 3_600_000).toISOString() });
+    assert.ok((await authenticateApiKey(db, key)).apiKey);
+    assert.deepEqual(await authenticateApiKey(db, key, { now: new Date(Date.now() + 7_200_000) }), { error: 'expired' });
+
+    const first = await revokeApiKey(db, apiKey.id, { revokedBy: 'bob@exactcarepharmacy.com' });
+    assert.equal(first.before.revokedAt, null);
+    assert.equal(first.after.revokedBy, 'bob@exactcarepharmacy.com');
+    const again = await revokeApiKey(db, apiKey.id, { revokedBy: 'someone-else' });
+    assert.equal(again.after.revokedAt, first.after.revokedAt);
+    assert.equal(again.after.revokedBy, 'bob@exactcarepharmacy.com');
+    assert.equal(await revokeApiKey(db, 999), null);
+    assert.deepEqual(await authenticateApiKey(db, key), { error: 'revoked' });
+
+    assert.deepEqual(await listApiKeys(db), []);
+    assert.equal((await listApiKeys(db, { includeRevoked: true })).length, 1);
+}));
+
+test('limiter: per-minute window in memory, daily quota in api_key_usage', () => withDb(async (db) => {
+    const { apiKey } = await newKey(db, { rateLimitPerMinute: 2, dailyQuota: 3 });
+    const limiter = createApiKeyLimiter();
+    const t0 = new Date('2026-10-19T12:00:00.000Z');
+    const at = (ms) => new Date(t0.getTime() + ms);
+
+    assert.deepEqual(await limiter.admit(db, apiKey, at(0)), { limit: 2, quota: 3, ok: true, remaining: 1, quotaRemaining: 2 });
+    assert.equal((await limiter.admit(db, apiKey, at(1000))).ok, true);
+    const limited = await limiter.admit(db, apiKey, at(15_000));
+    assert.deepEqual([limited.ok, limited.reason, limited.retryAfterSec, limited.quotaRemaining], [false, 'rate_limited', 45, 1]);
+
+    assert.equal((await limiter.admit(db, apiKey, at(60_000))).ok, true); // new window
+    const over = await limiter.admit(db, apiKey, at(61_000));
+    assert.deepEqual([over.ok, over.reason, over.quotaRemaining, over.retryAfterSec], [false, 'quota_exceeded', 0, 12 * 3600 - 61]);
+
+    assert.deepEqual(await apiKeyUsage(db, apiKey.id), [
+        { day: '2026-10-19', requests: 3, rateLimited: 1, overQuota: 1, lastUsedAt: at(60_000).toISOString() },
+    ]);
+    const [listed] = await listApiKeys(db, { now: t0 });
+    assert.deepEqual(listed.usage.today, { requests: 3, rateLimited: 1, overQuota: 1, remaining: 0 });
+
+    // The quota is counted in the DB, so a fresh limiter (a restart) still enforces it; a new day resets it
+    assert.equal((await createApiKeyLimiter().admit(db, apiKey, at(120_000))).reason, 'quota_exceeded');
+    assert.equal((await createApiKeyLimiter().admit(db, apiKey, at(86_400_000))).ok, true);
+}));
+
+test('apiKeyAuth: key from X-API-Key or Bearer, 401 per failure, 429 with retry headers', () => withDb(async (db) => {
+    const { key, apiKey } = await newKey(db, { rateLimitPerMinute: 1 });
+    const mw = apiKeyAuth(db);
+
+    const viaBearer = await run(mw, fakeReq({ Authorization: `Bearer ${key}` }));
+    assert.equal(viaBearer.next, true);
+    assert.deepEqual(viaBearer.req.user.apiKey, { id: apiKey.id, prefix: apiKey.prefix, name: 'pharmacy system' });
+    assert.equal(viaBearer.req.user.email, '');
+    assert.equal(viaBearer.headers['X-RateLimit-Remaining'], '0');
+
+    const limited = await run(mw, fakeReq({ 'X-API-Key': key }));
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, 'Rate limit exceeded');
+    assert.ok(Number(limited.headers['Retry-After']) >= 1);
+
+    assert.deepEqual(await run(mw, fakeReq({ 'X-API-Key': 'ndck_000000000000_' + 'x'.repeat(32) })).then(r => [r.status, r.body]),
+        [401, { error: 'Invalid API key' }]);
+    await revokeApiKey(db, apiKey.id);
+    assert.deepEqual(await run(mw, fakeReq({ 'X-API-Key': key })).then(r => [r.status, r.body]), [401, { error: 'API key revoked' }]);
+
+    // No key at all: untouched (a user's JWT bearer is left to requireAuth)
+    const anonymous = await run(mw, fakeReq({ Authorization: 'Bearer eyJhbGciOi.x.y' }));
+    assert.deepEqual([anonymous.next, anonymous.req.user], [true, undefined]);
+}));
+
+test('requireAuth turns API keys away unless the route allows them', async () => {
+    const keyUser = () => ({ ...fakeReq(), user: { org: 'exactcare', apiKey: { id: 1 } } });
+    assert.deepEqual(await run(requireAuth(), keyUser()).then(r => [r.status, r.body]), [403, { error: 'API keys cannot be used here' }]);
+    assert.equal((await run(requireAuth({ allowApiKey: true }), keyUser())).next, true);
+    assert.deepEqual(await run(requireAuth({ allowApiKey: true }), fakeReq()).then(r => [r.status, r.body]), [401, { error: 'Missing token' }]);
+});
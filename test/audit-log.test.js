@@ -0,0 +1,84 @@
+// test/audit-log.test.js  (audit-log.js: recording entries and filtering them for /admin/audit)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { up } from '../migrations/001_initial_schema.js';
+import { recordAudit, queryAudit } from '../audit-log.js';
+
+const alice = { id: 'req-1', ip: '10.0.0.1', user: { email: 'Alice@ExactCarePharmacy.com', sub: 'auth0|alice' } };
+const bob = { id: 'req-2', ip: '10.0.0.2', user: { email: 'bob@exactcarepharmacy.com', sub: 'auth0|bob' } };
+
+// An audit DB with a few entries; createdAt is pinned so date filters are deterministic
+async function withAudit(fn) {
+    const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    try {
+        await up(db);
+        await recordAudit(db, alice, { action: 'comment.create', targetType: 'comment', targetId: 7, after: { comment: 'hi' } });
+        await recordAudit(db, bob, { action: 'comment.delete', targetType: 'comment', targetId: 7, before: { comment: 'hi' } });
+        await recordAudit(db, bob, { action: 'user.approve', targetType: 'user', targetId: 'carol@exactcarepharmacy.com' });
+        await recordAudit(db, {}, { action: 'data.reload', actor: 'reload-token' });
+        const days = ['2026-10-01T09:00:00.000Z', '2026-10-01T23:30:00.000Z', '2026-10-02T00:00:00.000Z', '2026-10-03T12:00:00.000Z'];
+        // The append-only triggers forbid UPDATE; this fixture drops them to pin the times
+        const rows = await db.all(`SELECT * FROM audit_log ORDER BY id`);
+        await db.exec(`DROP TRIGGER audit_log_no_update; DROP TRIGGER audit_log_no_delete;`);
+        for (const [i, r] of rows.entries()) await db.run(`UPDATE audit_log SET createdAt = ? WHERE id = ?`, [days[i], r.id]);
+        return await fn(db);
+    } finally {
+        await db.close();
+    }
+}
+
+const actions = (out) => out.rows.map(r => r.action);
+
+test('recordAudit stores the actor, request and JSON state; it never throws', () => withAudit(async (db) => {
+    const first = await db.get(`SELECT * FROM audit_log WHERE id = 1`);
+    assert.deepEqual(
+        [first.actorEmail, first.actorSub, first.requestId, first.ip, first.targetId, first.before, first.after],
+        ['alice@exactcarepharmacy.com', 'auth0|alice', 'req-1', '10.0.0.1', '7', null, '{"comment":"hi"}']
+    );
+    assert.deepEqual(await db.get(`SELECT actorEmail, actorSub, targetType FROM audit_log WHERE action = 'data.reload'`),
+        { actorEmail: 'reload-token', actorSub: null, targetType: null });
+
+    await db.exec(`DROP TABLE audit_log`);
+    await recordAudit(db, alice, { action: 'comment.create' }); // logged, not thrown
+}));
+
+test('queryAudit returns everything newest first, paged', () => withAudit(async (db) => {
+    const all = await queryAudit(db);
+    assert.equal(all.total, 4);
+    assert.deepEqual(actions(all), ['data.reload', 'user.approve', 'comment.delete', 'comment.create']);
+    const page = await queryAudit(db, {}, { limit: 2, offset: 1 });
+    assert.deepEqual([page.total, actions(page)], [4, ['user.approve', 'comment.delete']]);
+}));
+
+test('queryAudit filters by actor, action (exact or prefix*) and target', () => withAudit(async (db) => {
+    assert.deepEqual(actions(await queryAudit(db, { actor: 'BOB@exactcarepharmacy.com' })), ['user.approve', 'comment.delete']);
+    assert.deepEqual(actions(await queryAudit(db, { actor: 'auth0|alice' })), ['comment.create']);
+    assert.deepEqual(actions(await queryAudit(db, { action: 'comment.*' })), ['comment.delete', 'comment.create']);
+    assert.deepEqual(actions(await queryAudit(db, { action: 'comment' })), []);
+    assert.deepEqual(actions(await queryAudit(db, { targetType: 'comment', targetId: 7 })), ['comment.delete', 'comment.create']);
+    assert.deepEqual(actions(await queryAudit(db, { actor: 'bob@exactcarepharmacy.com', action: 'comment.*' })), ['comment.delete']);
+}));
+
+test('queryAudit date bounds are inclusive whole days; bad dates are errors', () => withAudit(async (db) => {
+    assert.deepEqual(actions(await queryAudit(db, { from: '2026-10-01', to: '2026-10-01' })), ['comment.delete', 'comment.create']);
+    assert.deepEqual(actions(await queryAudit(db, { from: '2026-10-02' })), ['data.reload', 'user.approve']);
+    assert.deepEqual(actions(await queryAudit(db, { to: '2026-10-01T12:00:00.000Z' })), ['comment.create']);
+    assert.deepEqual(await queryAudit(db, { from: 'yesterday', to: '2026-13-45' }), {
+        errors: ['Invalid from date "yesterday"', 'Invalid to date "2026-13-45"'],
+    });
+}));
+
+test('audit rows cannot be changed or deleted', async () => {
+    const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    try {
+        await up(db);
+        await recordAudit(db, alice, { action: 'comment.create' });
+        await assert.rejects(db.run(`UPDATE audit_log SET action = 'x'`), /audit_log is append-only/);
+        await assert.rejects(db.run(`DELETE FROM audit_log`), /audit_log is append-only/);
+        assert.equal((await queryAudit(db)).total, 1);
+    } finally {
+        await db.close();
+    }
+});
@@ -0,0 +1,78 @@
+// test/auth.test.js  (auth/verifiers.js + auth/tokenVerifier.js: claims, verified emails, org membership)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPair, exportJWK, SignJWT, createLocalJWKSet } from 'jose';
+import { normalizeClaims, createAuth0Verifier } from '../auth/verifiers.js';
+import { findOrg } from '../auth/tokenVerifier.js';
+
+const AUTH0_ISSUER = 'https://tenant.example.auth0.com/';
+const ORGS = [
+    { id: 'exactcare', domains: ['exactcarepharmacy.com'], orgIds: [], issuers: [AUTH0_ISSUER] },
+    { id: 'partner', domains: ['partnerrx.example'], orgIds: ['org_123'], issuers: ['https://login.partner.example/'] },
+];
+
+// An auth0 verifier on a local key pair, and a signer for its tokens
+async function auth0Setup(options = {}) {
+    const { privateKey, publicKey } = await generateKeyPair('RS256');
+    const jwks = createLocalJWKSet({ keys: [{ ...(await exportJWK(publicKey)), kid: 'k1', alg: 'RS256' }] });
+    const verifier = createAuth0Verifier({ domain: 'tenant.example.auth0.com', audience: 'ndc-compare', ...options, jwks });
+    const sign = (claims) => new SignJWT(claims)
+        .setProtectedHeader({ alg: 'RS256', kid: 'k1' })
+        .setIssuer(AUTH0_ISSUER)
+        .setAudience('ndc-compare')
+        .setSubject('auth0|alice')
+        .setIssuedAt()
+        .setExpirationTime('5m')
+        .sign(privateKey);
+    return { verifier, sign };
+}
+
+const orgOf = (user) => findOrg({ ...user, issuer: AUTH0_ISSUER }, ORGS)?.id ?? null;
+
+test('normalizeClaims: email, name and permissions only from the configured claims', () => {
+    const user = normalizeClaims({
+        sub: 's1', email: 'Alice@ExactCarePharmacy.com', nickname: 'al', scope: 'comment:write', perms: ['audit:read'],
+    }, { permissionsClaim: 'perms' });
+    const { claims, ...rest } = user;
+    assert.deepEqual(rest, { sub: 's1', email: 'alice@exactcarepharmacy.com', emailVerified: false, name: 'al', permissions: ['audit:read'] });
+    assert.equal(claims.nickname, 'al');
+    assert.deepEqual(normalizeClaims({ scope: 'comment:write' }).permissions, []);
+});
+
+test('normalizeClaims: only an explicit email_verified or a trusted claim verifies the email', () => {
+    const trusted = { trustedEmailClaims: ['https://ndc-compare/email'] };
+    assert.equal(normalizeClaims({ email: 'a@x.com', email_verified: true }).emailVerified, true);
+    assert.equal(normalizeClaims({ email: 'a@x.com', email_verified: 'true' }).emailVerified, false);
+    assert.equal(normalizeClaims({ 'https://ndc-compare/email': 'a@x.com' }).emailVerified, false);
+    assert.equal(normalizeClaims({ 'https://ndc-compare/email': 'a@x.com' }, trusted).emailVerified, true);
+    assert.equal(normalizeClaims({ 'https://ndc-compare/email': 'a@x.com', email_verified: false }, trusted).emailVerified, false);
+    assert.equal(normalizeClaims({ email: 'a@x.com' }, trusted).emailVerified, false);
+});
+
+test('auth0: a token with only the namespaced email claim keeps its org', async () => {
+    const { verifier, sign } = await auth0Setup();
+    const user = await verifier.verify(await sign({ 'https://ndc-compare/email': 'alice@exactcarepharmacy.com', permissions: ['comment:write'] }));
+    assert.equal(user.email, 'alice@exactcarepharmacy.com');
+    assert.equal(user.emailVerified, true);
+    assert.deepEqual(user.permissions, ['comment:write']);
+    assert.equal(orgOf(user), 'exactcare');
+});
+
+test('auth0: trustNamespacedEmail false requires email_verified', async () => {
+    const { verifier, sign } = await auth0Setup({ trustNamespacedEmail: false });
+    const bare = await verifier.verify(await sign({ 'https://ndc-compare/email': 'alice@exactcarepharmacy.com' }));
+    assert.equal(orgOf(bare), null);
+    const flagged = await verifier.verify(await sign({
+        'https://ndc-compare/email': 'alice@exactcarepharmacy.com', 'https://ndc-compare/email_verified': true,
+    }));
+    assert.equal(orgOf(flagged), 'exactcare');
+});
+
+test('findOrg: issuer must be trusted by the org; domain needs a verified email, org_id does not', () => {
+    const user = { email: 'bob@partnerrx.example', emailVerified: true, claims: {} };
+    assert.equal(findOrg({ ...user, issuer: 'https://login.partner.example/' }, ORGS)?.id, 'partner');
+    assert.equal(findOrg({ ...user, issuer: AUTH0_ISSUER }, ORGS), null);
+    assert.equal(findOrg({ ...user, emailVerified: false, issuer: 'https://login.partner.example/' }, ORGS), null);
+    assert.equal(findOrg({ ...user, emailVerified: false, claims: { org_id: 'org_123' }, issuer: 'https://login.partner.example/' }, ORGS)?.id, 'partner');
+    assert.equal(findOrg({ email: 'eve@exactcarepharmacy.com', emailVerified: true, claims: {}, issuer: 'https://login.partner.example/' }, ORGS), null);
+});
@@ -0,0 +1,82 @@
+// test/barcode.test.js  (barcode.js: UPC-A / GTIN / GS1 element strings → NDC, lot, expiry, serial)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gs1CheckDigit, isValidGs1, ndc11FormsFrom10, decodeBarcode } from '../barcode.js';
+
+const now = new Date('2026-10-19T00:00:00Z');
+// NDC 0527-3060-01 as a UPC-A: "3" + NDC10 digits + check digit
+const UPC = '305273060011';
+
+test('GS1 check digits', () => {
+    assert.equal(gs1CheckDigit('30527306001'), '1');
+    assert.equal(isValidGs1(UPC), true);
+    assert.equal(isValidGs1('305273060012'), false);
+    assert.equal(isValidGs1('12345'), false);
+});
+
+test('a 10-digit NDC stands for three 11-digit forms', () => {
+    assert.deepEqual(ndc11FormsFrom10('0527306001').map(f => [f.format, f.ndc10, f.ndc11]), [
+        ['4-4-2', '0527-3060-01', '00527306001'],
+        ['5-3-2', '05273-060-01', '05273006001'],
+        ['5-4-1', '05273-0600-1', '05273060001'],
+    ]);
+    assert.deepEqual(ndc11FormsFrom10('527306001'), []);
+});
+
+test('UPC-A and GTIN-13/14 decode to the same NDC', () => {
+    const upc = decodeBarcode(UPC, { now });
+    assert.equal(upc.type, 'UPC-A');
+    assert.equal(upc.gtin, '00305273060011');
+    assert.equal(upc.ndc10Digits, '0527306001');
+    assert.equal(upc.lot, null);
+    assert.equal(upc.expired, null);
+
+    assert.equal(decodeBarcode(`0${UPC}`, { now }).type, 'GTIN-13');
+    assert.equal(decodeBarcode(`00${UPC}`, { now }).ndc10Digits, '0527306001');
+    assert.equal(decodeBarcode('3-0527-3060-01-1', { now }).ndc10Digits, '0527306001'); // separators ignored
+});
+
+test('GS1 element strings: human-readable form', () => {
+    const r = decodeBarcode('(01)00305273060011(17)271200(10)LOT42(21)SN1', { now });
+    assert.equal(r.type, 'GS1');
+    assert.equal(r.ndc10Digits, '0527306001');
+    assert.equal(r.lot, 'LOT42');
+    assert.equal(r.serial, 'SN1');
+    assert.equal(r.expiry, '2027-12-31'); // day 00 = last day of the month
+    assert.equal(r.expired, false);
+});
+
+test('GS1 element strings: raw DataMatrix scan with FNC1 separators', () => {
+    const r = decodeBarcode(']d201003052730600111725063010AB12\u001d21XYZ', { now });
+    assert.equal(r.gtin, '00305273060011');
+    assert.equal(r.expiry, '2025-06-30');
+    assert.equal(r.expired, true);
+    assert.equal(r.lot, 'AB12');
+    assert.equal(r.serial, 'XYZ');
+});
+
+test('GS1 expiry years follow the sliding century window', () => {
+    assert.equal(decodeBarcode('(01)00305273060011(17)991231', { now }).expiry, '1999-12-31');
+    assert.equal(decodeBarcode('(01)00305273060011(17)760101', { now }).expiry, '2076-01-01');
+});
+
+test('GS1 expiry days must exist in their month; 00 is the last day', () => {
+    const expiry = (yymmdd) => decodeBarcode(`(01)00305273060011(17)${yymmdd}`, { now }).expiry;
+    assert.equal(expiry('270131'), '2027-01-31');
+    assert.equal(expiry('280229'), '2028-02-29'); // leap year
+    assert.equal(expiry('270200'), '2027-02-28');
+    assert.equal(expiry('280200'), '2028-02-29');
+    assert.equal(expiry('270430'), '2027-04-30');
+    for (const bad of ['250231', '270229', '270431', '270132', '271301', '270099']) {
+        const r = decodeBarcode(`(01)00305273060011(17)${bad}`, { now });
+        assert.deepEqual([r.expiry, r.expired], [null, null], bad);
+    }
+});
+
+test('rejects bad input', () => {
+    assert.throws(() => decodeBarcode(''), /Empty barcode/);
+    assert.throws(() => decodeBarcode('305273060012'), /Bad check digit/);
+    assert.throws(() => decodeBarcode('012345678905'), /does not embed an NDC/);
+    assert.throws(() => decodeBarcode('(17)271200'), /no \(01\) GTIN/);
+    assert.throws(() => decodeBarcode('0100305273060011x7'), /Unreadable GS1 data/);
+});
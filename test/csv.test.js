@@ -0,0 +1,30 @@
+// test/csv.test.js  (csv.js: RFC 4180 parse/stringify)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../csv.js';
+
+test('parseCsv handles quotes, CRLF, a BOM and blank lines', () => {
+    assert.deepEqual(parseCsv('\uFEFFndc,note\r\n0527-3060-01,"a ""b"", c"\r\n\r\n0093-1048-01,"x\ny"'), [
+        ['ndc', 'note'],
+        ['0527-3060-01', 'a "b", c'],
+        ['0093-1048-01', 'x\ny'],
+    ]);
+});
+
+test('toCsv quotes where needed and leaves nulls empty', () => {
+    assert.equal(
+        toCsv(['a', 'b', 'c'], [{ a: 'x,y', b: 'say "hi"', c: null }, { a: 1, b: undefined, c: 'line\nbreak' }]),
+        'a,b,c\r\n"x,y","say ""hi""",\r\n1,,"line\nbreak"\r\n'
+    );
+});
+
+test('toCsv defuses text a spreadsheet would run as a formula', () => {
+    const rows = [
+        { v: '=HYPERLINK("http://x","y")' }, { v: '+1' }, { v: '-2+3' }, { v: '@SUM(A1)' }, { v: '\tcmd' },
+        { v: -5 }, { v: 'a=b' },
+    ];
+    assert.deepEqual(toCsv(['v'], rows).split('\r\n').slice(1, -1), [
+        `"'=HYPERLINK(""http://x"",""y"")"`, `'+1`, `'-2+3`, `'@SUM(A1)`, `'\tcmd`, '-5', 'a=b',
+    ]);
+    assert.deepEqual(parseCsv(toCsv(['v'], [{ v: '=1+1' }]))[1], [`'=1+1`]);
+});
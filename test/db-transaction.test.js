@@ -0,0 +1,101 @@
+// test/db-transaction.test.js  (db-transaction.js: transactions next to request writes, as server.js wires them)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { up as initialSchema } from '../migrations/001_initial_schema.js';
+import { up as datasetChanges } from '../migrations/002_dataset_changes.js';
+import { withTransaction } from '../db-transaction.js';
+import { trackSourceChanges } from '../ndc-changes.js';
+
+// A request connection and a transaction connection on one file, like server.js `db` / `txDb`
+async function withConnections(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'db-tx-test-'));
+    const filename = path.join(dir, 'app.sqlite');
+    const db = await open({ filename, driver: sqlite3.Database });
+    const txDb = await open({ filename, driver: sqlite3.Database });
+    try {
+        for (const conn of [db, txDb]) conn.configure('busyTimeout', 5000);
+        await initialSchema(db);
+        await datasetChanges(db);
+        return await fn(db, txDb);
+    } finally {
+        await db.close();
+        await txDb.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const ROWS = [
+    { ndc: '0527-3060-01', brandName: 'Lipitor', strength: '10 mg' },
+    { ndc: '0093-1048-01', brandName: 'Metformin', strength: '500 mg' },
+];
+const eachRow = (rows) => async (cb) => rows.forEach(cb);
+
+const addComment = (txDb, text) => withTransaction(txDb, async (tx) => {
+    const { lastID } = await tx.run(`INSERT INTO comments (scope, comment, author) VALUES ('ndc', ?, 'a@example.com')`, [text]);
+    await tx.run(
+        `INSERT INTO comment_revisions (commentId, revision, action, comment, actor) VALUES (?, 1, 'create', ?, 'a@example.com')`,
+        [lastID, text]
+    );
+    return lastID;
+});
+const addAudit = (db, action) => db.run(`INSERT INTO audit_log (action) VALUES (?)`, [action]);
+
+// Start `during(tx)` once trackSourceChanges has its transaction open (its first prepared statement)
+function onceInTransaction(txDb, during) {
+    const prepare = txDb.prepare.bind(txDb);
+    let started = null;
+    txDb.prepare = (...args) => {
+        started ||= during();
+        return prepare(...args);
+    };
+    return () => started;
+}
+
+test('comment and audit writes made during trackSourceChanges both commit', () => withConnections(async (db, txDb) => {
+    await trackSourceChanges(txDb, 'primary', eachRow(ROWS)); // baseline
+    const started = onceInTransaction(txDb, () => Promise.all([addComment(txDb, 'during tracking'), addAudit(db, 'comment.create')]));
+
+    const summary = await trackSourceChanges(txDb, 'primary', eachRow([{ ...ROWS[0], strength: '20 mg' }]));
+    assert.equal(summary.changed, 1);
+    assert.equal(summary.removed, 1);
+    await started();
+
+    assert.equal((await db.get(`SELECT COUNT(*) AS n FROM comments`)).n, 1);
+    assert.equal((await db.get(`SELECT COUNT(*) AS n FROM comment_revisions`)).n, 1);
+    assert.equal((await db.get(`SELECT COUNT(*) AS n FROM audit_log`)).n, 1);
+    assert.equal((await db.get(`SELECT COUNT(*) AS n FROM ndc_changes`)).n, 2);
+}));
+
+test('a failed tracking run rolls back only its own rows', () => withConnections(async (db, txDb) => {
+    await trackSourceChanges(txDb, 'primary', eachRow(ROWS));
+    let started = null;
+    const prepare = txDb.prepare.bind(txDb);
+    txDb.prepare = async (...args) => {
+        if (!started) {
+            started = Promise.all([addComment(txDb, 'during tracking'), addAudit(db, 'comment.create')]);
+            throw new Error('disk full');
+        }
+        return prepare(...args);
+    };
+
+    await assert.rejects(trackSourceChanges(txDb, 'primary', eachRow([])), /disk full/);
+    await started;
+    assert.equal((await db.get(`SELECT COUNT(*) AS n FROM dataset_snapshots`)).n, 1); // the baseline only
+    assert.equal((await db.get(`SELECT COUNT(*) AS n FROM comments`)).n, 1);
+    assert.equal((await db.get(`SELECT COUNT(*) AS n FROM audit_log`)).n, 1);
+}));
+
+test('withTransaction queues transactions on one connection instead of nesting them', () => withConnections(async (db, txDb) => {
+    const ids = await Promise.all([1, 2, 3].map(i => addComment(txDb, `c${i}`)));
+    assert.deepEqual(ids, [1, 2, 3]);
+    await assert.rejects(withTransaction(txDb, async (tx) => {
+        await tx.run(`INSERT INTO comments (scope, comment, author) VALUES ('ndc', 'x', 'a@example.com')`);
+        throw new Error('nope');
+    }), /nope/);
+    assert.equal((await addComment(txDb, 'after')), 4);
+}));
@@ -0,0 +1,101 @@
+// test/fda-ndc-import.test.js  (fda-ndc-import.js: FDA NDC text files → validated, merged dataset rows)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseFdaText, buildDataset } from '../fda-ndc-import.js';
+
+const tsv = (rows) => rows.map(r => r.join('\t')).join('\r\n') + '\r\n';
+
+const PRODUCT_HEADER = ['PRODUCTID', 'PRODUCTNDC', 'PROPRIETARYNAME', 'LABELERNAME', 'ACTIVE_NUMERATOR_STRENGTH', 'ACTIVE_INGRED_UNIT', 'STARTMARKETINGDATE', 'ENDMARKETINGDATE'];
+const PACKAGE_HEADER = ['PRODUCTID', 'PRODUCTNDC', 'NDCPACKAGECODE', 'PACKAGEDESCRIPTION', 'STARTMARKETINGDATE', 'ENDMARKETINGDATE'];
+
+function withSourceDir(files, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fda-ndc-test-'));
+    try {
+        for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+        return fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('parseFdaText: tab-delimited rows keyed by upper-cased header, blanks as null', () => {
+    const { header, rows } = parseFdaText('\uFEFFproductid\tProductNDC\tNAME\r\nP1\t0527-3060\t \n\nP2\t0093-1048\tMetformin\r\n');
+    assert.deepEqual(header, ['PRODUCTID', 'PRODUCTNDC', 'NAME']); // BOM trimmed
+    assert.deepEqual(rows.map(r => [r._line, r.PRODUCTNDC, r.NAME]), [[2, '0527-3060', null], [3, '0093-1048', 'Metformin']]);
+    assert.equal(rows[0].MISSING, undefined);
+    assert.deepEqual(parseFdaText(''), { header: [], rows: [] });
+});
+
+test('parseFdaText: short rows fill the missing cells with null', () => {
+    const { rows } = parseFdaText('A\tB\tC\n1\t2\n');
+    assert.deepEqual(rows[0], { _line: 2, A: '1', B: '2', C: null });
+});
+
+test('buildDataset joins packages to products and normalizes codes and dates', () => {
+    const files = {
+        'product.txt': tsv([
+            PRODUCT_HEADER,
+            ['P1', '0527-3060', 'Metformin', 'Lannett', '500', 'mg/1', '20200101', ''],
+            ['P2', '12345-678', 'Other', 'Acme', '5', 'mg/1', '2019-01-01', '20301231'],
+        ]),
+        'package.txt': tsv([
+            PACKAGE_HEADER,
+            ['P1', '0527-3060', '0527-3060-01', '100 TABLET in 1 BOTTLE', '20210101', ''],
+            ['P2', '12345-678', '12345-678-90', '30 TABLET in 1 BOTTLE', 'bad', ''],
+        ]),
+    };
+    const out = withSourceDir(files, buildDataset);
+    assert.deepEqual(out.errors, []);
+    assert.deepEqual(out.counts, { finished: { products: 2, packages: 2 } });
+    // the optional unfinished / excluded sources are only warned about
+    assert.equal(out.warnings.length, 2);
+
+    const [a, b] = out.rows;
+    assert.equal(a.NDC11, '00527306001');
+    assert.equal(a.normalizedNDC, '527-3060');
+    assert.equal(a.STARTMARKETINGDATE, '20210101');      // package date wins
+    assert.equal(a.PRODUCT_STARTMARKETINGDATE, '20200101');
+    assert.equal(a.ACTIVE_NUMERATOR_STRENGTH, '500');
+    assert.equal(a.SOURCE, 'finished');
+    assert.equal(b.NDC11, '12345067890');
+    assert.equal(b.STARTMARKETINGDATE, '20190101');      // unreadable package date → product date
+    assert.equal(b.ENDMARKETINGDATE, '20301231');
+});
+
+test('buildDataset rejects bad rows with a reason and samples', () => {
+    const files = {
+        'product.txt': tsv([
+            PRODUCT_HEADER,
+            ['P1', '0527-3060', 'Metformin', 'Lannett', '', '', '', ''],
+            ['P1', '0527-3060', 'Duplicate', 'Lannett', '', '', '', ''],
+            ['P3', '527-3060', 'Bad NDC', 'X', '', '', '', ''],
+        ]),
+        'package.txt': tsv([
+            PACKAGE_HEADER,
+            ['P1', '0527-3060', '0527-3060-01', 'ok', '', ''],
+            ['P1', '0527-3060', '0527-3060-01', 'again', '', ''],
+            ['P1', '0527-3060', '0093-1048-01', 'wrong product', '', ''],
+            ['P9', '0000-0000', '0000-0000-00', 'orphan', '', ''],
+            ['P1', '0527-3060', '0527-30-01', 'bad code', '', ''],
+        ]),
+    };
+    const out = withSourceDir(files, buildDataset);
+    assert.equal(out.rows.length, 1);
+    assert.deepEqual(
+        Object.fromEntries(Object.entries(out.rejected).map(([k, v]) => [k, v.count])),
+        { duplicate_product_id: 1, bad_product_ndc: 1, duplicate_package: 1, package_product_mismatch: 1, orphan_package: 1, bad_package_code: 1 }
+    );
+    assert.equal(out.rejected.orphan_package.samples[0].line, 5);
+});
+
+test('buildDataset reports missing files and columns as errors', () => {
+    assert.match(withSourceDir({}, buildDataset).errors[0], /finished: missing product.txt, package.txt/);
+    const out = withSourceDir({
+        'product.txt': tsv([['PRODUCTID', 'PRODUCTNDC'], ['P1', '0527-3060']]),
+        'package.txt': tsv([PACKAGE_HEADER]),
+    }, buildDataset);
+    assert.match(out.errors[0], /missing columns product\.txt:LABELERNAME/);
+});
@@ -0,0 +1,40 @@
+// test/fuzzy-match.test.js  (fuzzy-match.js: edit distance, similarity and the drug-name phonetic key)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editDistance, similarity, phoneticKey } from '../fuzzy-match.js';
+
+test('editDistance counts insertions, deletions, substitutions and adjacent swaps', () => {
+    assert.equal(editDistance('lipitor', 'lipitor'), 0);
+    assert.equal(editDistance('lipitor', 'lipito'), 1);
+    assert.equal(editDistance('lipitor', 'lipitorr'), 1);
+    assert.equal(editDistance('lipitor', 'lipetor'), 1);
+    assert.equal(editDistance('lipitor', 'lipiotr'), 1); // transposition is one edit
+    assert.equal(editDistance('', 'abc'), 3);
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+});
+
+test('editDistance stops early past max', () => {
+    assert.equal(editDistance('abc', 'abcdefgh', 2), 3);       // length gap alone exceeds max
+    assert.equal(editDistance('zyrtec', 'lipitor', 1), 2);     // bails out on the first row over max
+    assert.equal(editDistance('zyrtec', 'zirtec', 1), 1);
+});
+
+test('similarity is 1 for identical strings and falls with each edit', () => {
+    assert.equal(similarity('', ''), 1);
+    assert.equal(similarity('celebrex', 'celebrex'), 1);
+    assert.equal(similarity('lipitor', 'lipiotr'), 1 - 1 / 7);
+    assert.equal(similarity('celebrex', 'celexa'), 0.5);
+    assert.equal(similarity('abcd', 'wxyz'), 0);
+});
+
+test('phoneticKey collapses sound-alike drug name spellings', () => {
+    assert.equal(phoneticKey('Phenergan'), phoneticKey('fenergan'));
+    assert.equal(phoneticKey('Zyrtec'), phoneticKey('zirtek'));
+    assert.equal(phoneticKey('Xanax'), phoneticKey('zanaks'));
+    assert.equal(phoneticKey('cymbalta'), phoneticKey('symbalta'));
+    assert.equal(phoneticKey('Lipitor'), 'lptr');
+    assert.equal(phoneticKey('aspirin'), 'asprn'); // a leading vowel is kept
+    assert.notEqual(phoneticKey('celebrex'), phoneticKey('celexa'));
+    assert.equal(phoneticKey('123'), '');
+    assert.equal(phoneticKey(null), '');
+});
@@ -0,0 +1,103 @@
+// test/gpi.test.js  (gpi.js: GPI parsing, prefix roll-ups and inherited GPI comments)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { up } from '../migrations/001_initial_schema.js';
+import { normalizeGpi, parseGpi, gpiAncestors, gpiSummary, ndcsUnderGpi, inheritedGpiComments } from '../gpi.js';
+
+// Three statins (two products of one drug, one of another) and a metformin, GPIs in mixed spellings
+const NDC_ROWS = [
+    ['0071-0155-23', '0071-0155', 'Lipitor', 'atorvastatin calcium', '10 mg', '39400010100310'],
+    ['0071-0156-23', '0071-0156', 'Lipitor', 'atorvastatin calcium', '20 mg', '39-40-00-10-10-03-20'],
+    ['0071-0156-40', '0071-0156', 'Lipitor', 'atorvastatin calcium', '20 mg', '39400010100320'],
+    ['0310-0751-90', '0310-0751', 'Crestor', 'rosuvastatin calcium', '5 mg', '39 40 00 60 10 03 10'],
+    ['0093-1048-01', '0093-1048', null, 'metformin hydrochloride', '500 mg', '27250050000320'],
+    ['9999-0001-01', '9999-0001', 'No GPI', 'unknown', null, null],
+];
+
+async function withDb(fn) {
+    const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    try {
+        await up(db);
+        await db.exec(`CREATE TABLE ndc_data (ndc TEXT, normalizedNDC TEXT, brandName TEXT, genericName TEXT, strength TEXT, gpi TEXT)`);
+        for (const row of NDC_ROWS) await db.run(`INSERT INTO ndc_data VALUES (?, ?, ?, ?, ?, ?)`, row);
+        return await fn(db);
+    } finally {
+        await db.close();
+    }
+}
+
+test('normalizeGpi drops separators and case', () => {
+    assert.equal(normalizeGpi('39-40-00-10-10-03-10'), '39400010100310');
+    assert.equal(normalizeGpi(' 3940 0010 1003 10 '), '39400010100310');
+    assert.equal(normalizeGpi('39.40.00.10.10.e3.10'), '3940001010E310');
+    assert.equal(normalizeGpi(null), '');
+});
+
+test('parseGpi splits a full GPI into its seven levels', () => {
+    const p = parseGpi('39-40-00-10-10-03-10');
+    assert.deepEqual([p.gpi, p.formatted, p.level, p.complete], ['39400010100310', '39-40-00-10-10-03-10', 7, true]);
+    assert.deepEqual(p.levels.map(l => `${l.key}:${l.code}:${l.prefix}`), [
+        'group:39:39', 'class:40:3940', 'subclass:00:394000', 'baseName:10:39400010',
+        'name:10:3940001010', 'dosageForm:03:394000101003', 'strength:10:39400010100310',
+    ]);
+    assert.equal(p.levels[3].label, 'Drug base name');
+});
+
+test('parseGpi accepts whole-level prefixes only', () => {
+    const prefix = parseGpi('3940');
+    assert.deepEqual([prefix.level, prefix.complete, prefix.formatted, prefix.levels.length], [2, false, '39-40', 2]);
+    for (const bad of ['3', '394', '394000101003101', '', null]) assert.equal(parseGpi(bad), null, String(bad));
+    assert.deepEqual(gpiAncestors('394000'), ['39', '3940', '394000']);
+    assert.deepEqual(gpiAncestors('39400'), []);
+});
+
+test('gpiSummary rolls up NDCs, products and the next level under a prefix', () => withDb(async (db) => {
+    const statins = await gpiSummary(db, '394000');
+    assert.deepEqual(statins.totals, { ndcs: 4, products: 3 });
+    assert.deepEqual(statins.levels.map(l => `${l.key}:${l.count}`), ['baseName:2', 'name:2', 'dosageForm:2', 'strength:3']);
+    assert.deepEqual(statins.children.map(c => [c.prefix, c.code, c.key, c.ndcs, c.products, c.sampleName]), [
+        ['39400010', '10', 'baseName', 3, 2, 'atorvastatin calcium'],
+        ['39400060', '60', 'baseName', 1, 1, 'rosuvastatin calcium'],
+    ]);
+
+    const all = await gpiSummary(db);
+    assert.deepEqual(all.totals, { ndcs: 5, products: 4 }); // rows without a GPI are left out
+    assert.deepEqual(all.children.map(c => c.prefix), ['27', '39']);
+
+    const leaf = await gpiSummary(db, '39400010100320');
+    assert.deepEqual([leaf.totals.ndcs, leaf.levels, leaf.children], [2, [], []]);
+}));
+
+test('ndcsUnderGpi lists NDCs under a prefix in GPI order, paged', () => withDb(async (db) => {
+    const { total, rows } = await ndcsUnderGpi(db, '3940', { limit: 2, offset: 1 });
+    assert.equal(total, 4);
+    assert.deepEqual(rows.map(r => r.ndc), ['0071-0156-23', '0071-0156-40']);
+    assert.deepEqual(Object.keys(rows[0]), ['ndc', 'normalizedNDC', 'brandName', 'genericName', 'strength', 'dosageForm', 'labelerName', 'gpi']);
+    assert.equal(rows[0].labelerName, null); // no labeler column in this ndc_data
+
+    await db.exec(`ALTER TABLE ndc_data DROP COLUMN gpi`);
+    assert.deepEqual(await ndcsUnderGpi(db, '3940'), { error: 'ndc_data has no GPI column' });
+    assert.deepEqual(await gpiSummary(db, '3940'), { error: 'ndc_data has no GPI column' });
+}));
+
+test('inheritedGpiComments returns live comments on every ancestor, most specific first', () => withDb(async (db) => {
+    const add = (gpiCode, comment, deletedAt = null) => db.run(
+        `INSERT INTO comments (scope, gpiCode, comment, author, deletedAt) VALUES ('gpi', ?, ?, 'a@example.com', ?)`,
+        [gpiCode, comment, deletedAt]
+    );
+    await add('39', 'all cardiovascular');
+    await add('39-40-00-10', 'atorvastatin: check LFTs');
+    await add('39400010100310', 'this strength');
+    await add('3940001010', 'deleted note', '2026-10-01');
+    await add('39400060', 'rosuvastatin only');
+
+    const notes = await inheritedGpiComments(db, '39-40-00-10-10-03-10');
+    assert.deepEqual(notes.map(n => [n.comment, n.gpiLevel.key, n.gpiLevel.prefix]), [
+        ['this strength', 'strength', '39400010100310'],
+        ['atorvastatin: check LFTs', 'baseName', '39400010'],
+        ['all cardiovascular', 'group', '39'],
+    ]);
+    assert.deepEqual(await inheritedGpiComments(db, 'not a gpi'), []);
+}));
@@ -0,0 +1,96 @@
+// test/lookup-sources.test.js  (lookup-sources.js: circuit breakers, call timeouts and the primary/backup race)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSource, raceSources, callWithin, settleWithin } from '../lookup-sources.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const after = (ms, value) => () => sleep(ms).then(() => value);
+const boom = () => Promise.reject(new Error('SQLITE_BUSY'));
+const quietly = async (fn) => {
+    const { warn, log } = console;
+    console.warn = console.log = () => {};
+    try { return await fn(); } finally { Object.assign(console, { warn, log }); }
+};
+
+test('call reports hits, misses, errors and timeouts without rejecting', async () => {
+    const src = createSource('primary', { timeoutMs: 30 });
+    assert.equal((await src.call(async () => ({ ndc: 'x' }))).status, 'hit');
+    assert.deepEqual(await src.call(async () => null).then(r => [r.status, r.value]), ['miss', null]);
+    const err = await quietly(() => src.call(boom));
+    assert.deepEqual([err.status, err.error], ['error', 'SQLITE_BUSY']);
+    assert.equal((await src.call(after(100, { ndc: 'late' }))).status, 'timeout');
+
+    const s = src.snapshot();
+    assert.deepEqual([s.calls, s.hits, s.misses, s.errors, s.timeouts, s.skipped], [4, 1, 1, 1, 1, 0]);
+    assert.equal(s.latencyMs.samples, 2); // failures don't count towards latency
+    assert.equal(s.breaker.state, 'closed');
+    assert.equal(s.breaker.lastError.message, 'timed out after 30ms');
+});
+
+test('the breaker opens after consecutive failures, skips during cooldown, then trials once', () => quietly(async () => {
+    const src = createSource('backup', { failureThreshold: 2, cooldownMs: 40 });
+    await src.call(boom);
+    await src.call(async () => 'ok'); // a success resets the count
+    await src.call(boom);
+    assert.equal(src.snapshot().breaker.state, 'closed');
+    await src.call(boom);
+    assert.equal(src.snapshot().breaker.state, 'open');
+
+    let ran = false;
+    assert.equal((await src.call(async () => { ran = true; })).status, 'skipped');
+    assert.equal(ran, false);
+
+    await sleep(50);
+    assert.equal((await src.call(boom)).status, 'error'); // half-open trial fails: straight back to open
+    assert.equal((await src.call(async () => 'ok')).status, 'skipped');
+    await sleep(50);
+    assert.equal((await src.call(async () => 'ok')).status, 'hit');
+    const { breaker, skipped } = src.snapshot();
+    assert.deepEqual([breaker.state, breaker.consecutiveFailures, skipped], ['closed', 0, 2]);
+}));
+
+const sources = () => ({ primary: createSource('primary'), backup: createSource('backup') });
+const race = (p, b, options) => {
+    const { primary, backup } = sources();
+    return raceSources({ primary: { source: primary, fn: p }, backup: { source: backup, fn: b } }, { deadlineMs: 40, ...options });
+};
+
+test('a primary answer within the deadline wins', async () => {
+    const r = await race(after(5, 'P'), after(1, 'B'));
+    assert.deepEqual([r.value, r.answeredBy, r.deadlineFired], ['P', 'primary', false]);
+    assert.deepEqual(r.sources.backup, { status: 'pending' });
+    assert.equal((await r.calls.backup).value, 'B'); // still available to the caller
+});
+
+test('a primary miss falls through to the backup, even after the deadline', async () => {
+    const r = await race(after(1, null), after(60, 'B'));
+    assert.deepEqual([r.value, r.answeredBy, r.deadlineFired], ['B', 'backup', false]);
+    const none = await race(after(1, null), after(1, null));
+    assert.deepEqual([none.value, none.answeredBy], [null, null]);
+});
+
+test('after the deadline the backup answers; a late primary is the last resort', async () => {
+    const r = await race(after(100, 'P'), after(1, 'B'));
+    assert.deepEqual([r.value, r.answeredBy, r.deadlineFired, r.sources.primary.status], ['B', 'backup', true, 'pending']);
+    const late = await race(after(60, 'P'), after(1, null));
+    assert.deepEqual([late.value, late.answeredBy, late.deadlineFired], ['P', 'primary', true]);
+});
+
+test('a weaker primary answer loses only to a better backup answer inside the deadline', async () => {
+    const rank = (v) => (v.endsWith('package') ? 2 : 1);
+    const better = await race(after(1, 'P product'), after(10, 'B package'), { rank, maxRank: 2 });
+    assert.deepEqual([better.value, better.answeredBy], ['B package', 'backup']);
+    const tooLate = await race(after(1, 'P product'), after(80, 'B package'), { rank, maxRank: 2 });
+    assert.deepEqual([tooLate.value, tooLate.answeredBy, tooLate.sources.backup.status], ['P product', 'primary', 'pending']);
+    const notBetter = await race(after(1, 'P product'), after(5, 'B product'), { rank, maxRank: 2 });
+    assert.equal(notBetter.answeredBy, 'primary');
+});
+
+test('callWithin / settleWithin stop waiting but let the call finish', async () => {
+    const src = createSource('primary');
+    assert.deepEqual(await callWithin(src, after(50, 'x'), 5), { status: 'pending', value: null, ms: 5 });
+    await sleep(60);
+    assert.equal(src.snapshot().hits, 1);
+    assert.equal((await settleWithin(src.call(after(1, 'y')), 50)).value, 'y');
+    assert.equal((await settleWithin(src.call(after(50, 'z')), -5)).ms, 0);
+});
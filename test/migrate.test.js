@@ -0,0 +1,102 @@
+// test/migrate.test.js  (migrate.js: one transaction per migration, dry runs, refusing a newer schema)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { runMigrations, migrationStatus } from '../migrate.js';
+
+// A migrations dir holding `files` ({ '001_a.js': source }), and an in-memory DB
+async function withMigrations(files, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-test-'));
+    fs.writeFileSync(path.join(dir, 'package.json'), '{"type":"module"}');
+    for (const [name, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), source);
+    const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    try {
+        return await fn(db, dir);
+    } finally {
+        await db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const createTable = (table) => `export const description = 'create ${table}';
+export async function up(db) { await db.exec('CREATE TABLE ${table} (id INTEGER)'); }
+`;
+const tables = async (db) => (await db.all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name <> 'schema_migrations' ORDER BY name`)).map(r => r.name);
+const versions = async (db) => (await db.all(`SELECT version FROM schema_migrations ORDER BY version`)).map(r => r.version);
+const quiet = () => {};
+
+test('pending migrations apply in order and are recorded once', () => withMigrations({
+    '002_b.js': createTable('b'),
+    '001_a.js': createTable('a'),
+}, async (db, dir) => {
+    const lines = [];
+    assert.deepEqual(await runMigrations(db, { dir, log: (l) => lines.push(l) }), { dryRun: false, applied: [1, 2], version: 2 });
+    assert.deepEqual(lines, ['[migrate] applied 001_a.js — create a', '[migrate] applied 002_b.js — create b']);
+    assert.deepEqual(await tables(db), ['a', 'b']);
+    assert.deepEqual(await runMigrations(db, { dir, log: quiet }), { dryRun: false, applied: [], version: 2 });
+}));
+
+test('each migration commits on its own; a failing one leaves no partial schema', () => withMigrations({
+    '001_a.js': createTable('a'),
+    '002_broken.js': `export async function up(db) {
+    await db.exec('CREATE TABLE half (id INTEGER)');
+    await db.exec('CREATE TABLE a (id INTEGER)');
+}
+`,
+}, async (db, dir) => {
+    await assert.rejects(runMigrations(db, { dir, log: quiet }), /^Error: Migration 002_broken\.js failed: .*table a already exists/);
+    assert.deepEqual(await tables(db), ['a']);
+    assert.deepEqual(await versions(db), [1]);
+    assert.equal((await migrationStatus(db, { dir })).pending[0].version, 2);
+}));
+
+test('a dry run applies nothing and records nothing', () => withMigrations({
+    '001_a.js': createTable('a'),
+    '002_b.js': createTable('b'),
+}, async (db, dir) => {
+    const lines = [];
+    assert.deepEqual(await runMigrations(db, { dir, dryRun: true, log: (l) => lines.push(l) }), { dryRun: true, applied: [1, 2], version: 0 });
+    assert.deepEqual(lines, ['[migrate] would apply 001_a.js — create a', '[migrate] would apply 002_b.js — create b']);
+    assert.deepEqual(await tables(db), []);
+    assert.deepEqual(await versions(db), []);
+}));
+
+test('a database with versions the code lacks is refused before anything runs', () => withMigrations({
+    '001_a.js': createTable('a'),
+    '002_b.js': createTable('b'),
+}, async (db, dir) => {
+    await migrationStatus(db, { dir });
+    await db.run(`INSERT INTO schema_migrations (version, name, checksum) VALUES (9, 'future', 'x')`);
+    await assert.rejects(runMigrations(db, { dir, log: quiet }), (e) => {
+        assert.equal(e.code, 'SCHEMA_AHEAD');
+        assert.match(e.message, /applied version\(s\) 9 not found in migrations\/ \(code latest 2\)/);
+        return true;
+    });
+    assert.deepEqual(await tables(db), []);
+}));
+
+test('a migration file changed after it ran is reported, not re-run', () => withMigrations({
+    '001_a.js': createTable('a'),
+}, async (db, dir) => {
+    await runMigrations(db, { dir, log: quiet });
+    fs.appendFileSync(path.join(dir, '001_a.js'), '// edited\n');
+    const lines = [];
+    assert.deepEqual((await runMigrations(db, { dir, log: (l) => lines.push(l) })).applied, []);
+    assert.match(lines[0], /^\[migrate\] ⚠️ 001_a\.js changed after it was applied/);
+    assert.deepEqual((await migrationStatus(db, { dir })).modified.map(m => m.version), [1]);
+}));
+
+test('the shipped migrations apply cleanly to an empty database', async () => {
+    const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    try {
+        const { applied, version } = await runMigrations(db, { log: quiet });
+        assert.equal(version, applied[applied.length - 1]);
+        assert.deepEqual((await migrationStatus(db)).pending, []);
+    } finally {
+        await db.close();
+    }
+});
@@ -0,0 +1,34 @@
+// test/ndc-changes.test.js  (ndc-changes.js: streaming a source's rows for change tracking)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { eachRowOf } from '../ndc-changes.js';
+
+async function withDb(fn) {
+    const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    try {
+        await db.exec(`CREATE TABLE t (n INTEGER); INSERT INTO t VALUES (1), (2), (3);`);
+        return await fn(db);
+    } finally {
+        await db.close();
+    }
+}
+
+test('eachRowOf streams every mapped row and resolves with the count', () => withDb(async (db) => {
+    const seen = [];
+    const n = await eachRowOf(db, `SELECT n FROM t ORDER BY n`, (r) => r.n * 10)((v) => seen.push(v));
+    assert.equal(n, 3);
+    assert.deepEqual(seen, [10, 20, 30]);
+}));
+
+test('eachRowOf rejects after a row fails instead of dropping it', () => withDb(async (db) => {
+    const seen = [];
+    const each = eachRowOf(db, `SELECT n FROM t ORDER BY n`, (r) => {
+        if (r.n === 2) throw new Error('bad row 2');
+        return r.n;
+    });
+    await assert.rejects(each((v) => seen.push(v)), /bad row 2/);
+    assert.deepEqual(seen, [1]);
+    await assert.rejects(eachRowOf(db, `SELECT nope FROM t`)(() => {}), /no such column/);
+}));
@@ -0,0 +1,60 @@
+// test/ndc-compare.test.js  (ndc-compare.js: record normalization and the /compare field diff)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDrugRecord, diffRecords, canon, toFlag } from '../ndc-compare.js';
+
+const record = (over = {}) => normalizeDrugRecord({
+    ndc: '0093-1048-01', brandName: 'Metformin', substanceName: 'METFORMIN HYDROCHLORIDE', strength: '500 mg',
+    dosageForm: 'TABLET', route: 'ORAL', deaClass: 'Not Scheduled', gpi: '27250050000320', refrigerate: 0, niosh_code: 'N',
+    ...over,
+});
+
+test('normalizeDrugRecord maps primary and backup rows onto one shape', () => {
+    const backup = normalizeDrugRecord({
+        ndc10: '0093-1048-01', proprietaryName: 'Metformin', nonProprietaryName: 'metformin', strengthText: '500 mg/1',
+        dosageFormName: 'TABLET', routeName: 'ORAL', niosh_code: '1', _source: 'backup-sqlite',
+    });
+    assert.deepEqual(
+        [backup.ndc, backup.brandName, backup.genericName, backup.strength, backup.route, backup.niosh, backup.refrigerate, backup._source],
+        ['0093-1048-01', 'Metformin', 'metformin', '500 mg/1', 'ORAL', true, null, 'backup-sqlite']
+    );
+    assert.equal(record()._source, 'primary-db');
+    assert.equal(normalizeDrugRecord(null), null);
+});
+
+test('canon and toFlag ignore case, spacing, list order and flag spelling', () => {
+    assert.equal(canon(' Oral;  TOPICAL '), canon('topical, oral'));
+    assert.equal(canon(''), '');
+    assert.equal(canon(null), null);
+    assert.deepEqual(['Y', 'yes', 1, '1', 'N', 0, 'false', '', null].map(toFlag), [true, true, true, true, false, false, false, null, null]);
+});
+
+test('identical records are allSame; one differing field is listed', () => {
+    const same = diffRecords([record(), record({ route: 'oral', dosageForm: 'tablet ' })]);
+    assert.equal(same.allSame, true);
+    assert.deepEqual(same.differences, []);
+
+    const diff = diffRecords([record(), record({ dosageForm: 'TABLET, FILM COATED' }), record()]);
+    assert.equal(diff.count, 3);
+    assert.equal(diff.allSame, false);
+    assert.deepEqual(diff.differences, ['dosageForm']);
+    assert.deepEqual(diff.fields.dosageForm.values, ['TABLET', 'TABLET, FILM COATED', 'TABLET']);
+});
+
+test('strengths compare by quantity, not text', () => {
+    assert.equal(diffRecords([record({ strength: '500 mg' }), record({ strength: '500 mg/1' })]).fields.strength.status, 'same');
+    assert.equal(diffRecords([record({ strength: '500 mg/5mL' }), record({ strength: '100 MG/ML' })]).fields.strength.status, 'same');
+    const differ = diffRecords([record({ strength: '500 mg' }), record({ strength: '0.85 g' })]).fields.strength;
+    assert.deepEqual(differ, { status: 'different', values: ['500 mg', '0.85 g'] }); // values stay as the sources wrote them
+    assert.equal(diffRecords([record({ strength: 'see label' }), record({ strength: 'See  Label' })]).fields.strength.status, 'same');
+});
+
+test('a field missing from some records is unknown, not same', () => {
+    const { fields, allSame } = diffRecords([record(), record({ gpi: null }), record()]);
+    assert.deepEqual(fields.gpi, { status: 'unknown', values: ['27250050000320', null, '27250050000320'] });
+    assert.equal(allSame, false);
+    assert.equal(diffRecords([record({ deaClass: null }), record({ deaClass: null })]).fields.deaClass.status, 'unknown');
+
+    const single = diffRecords([record(), null]);
+    assert.deepEqual([single.count, single.allSame, single.fields.route.status], [1, false, 'unknown']);
+});
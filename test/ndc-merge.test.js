@@ -0,0 +1,65 @@
+// test/ndc-merge.test.js  (ndc-merge.js: merged records and the source conflict report)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { up as datasetChanges } from '../migrations/002_dataset_changes.js';
+import { up as sourceConflicts } from '../migrations/003_source_conflicts.js';
+import { trackSourceChanges } from '../ndc-changes.js';
+import { mergeSourceRecords, refreshSourceConflicts } from '../ndc-merge.js';
+
+async function withDb(fn) {
+    const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    try {
+        await datasetChanges(db);
+        await sourceConflicts(db);
+        return await fn(db);
+    } finally {
+        await db.close();
+    }
+}
+
+const eachRow = (rows) => async (cb) => rows.forEach(cb);
+const conflicts = async (db) => (await db.all(`SELECT ndc, field, primaryValue, backupValue FROM ndc_source_conflicts ORDER BY ndc, field`))
+    .map(c => `${c.ndc} ${c.field}: ${c.primaryValue} | ${c.backupValue}`);
+
+test('mergeSourceRecords prefers primary values and reports real disagreements', () => {
+    const merged = mergeSourceRecords(
+        { ndc: '0093-1048-01', brandName: 'Metformin', strength: '500 mg', route: 'ORAL', deaClass: '' },
+        { ndc10: '0093-1048-01', proprietaryName: 'METFORMIN', strengthText: '500 mg/1', routeName: 'ORAL', deaClass: 'CIV', dosageFormName: 'TABLET', _source: 'sqlite-backup' }
+    );
+    assert.deepEqual([merged.brandName, merged.strength, merged.deaClass, merged.dosageForm], ['Metformin', '500 mg', 'CIV', 'TABLET']);
+    assert.deepEqual([merged._provenance.strength, merged._provenance.deaClass], ['primary', 'backup']);
+    assert.deepEqual(merged._conflicts, []); // "500 mg" and "500 mg/1" are the same strength
+
+    const differ = mergeSourceRecords({ ndc: 'x', strength: '500 mg' }, { ndc10: 'x', strengthText: '850 mg/1' });
+    assert.deepEqual(differ._conflicts, [{ field: 'strength', primary: '500 mg', backup: '850 mg/1' }]);
+});
+
+test('refreshSourceConflicts compares strengths by quantity, other fields as text', () => withDb(async (db) => {
+    await trackSourceChanges(db, 'primary', eachRow([
+        { ndc: '0093-1048-01', brandName: 'Metformin', strength: '500 mg', route: 'ORAL' },
+        { ndc: '0121-0744-16', brandName: 'Amoxil', strength: '250 mg/5mL', route: 'ORAL' },
+        { ndc: '0527-3060-01', brandName: 'Lipitor', strength: '10 mg', route: 'ORAL' },
+    ]));
+    await trackSourceChanges(db, 'backup', eachRow([
+        { ndc: '0093-1048-01', brandName: 'METFORMIN', strength: '500 mg/1', route: 'oral' },
+        { ndc: '0121-0744-16', brandName: 'Amoxil', strength: '50 mg/mL', route: 'ORAL' },
+        { ndc: '0527-3060-01', brandName: 'Lipitor', strength: '20 mg/1', route: 'ORAL; TOPICAL' },
+    ]));
+
+    assert.deepEqual(await refreshSourceConflicts(db), { ndcs: 1, conflicts: 2, added: 2, resolved: 0 });
+    assert.deepEqual(await conflicts(db), [
+        '0527-3060-01 route: ORAL | ORAL; TOPICAL',
+        '0527-3060-01 strength: 10 mg | 20 mg/1',
+    ]);
+
+    // The backup fixes its strength: that conflict resolves, the other one stays
+    await trackSourceChanges(db, 'backup', eachRow([
+        { ndc: '0093-1048-01', brandName: 'METFORMIN', strength: '500 mg/1', route: 'oral' },
+        { ndc: '0121-0744-16', brandName: 'Amoxil', strength: '50 mg/mL', route: 'ORAL' },
+        { ndc: '0527-3060-01', brandName: 'Lipitor', strength: '10 mg/1', route: 'ORAL; TOPICAL' },
+    ]));
+    assert.deepEqual(await refreshSourceConflicts(db), { ndcs: 1, conflicts: 1, added: 0, resolved: 1 });
+    assert.deepEqual(await conflicts(db), ['0527-3060-01 route: ORAL | ORAL; TOPICAL']);
+}));
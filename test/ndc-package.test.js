@@ -0,0 +1,57 @@
+// test/ndc-package.test.js  (ndc-package.js: package-level NDC forms and FDA package descriptions)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { derivePackageCandidates, dashed10FormsFrom11, parsePackageDescription, packageFieldsFromRow } from '../ndc-package.js';
+
+test('dashed NDCs pad each segment to one 11-digit candidate', () => {
+    assert.deepEqual(derivePackageCandidates('0093-1048-01'), ['00093104801']);   // 4-4-2
+    assert.deepEqual(derivePackageCandidates('60505-257-09'), ['60505025709']);   // 5-3-2
+    assert.deepEqual(derivePackageCandidates(' 63323-0262-1 '), ['63323026201']); // 5-4-1
+    assert.deepEqual(derivePackageCandidates('00093-1048-01'), ['00093104801']);  // already 5-4-2
+    assert.deepEqual(derivePackageCandidates('123456-1048-01'), []);
+});
+
+test('bare 10 digits yield every layout; 11 digits pass through; product NDCs yield none', () => {
+    assert.deepEqual(derivePackageCandidates('0093104801'), ['00093104801', '00931004801', '00931048001']);
+    assert.deepEqual(derivePackageCandidates('00093104801'), ['00093104801']);
+    assert.deepEqual(derivePackageCandidates('0093-1048'), []);
+    assert.deepEqual(derivePackageCandidates(''), []);
+    assert.deepEqual(derivePackageCandidates(null), []);
+});
+
+test('dashed10FormsFrom11 lists only layouts whose padding zero exists', () => {
+    assert.deepEqual(dashed10FormsFrom11('00093104801'), ['00093-1048-01', '0093-1048-01', '00093-1048-1']);
+    assert.deepEqual(dashed10FormsFrom11('60505025709'), ['60505-0257-09', '60505-257-09', '60505-0257-9']);
+    assert.deepEqual(dashed10FormsFrom11('12345678912'), ['12345-6789-12']);
+    assert.deepEqual(dashed10FormsFrom11('0093-1048-01'), []);
+    for (const form of dashed10FormsFrom11('00093010401')) {
+        assert.ok(derivePackageCandidates(form).includes('00093010401'), form); // round-trips
+    }
+});
+
+test('parsePackageDescription takes the outer level as the package size', () => {
+    const tray = parsePackageDescription('10 VIAL in 1 TRAY (63323-262-01) > 1 mL in 1 VIAL (63323-262-11)');
+    assert.deepEqual([tray.packageSize, tray.packageUnit], [10, 'VIAL']);
+    assert.deepEqual(tray.levels, [
+        { quantity: 10, unit: 'VIAL', containerCount: 1, container: 'TRAY' },
+        { quantity: 1, unit: 'mL', containerCount: 1, container: 'VIAL' },
+    ]);
+    assert.deepEqual(parsePackageDescription('1,000 TABLET, FILM COATED in 1 BOTTLE (0093-1048-10)').levels[0],
+        { quantity: 1000, unit: 'TABLET, FILM COATED', containerCount: 1, container: 'BOTTLE' });
+    assert.deepEqual(parsePackageDescription('2.5 mL in 1 BOTTLE, DROPPER').packageSize, 2.5);
+});
+
+test('unreadable or missing descriptions keep their text but no size', () => {
+    assert.deepEqual(parsePackageDescription('KIT (0591-0405-01)'), { packageSize: null, packageUnit: null, levels: [{ text: 'KIT' }] });
+    assert.deepEqual(parsePackageDescription(null), { packageSize: null, packageUnit: null, levels: [] });
+});
+
+test('packageFieldsFromRow reads primary and raw backup spellings', () => {
+    const desc = '30 TABLET in 1 BOTTLE (0093-1048-01)';
+    const primary = packageFieldsFromRow({ packageDescription: desc, startMarketingDate: '20100101' });
+    const backup = packageFieldsFromRow({ PACKAGEDESCRIPTION: desc, STARTMARKETINGDATE: '20100101', ENDMARKETINGDATE: '20301231' });
+    assert.deepEqual([primary.packageSize, primary.packageUnit, primary.endMarketingDate], [30, 'TABLET', null]);
+    assert.deepEqual({ ...backup, endMarketingDate: null }, primary);
+    assert.equal(backup.endMarketingDate, '20301231');
+    assert.equal(packageFieldsFromRow(null), null);
+});
@@ -0,0 +1,55 @@
+// test/ndc-strengths.test.js  (strength index over an in-memory ndc_data: rebuild, trigger queue, filters)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { up } from '../migrations/008_ndc_strengths.js';
+import { syncNdcStrengths, applyPendingStrengths, strengthClause } from '../ndc-strengths.js';
+import { parseStrengthFilters } from '../strength.js';
+
+async function setup() {
+    const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    await db.exec(`CREATE TABLE ndc_data (ndc TEXT, strength TEXT)`);
+    await up(db);
+    for (const [ndc, strength] of [['A', '10 mg'], ['B', '5 mg; 325 mg'], ['C', '500 mg/5mL'], ['D', 'see label'], ['E', null]]) {
+        await db.run(`INSERT INTO ndc_data VALUES (?, ?)`, [ndc, strength]);
+    }
+    await syncNdcStrengths(db);
+    return db;
+}
+
+async function search(db, query) {
+    await applyPendingStrengths(db);
+    const { sql, args } = strengthClause(parseStrengthFilters(query).filters);
+    return (await db.all(`SELECT ndc FROM ndc_data WHERE ${sql} ORDER BY ndc`, args)).map(r => r.ndc);
+}
+
+test('filters match any one ingredient, in normalized units', async () => {
+    const db = await setup();
+    try {
+        assert.deepEqual(await search(db, { 'strength>': '10mg' }), ['A', 'B']);
+        assert.deepEqual(await search(db, { strength: '0.01g' }), ['A']);
+        assert.deepEqual(await search(db, { strength: '5mg' }), ['B']);
+        assert.deepEqual(await search(db, { strength: '100mg/mL' }), ['C']);
+        // both bounds must hold for the same ingredient: 5 mg + 325 mg is not "6-100 mg"
+        assert.deepEqual(await search(db, { strength: '6-100mg' }), ['A']);
+        assert.deepEqual(await search(db, { strength: '300-400mg' }), ['B']);
+    } finally {
+        await db.close();
+    }
+});
+
+test('in-place inserts, updates and deletes reach the index', async () => {
+    const db = await setup();
+    try {
+        await db.run(`UPDATE ndc_data SET strength = '20 mg' WHERE ndc = 'A'`);
+        await db.run(`INSERT INTO ndc_data VALUES ('F', '10000 mcg')`);
+        await db.run(`DELETE FROM ndc_data WHERE ndc = 'B'`);
+        assert.deepEqual(await search(db, { strength: '10mg' }), ['F']);
+        assert.deepEqual(await search(db, { strength: '20mg' }), ['A']);
+        assert.deepEqual(await search(db, { strength: '5mg' }), []);
+        assert.equal((await db.get(`SELECT COUNT(*) AS n FROM ndc_strengths_pending`)).n, 0);
+    } finally {
+        await db.close();
+    }
+});
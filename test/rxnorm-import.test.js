@@ -0,0 +1,119 @@
+// test/rxnorm-import.test.js  (rxnorm-import.js: RxNorm RRF release files → concepts, NDC mappings, relations)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseRxnormRelease } from '../rxnorm-import.js';
+
+// One pipe-delimited RRF line with the given { column: value } cells (RRF lines end in a trailing '|')
+function rrf(width, cells) {
+    const row = new Array(width).fill('');
+    for (const [i, v] of Object.entries(cells)) row[i] = v;
+    return row.join('|') + '|';
+}
+const conso = (rxcui, tty, str, { sab = 'RXNORM', lat = 'ENG', suppress = 'N' } = {}) =>
+    rrf(18, { 0: rxcui, 1: lat, 11: sab, 12: tty, 14: str, 16: suppress });
+const sat = (rxcui, atn, atv, { sab = 'RXNORM', suppress = 'N' } = {}) =>
+    rrf(13, { 0: rxcui, 8: atn, 9: sab, 10: atv, 11: suppress });
+const rel = (rxcui1, rela, rxcui2, { sab = 'RXNORM' } = {}) =>
+    rrf(16, { 0: rxcui1, 4: rxcui2, 7: rela, 10: sab });
+
+async function withRelease(files, fn, { sub = '' } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rxnorm-test-'));
+    try {
+        fs.mkdirSync(path.join(dir, sub), { recursive: true });
+        for (const [name, lines] of Object.entries(files)) {
+            fs.writeFileSync(path.join(dir, sub, name), lines.join('\n') + '\n');
+        }
+        return await fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const RELEASE = {
+    'RXNCONSO.RRF': [
+        conso('6809', 'IN', 'metformin'),
+        conso('6809', 'IN', 'Metformin (duplicate atom)'),
+        conso('861007', 'SCD', 'metformin hydrochloride 500 MG Oral Tablet'),
+        conso('999', 'IN', 'metformina', { lat: 'SPA' }),
+        conso('998', 'IN', 'from another source', { sab: 'MMSL' }),
+        conso('997', 'DF', 'Oral Tablet'),
+    ],
+    'RXNSAT.RRF': [
+        sat('861007', 'NDC', '00093104801'),
+        sat('861007', 'NDC', '00093104801'),
+        sat('861007', 'NDC', '00093104810', { suppress: 'O' }),
+        sat('861007', 'NDC', '0093-1048-01'),
+        sat('861007', 'NDC', '00093104899', { sab: 'VANDF' }),
+        sat('861007', 'DCSA', 'CII'),
+        sat('999', 'NDC', '11111111111'),
+    ],
+    'RXNREL.RRF': [
+        rel('861007', 'has_ingredient', '6809'),
+        rel('861007', 'has_ingredient', '6809'),
+        rel('6809', 'ingredient_of', '861007'),
+        rel('861007', 'has_dose_form', '997'),
+        rel('861007', 'has_ingredient', '998'),
+        rel('861007', 'has_ingredient', '6809', { sab: 'MMSL' }),
+    ],
+};
+
+test('parseRxnormRelease keeps English RXNORM concepts of the listed term types, first atom wins', async () => {
+    const r = await withRelease(RELEASE, parseRxnormRelease);
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual([...r.concepts.keys()].sort(), ['6809', '861007']);
+    assert.deepEqual(r.concepts.get('6809'), { tty: 'IN', name: 'metformin', suppress: 'N' });
+});
+
+test('parseRxnormRelease maps 11-digit RXNORM NDCs, de-duplicated, with suppressed ones inactive', async () => {
+    const r = await withRelease(RELEASE, parseRxnormRelease);
+    const ndcs = [...r.ndcs].sort((a, b) => a.ndc11.localeCompare(b.ndc11));
+    assert.deepEqual(ndcs, [
+        { ndc11: '00093104801', rxcui: '861007', active: true },
+        { ndc11: '00093104810', rxcui: '861007', active: false },
+    ]);
+    assert.deepEqual(r.warnings, ['1 NDC attribute(s) not in 11-digit form skipped']);
+    assert.deepEqual(r.counts, { concepts: 2, relations: 2, ndcs: 2, activeNdcs: 1 });
+});
+
+test('parseRxnormRelease: an NDC listed both suppressed and active stays active', async () => {
+    const files = {
+        ...RELEASE,
+        'RXNSAT.RRF': [
+            sat('861007', 'NDC', '00093104801'),
+            sat('861007', 'NDC', '00093104801', { suppress: 'O' }),
+        ],
+    };
+    const r = await withRelease(files, parseRxnormRelease);
+    assert.deepEqual(r.ndcs, [{ ndc11: '00093104801', rxcui: '861007', active: true }]);
+});
+
+test('parseRxnormRelease keeps listed relations between kept concepts only', async () => {
+    const r = await withRelease(RELEASE, parseRxnormRelease);
+    assert.deepEqual(r.relations, [['861007', 'has_ingredient', '6809'], ['6809', 'ingredient_of', '861007']]);
+});
+
+test('parseRxnormRelease reports per-file info and finds files in rrf/ case-insensitively', async () => {
+    const files = Object.fromEntries(Object.entries(RELEASE).map(([k, v]) => [k.toLowerCase(), v]));
+    const r = await withRelease(files, parseRxnormRelease, { sub: 'rrf' });
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual(r.files.map(f => [f.file, f.lines]), [['rxnconso.rrf', 6], ['rxnsat.rrf', 7], ['rxnrel.rrf', 6]]);
+    for (const f of r.files) {
+        assert.match(f.sha256, /^[0-9a-f]{64}$/);
+        assert.ok(f.bytes > 0);
+    }
+});
+
+test('parseRxnormRelease errors on missing files and on releases without usable data', async () => {
+    const missing = await withRelease({ 'RXNCONSO.RRF': RELEASE['RXNCONSO.RRF'] }, parseRxnormRelease);
+    assert.deepEqual(missing.errors, ['missing RXNSAT.RRF', 'missing RXNREL.RRF']);
+
+    const empty = await withRelease({
+        'RXNCONSO.RRF': [conso('997', 'DF', 'Oral Tablet')],
+        'RXNSAT.RRF': [],
+        'RXNREL.RRF': [],
+    }, parseRxnormRelease);
+    assert.deepEqual(empty.errors, ['RXNCONSO.RRF: no RXNORM concepts', 'RXNSAT.RRF: no active RXNORM NDC attributes']);
+});
@@ -0,0 +1,88 @@
+// test/sqlite-backup.test.js  (sqlite-backup.js: validate → swap → rollback of the live backup dataset)
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ndc-backup-test-'));
+process.env.NDC_DATASET_DIR = dir;
+process.env.NDC_RELOAD_RETIRE_MS = '0';
+const backup = await import('../sqlite-backup.js');
+
+const COLUMNS = [
+    'NDCPACKAGECODE', 'PROPRIETARYNAME', 'NONPROPRIETARYNAME', 'SUBSTANCENAME',
+    'DOSAGEFORMNAME', 'ROUTENAME', 'ACTIVE_NUMERATOR_STRENGTH', 'ACTIVE_INGRED_UNIT',
+];
+const PACKAGES = ['0527-3060-01', '0093-1048-01', '60505-2579-9', '0591-0405-01'];
+
+// A snapshot whose brand names carry `tag`, so tests can tell which one is live
+async function writeDataset(name, tag, { columns = COLUMNS } = {}) {
+    const file = path.join(dir, name);
+    const tmp = `${file}.tmp`;
+    const db = await open({ filename: tmp, driver: sqlite3.Database });
+    await db.exec(`CREATE TABLE merged_ndc_data (${columns.map(c => `${c} TEXT`).join(', ')})`);
+    for (const code of PACKAGES) {
+        const row = { NDCPACKAGECODE: code, PROPRIETARYNAME: `${tag} ${code}`, ACTIVE_NUMERATOR_STRENGTH: '10', ACTIVE_INGRED_UNIT: 'mg' };
+        await db.run(`INSERT INTO merged_ndc_data (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map(c => row[c] ?? null));
+    }
+    await db.close();
+    fs.renameSync(tmp, file); // replace, as an importer would, so open handles keep the old file
+    return file;
+}
+
+const liveBrand = async () => (await backup.getFromBackupByPackage(['0527-3060-01']))?.PROPRIETARYNAME;
+const activePointer = () => JSON.parse(fs.readFileSync(path.join(dir, 'ndc-active.json'), 'utf8')).path;
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('rollback without a previous dataset is refused', async () => {
+    await assert.rejects(backup.rollbackBackupDataset(), { code: 'NO_PREVIOUS' });
+});
+
+test('a snapshot that fails validation never goes live', async () => {
+    const a = await writeDataset('ndc-a.sqlite', 'A');
+    await backup.loadBackupDataset(a);
+    const broken = await writeDataset('ndc-broken.sqlite', 'X', { columns: COLUMNS.filter(c => c !== 'ROUTENAME') });
+    await assert.rejects(backup.loadBackupDataset(broken), (e) => {
+        assert.equal(e.code, 'VALIDATION_FAILED');
+        assert.deepEqual(e.checks.find(c => c.name === 'columns'), { name: 'columns', ok: false, detail: 'missing ROUTENAME' });
+        return true;
+    });
+    assert.equal(await liveBrand(), 'A 0527-3060-01');
+    assert.equal(backup.getBackupSwapStatus().previous, null);
+});
+
+test('rollback swaps the previous dataset back, and back again', async () => {
+    const b = await writeDataset('ndc-b.sqlite', 'B');
+    const swap = await backup.loadBackupDataset(b);
+    assert.equal(swap.from.path, path.join(dir, 'ndc-a.sqlite'));
+    assert.equal(await liveBrand(), 'B 0527-3060-01');
+    assert.equal(backup.querySuggestRAM('B 0527')[0]?.brand, 'B 0527-3060-01');
+
+    // Even with A's file gone, the kept handle and suggest index still serve it
+    fs.rmSync(path.join(dir, 'ndc-a.sqlite'));
+    const back = await backup.rollbackBackupDataset();
+    assert.deepEqual([back.from.path, back.to.path], [b, path.join(dir, 'ndc-a.sqlite')]);
+    assert.equal(await liveBrand(), 'A 0527-3060-01');
+    assert.equal(backup.querySuggestRAM('A 0527')[0]?.brand, 'A 0527-3060-01');
+    assert.equal(backup.getBackupDatasetInfo().path, path.join(dir, 'ndc-a.sqlite'));
+    assert.equal(backup.getBackupSwapStatus().previous.path, b);
+    assert.equal(activePointer(), path.join(dir, 'ndc-a.sqlite'));
+
+    await backup.rollbackBackupDataset();
+    assert.equal(await liveBrand(), 'B 0527-3060-01');
+    assert.equal(activePointer(), b);
+});
+
+test('rollback is refused after a reload in place, whose old data is gone', async () => {
+    const b = await writeDataset('ndc-b.sqlite', 'B2');
+    await backup.loadBackupDataset(b);
+    assert.equal(await liveBrand(), 'B2 0527-3060-01');
+    assert.equal(backup.getBackupSwapStatus().previous.path, b);
+    await assert.rejects(backup.rollbackBackupDataset(), { code: 'NO_PREVIOUS' });
+    assert.equal(await liveBrand(), 'B2 0527-3060-01');
+});
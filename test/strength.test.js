@@ -0,0 +1,84 @@
+// test/strength.test.js  (strength.js: free-text parsing, comparison keys and /search strength filters)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStrength, parseIngredientStrength, strengthKey, parseStrengthFilters } from '../strength.js';
+
+const normalized = (text) => parseStrength(text).ingredients.map(i => i.normalized && `${i.normalized.value} ${i.normalized.unit}`);
+
+test('plain amounts convert mass units to mg', () => {
+    assert.deepEqual(normalized('10 mg'), ['10 mg']);
+    assert.deepEqual(normalized('0.5 g'), ['500 mg']);
+    assert.deepEqual(normalized('250 mcg'), ['0.25 mg']);
+    assert.deepEqual(normalized('500 mg/1'), ['500 mg']); // per dosage unit
+    assert.deepEqual(normalized('2,500 units'), ['2500 unit']);
+});
+
+test('concentrations are expressed per 1 mL, 1 g or 1 h', () => {
+    assert.deepEqual(normalized('500 mg/5mL'), ['100 mg/mL']);
+    assert.deepEqual(normalized('1 g/100 mL'), ['10 mg/mL']);
+    assert.deepEqual(normalized('25 mcg/h'), ['0.025 mg/h']);
+    assert.deepEqual(normalized("1000 [USP'U]/mL"), ['1000 unit/mL']);
+    assert.deepEqual(normalized('20 mEq/15 mL'), ['1.33333 mEq/mL']);
+
+    const { amount, per } = parseIngredientStrength('500 mg/5mL');
+    assert.deepEqual(amount, { value: 500, unit: 'mg', kind: 'mass' });
+    assert.deepEqual(per, { value: 5, unit: 'mL', kind: 'volume' });
+});
+
+test('percent strengths are kept as %', () => {
+    assert.deepEqual(parseStrength('0.1 %').ingredients[0].normalized, { value: 0.1, unit: '%', kind: 'percent' });
+});
+
+test('combination products give one entry per ingredient', () => {
+    assert.deepEqual(normalized('5 mg; 325 mg'), ['5 mg', '325 mg']);
+    // backup dataset form: numerators, then units, zipped per ingredient
+    assert.deepEqual(normalized('5; 325 mg/1; mg/1'), ['5 mg', '325 mg']);
+    assert.equal(parseStrength('5 mg; 325 mg').complete, true);
+});
+
+test('unreadable or empty strengths', () => {
+    assert.equal(parseStrength(''), null);
+    assert.equal(parseStrength(null), null);
+    const s = parseStrength('see label');
+    assert.equal(s.complete, false);
+    assert.equal(s.ingredients[0].normalized, null);
+    assert.equal(parseStrength('10 mg; see label').complete, false);
+});
+
+test('strengthKey treats equivalent strengths as equal', () => {
+    assert.equal(strengthKey('500 mg/5mL'), '100 mg/mL');
+    assert.equal(strengthKey('100 MG/ML'), '100 mg/mL');
+    assert.equal(strengthKey('0.5 g'), strengthKey('500 mg'));
+    assert.equal(strengthKey('5 mg; 325 mg'), strengthKey('325 mg; 5 mg'));
+    assert.equal(strengthKey('5; 325 mg/1; mg/1'), strengthKey('5 mg; 325 mg'));
+    assert.notEqual(strengthKey('10 mg'), strengthKey('10 mg/mL'));
+    assert.equal(strengthKey('see label'), null);
+});
+
+test('parseStrengthFilters: operators, including keys a query-string parser split', () => {
+    // "?strength>=10mg" arrives as { 'strength>': '10mg' }, "?strength>10mg" as { 'strength>10mg': '' }
+    assert.deepEqual(parseStrengthFilters({ 'strength>': '10mg' }), { filters: [{ op: '>=', value: 10, unit: 'mg' }] });
+    assert.deepEqual(parseStrengthFilters({ 'strength>10mg': '' }), { filters: [{ op: '>', value: 10, unit: 'mg' }] });
+    assert.deepEqual(parseStrengthFilters({ 'strength<5mg': '' }), { filters: [{ op: '<', value: 5, unit: 'mg' }] });
+    assert.deepEqual(parseStrengthFilters({ 'strength<': '5mg/mL' }), { filters: [{ op: '<=', value: 5, unit: 'mg/mL' }] });
+    assert.deepEqual(parseStrengthFilters({ strength: '>=0.01g' }), { filters: [{ op: '>=', value: 10, unit: 'mg' }] });
+    assert.deepEqual(parseStrengthFilters({ strength: '5mg' }), { filters: [{ op: '=', value: 5, unit: 'mg' }] });
+});
+
+test('parseStrengthFilters: ranges, percent, repeated params and unrelated keys', () => {
+    assert.deepEqual(parseStrengthFilters({ strength: '10-20mg' }), {
+        filters: [{ op: '>=', value: 10, unit: 'mg' }, { op: '<=', value: 20, unit: 'mg' }],
+    });
+    assert.deepEqual(parseStrengthFilters({ strength: '0.1%' }), { filters: [{ op: '=', value: 0.1, unit: '%' }] });
+    assert.deepEqual(parseStrengthFilters({ strength: ['5mg', '<=1g'] }), {
+        filters: [{ op: '=', value: 5, unit: 'mg' }, { op: '<=', value: 1000, unit: 'mg' }],
+    });
+    assert.deepEqual(parseStrengthFilters({ strengthy: '1', dosageForm: 'TABLET' }), { filters: [] });
+});
+
+test('parseStrengthFilters rejects what it cannot read', () => {
+    const { errors } = parseStrengthFilters({ strength: 'abc' });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /Invalid strength filter "abc"/);
+    assert.ok(parseStrengthFilters({ strength: ['5mg', 'mg'] }).errors);
+});
@@ -0,0 +1,65 @@
+// test/suggest-index.test.js  (suggest-index.js: NDC / name prefix ranking and the typo-tolerant fallback)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSuggestIndex } from '../suggest-index.js';
+
+const ROWS = [
+    { lp: '0527-3060', ndc10: '0527-3060-01', brand: 'Lipitor', generic: 'atorvastatin calcium', substance: 'ATORVASTATIN CALCIUM TRIHYDRATE', strength: '10 mg' },
+    { lp: '0527-3061', ndc10: '0527-3061-01', brand: null, generic: 'atorvastatin calcium', substance: 'ATORVASTATIN CALCIUM TRIHYDRATE', strength: '20 mg' },
+    { lp: '0093-1048', ndc10: '0093-1048-01', brand: 'Metformin Hydrochloride', generic: 'metformin hydrochloride', substance: 'METFORMIN HYDROCHLORIDE', strength: '500 mg' },
+    { lp: '60505-2579', ndc10: '60505-2579-9', brand: 'Phenergan', generic: 'promethazine hydrochloride', substance: 'PROMETHAZINE HYDROCHLORIDE', strength: '25 mg' },
+    { lp: '0591-0405', ndc10: '0591-0405-01', brand: 'Zyrtec', generic: 'cetirizine', substance: 'CETIRIZINE HYDROCHLORIDE', strength: '10 mg' },
+    { lp: '0591-0406', ndc10: '0591-0406-01', brand: 'Met-Guard', generic: 'methenamine', substance: 'METHENAMINE', strength: '1 g' },
+];
+const index = createSuggestIndex(ROWS);
+const summary = (hits) => hits.map(h => `${h.ndc10} ${h.match}`);
+
+test('labeler-product and NDC digit prefixes outrank names', () => {
+    assert.equal(index.size, ROWS.length);
+    assert.deepEqual(summary(index.query('0527-3060')), ['0527-3060-01 lp:exact']);
+    assert.deepEqual(summary(index.query('0527-306')), ['0527-3060-01 lp:prefix', '0527-3061-01 lp:prefix']);
+    assert.deepEqual(summary(index.query('0591040501')), ['0591-0405-01 ndc:exact']);
+    assert.deepEqual(summary(index.query('05910')), ['0591-0405-01 ndc:prefix', '0591-0406-01 ndc:prefix']);
+    assert.deepEqual(index.query(''), []);
+});
+
+test('names rank exact, prefix, word, contains; brand before generic before substance', () => {
+    assert.deepEqual(summary(index.query('lipitor')), ['0527-3060-01 brand:exact']);
+    const ator = index.query('ATORVA');
+    assert.deepEqual(summary(ator), ['0527-3060-01 generic:prefix', '0527-3061-01 generic:prefix']);
+    assert.equal(ator[0].score, 0.9);
+
+    // Brand prefixes first, shorter names first; "promethazine" only contains "met"
+    assert.deepEqual(summary(index.query('met')), [
+        '0591-0406-01 brand:prefix', '0093-1048-01 brand:prefix', '60505-2579-9 generic:contains',
+    ]);
+    assert.deepEqual(summary(index.query('hydrochloride')), [
+        '0093-1048-01 brand:word', '60505-2579-9 generic:word', '0591-0405-01 substance:word',
+    ]);
+    assert.deepEqual(summary(index.query('rtec')), ['0591-0405-01 brand:contains']);
+    assert.equal(index.query('rtec')[0].score, 0.7);
+});
+
+test('limit caps the results', () => {
+    assert.equal(index.query('hydrochloride', { limit: 2 }).length, 2);
+    assert.equal(index.query('0', { limit: 3 }).length, 3);
+});
+
+test('fuzzy finds misspellings by edit distance and sound-alikes by phonetic key', () => {
+    const typo = index.fuzzy('atorvastain');
+    assert.deepEqual(summary(typo), ['0527-3060-01 fuzzy', '0527-3061-01 fuzzy']);
+    assert.deepEqual([typo[0].matchedName, typo[0].suggestion], ['atorvastatin calcium', 'atorvastatin']);
+    assert.ok(typo[0].score >= 0.7 && typo[0].score < 1);
+
+    const sound = index.fuzzy('fenergan');
+    assert.deepEqual(summary(sound), ['60505-2579-9 phonetic']);
+    assert.deepEqual([sound[0].suggestion, sound[0].score], ['phenergan', 0.8]);
+    assert.equal(index.fuzzy('zirtek')[0]?.brand, 'Zyrtec');
+});
+
+test('fuzzy ignores short and unrelated queries', () => {
+    assert.deepEqual(index.fuzzy('lip'), []);
+    assert.deepEqual(index.fuzzy('ibuprofen'), []);
+    assert.deepEqual(index.fuzzy('lipitro', { minSimilarity: 0.99 }), []);
+    assert.equal(index.fuzzy('lipitro')[0].brand, 'Lipitor');
+});
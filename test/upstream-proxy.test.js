@@ -0,0 +1,182 @@
+// test/upstream-proxy.test.js  (upstream-proxy.js: allowlist, TTL cache, stale / offline fallbacks, with a stubbed fetch)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createUpstreamProxy } from '../upstream-proxy.js';
+
+// A stub upstream: `reply(url)` returns { status, body, type } or throws; every call is recorded
+function stubFetch(reply = () => ({ status: 200, body: '{"ok":true}' })) {
+    const calls = [];
+    const fetchImpl = async (url, { signal }) => {
+        calls.push(String(url));
+        const r = await reply(new URL(url), signal);
+        return {
+            status: r.status,
+            headers: { get: (h) => (h.toLowerCase() === 'content-type' ? r.type ?? 'application/json' : null) },
+            text: async () => r.body,
+        };
+    };
+    return { fetchImpl, calls };
+}
+
+// Mount a proxy on an ephemeral port; `get(path)` resolves to { status, cache, type, body }
+async function withProxy(options, fn) {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-test-'));
+    const proxy = createUpstreamProxy({
+        name: 'up', baseUrl: 'https://upstream.example/api', cacheDir,
+        allow: [{ pattern: /^\/drug\//, ttlMs: 3_600_000 }],
+        ...options,
+    });
+    const app = express();
+    app.use('/proxy', proxy.handler);
+    const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+    const base = `http://127.0.0.1:${server.address().port}/proxy`;
+    const get = async (p, init) => {
+        const res = await fetch(base + p, init);
+        return { status: res.status, cache: res.headers.get('x-proxy-cache'), type: res.headers.get('content-type'), body: await res.text() };
+    };
+    try {
+        return await fn({ get, proxy, cacheDir });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+}
+
+test('a miss is fetched once and then served from the cache; secrets stay out of the key', async () => {
+    const { fetchImpl, calls } = stubFetch(() => ({ status: 200, body: '<ok/>', type: 'application/xml' }));
+    await withProxy({ fetchImpl, extraQuery: { api_key: 'secret' } }, async ({ get, proxy }) => {
+        const first = await get('/drug/ndc.json?search=a&limit=1');
+        assert.deepEqual([first.status, first.cache, first.body], [200, 'MISS', '<ok/>']);
+        assert.match(first.type, /^application\/xml/);
+        assert.deepEqual(calls, ['https://upstream.example/api/drug/ndc.json?limit=1&search=a&api_key=secret']);
+
+        // Same params in another order, and a caller-supplied api_key, hit the same entry
+        const second = await get('/drug/ndc.json?limit=1&search=a&api_key=mine');
+        assert.deepEqual([second.status, second.cache, second.body], [200, 'HIT', '<ok/>']);
+        assert.equal(calls.length, 1);
+        assert.deepEqual([proxy.snapshot().hits, proxy.snapshot().misses, proxy.snapshot().cacheEntries], [1, 1, 1]);
+    });
+});
+
+test('concurrent misses share one upstream call', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const { fetchImpl, calls } = stubFetch(async () => {
+        await gate;
+        return { status: 200, body: '{}' };
+    });
+    await withProxy({ fetchImpl }, async ({ get, proxy }) => {
+        const both = Promise.all([get('/drug/x'), get('/drug/x')]);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        release();
+        assert.deepEqual((await both).map(r => r.cache), ['MISS', 'MISS']);
+        assert.equal(calls.length, 1);
+        assert.equal(proxy.snapshot().coalesced, 1);
+    });
+});
+
+test('only allowlisted GETs with plain params are forwarded', async () => {
+    const { fetchImpl, calls } = stubFetch();
+    await withProxy({ fetchImpl }, async ({ get }) => {
+        assert.equal((await get('/admin/x')).status, 403);
+        const bad = await get('/drug/x?search[a]=1');
+        assert.deepEqual([bad.status, JSON.parse(bad.body).param], [400, 'search']);
+        assert.equal((await get('/drug/x', { method: 'POST' })).status, 405);
+        assert.equal(calls.length, 0);
+    });
+});
+
+test('404 answers are cached, 5xx are not', async () => {
+    let status = 404;
+    const { fetchImpl, calls } = stubFetch(() => ({ status, body: '{"error":"x"}' }));
+    await withProxy({ fetchImpl }, async ({ get }) => {
+        assert.deepEqual([(await get('/drug/none')).status, (await get('/drug/none')).cache], [404, 'HIT']);
+        status = 503;
+        assert.deepEqual([(await get('/drug/other')).status, (await get('/drug/other')).status], [503, 503]);
+        assert.equal(calls.length, 3);
+    });
+});
+
+test('expired entries are refetched, and served STALE when upstream fails', async () => {
+    let reply = () => ({ status: 200, body: 'v1' });
+    const { fetchImpl, calls } = stubFetch((...a) => reply(...a));
+    await withProxy({ fetchImpl, allow: [{ pattern: /^\/drug\//, ttlMs: 0 }] }, async ({ get }) => {
+        assert.equal((await get('/drug/x')).body, 'v1');
+        reply = () => ({ status: 200, body: 'v2' });
+        assert.deepEqual([(await get('/drug/x')).cache, (await get('/drug/x')).body], ['MISS', 'v2']); // TTL 0: always refetched
+
+        reply = () => ({ status: 500, body: 'boom' });
+        assert.deepEqual(await get('/drug/x').then(r => [r.status, r.cache, r.body]), [200, 'STALE', 'v2']);
+        reply = () => ({ status: 429, body: 'slow down' });
+        assert.deepEqual(await get('/drug/x').then(r => [r.cache, r.body]), ['STALE', 'v2']);
+        reply = () => { throw new Error('ECONNRESET'); };
+        assert.deepEqual(await get('/drug/x').then(r => [r.status, r.cache, r.body]), [200, 'STALE', 'v2']);
+        assert.equal(calls.length, 6);
+    });
+});
+
+test('upstream errors without a cached copy are 502, timeouts 504', async () => {
+    const failing = stubFetch(() => { throw new Error('ECONNREFUSED'); });
+    await withProxy({ fetchImpl: failing.fetchImpl }, async ({ get, proxy }) => {
+        assert.deepEqual(await get('/drug/x').then(r => [r.status, JSON.parse(r.body).error]), [502, 'Upstream unavailable']);
+        assert.equal(proxy.snapshot().errors, 1);
+    });
+    const hanging = stubFetch((_url, signal) => new Promise((_resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    await withProxy({ fetchImpl: hanging.fetchImpl, timeoutMs: 20 }, async ({ get }) => {
+        assert.deepEqual(await get('/drug/x').then(r => [r.status, JSON.parse(r.body).error]), [504, 'Upstream timeout']);
+    });
+});
+
+test('entries kept past staleKeepMs are dropped, not served', async () => {
+    let reply = () => ({ status: 200, body: 'v1' });
+    const { fetchImpl } = stubFetch((...a) => reply(...a));
+    await withProxy({ fetchImpl, staleKeepMs: 0, allow: [{ pattern: /^\/drug\//, ttlMs: 0 }] }, async ({ get, proxy }) => {
+        await get('/drug/x');
+        reply = () => ({ status: 500, body: 'boom' });
+        assert.deepEqual(await get('/drug/x').then(r => [r.status, r.cache]), [500, 'MISS']);
+        assert.equal(proxy.snapshot().cacheEntries, 0);
+    });
+});
+
+test('the cache is capped at maxEntries, oldest first', async () => {
+    const { fetchImpl, calls } = stubFetch((url) => ({ status: 200, body: url.pathname }));
+    await withProxy({ fetchImpl, maxEntries: 2 }, async ({ get, proxy }) => {
+        for (const p of ['/drug/a', '/drug/b', '/drug/c']) {
+            await get(p);
+            await new Promise(resolve => setTimeout(resolve, 5)); // distinct write times
+        }
+        assert.deepEqual([proxy.snapshot().cacheEntries, proxy.snapshot().evicted], [2, 1]);
+        assert.equal((await get('/drug/c')).cache, 'HIT');
+        assert.equal((await get('/drug/a')).cache, 'MISS');
+        assert.equal(calls.length, 4);
+    });
+});
+
+test('offline mode serves the cache, then fixtures, never upstream', async () => {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-fixtures-'));
+    fs.mkdirSync(path.join(fixturesDir, 'up', 'drug'), { recursive: true });
+    fs.writeFileSync(path.join(fixturesDir, 'up', 'drug', 'fixed.xml'), '<fixture/>');
+    try {
+        const online = stubFetch(() => ({ status: 200, body: 'cached' }));
+        const offline = stubFetch();
+        await withProxy({ fetchImpl: online.fetchImpl }, async ({ get, cacheDir }) => {
+            await get('/drug/x');
+            await withProxy({ fetchImpl: offline.fetchImpl, offline: true, fixturesDir, cacheDir }, async (off) => {
+                assert.deepEqual(await off.get('/drug/x').then(r => [r.cache, r.body]), ['OFFLINE', 'cached']);
+                const fixture = await off.get('/drug/fixed?search=ignored');
+                assert.deepEqual([fixture.cache, fixture.body], ['FIXTURE', '<fixture/>']);
+                assert.match(fixture.type, /^application\/xml/);
+                assert.equal((await off.get('/drug/none')).status, 504);
+            });
+        });
+        assert.equal(offline.calls.length, 0);
+    } finally {
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    }
+});
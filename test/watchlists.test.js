@@ -0,0 +1,48 @@
+// test/watchlists.test.js  (watchlists.js: watch input normalization and duplicate adds)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { up } from '../migrations/006_watchlists.js';
+import { validateWatchInput, addWatch } from '../watchlists.js';
+
+const target = (body) => validateWatchInput(body).value?.target;
+
+test('validateWatchInput stores one spelling per NDC', () => {
+    assert.equal(target({ ndc: '00527-3060' }), '527-3060');
+    assert.equal(target({ ndc: '527-3060' }), '527-3060');
+    assert.equal(target({ ndc: '0527-3060-01' }), '00527306001');
+    assert.equal(target({ ndc: '00527-3060-01' }), '00527306001');
+    assert.equal(target({ ndc: '00527306001' }), '00527306001');
+    assert.equal(target({ target: ' 0527306001 ' }), '0527306001'); // bare 10 digits: layout unknown
+    assert.equal(target({ ndc: '005273060' }), '527-3060');
+});
+
+test('validateWatchInput rejects what it cannot read', () => {
+    assert.deepEqual(validateWatchInput({ ndc: 'abc' }).errors, ['ndc must be a package NDC or a labeler-product code']);
+    assert.deepEqual(validateWatchInput({ gpi: '123' }).errors, ['gpi must be 2-14 digits (a whole GPI level)']);
+    assert.deepEqual(validateWatchInput({ scope: 'x' }).errors, ['scope must be ndc or gpi']);
+    assert.deepEqual(validateWatchInput({ gpi: '2710-0010' }).value, { scope: 'gpi', target: '27100010', note: null });
+});
+
+test('addWatch throws DUPLICATE for an existing watch, including one added concurrently', async () => {
+    const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    try {
+        await up(db);
+        const value = validateWatchInput({ ndc: '00527-3060' }).value;
+        const first = await addWatch(db, 'a@example.com', value);
+        assert.equal(first.target, '527-3060');
+
+        await assert.rejects(addWatch(db, 'a@example.com', validateWatchInput({ ndc: '527-3060' }).value),
+            (e) => e.code === 'DUPLICATE' && e.watch.id === first.id);
+
+        const racing = await Promise.allSettled([
+            addWatch(db, 'b@example.com', value),
+            addWatch(db, 'b@example.com', value),
+        ]);
+        assert.deepEqual(racing.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal(racing.find(r => r.status === 'rejected').reason.code, 'DUPLICATE');
+    } finally {
+        await db.close();
+    }
+});
@@ -0,0 +1,264 @@
+// upstream-proxy.js  (allowlisted GET proxy with on-disk TTL cache, request coalescing and offline mode)
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+const CACHEABLE_STATUS = new Set([200, 404]); // openFDA answers "no matches" with 404
+const EXT_TYPES = { '.json': 'application/json', '.xml': 'application/xml', '.txt': 'text/plain' };
+
+// Only plain (or repeated) string params are forwarded; "a[b]=1" parses to an object and is refused
+const badParam = (query) => Object.keys(query).find(k => [].concat(query[k]).some(v => typeof v !== 'string')) ?? null;
+
+/** "/drug/ndc.json" + { search, limit } → stable key material (params sorted, secrets already removed). */
+function canonicalTarget(reqPath, query) {
+    const params = new URLSearchParams();
+    for (const k of Object.keys(query).sort()) {
+        for (const v of [].concat(query[k])) params.append(k, String(v));
+    }
+    const qs = params.toString();
+    return qs ? `${reqPath}?${qs}` : reqPath;
+}
+
+/**
+ * Express handler proxying GETs under `baseUrl`.
+ *   allow:        [{ pattern: RegExp (matched against the path), ttlMs }]; anything else is 403
+ *   cacheDir:     responses are kept in cacheDir/<name>/<sha1>.json (written via temp file + rename)
+ *   maxEntries / maxBytes: cache size cap; the oldest entries are evicted past either
+ *   staleKeepMs:  how long an expired entry is kept as a STALE / offline fallback before it is deleted
+ *   fixturesDir:  offline fallback: fixturesDir/<name>/<sha1>.json (cache format, so a cache dir can be
+ *                 copied over) or fixturesDir/<name>/<path>[.json|.xml] (query ignored)
+ *   offline:      never go upstream; serve cache (even expired) or fixtures, else 504
+ *   extraQuery:   params added upstream but not part of the cache key (e.g. an API key)
+ *   fetchImpl:    fetch used for upstream calls (node-fetch)
+ * Upstream status and content-type are passed through; 200/404 are cached for the endpoint's TTL.
+ * When upstream fails or returns 429/5xx, an expired cache entry is served instead if there is one.
+ * X-Proxy-Cache on the response: HIT | MISS | STALE | OFFLINE | FIXTURE.
+ */
+export function createUpstreamProxy({
+    name,
+    baseUrl,
+    allow,
+    cacheDir,
+    fixturesDir = null,
+    offline = false,
+    timeoutMs = 10000,
+    extraQuery = {},
+    defaultType = 'application/json',
+    maxEntries = 5000,
+    maxBytes = 200 * 1024 * 1024,
+    staleKeepMs = 7 * 24 * 3600_000,
+    fetchImpl = fetch,
+}) {
+    const stats = { requests: 0, hits: 0, misses: 0, stale: 0, coalesced: 0, offlineServed: 0, fixtures: 0, rejected: 0, errors: 0, evicted: 0 };
+    const inflight = new Map();
+    const dir = path.join(cacheDir, name);
+
+    const entryFile = (key) => path.join(dir, `${key}.json`);
+    const readEntry = (file) => {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch {
+            return null;
+        }
+    };
+    const outlived = (entry, now = Date.now()) => (Date.parse(entry.expiresAt) || 0) + staleKeepMs <= now;
+
+    // key → { bytes, expiresAt, writtenAt } for every cache file, read from disk on first use
+    let index = null;
+    let totalBytes = 0;
+    const loadIndex = () => {
+        index = new Map();
+        totalBytes = 0;
+        let files = [];
+        try {
+            files = fs.readdirSync(dir).filter(f => /^[0-9a-f]{40}\.json$/.test(f));
+        } catch {
+            return;
+        }
+        for (const f of files) {
+            const file = path.join(dir, f);
+            try {
+                const { size, mtimeMs } = fs.statSync(file);
+                const entry = readEntry(file);
+                index.set(f.slice(0, -5), { bytes: size, expiresAt: entry?.expiresAt, writtenAt: mtimeMs });
+                totalBytes += size;
+            } catch {
+                // removed meanwhile
+            }
+        }
+    };
+    const removeEntry = (key) => {
+        const meta = index?.get(key);
+        if (meta) {
+            index.delete(key);
+            totalBytes -= meta.bytes;
+        }
+        fs.rmSync(entryFile(key), { force: true });
+    };
+    // Drop entries kept past staleKeepMs, then the oldest ones until the cache is within its caps
+    const prune = () => {
+        const now = Date.now();
+        let evicted = 0;
+        for (const [key, meta] of index) {
+            if (outlived(meta, now)) {
+                removeEntry(key);
+                evicted++;
+            }
+        }
+        if (index.size > maxEntries || totalBytes > maxBytes) {
+            const oldest = [...index].sort((a, b) => a[1].writtenAt - b[1].writtenAt);
+            for (const [key] of oldest) {
+                if (index.size <= maxEntries && totalBytes <= maxBytes) break;
+                removeEntry(key);
+                evicted++;
+            }
+        }
+        stats.evicted += evicted;
+    };
+
+    const writeEntry = (key, entry) => {
+        try {
+            if (!index) loadIndex();
+            fs.mkdirSync(dir, { recursive: true });
+            const body = JSON.stringify(entry);
+            const tmp = `${entryFile(key)}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, body);
+            fs.renameSync(tmp, entryFile(key));
+            const previous = index.get(key);
+            if (previous) totalBytes -= previous.bytes;
+            const bytes = Buffer.byteLength(body);
+            index.set(key, { bytes, expiresAt: entry.expiresAt, writtenAt: Date.now() });
+            totalBytes += bytes;
+            prune();
+        } catch (e) {
+            console.warn(`[proxy] ${name} cache write failed:`, e?.message || e);
+        }
+    };
+
+    function readFixture(key, reqPath) {
+        if (!fixturesDir) return null;
+        const base = path.resolve(fixturesDir, name);
+        const cached = readEntry(path.join(base, `${key}.json`));
+        if (cached) return cached;
+        const file = path.resolve(base, `.${reqPath}`);
+        if (!file.startsWith(base + path.sep)) return null;
+        for (const candidate of [file, `${file}.json`, `${file}.xml`]) {
+            if (!fs.existsSync(candidate) || !fs.statSync(candidate).isFile()) continue;
+            const type = EXT_TYPES[path.extname(candidate)] || defaultType;
+            return { status: 200, contentType: type, body: fs.readFileSync(candidate, 'utf8') };
+        }
+        return null;
+    }
+
+    async function fetchUpstream(target) {
+        const url = new URL(`${baseUrl}${target}`);
+        for (const [k, v] of Object.entries(extraQuery)) if (v) url.searchParams.set(k, v);
+        const ctrl = new AbortController();
+        const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+        try {
+            const response = await fetchImpl(url, { signal: ctrl.signal });
+            return {
+                status: response.status,
+                contentType: response.headers.get('content-type') || defaultType,
+                body: await response.text(),
+                fetchedAt: new Date().toISOString(),
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    const send = (res, entry, cacheState) => {
+        res.set('X-Proxy-Cache', cacheState);
+        if (entry.fetchedAt) res.set('X-Proxy-Fetched-At', entry.fetchedAt);
+        res.status(entry.status).type(entry.contentType).send(entry.body);
+    };
+
+    async function handler(req, res) {
+        stats.requests++;
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            stats.rejected++;
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+        const rule = allow.find(r => r.pattern.test(req.path));
+        if (!rule) {
+            stats.rejected++;
+            return res.status(403).json({ error: 'Endpoint not allowed', proxy: name, path: req.path });
+        }
+
+        const query = { ...req.query };
+        for (const k of Object.keys(extraQuery)) delete query[k];
+        const bad = badParam(query);
+        if (bad !== null) {
+            stats.rejected++;
+            return res.status(400).json({ error: 'Query parameters must be plain values', proxy: name, param: bad });
+        }
+        const target = canonicalTarget(req.path, query);
+        const key = crypto.createHash('sha1').update(target).digest('hex');
+        let cached = readEntry(entryFile(key));
+        if (cached && outlived(cached)) {
+            if (!index) loadIndex();
+            removeEntry(key);
+            cached = null;
+        }
+        const fresh = cached && Date.parse(cached.expiresAt) > Date.now();
+
+        if (offline) {
+            stats.offlineServed++;
+            if (cached) return send(res, cached, 'OFFLINE');
+            const fixture = readFixture(key, req.path);
+            if (fixture) {
+                stats.fixtures++;
+                return send(res, fixture, 'FIXTURE');
+            }
+            return res.status(504).json({ error: 'Offline: no cached response', proxy: name, target });
+        }
+        if (fresh) {
+            stats.hits++;
+            return send(res, cached, 'HIT');
+        }
+
+        stats.misses++;
+        let pending = inflight.get(key);
+        if (pending) stats.coalesced++;
+        else {
+            pending = fetchUpstream(target)
+                .then(entry => {
+                    if (CACHEABLE_STATUS.has(entry.status)) {
+                        writeEntry(key, { ...entry, target, expiresAt: new Date(Date.now() + rule.ttlMs).toISOString() });
+                    }
+                    return entry;
+                })
+                .finally(() => inflight.delete(key));
+            inflight.set(key, pending);
+        }
+
+        try {
+            const entry = await pending;
+            if ((entry.status === 429 || entry.status >= 500) && cached) {
+                stats.stale++;
+                return send(res, cached, 'STALE');
+            }
+            send(res, entry, 'MISS');
+        } catch (e) {
+            stats.errors++;
+            if (cached) {
+                stats.stale++;
+                return send(res, cached, 'STALE');
+            }
+            const timedOut = e?.name === 'AbortError';
+            console.error(`❌ ${name} proxy error:`, timedOut ? `timed out after ${timeoutMs}ms` : e);
+            res.status(timedOut ? 504 : 502).json({ error: timedOut ? 'Upstream timeout' : 'Upstream unavailable', proxy: name });
+        }
+    }
+
+    function snapshot() {
+        return {
+            name, baseUrl, offline, cacheDir: dir, inflight: inflight.size,
+            ...(index && { cacheEntries: index.size, cacheBytes: totalBytes }), maxEntries, maxBytes, ...stats,
+        };
+    }
+
+    return { handler, snapshot };
+}
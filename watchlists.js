@@ -0,0 +1,244 @@
+// watchlists.js  (per-user NDC / GPI watchlists; alerts raised from ndc-changes when a watched item's status changes)
+// Tables: migrations/006_watchlists.js. Delivery to a webhook / outbox: alert-delivery.js
+import { ndcMatcher, shapeChange } from './ndc-changes.js';
+import { resolveNdcColumns } from './ndc-columns.js';
+import { derivePackageCandidates } from './ndc-package.js';
+import { deriveLabelerProductCandidates } from './ndc-normalize.js';
+import { withTransaction } from './db-transaction.js';
+
+// Status fields worth interrupting a buyer for; packages appearing or disappearing (availability) always count
+export const ALERT_FIELDS = ['shortageStatus', 'discontinuedStatus', 'deaClass', 'endMarketingDate'];
+const ALERTABLE_SQL = `(c.changeType IN ('added','removed') OR c.field IN (${ALERT_FIELDS.map(f => `'${f}'`).join(',')}))`;
+
+const PRODUCT_KEY = /^(\d{1,5})-(\d{1,4})$/; // labeler-product as stored in normalizedNDC ("527-3060")
+const GPI_PREFIX = /^(\d{2}){1,7}$/;          // any GPI level: 2, 4, ... 14 digits
+const placeholders = (xs) => xs.map(() => '?').join(',');
+
+/**
+ * One stored spelling per watched NDC, so "00527-3060" and "527-3060" are the same watch: a package NDC
+ * with a single 11-digit form → that form, a product → its labeler-product key. A bare 10-digit NDC
+ * (several possible layouts) keeps its digits; ndcMatcher tries every layout. Null when not an NDC.
+ */
+function normalizeWatchNdc(raw) {
+    const lp = raw.match(PRODUCT_KEY);
+    if (lp) return `${Number(lp[1])}-${Number(lp[2])}`;
+    const ndc11s = derivePackageCandidates(raw);
+    if (ndc11s.length === 1) return ndc11s[0];
+    if (ndc11s.length) return raw.replace(/\D/g, '');
+    const lps = deriveLabelerProductCandidates(raw);
+    return lps.length === 1 ? lps[0] : null;
+}
+
+/** Check an add request; returns { errors } or { value: { scope, target, note } }. */
+export function validateWatchInput(body = {}) {
+    const errors = [];
+    const scope = body.scope || (body.gpi ? 'gpi' : 'ndc');
+    let target = null;
+    if (scope === 'ndc') {
+        target = normalizeWatchNdc(String(body.ndc ?? body.target ?? '').trim());
+        if (!target) errors.push('ndc must be a package NDC or a labeler-product code');
+    } else if (scope === 'gpi') {
+        const raw = String(body.gpi ?? body.target ?? '').replace(/[\s-]/g, '');
+        if (GPI_PREFIX.test(raw)) target = raw;
+        else errors.push('gpi must be 2-14 digits (a whole GPI level)');
+    } else {
+        errors.push('scope must be ndc or gpi');
+    }
+    const note = body.note == null ? null : String(body.note).trim() || null;
+    if (note && note.length > 500) errors.push('note must be at most 500 characters');
+
+    return errors.length ? { errors } : { value: { scope, target, note } };
+}
+
+function matcherFor(watch) {
+    if (watch.scope === 'gpi') return (c) => Boolean(c.gpi) && c.gpi.startsWith(watch.target);
+    return ndcMatcher(watch.target) || (() => false);
+}
+
+/** A user's watches with unread alert counts, newest first. */
+export async function listWatches(db, email) {
+    return db.all(
+        `SELECT w.*,
+              (SELECT COUNT(*) FROM watch_alerts a WHERE a.watchId = w.id AND a.readAt IS NULL) AS unreadAlerts,
+              (SELECT MAX(a.createdAt) FROM watch_alerts a WHERE a.watchId = w.id)             AS lastAlertAt
+       FROM watchlist_items w WHERE w.email = ? ORDER BY w.id DESC`,
+        [email]
+    );
+}
+
+export async function getWatch(db, email, id) {
+    return db.get(`SELECT * FROM watchlist_items WHERE id = ? AND email = ?`, [id, email]);
+}
+
+/** Add a watch (input from validateWatchInput). Throws code DUPLICATE when it is already watched. */
+export async function addWatch(db, email, { scope, target, note }) {
+    const findExisting = () => db.get(
+        `SELECT * FROM watchlist_items WHERE email = ? AND scope = ? AND target = ?`,
+        [email, scope, target]
+    );
+    const duplicate = (watch) => Object.assign(new Error('Already on the watchlist'), { code: 'DUPLICATE', watch });
+    const existing = await findExisting();
+    if (existing) throw duplicate(existing);
+    try {
+        const { lastID } = await db.run(
+            `INSERT INTO watchlist_items (email, scope, target, note) VALUES (?, ?, ?, ?)`,
+            [email, scope, target, note]
+        );
+        return getWatch(db, email, lastID);
+    } catch (e) {
+        // a concurrent add of the same watch won the race between the check and the insert
+        if (e.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(e.message)) throw duplicate(await findExisting());
+        throw e;
+    }
+}
+
+/** Change a watch's note; null when it isn't the user's. */
+export async function updateWatchNote(db, email, id, note) {
+    const { changes } = await db.run(
+        `UPDATE watchlist_items SET note = ? WHERE id = ? AND email = ?`,
+        [note, id, email]
+    );
+    return changes ? getWatch(db, email, id) : null;
+}
+
+/** Remove a watch and its alerts; resolves to the removed row or null. */
+export async function removeWatch(db, email, id) {
+    const watch = await getWatch(db, email, id);
+    if (!watch) return null;
+    await db.run(`DELETE FROM watch_alerts WHERE watchId = ?`, [id]);
+    await db.run(`DELETE FROM watchlist_items WHERE id = ?`, [id]);
+    return watch;
+}
+
+// normalizedNDC → GPI from the primary ndc_data (GPI isn't a tracked field, so it is looked up at alert time)
+async function gpiByProduct(db, normalizedNDCs) {
+    const cols = await resolveNdcColumns(db);
+    const out = new Map();
+    if (!cols.gpi || !cols.normalizedNDC || !normalizedNDCs.length) return out;
+    for (let i = 0; i < normalizedNDCs.length; i += 500) {
+        const chunk = normalizedNDCs.slice(i, i + 500);
+        const rows = await db.all(
+            `SELECT ${cols.normalizedNDC} AS lp, ${cols.gpi} AS gpi FROM ndc_data
+       WHERE ${cols.normalizedNDC} IN (${placeholders(chunk)}) AND ${cols.gpi} IS NOT NULL`,
+            chunk
+        );
+        for (const r of rows) if (!out.has(r.lp)) out.set(r.lp, String(r.gpi).replace(/\D/g, ''));
+    }
+    return out;
+}
+
+/**
+ * Raise alerts for the alertable changes recorded in the given snapshots (from trackSourceChanges).
+ * Idempotent per (watch, change). Returns { changes, created, users }.
+ */
+export async function raiseWatchAlerts(db, snapshotIds) {
+    const ids = snapshotIds.filter(Boolean);
+    if (!ids.length) return { changes: 0, created: 0, users: 0 };
+    const watches = await db.all(`SELECT * FROM watchlist_items`);
+    if (!watches.length) return { changes: 0, created: 0, users: 0 };
+
+    const changes = await db.all(
+        `SELECT c.id, c.ndcKey, c.normalizedNDC FROM ndc_changes c
+     WHERE c.snapshotId IN (${placeholders(ids)}) AND ${ALERTABLE_SQL}`,
+        ids
+    );
+    if (!changes.length) return { changes: 0, created: 0, users: 0 };
+    if (watches.some(w => w.scope === 'gpi')) {
+        const gpis = await gpiByProduct(db, [...new Set(changes.map(c => c.normalizedNDC).filter(Boolean))]);
+        for (const c of changes) c.gpi = gpis.get(c.normalizedNDC) || null;
+    }
+
+    let created = 0;
+    const users = new Set();
+    await withTransaction(db, async () => {
+        const ins = await db.prepare(`INSERT OR IGNORE INTO watch_alerts (watchId, email, changeId) VALUES (?, ?, ?)`);
+        for (const w of watches) {
+            const matches = matcherFor(w);
+            for (const c of changes) {
+                if (!matches(c)) continue;
+                const { changes: n } = await ins.run([w.id, w.email, c.id]);
+                if (n) {
+                    created++;
+                    users.add(w.email);
+                }
+            }
+        }
+        await ins.finalize();
+    });
+    return { changes: changes.length, created, users: users.size };
+}
+
+const ALERT_SELECT = `
+  SELECT a.id, a.email, a.createdAt, a.readAt, a.deliveredAt,
+         w.id AS watchId, w.scope AS watchScope, w.target AS watchTarget, w.note AS watchNote,
+         c.source, c.ndcKey, c.ndc, c.normalizedNDC, c.changeType, c.field, c.oldValue, c.newValue, c.detectedAt
+  FROM watch_alerts a
+  JOIN watchlist_items w ON w.id = a.watchId
+  JOIN ndc_changes c ON c.id = a.changeId`;
+
+function shapeAlert(r) {
+    const change = shapeChange({
+        source: r.source, ndcKey: r.ndcKey, ndc: r.ndc, normalizedNDC: r.normalizedNDC,
+        changeType: r.changeType, field: r.field, oldValue: r.oldValue, newValue: r.newValue, detectedAt: r.detectedAt,
+    });
+    return {
+        id: r.id,
+        createdAt: r.createdAt,
+        readAt: r.readAt,
+        watch: { id: r.watchId, scope: r.watchScope, target: r.watchTarget, note: r.watchNote },
+        change,
+    };
+}
+
+export async function unreadAlertCount(db, email) {
+    return (await db.get(`SELECT COUNT(*) AS n FROM watch_alerts WHERE email = ? AND readAt IS NULL`, [email]))?.n || 0;
+}
+
+/** A user's alerts, newest first: { total, unread, alerts }. */
+export async function listAlerts(db, email, { unreadOnly = false, limit = 50, offset = 0 } = {}) {
+    const where = `a.email = ?${unreadOnly ? ' AND a.readAt IS NULL' : ''}`;
+    const total = (await db.get(`SELECT COUNT(*) AS n FROM watch_alerts a WHERE ${where}`, [email]))?.n || 0;
+    const rows = await db.all(`${ALERT_SELECT} WHERE ${where} ORDER BY a.id DESC LIMIT ? OFFSET ?`, [email, limit, offset]);
+    return { total, unread: await unreadAlertCount(db, email), alerts: rows.map(shapeAlert) };
+}
+
+/** Mark some (ids) or all of a user's alerts read; resolves to the number marked. */
+export async function markAlertsRead(db, email, { ids = null } = {}) {
+    const byId = Array.isArray(ids);
+    if (byId && !ids.length) return 0;
+    const { changes } = await db.run(
+        `UPDATE watch_alerts SET readAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+     WHERE email = ? AND readAt IS NULL${byId ? ` AND id IN (${placeholders(ids)})` : ''}`,
+        [email, ...(byId ? ids : [])]
+    );
+    return changes;
+}
+
+/**
+ * Undelivered alerts grouped by user: [{ email, alerts }]. Alerts that failed maxAttempts times, or are
+ * older than maxAgeMs (e.g. raised before a delivery target was configured), are left to the in-app list.
+ */
+export async function pendingDeliveries(db, { maxAttempts = 5, maxAgeMs = 7 * 86_400_000, limit = 1000 } = {}) {
+    const rows = await db.all(
+        `${ALERT_SELECT} WHERE a.deliveredAt IS NULL AND a.deliveryAttempts < ? AND a.createdAt >= ?
+     ORDER BY a.email, a.id LIMIT ?`,
+        [maxAttempts, new Date(Date.now() - maxAgeMs).toISOString(), limit]
+    );
+    const byUser = new Map();
+    for (const r of rows) {
+        if (!byUser.has(r.email)) byUser.set(r.email, []);
+        byUser.get(r.email).push(shapeAlert(r));
+    }
+    return [...byUser].map(([email, alerts]) => ({ email, alerts }));
+}
+
+/** Record a delivery attempt for these alert ids: delivered when `error` is null. */
+export async function recordDelivery(db, ids, error = null) {
+    if (!ids.length) return;
+    await db.run(
+        `UPDATE watch_alerts SET deliveryAttempts = deliveryAttempts + 1,
+       deliveredAt = CASE WHEN ? IS NULL THEN strftime('%Y-%m-%dT%H:%M:%fZ', 'now') END, deliveryError = ?
+     WHERE id IN (${placeholders(ids)})`,
+        [error, error, ...ids]
+    );
+}